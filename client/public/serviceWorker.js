@@ -91,9 +91,16 @@ self.addEventListener("fetch", (event) => {
   // Skip caching for requests with special headers (like Range requests)
   const hasRangeHeader = event.request.headers.get("Range");
   const isDevToolsRequest = event.request.headers.get("cache") === "no-cache";
+  // Authenticated requests (e.g. WebDAV sync) must always hit the server
+  const hasAuthHeader = event.request.headers.has("Authorization");
 
   // For requests we shouldn't cache, just pass through to network
-  if (hasRangeHeader || isDevToolsRequest || event.request.method !== "GET") {
+  if (
+    hasRangeHeader ||
+    isDevToolsRequest ||
+    hasAuthHeader ||
+    event.request.method !== "GET"
+  ) {
     event.respondWith(fetch(event.request));
     return;
   }
@@ -134,3 +141,492 @@ self.addEventListener("fetch", (event) => {
     })
   );
 });
+
+// =============================================================================
+// Reminders for unmet daily targets
+// =============================================================================
+// The page posts its reminder settings and today's progress (the worker
+// cannot read localStorage). They are kept in a small cache so periodic
+// checks still work after the worker has been stopped and restarted.
+// This cache name must not start with "mind-diet-tracker-" or the activate
+// handler above would delete it.
+
+const REMINDER_CACHE = "mind-reminders";
+const REMINDER_STATE_URL = "/__reminders/state";
+const REMINDER_PERIODIC_TAG = "mind-reminders";
+
+async function readReminderState() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_STATE_URL);
+  return response ? response.json() : null;
+}
+
+async function writeReminderState(reminderState) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(
+    REMINDER_STATE_URL,
+    new Response(JSON.stringify(reminderState), {
+      headers: { "Content-Type": "application/json" },
+    })
+  );
+}
+
+function formatLocalDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Quiet hours may wrap past midnight (e.g. 22:00–07:00)
+function isInQuietHours(settings, nowMinutes) {
+  if (!settings.quietHoursStart || !settings.quietHoursEnd) return false;
+  const start = minutesOfDay(settings.quietHoursStart);
+  const end = minutesOfDay(settings.quietHoursEnd);
+  if (start === end) return false;
+  return start < end
+    ? nowMinutes >= start && nowMinutes < end
+    : nowMinutes >= start || nowMinutes < end;
+}
+
+function describeRemaining(goal, remaining) {
+  const amount = Math.round(remaining * 4) / 4;
+  const unit = /^servings?$/i.test(goal.unit || "servings")
+    ? amount === 1
+      ? "serving"
+      : "servings"
+    : goal.unit;
+  return `${amount} ${unit} of ${goal.name.toLowerCase()} still to go`;
+}
+
+async function checkReminders() {
+  const reminderState = await readReminderState();
+  if (!reminderState?.settings?.enabled) return;
+  if (Notification.permission !== "granted") return;
+
+  const { settings } = reminderState;
+  const now = new Date();
+  const today = formatLocalDate(now);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  if (!settings.days.includes(now.getDay())) return;
+
+  // Only the latest reminder time that has passed today, once per day
+  const dueTime = settings.times
+    .filter((time) => minutesOfDay(time) <= nowMinutes)
+    .pop();
+  if (!dueTime) return;
+
+  const firedToday =
+    reminderState.fired?.date === today ? reminderState.fired.times : [];
+  if (firedToday.includes(dueTime)) return;
+
+  // Mark the slot handled even inside quiet hours so it doesn't fire late
+  reminderState.fired = { date: today, times: [...firedToday, dueTime] };
+  await writeReminderState(reminderState);
+
+  if (isInQuietHours(settings, nowMinutes)) return;
+
+  // Progress from an earlier day means nothing has been logged today yet
+  const status = reminderState.status || { goals: [] };
+  const counted = status.date === today;
+  const lines = status.goals
+    .map((goal) => ({
+      goal,
+      remaining: goal.target - (counted ? goal.count : 0),
+    }))
+    .filter(({ remaining }) => remaining > 0)
+    .map(({ goal, remaining }) => describeRemaining(goal, remaining));
+
+  if (lines.length === 0) return;
+
+  await self.registration.showNotification("MIND Diet Tracker", {
+    body: lines.join("\n"),
+    icon: new URL("icons/icon-192x192.png", self.registration.scope).href,
+    tag: "mind-daily-reminder",
+    renotify: true,
+  });
+}
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "REMINDER_STATUS") return;
+
+  event.waitUntil(
+    (async () => {
+      const previous = (await readReminderState()) || {};
+      await writeReminderState({
+        ...previous,
+        settings: event.data.settings,
+        status: event.data.status,
+      });
+      if (event.data.check) {
+        await checkReminders();
+      }
+    })().catch((error) => console.error("Reminder update failed:", error))
+  );
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === REMINDER_PERIODIC_TAG) {
+    event.waitUntil(
+      checkReminders().catch((error) =>
+        console.error("Reminder check failed:", error)
+      )
+    );
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windowClients) => {
+        const client = windowClients[0];
+        return client
+          ? client.focus()
+          : self.clients.openWindow(self.registration.scope);
+      })
+  );
+});
+
+// =============================================================================
+// Background sync of the current week
+// =============================================================================
+// When the app is hidden with unsynced changes it queues the current week in
+// the syncOutbox IndexedDB store, along with a plain description of the
+// upload from its provider (see CloudProvider.getBackgroundUploadRequest).
+// The worker sends it on a Background Sync or Periodic Background Sync event.
+// It only ever uploads over the revision seen at the last sync; if the file
+// has changed since, the queued week is dropped and the app merges on its
+// next sync. If the app is open it is asked to sync instead.
+
+const BACKGROUND_SYNC_TAG = "mind-sync";
+const SYNC_DB_NAME = "MindDietTrackerDB";
+const SYNC_OUTBOX_STORE = "syncOutbox";
+const SYNC_PREFERENCES_STORE = "userPreferences";
+const SYNC_JOURNAL_STORE = "syncJournal";
+const BACKGROUND_UPLOAD_ID = "currentWeek";
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Open the app's database at whatever version it is. The worker never
+// creates or upgrades it, so resolves null if the app hasn't created it yet.
+function openSyncDatabase() {
+  return new Promise((resolve, reject) => {
+    let created = false;
+    const request = indexedDB.open(SYNC_DB_NAME);
+    request.onupgradeneeded = () => {
+      created = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = (event) => {
+      if (created) {
+        event.preventDefault();
+        resolve(null);
+      } else {
+        reject(request.error);
+      }
+    };
+  });
+}
+
+async function readRecord(db, storeName, key) {
+  const transaction = db.transaction(storeName, "readonly");
+  return promisifyRequest(transaction.objectStore(storeName).get(key));
+}
+
+async function readPreference(db, key) {
+  const record = await readRecord(db, SYNC_PREFERENCES_STORE, key);
+  return record ? record.value : undefined;
+}
+
+// Drop the queued upload, unless the app queued a newer one meanwhile
+function deleteOutboxEntry(db, outbox) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SYNC_OUTBOX_STORE, "readwrite");
+    const store = transaction.objectStore(SYNC_OUTBOX_STORE);
+    const request = store.get(outbox.id);
+    request.onsuccess = () => {
+      if (request.result?.preparedAt === outbox.preparedAt) {
+        store.delete(outbox.id);
+      }
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Record the uploaded revision as the app's FileMetadataManager does, so the
+// app's next sync doesn't download the worker's own upload
+function storeUploadedRevision(db, fileName, revision) {
+  if (!Object.values(revision).some((value) => value != null)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const key = `file_metadata_${fileName}`;
+    const transaction = db.transaction(SYNC_PREFERENCES_STORE, "readwrite");
+    const store = transaction.objectStore(SYNC_PREFERENCES_STORE);
+    const request = store.get(key);
+    request.onsuccess = () => {
+      const record = request.result;
+      if (!record) return;
+      store.put({
+        ...record,
+        value: { ...record.value, ...revision, lastChecked: Date.now() },
+        metadata: { ...record.metadata, updatedAt: Date.now() },
+      });
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Every revision field known on both sides must match, as in the app's
+// compareRevisionInfo
+function isSameRevision(expected, actual, fields) {
+  const compared = fields.filter(
+    (field) => expected?.[field] != null && actual?.[field] != null
+  );
+  return (
+    compared.length > 0 &&
+    compared.every((field) => String(expected[field]) === String(actual[field]))
+  );
+}
+
+async function readUploadedRevision(response, fields) {
+  let fileInfo = {};
+  try {
+    fileInfo = await response.json();
+  } catch {
+    // WebDAV servers usually answer a PUT with an empty body
+  }
+
+  const revision = {};
+  for (const field of fields) {
+    revision[field] = fileInfo[field] ?? null;
+  }
+  if (fields.includes("etag") && revision.etag == null) {
+    const etag = response.headers.get("ETag");
+    revision.etag = etag ? etag.replace(/^W\//, "").replace(/"/g, "") : null;
+  }
+  return revision;
+}
+
+// Returns a fetch for the upload description's requests that refreshes an
+// expired OAuth token once and keeps using the new one
+function createSender(refresh) {
+  let accessToken = null;
+
+  return async ({ url, method = "GET", headers = {} }, body) => {
+    const send = () =>
+      fetch(url, {
+        method,
+        headers: accessToken
+          ? { ...headers, Authorization: `Bearer ${accessToken}` }
+          : headers,
+        body,
+        cache: "no-store",
+      });
+
+    const response = await send();
+    if (response.status !== 401 || !refresh || accessToken) return response;
+
+    const refreshResponse = await fetch(refresh.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(refresh.body),
+    });
+    if (!refreshResponse.ok) return response;
+    ({ access_token: accessToken } = await refreshResponse.json());
+    return send();
+  };
+}
+
+function httpError(response, action) {
+  const error = new Error(`Background ${action} failed: ${response.status}`);
+  error.status = response.status;
+  return error;
+}
+
+// Client errors won't fix themselves by retrying (expired sign-in, missing
+// file); the app deals with them when it next syncs
+function isPermanentFailure(error) {
+  return (
+    error.status >= 400 &&
+    error.status < 500 &&
+    error.status !== 408 &&
+    error.status !== 429
+  );
+}
+
+// A run record in the same shape as the app's SyncJournal entries
+async function saveJournalEntry(db, run, status, results = {}) {
+  const finishedAt = Date.now();
+  const entry = {
+    ...run,
+    finishedAt,
+    duration: finishedAt - run.startedAt,
+    status,
+    results,
+  };
+  try {
+    const transaction = db.transaction(SYNC_JOURNAL_STORE, "readwrite");
+    const store = transaction.objectStore(SYNC_JOURNAL_STORE);
+    await promisifyRequest(store.add(entry));
+  } catch (error) {
+    console.warn("Failed to save sync journal entry:", error);
+  }
+}
+
+async function uploadOutbox(db, outbox) {
+  const { request, fileName } = outbox;
+
+  // Skip uploads queued before sync was turned off, the provider changed
+  // or the app synced the file itself
+  const enabled = await readPreference(db, "cloudSyncEnabled");
+  const provider = (await readPreference(db, "cloudSyncProvider")) || "gdrive";
+  const stored = await readPreference(db, `file_metadata_${fileName}`);
+  if (
+    !enabled ||
+    provider !== outbox.provider ||
+    !isSameRevision(outbox.revision, stored, request.revisionFields)
+  ) {
+    await deleteOutboxEntry(db, outbox);
+    return;
+  }
+
+  const run = {
+    startedAt: Date.now(),
+    trigger: "service worker",
+    provider: outbox.provider,
+    filesChecked: [],
+    downloaded: [],
+    uploaded: [],
+    decisions: [],
+    errors: [],
+  };
+  const noteDecision = (upload, remote) =>
+    run.decisions.push({
+      scope: "current week",
+      syncCurrent: upload,
+      syncHistory: false,
+      hasLocalChanges: true,
+      hasRemoteChanges: !upload,
+      reasons: { local: "changes queued when the app closed", remote },
+      at: Date.now(),
+    });
+  const deferToApp = async () => {
+    noteDecision(false, "changed on another device, left for the app");
+    await deleteOutboxEntry(db, outbox);
+    await saveJournalEntry(db, run, "skipped");
+  };
+
+  const send = createSender(request.refresh);
+  try {
+    if (request.check) {
+      const response = await send(request.check);
+      if (!response.ok && response.status !== 404) {
+        throw httpError(response, "check");
+      }
+      const current = response.ok ? await response.json() : null;
+      const changed =
+        !current ||
+        !isSameRevision(outbox.revision, current, request.revisionFields);
+      run.filesChecked.push({ fileName, changed });
+      if (changed) return deferToApp();
+    }
+
+    const response = await send(
+      request.upload,
+      JSON.stringify(outbox.content)
+    );
+    // Conditional uploads are refused if the file changed
+    if (response.status === 409 || response.status === 412) {
+      return deferToApp();
+    }
+    if (!response.ok) throw httpError(response, "upload");
+
+    run.uploaded.push(fileName);
+    noteDecision(true, "unchanged since the last sync");
+    await storeUploadedRevision(
+      db,
+      fileName,
+      await readUploadedRevision(response, request.revisionFields)
+    );
+    await deleteOutboxEntry(db, outbox);
+    await saveJournalEntry(db, run, "success", { uploaded: true });
+  } catch (error) {
+    run.errors.push({
+      message: error.message,
+      code: error.status || null,
+      context: "current week",
+      at: Date.now(),
+    });
+    if (isPermanentFailure(error)) {
+      await deleteOutboxEntry(db, outbox);
+      await saveJournalEntry(db, run, "error");
+      return;
+    }
+    await saveJournalEntry(db, run, "error");
+    throw error; // Background Sync retries later
+  }
+}
+
+async function runBackgroundSync() {
+  // An open app syncs itself, merging if needed
+  const windowClients = await self.clients.matchAll({ type: "window" });
+  const visibleClient = windowClients.find(
+    (client) => client.visibilityState === "visible"
+  );
+  if (visibleClient) {
+    visibleClient.postMessage({ type: "SYNC_REQUESTED" });
+    return;
+  }
+
+  const db = await openSyncDatabase();
+  if (!db) return;
+  try {
+    if (!db.objectStoreNames.contains(SYNC_OUTBOX_STORE)) return;
+    const outbox = await readRecord(
+      db,
+      SYNC_OUTBOX_STORE,
+      BACKGROUND_UPLOAD_ID
+    );
+    if (outbox) await uploadOutbox(db, outbox);
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) {
+    event.waitUntil(runBackgroundSync());
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) {
+    event.waitUntil(
+      runBackgroundSync().catch((error) =>
+        console.error("Background sync failed:", error)
+      )
+    );
+  }
+});
@@ -51,17 +51,12 @@ const SERVER_FEATURES_ENABLED = __SERVER_FEATURES_ENABLED__;
       }
 
       // Store tokens based on the provider sent back from our server
-      if (provider === "gdrive") {
-        localStorage.setItem("gdrive_access_token", accessToken);
+      if (getProviderClass(provider)?.authType === AUTH_TYPES.OAUTH) {
+        localStorage.setItem(`${provider}_access_token`, accessToken);
         // Only store the refresh token if the server provided one.
         // Google often only sends it on the very first consent.
         if (refreshToken) {
-          localStorage.setItem("gdrive_refresh_token", refreshToken);
-        }
-      } else if (provider === "dropbox") {
-        localStorage.setItem("dropbox_access_token", accessToken);
-        if (refreshToken) {
-          localStorage.setItem("dropbox_refresh_token", refreshToken);
+          localStorage.setItem(`${provider}_refresh_token`, refreshToken);
         }
       }
 
@@ -73,6 +68,10 @@ const SERVER_FEATURES_ENABLED = __SERVER_FEATURES_ENABLED__;
         // This was a settings dialog OAuth flow
         localStorage.setItem("pendingSettingsAuth", "true");
         console.log("OAuth redirect detected for settings flow");
+      } else if (state?.wizardContext === "providerMigration") {
+        // Connected the provider to migrate to; the migration dialog is
+        // reopened once cloud sync has initialized
+        console.log("OAuth redirect detected for provider migration");
       } else {
         // Legacy or unknown context - store state for backward compatibility
         if (state) {
@@ -107,6 +106,11 @@ import historyModalManager from "./core/historyModalManager.js";
 import importExportManager from "./core/importExportManager.js";
 import settingsManager from "./core/settingsManager.js";
 import CloudSyncManager from "./cloudSync/cloudSync.js";
+import {
+  getProviderClass,
+  getProviderDisplayName,
+} from "./cloudProviders/providerRegistry.js";
+import { AUTH_TYPES } from "./cloudProviders/cloudProvider.js";
 import EventHandlers from "./core/eventHandlers.js";
 import AppManager from "./core/appManager.js";
 import { createLogger, configure, LOG_LEVELS } from "./core/logger.js";
@@ -138,166 +142,6 @@ const logger = createLogger("app");
   }
 })();
 
-// --- Application Configuration ---
-const foodGroups = [
-  // Daily Positive
-  {
-    id: "whole_grains",
-    name: "Whole Grains",
-    frequency: "day",
-    target: 3,
-    unit: "servings",
-    type: "positive",
-    description:
-      "Serving examples: 1 slice whole-grain bread, ½ cup cooked whole grains (oats, quinoa, brown rice), ½ cup whole-grain cereal, 3 cups popped popcorn.",
-  },
-  {
-    id: "other_veg",
-    name: "Other Vegetables",
-    frequency: "day",
-    target: 1,
-    unit: "serving",
-    type: "positive",
-    description:
-      "Serving examples: ½ cup cooked or 1 cup raw non-starchy vegetables (broccoli, peppers, carrots, tomatoes, zucchini, onions, etc.). Excludes potatoes.",
-  },
-  {
-    id: "olive_oil",
-    name: "Olive Oil",
-    frequency: "day",
-    target: 1,
-    unit: "Tbsp (main oil)",
-    type: "positive",
-    description:
-      "Use extra virgin olive oil (EVOO) as your principal oil for cooking, dressings, etc. Aim for at least 1 Tbsp use daily.",
-  },
-
-  // Weekly Positive
-  {
-    id: "leafy_greens",
-    name: "Green Leafy Vegetables",
-    frequency: "week",
-    target: 6,
-    unit: "servings",
-    type: "positive",
-    description:
-      "Serving examples: 1 cup raw or ½ cup cooked leafy greens (spinach, kale, collards, romaine, arugula, etc.).",
-  },
-  {
-    id: "nuts",
-    name: "Nuts",
-    frequency: "week",
-    target: 5,
-    unit: "servings",
-    type: "positive",
-    description:
-      "Serving examples: ¼ cup nuts or 2 Tbsp nut butter (almonds, walnuts, pecans preferred; avoid heavily salted/sugared nuts).",
-  },
-  {
-    id: "beans",
-    name: "Beans",
-    frequency: "week",
-    target: 4,
-    unit: "servings",
-    type: "positive",
-    description:
-      "Serving examples: ½ cup cooked beans, lentils, or legumes (kidney, black, pinto beans, chickpeas, soybeans, etc.).",
-  },
-  {
-    id: "berries",
-    name: "Berries",
-    frequency: "week",
-    target: 2,
-    unit: "servings",
-    type: "positive",
-    description:
-      "Serving examples: ½ cup fresh or frozen berries (blueberries strongly recommended, strawberries, raspberries, blackberries).",
-  },
-  {
-    id: "poultry",
-    name: "Poultry",
-    frequency: "week",
-    target: 2,
-    unit: "servings",
-    type: "positive",
-    description:
-      "Serving examples: 3-4 oz cooked chicken or turkey (prefer skinless, not fried).",
-  },
-  {
-    id: "fish",
-    name: "Fish",
-    frequency: "week",
-    target: 1,
-    unit: "serving",
-    type: "positive",
-    description:
-      "Serving examples: 3-4 oz cooked fish (prefer oily fish like salmon, mackerel, sardines; avoid fried fish).",
-  },
-  {
-    id: "wine",
-    name: "Wine",
-    frequency: "day",
-    target: 1,
-    unit: "glass (max)",
-    type: "limit",
-    isOptional: true,
-    description:
-      "Optional: Limit to no more than one standard glass (approx. 5 oz) per day. Preferrably red wine.",
-  },
-
-  // Weekly Limit
-  {
-    id: "red_meat",
-    name: "Red Meats",
-    frequency: "week",
-    target: 3,
-    unit: "servings (max)",
-    type: "limit",
-    description:
-      "Limit to less than 4 servings/week (target ≤3). Serving ~3-4 oz cooked. Includes beef, pork, lamb, and processed meats.",
-  },
-  {
-    id: "butter_margarine",
-    name: "Butter/Margarine",
-    frequency: "day",
-    target: 1,
-    unit: "Tbsp (max)",
-    type: "limit",
-    description:
-      "Limit butter to less than 1 Tbsp per day. Avoid stick margarine entirely.",
-  },
-  {
-    id: "cheese",
-    name: "Cheese",
-    frequency: "week",
-    target: 1,
-    unit: "serving (max)",
-    type: "limit",
-    description:
-      "Limit full-fat cheese to less than 1 serving/week (target ≤1). Serving ~1-1.5 oz.",
-  },
-  {
-    id: "pastries_sweets",
-    name: "Pastries & Sweets",
-    frequency: "week",
-    target: 4,
-    unit: "servings (max)",
-    type: "limit",
-    description:
-      "Limit pastries and sweets to less than 5 servings/week (target ≤4). Includes cakes, cookies, candies, ice cream, sugary drinks etc.",
-  },
-  {
-    id: "fried_fast_food",
-    name: "Fried/Fast Food",
-    frequency: "week",
-    target: 1,
-    unit: "serving (max)",
-    type: "limit",
-    description:
-      "Limit fried food (especially commercial) and fast food to less than 1 serving/week (target ≤1).",
-  },
-];
-
 // Create event handlers instance (will be initialized later with dependencies)
 let eventHandlers = null;
 let appManager = null; // Will be initialized after stateManager
@@ -417,6 +261,12 @@ async function finalizeLoggerConfig() {
 // ... existing imports ...
 import setupWizard from "./core/setupWizard.js";
 import themeManager from "./core/themeManager.js";
+import foodGroupsManager from "./core/foodGroupsManager.js";
+import foodLibraryManager from "./core/foodLibraryManager.js";
+import reminderManager from "./core/reminderManager.js";
+import backgroundSyncManager from "./core/backgroundSyncManager.js";
+import syncConflictManager from "./core/syncConflictManager.js";
+import providerMigrationManager from "./core/providerMigrationManager.js";
 
 // ... existing code ...
 
@@ -508,6 +358,12 @@ async function completeAppInitialization(fromWizard = false) {
     // Initialize theme manager
     await themeManager.initialize();
 
+    // Load the food groups configuration (user-defined or MIND defaults)
+    const foodGroups = await foodGroupsManager.initialize();
+
+    // Load the personal food library used for quick-add
+    await foodLibraryManager.initialize();
+
     // Initialize state manager with food groups configuration
     await stateManager.initialize(foodGroups);
 
@@ -581,6 +437,15 @@ async function completeAppInitialization(fromWizard = false) {
     // Register service worker
     appUtils.registerServiceWorker();
 
+    // Start reminder checks (messages reach the service worker once it is ready)
+    await reminderManager.initialize();
+
+    // Sync when the service worker finds queued changes while the app is open
+    backgroundSyncManager.initialize({
+      requestSync: () =>
+        appManager.requestSync("background", { priority: "normal" }),
+    });
+
     // Display app version in footer
     await appUtils.loadAppVersion(
       appManager.getDomElements().appVersionElement
@@ -849,9 +714,9 @@ async function initializeCloudSync() {
           settingsManager.showSettings();
           // Show success toast
           uiRenderer.showToast(
-            `${
-              effectiveProvider === "gdrive" ? "Google Drive" : "Dropbox"
-            } connected successfully`,
+            `${getProviderDisplayName(
+              effectiveProvider
+            )} connected successfully`,
             "success"
           );
 
@@ -871,6 +736,18 @@ async function initializeCloudSync() {
       }
     }
 
+    // Returning from connecting the provider to migrate to - carry on with
+    // the migration instead of syncing with the provider being replaced
+    const pendingMigration = providerMigrationManager.takePendingMigration();
+    if (pendingMigration) {
+      appManager.setSyncReady(true);
+      appManager.updateSyncUIElements();
+      setTimeout(() => {
+        settingsManager.showProviderMigration(pendingMigration);
+      }, 500);
+      return true;
+    }
+
     // Mark sync as ready
     appManager.setSyncReady(true);
 
@@ -959,15 +836,59 @@ function closeMenu() {
   appManager.getDomElements().mainMenu.classList.remove("menu-open");
 }
 
+/**
+ * Put preferences changed on another device into effect
+ * @param {Array<string>} keys - Preference keys the sync changed
+ * @returns {Promise<void>}
+ */
+async function applySyncedPreferences(keys) {
+  try {
+    if (keys.includes("theme")) {
+      await themeManager.applyTheme(
+        await dataService.getPreference("theme", themeManager.THEMES.AUTO)
+      );
+    }
+    if (keys.includes("foodGroups")) {
+      stateManager.setFoodGroups(await foodGroupsManager.initialize());
+    }
+    if (keys.includes("foodLibrary")) {
+      await foodLibraryManager.initialize();
+    }
+    uiRenderer.renderEverything();
+  } catch (error) {
+    logger.error("Failed to apply synced preferences:", error);
+  }
+}
+
 function handleSyncComplete(result) {
   logger.info("Sync completed:", result);
 
   // Only show success toast if there's a valid result
   if (result) {
-    // If history was synced, re-render history view
-    if (result.historySynced) {
+    if (result.preferencesChanged) {
+      applySyncedPreferences(result.preferencesChanged);
+    }
+
+    // If history was synced, re-render history view. Changes replayed from
+    // other devices may have touched past weeks too.
+    if (result.historySynced || result.changesReplayed) {
       uiRenderer.renderHistory();
     }
+
+    // Days edited on two devices are kept as they are here until reviewed
+    if (result.newConflicts) {
+      uiRenderer.showToast(
+        `${result.newConflicts} day(s) were changed on another device too`,
+        "warning",
+        {
+          duration: 8000,
+          action: {
+            label: "Review",
+            onClick: () => syncConflictManager.showConflictsDialog(),
+          },
+        }
+      );
+    }
   } else {
     logger.warn("Sync completed with no result object");
   }
@@ -978,6 +899,14 @@ function handleSyncError(error) {
 
   const errorMessage = error.message || "Unknown error";
 
+  // Another device forgot this one; sync is already off and signed out
+  if (error.code === "DEVICE_FORGOTTEN") {
+    appManager.setSyncEnabled(false);
+    appManager.updateSyncUIElements();
+    uiRenderer.showToast(errorMessage, "warning", { duration: 8000 });
+    return;
+  }
+
   // Show toast notification
   uiRenderer.showToast(`Sync failed: ${errorMessage}`, "error", {
     duration: 5000,
@@ -0,0 +1,341 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// cloudProviders/cloudProvider.js
+
+/**
+ * Base class and contract for cloud sync providers.
+ *
+ * A provider describes itself with static properties, which the provider
+ * registry, settings dialog, setup wizard and dev tools read instead of
+ * checking for specific providers:
+ *
+ * - id: registry key, also saved as the cloudSyncProvider preference
+ * - displayName: shown to the user
+ * - authType: how the user connects (see AUTH_TYPES)
+ * - capabilities: optional features the provider supports
+ *     revisions - getFileMetadata() returns revisionFields, so unchanged
+ *                 files can be skipped
+ *     listing   - listFiles(), deleteFile() and the change cursor methods
+ *                 (getChangeCursor(), listChanges()) work
+ *     quota     - getQuota() reports storage use
+ *     userInfo  - getUserInfo() describes the connected account
+ *     backgroundSync - getBackgroundUploadRequest() describes an upload the
+ *                 service worker can send while the app is closed
+ * - revisionFields: file info fields that change whenever the file does
+ * - credentialFields: form fields for AUTH_TYPES.CREDENTIALS providers
+ * - description: optional help shown next to the provider's setup fields
+ *
+ * File IDs are whatever the provider returns in file info; callers pass
+ * them back unchanged. File info objects have at least
+ * { id, name, modifiedTime, size } plus the provider's revisionFields.
+ */
+
+import logger from "../core/logger.js";
+
+export const AUTH_TYPES = Object.freeze({
+  // Redirects to /api/<id>/auth on the app server
+  OAUTH: "oauth",
+  // Connects with the values of credentialFields, via saveCredentials()
+  CREDENTIALS: "credentials",
+  // The user picks a local folder; authenticate() must run from a click
+  FOLDER: "folder",
+});
+
+class CloudProvider {
+  static id = "";
+  static displayName = "";
+  static authType = AUTH_TYPES.OAUTH;
+  static capabilities = Object.freeze({
+    revisions: false,
+    listing: false,
+    quota: false,
+    userInfo: false,
+    backgroundSync: false,
+  });
+  static revisionFields = [];
+  /**
+   * Form fields for credential providers. Each is
+   * { name, label, type, placeholder, autocomplete, secret }; secret values
+   * are never echoed back into a form.
+   */
+  static credentialFields = [];
+  static description = "";
+
+  /**
+   * Check whether the provider can run in this browser
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return true;
+  }
+
+  /**
+   * The capabilities of this provider's class
+   * @returns {Object}
+   */
+  get capabilities() {
+    return this.constructor.capabilities;
+  }
+
+  _notImplemented(method) {
+    const name = this.constructor.displayName || "Provider";
+    return new Error(`${name} does not implement ${method}()`);
+  }
+
+  /**
+   * Load SDKs or config. Returning false disables sync for the session.
+   * @returns {Promise<boolean>}
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Check for a usable stored session without user interaction
+   * @returns {Promise<boolean>}
+   */
+  async checkAuth() {
+    throw this._notImplemented("checkAuth");
+  }
+
+  /**
+   * Start connecting. OAuth providers redirect and never resolve.
+   * @returns {Promise<boolean>}
+   */
+  async authenticate() {
+    throw this._notImplemented("authenticate");
+  }
+
+  /**
+   * Refresh an expired session
+   * @returns {Promise<boolean>} True if the session was refreshed
+   */
+  async refreshToken() {
+    return false;
+  }
+
+  /**
+   * Forget stored tokens or credentials
+   */
+  clearStoredAuth() {}
+
+  /**
+   * Find a file by name, creating it with empty JSON if missing
+   * @param {string} filename
+   * @returns {Promise<Object>} File info
+   */
+  async findOrCreateFile(filename) {
+    throw this._notImplemented("findOrCreateFile");
+  }
+
+  /**
+   * Find a file by name without creating it
+   * @param {string} filename
+   * @returns {Promise<Object|null>} File info or null if not found
+   */
+  async searchFile(filename) {
+    throw this._notImplemented("searchFile");
+  }
+
+  /**
+   * Download and parse a file
+   * @param {string} fileId
+   * @returns {Promise<Object>} The content, or {} if missing or invalid
+   */
+  async downloadFile(fileId) {
+    throw this._notImplemented("downloadFile");
+  }
+
+  /**
+   * Replace a file's content
+   * @param {string} fileId
+   * @param {Object} content
+   * @param {Object} [revision] - The file's revisionFields at the last sync,
+   *   if known, for providers that refuse to overwrite newer revisions
+   * @returns {Promise<Object>} File info after the upload
+   */
+  async uploadFile(fileId, content, revision) {
+    throw this._notImplemented("uploadFile");
+  }
+
+  /**
+   * Get a file's info, including revisionFields
+   * @param {string} fileId
+   * @returns {Promise<Object|null>} File info or null if not found
+   */
+  async getFileMetadata(fileId) {
+    throw this._notImplemented("getFileMetadata");
+  }
+
+  /**
+   * List the app's files. Requires capabilities.listing.
+   * @returns {Promise<Array>} File info for each file
+   */
+  async listFiles() {
+    throw this._notImplemented("listFiles");
+  }
+
+  /**
+   * Delete a file. Requires capabilities.listing.
+   * @param {string} fileId
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    throw this._notImplemented("deleteFile");
+  }
+
+  /**
+   * Get a cursor marking the current state of the app's files, to pass to
+   * listChanges() later. The default collects each file's revisionFields
+   * (ETags, revs and the like) from listFiles(); providers with a change
+   * feed return the feed's cursor instead. Requires capabilities.listing.
+   * @returns {Promise<*>} The cursor; it must survive being stored as JSON
+   */
+  async getChangeCursor() {
+    return this._collectRevisions(await this.listFiles());
+  }
+
+  /**
+   * List the files changed, added or deleted since a cursor, in one go
+   * rather than a request per file. Requires capabilities.listing.
+   * @param {*} cursor - From getChangeCursor() or an earlier listChanges()
+   * @returns {Promise<Object>} { files, cursor }: file info for each
+   *   changed file (deleted files have deleted: true and may lack a name)
+   *   and a cursor for the state after them. files is null if the cursor
+   *   has expired, in which case every file has to be checked.
+   */
+  async listChanges(cursor) {
+    const { revisionFields } = this.constructor;
+    const files = await this.listFiles();
+    const listed = new Set(files.map((file) => file.name));
+
+    const changed = files.filter((file) => {
+      const previous = cursor?.[file.name];
+      return (
+        !previous ||
+        revisionFields.some(
+          (field) => previous[field] !== (file[field] ?? null)
+        )
+      );
+    });
+    const deleted = Object.keys(cursor || {})
+      .filter((name) => !listed.has(name))
+      .map((name) => ({ name, deleted: true }));
+
+    return {
+      files: [...changed, ...deleted],
+      cursor: this._collectRevisions(files),
+    };
+  }
+
+  /**
+   * Map each file's name to its revisionFields, as the default cursor
+   * @param {Array} files - File info from listFiles()
+   * @returns {Object} { fileName: { field: value } }
+   */
+  _collectRevisions(files) {
+    const { revisionFields } = this.constructor;
+    return Object.fromEntries(
+      files.map((file) => [
+        file.name,
+        Object.fromEntries(
+          revisionFields.map((field) => [field, file[field] ?? null])
+        ),
+      ])
+    );
+  }
+
+  /**
+   * Delete all of the app's files, continuing past individual failures
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async clearAllAppDataFiles() {
+    const { displayName } = this.constructor;
+    const files = await this.listFiles();
+    let deletedCount = 0;
+
+    if (files.length === 0) {
+      logger.info(`No ${displayName} files found to delete.`);
+      return 0;
+    }
+
+    for (const file of files) {
+      try {
+        logger.info(`Deleting ${displayName} file: ${file.name}`);
+        await this.deleteFile(file.id);
+        deletedCount++;
+      } catch (deleteError) {
+        logger.error(
+          `Error deleting ${displayName} file ${file.name}:`,
+          deleteError
+        );
+        // Continue with other files
+      }
+    }
+
+    logger.info(
+      `Successfully deleted ${deletedCount} files from ${displayName}`
+    );
+    return deletedCount;
+  }
+
+  /**
+   * Describe the connected account. Requires capabilities.userInfo.
+   * @returns {Promise<Object|null>} { email, name, id, provider } or null
+   */
+  async getUserInfo() {
+    return null;
+  }
+
+  /**
+   * Report storage use. Requires capabilities.quota.
+   * @returns {Promise<Object|null>} { used, total } in bytes (total may be
+   *   null for unlimited) or null if unavailable
+   */
+  async getQuota() {
+    return null;
+  }
+
+  /**
+   * Describe how to upload a file with plain fetch() calls, so the service
+   * worker can send it without the provider's code or SDK. The upload must
+   * not overwrite changes made since the revision passed in: it either fails
+   * with 409/412 or is preceded by a check. Requires
+   * capabilities.backgroundSync.
+   *
+   * The description has:
+   * - upload: { url, method, headers } sent with the file content
+   * - check: optional { url, headers } GET whose JSON response must still
+   *     have the given revision values before uploading
+   * - refresh: optional { url, body } POSTed as JSON after a 401; the
+   *     response's access_token replaces the Bearer token
+   * - revisionFields: read from the upload response to record the new
+   *     revision
+   *
+   * @param {string} fileId
+   * @param {Object} revision - The file's revisionFields at the last sync
+   * @returns {Object|null} The description, or null if not possible (e.g.
+   *   no stored session or revision)
+   */
+  getBackgroundUploadRequest(fileId, revision) {
+    return null;
+  }
+}
+
+export default CloudProvider;
@@ -19,9 +19,23 @@
 // cloudProviders/dropboxProvider.js
 
 import logger from "../core/logger.js";
+import CloudProvider, { AUTH_TYPES } from "./cloudProvider.js";
+
+class DropboxProvider extends CloudProvider {
+  static id = "dropbox";
+  static displayName = "Dropbox";
+  static authType = AUTH_TYPES.OAUTH;
+  static capabilities = Object.freeze({
+    revisions: true,
+    listing: true,
+    quota: true,
+    userInfo: true,
+    backgroundSync: true,
+  });
+  static revisionFields = ["rev"];
 
-class DropboxProvider {
   constructor() {
+    super();
     this.providerName = "DropboxProvider";
     this.ACCESS_TOKEN = null;
     this.dbx = null; // The Dropbox SDK client instance
@@ -469,6 +483,38 @@ class DropboxProvider {
     }
   }
 
+  /**
+   * Describe an upload the service worker can send on its own. Update mode
+   * makes Dropbox reject it with a 409 if the file's rev has moved on.
+   * @param {string} fileId - The file's ID or path
+   * @param {Object} revision - The file's revision fields at the last sync
+   * @returns {Object|null} The upload description or null
+   */
+  getBackgroundUploadRequest(fileId, revision) {
+    const accessToken = localStorage.getItem("dropbox_access_token");
+    if (!accessToken || !revision?.rev) return null;
+
+    const refreshToken = localStorage.getItem("dropbox_refresh_token");
+    return {
+      upload: {
+        url: "https://content.dropboxapi.com/2/files/upload",
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/octet-stream",
+          "Dropbox-API-Arg": JSON.stringify({
+            path: fileId,
+            mode: { ".tag": "update", update: revision.rev },
+          }),
+        },
+      },
+      refresh: refreshToken
+        ? { url: "/api/dropbox/refresh", body: { refresh_token: refreshToken } }
+        : null,
+      revisionFields: DropboxProvider.revisionFields,
+    };
+  }
+
   async getFileMetadata(fileId) {
     if (!this.dbx) this._initializeDbxClient();
     if (!this.dbx) {
@@ -573,6 +619,185 @@ class DropboxProvider {
     }
   }
 
+  /**
+   * List the files in the app folder
+   * @returns {Promise<Array>} File information for each file
+   */
+  async listFiles() {
+    if (!this.dbx) this._initializeDbxClient();
+    if (!this.dbx) {
+      return Promise.reject(
+        new Error("Dropbox client not initialized. Cannot perform operation.")
+      );
+    }
+
+    const operation = async () => {
+      let response = await this.dbx.filesListFolder({ path: "" });
+      const entries = [...response.result.entries];
+      while (response.result.has_more) {
+        response = await this.dbx.filesListFolderContinue({
+          cursor: response.result.cursor,
+        });
+        entries.push(...response.result.entries);
+      }
+
+      return entries
+        .filter((entry) => entry[".tag"] === "file")
+        .map((entry) => ({
+          id: entry.id,
+          name: entry.name,
+          rev: entry.rev,
+          modifiedTime: entry.server_modified,
+          size: entry.size || 0,
+        }));
+    };
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file from the app folder
+   * @param {string} fileId - The Dropbox file ID or path
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    if (!this.dbx) this._initializeDbxClient();
+    if (!this.dbx) {
+      return Promise.reject(
+        new Error("Dropbox client not initialized. Cannot perform operation.")
+      );
+    }
+
+    const operation = async () => {
+      await this.dbx.filesDelete({ path: fileId });
+    };
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a list_folder cursor for the current state of the app folder
+   * @returns {Promise<string>} The cursor
+   */
+  async getChangeCursor() {
+    if (!this.dbx) this._initializeDbxClient();
+    if (!this.dbx) {
+      return Promise.reject(
+        new Error("Dropbox client not initialized. Cannot perform operation.")
+      );
+    }
+
+    const operation = async () => {
+      const { result } = await this.dbx.filesListFolderGetLatestCursor({
+        path: "",
+      });
+      return result.cursor;
+    };
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the app folder changes since a list_folder cursor
+   * @param {string} cursor - Cursor from getChangeCursor() or an earlier
+   *   listChanges()
+   * @returns {Promise<Object>} { files, cursor }
+   */
+  async listChanges(cursor) {
+    if (!this.dbx) this._initializeDbxClient();
+    if (!this.dbx) {
+      return Promise.reject(
+        new Error("Dropbox client not initialized. Cannot perform operation.")
+      );
+    }
+
+    const operation = async () => {
+      const files = [];
+      let next = cursor;
+      let result;
+
+      do {
+        ({ result } = await this.dbx.filesListFolderContinue({
+          cursor: next,
+        }));
+        next = result.cursor;
+
+        for (const entry of result.entries) {
+          if (entry[".tag"] === "file") {
+            files.push({
+              id: entry.id,
+              name: entry.name,
+              rev: entry.rev,
+              modifiedTime: entry.server_modified,
+              size: entry.size || 0,
+            });
+          } else if (entry[".tag"] === "deleted") {
+            files.push({ name: entry.name, deleted: true });
+          }
+        }
+      } while (result.has_more);
+
+      return { files, cursor: next };
+    };
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      // Dropbox resets cursors now and then; list everything again
+      if (error.status === 409) {
+        logger.info("Dropbox change cursor reset, starting over");
+        return { files: null, cursor: await this.getChangeCursor() };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the account's space usage
+   * @returns {Promise<Object|null>} { used, total } in bytes
+   */
+  async getQuota() {
+    if (!this.dbx) this._initializeDbxClient();
+    if (!this.dbx) return null;
+
+    const operation = async () => {
+      const { result } = await this.dbx.usersGetSpaceUsage();
+      // Team accounts share an allocation; individual ones have their own
+      const allocated =
+        result.allocation?.allocated ?? result.allocation?.team?.allocated;
+      return { used: result.used, total: allocated ?? null };
+    };
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      logger.warn("Error getting Dropbox space usage:", error);
+      return null;
+    }
+  }
+
   /**
    * Search for a file in Dropbox without creating it
    * @param {string} filename - The filename to search for
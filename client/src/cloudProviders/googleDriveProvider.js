@@ -19,9 +19,23 @@
 // cloudProviders/googleDriveProvider.js
 
 import logger from "../core/logger.js";
+import CloudProvider, { AUTH_TYPES } from "./cloudProvider.js";
+
+class GoogleDriveProvider extends CloudProvider {
+  static id = "gdrive";
+  static displayName = "Google Drive";
+  static authType = AUTH_TYPES.OAUTH;
+  static capabilities = Object.freeze({
+    revisions: true,
+    listing: true,
+    quota: true,
+    userInfo: true,
+    backgroundSync: true,
+  });
+  static revisionFields = ["headRevisionId", "version", "md5Checksum"];
 
-class GoogleDriveProvider {
   constructor() {
+    super();
     this.providerName = "GoogleDriveProvider";
     this.gapi = null;
   }
@@ -392,6 +406,36 @@ class GoogleDriveProvider {
     }
   }
 
+  /**
+   * Describe an upload the service worker can send on its own. Drive has no
+   * conditional upload, so the worker first checks the file's revision.
+   * @param {string} fileId - The ID of the file to upload
+   * @param {Object} revision - The file's revision fields at the last sync
+   * @returns {Object|null} The upload description or null
+   */
+  getBackgroundUploadRequest(fileId, revision) {
+    const accessToken = localStorage.getItem("gdrive_access_token");
+    if (!accessToken || !revision?.version) return null;
+
+    const authorization = { Authorization: `Bearer ${accessToken}` };
+    const refreshToken = localStorage.getItem("gdrive_refresh_token");
+    return {
+      upload: {
+        url: `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media&fields=id,name,version,headRevisionId,md5Checksum,modifiedTime`,
+        method: "PATCH",
+        headers: { ...authorization, "Content-Type": "application/json" },
+      },
+      check: {
+        url: `https://www.googleapis.com/drive/v3/files/${fileId}?fields=version,headRevisionId,md5Checksum`,
+        headers: authorization,
+      },
+      refresh: refreshToken
+        ? { url: "/api/gdrive/refresh", body: { refresh_token: refreshToken } }
+        : null,
+      revisionFields: GoogleDriveProvider.revisionFields,
+    };
+  }
+
   /**
    * Download a file from Google Drive with better empty file handling
    * @param {string} fileId - The ID of the file to download
@@ -600,6 +644,160 @@ class GoogleDriveProvider {
     }
   }
 
+  /**
+   * List the files in the app's appDataFolder
+   * @returns {Promise<Array>} File information for each file
+   */
+  async listFiles() {
+    const operation = async () => {
+      const files = [];
+      let pageToken = null;
+
+      do {
+        const response = await this.gapi.client.drive.files.list({
+          spaces: "appDataFolder",
+          fields: "nextPageToken, files(id, name, modifiedTime, size)",
+          pageSize: 100,
+          pageToken: pageToken || undefined,
+        });
+        files.push(...(response.result.files || []));
+        pageToken = response.result.nextPageToken;
+      } while (pageToken);
+
+      return files;
+    };
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file from the appDataFolder
+   * @param {string} fileId - The Drive file ID
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    const operation = async () => {
+      await this.gapi.client.drive.files.delete({ fileId });
+    };
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a Drive changes page token for the current state
+   * @returns {Promise<string>} The start page token
+   */
+  async getChangeCursor() {
+    const operation = async () => {
+      const response = await this.gapi.client.drive.changes.getStartPageToken(
+        {}
+      );
+      return response.result.startPageToken;
+    };
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the appDataFolder changes since a page token
+   * @param {string} cursor - Page token from getChangeCursor() or an
+   *   earlier listChanges()
+   * @returns {Promise<Object>} { files, cursor }
+   */
+  async listChanges(cursor) {
+    const operation = async () => {
+      const files = [];
+      let pageToken = cursor;
+      let newStartPageToken = null;
+
+      do {
+        const response = await this.gapi.client.drive.changes.list({
+          pageToken,
+          spaces: "appDataFolder",
+          fields:
+            "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, version, headRevisionId, md5Checksum, modifiedTime, size, trashed))",
+          pageSize: 100,
+        });
+
+        for (const change of response.result.changes || []) {
+          const { file } = change;
+          files.push(
+            change.removed || !file || file.trashed
+              ? { id: change.fileId, name: file?.name, deleted: true }
+              : { ...file, size: file.size || 0 }
+          );
+        }
+        pageToken = response.result.nextPageToken;
+        newStartPageToken = response.result.newStartPageToken;
+      } while (pageToken);
+
+      return { files, cursor: newStartPageToken };
+    };
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      // The page token is unknown or no longer valid
+      if (error.status === 400 || error.status === 404) {
+        logger.info("Drive change token expired, starting over");
+        return { files: null, cursor: await this.getChangeCursor() };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the Drive storage quota, shared with Gmail and Photos
+   * @returns {Promise<Object|null>} { used, total } in bytes
+   */
+  async getQuota() {
+    const operation = async () => {
+      const response = await this.gapi.client.drive.about.get({
+        fields: "storageQuota",
+      });
+      const { usage, limit } = response.result.storageQuota || {};
+      return {
+        used: Number(usage) || 0,
+        // No limit means unlimited storage
+        total: limit ? Number(limit) : null,
+      };
+    };
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.status === 401) {
+        return await this.handleAuthError(operation);
+      }
+      logger.warn("Error getting Google Drive quota:", error);
+      return null;
+    }
+  }
+
   /**
    * Search for a file in Google Drive without creating it
    * @param {string} filename - The filename to search for
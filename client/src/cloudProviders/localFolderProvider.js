@@ -0,0 +1,336 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// cloudProviders/localFolderProvider.js
+
+/**
+ * Local folder provider using the File System Access API.
+ *
+ * Sync files are read and written in a folder the user picks, which another
+ * tool (Syncthing, a NAS client, ...) keeps in sync between devices. The
+ * directory handle is persisted in IndexedDB. Browsers may ask the user to
+ * grant access again after a restart; that needs a click, so checkAuth()
+ * only reports whether access is currently granted and authenticate()
+ * (called from a Connect button) asks for it.
+ *
+ * A file's lastModified time and size serve as its revision info.
+ */
+
+import logger from "../core/logger.js";
+import dataService from "../core/dataService.js";
+import CloudProvider, { AUTH_TYPES } from "./cloudProvider.js";
+
+const HANDLE_KEY = "syncFolder";
+const APP_FILE_PREFIX = "mind-diet-";
+
+class LocalFolderProvider extends CloudProvider {
+  static id = "local";
+  static displayName = "Local folder";
+  static authType = AUTH_TYPES.FOLDER;
+  static capabilities = Object.freeze({
+    revisions: true,
+    listing: true,
+    quota: false,
+    userInfo: true,
+  });
+  static revisionFields = ["lastModified", "size"];
+  static description =
+    "Pick a folder that Syncthing, a NAS client or similar keeps in sync " +
+    "between your devices. The browser may ask you to allow access again " +
+    "after a restart.";
+
+  constructor() {
+    super();
+    this.providerName = "LocalFolderProvider";
+    this.directoryHandle = null;
+    this.isAuthenticated = false;
+  }
+
+  /**
+   * Check whether this browser can pick folders
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== "undefined" && "showDirectoryPicker" in window;
+  }
+
+  async initialize() {
+    if (!LocalFolderProvider.isSupported()) {
+      logger.warn("File System Access API is not available in this browser.");
+      return false;
+    }
+    return true;
+  }
+
+  async checkAuth() {
+    try {
+      this.directoryHandle = await dataService.getFileHandle(HANDLE_KEY);
+      if (!this.directoryHandle) {
+        this.isAuthenticated = false;
+        return false;
+      }
+
+      const permission = await this.directoryHandle.queryPermission({
+        mode: "readwrite",
+      });
+      this.isAuthenticated = permission === "granted";
+      if (!this.isAuthenticated) {
+        logger.info(
+          `Access to folder '${this.directoryHandle.name}' needs to be granted again.`
+        );
+      }
+    } catch (error) {
+      logger.warn("Local folder auth check failed:", error);
+      this.isAuthenticated = false;
+    }
+    return this.isAuthenticated;
+  }
+
+  /**
+   * Ask for access to the saved folder, or let the user pick one.
+   * Must be called from a user gesture such as a button click.
+   * @param {Object} [options]
+   * @param {boolean} [options.chooseNew=false] - Always show the folder picker
+   * @returns {Promise<boolean>} True if the folder is usable
+   */
+  async authenticate({ chooseNew = false } = {}) {
+    try {
+      if (!chooseNew) {
+        this.directoryHandle = await dataService.getFileHandle(HANDLE_KEY);
+      }
+
+      if (this.directoryHandle && !chooseNew) {
+        const permission = await this.directoryHandle.requestPermission({
+          mode: "readwrite",
+        });
+        this.isAuthenticated = permission === "granted";
+        return this.isAuthenticated;
+      }
+
+      this.directoryHandle = await window.showDirectoryPicker({
+        id: "mind-diet-sync",
+        mode: "readwrite",
+      });
+      await dataService.saveFileHandle(HANDLE_KEY, this.directoryHandle);
+      logger.info(`Sync folder set to '${this.directoryHandle.name}'`);
+      this.isAuthenticated = true;
+    } catch (error) {
+      // AbortError when the picker is cancelled; SecurityError without a click
+      logger.warn("Could not get access to a sync folder:", error);
+      this.isAuthenticated = false;
+    }
+    return this.isAuthenticated;
+  }
+
+  // Folder access has no tokens to refresh
+  async refreshToken() {
+    return false;
+  }
+
+  clearStoredAuth() {
+    dataService
+      .deleteFileHandle(HANDLE_KEY)
+      .catch((error) => logger.warn("Could not forget sync folder:", error));
+    this.directoryHandle = null;
+    this.isAuthenticated = false;
+    logger.info("Cleared stored sync folder.");
+  }
+
+  async _getDirectory() {
+    if (!this.directoryHandle) {
+      this.directoryHandle = await dataService.getFileHandle(HANDLE_KEY);
+    }
+    if (!this.directoryHandle) {
+      throw new Error("No sync folder chosen. Cannot perform operation.");
+    }
+    return this.directoryHandle;
+  }
+
+  /**
+   * Get a file handle, or null if the file doesn't exist
+   * @param {string} fileId - The file name
+   * @returns {Promise<FileSystemFileHandle|null>}
+   */
+  async _getFileHandle(fileId) {
+    const directory = await this._getDirectory();
+    try {
+      return await directory.getFileHandle(fileId);
+    } catch (error) {
+      if (error.name === "NotFoundError") return null;
+      throw error;
+    }
+  }
+
+  _toFileInfo(file) {
+    return {
+      id: file.name,
+      name: file.name,
+      lastModified: file.lastModified,
+      modifiedTime: new Date(file.lastModified).toISOString(),
+      size: file.size,
+    };
+  }
+
+  async _writeJson(fileHandle, content) {
+    const writable = await fileHandle.createWritable();
+    await writable.write(JSON.stringify(content));
+    await writable.close();
+  }
+
+  /**
+   * Find or create a file in the sync folder
+   * @param {string} filename - The filename to find or create
+   * @returns {Promise<Object>} The file information
+   */
+  async findOrCreateFile(filename) {
+    try {
+      const existing = await this.searchFile(filename);
+      if (existing) return existing;
+
+      logger.warn(`File '${filename}' not found, creating new file...`);
+      const directory = await this._getDirectory();
+      const fileHandle = await directory.getFileHandle(filename, {
+        create: true,
+      });
+      await this._writeJson(fileHandle, {});
+      return this._toFileInfo(await fileHandle.getFile());
+    } catch (error) {
+      logger.error("Error in local folder findOrCreateFile:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search for a file in the sync folder without creating it
+   * @param {string} filename - The filename to search for
+   * @returns {Promise<Object|null>} The file information or null if not found
+   */
+  async searchFile(filename) {
+    logger.debug(`Searching for local file '${filename}'...`);
+    const file = await this.getFileMetadata(filename);
+    if (!file) {
+      logger.info(`File '${filename}' not found in sync folder`);
+    }
+    return file;
+  }
+
+  /**
+   * Read and parse a file
+   * @param {string} fileId - The file name
+   * @returns {Promise<Object>} The file content, or {} if missing or invalid
+   */
+  async downloadFile(fileId) {
+    logger.debug(`Reading local file ${fileId}...`);
+    const fileHandle = await this._getFileHandle(fileId);
+    if (!fileHandle) {
+      logger.info(`File ${fileId} not found - returning empty object`);
+      return {};
+    }
+
+    const text = await (await fileHandle.getFile()).text();
+    if (!text || text.trim() === "") {
+      logger.info(`Empty content for ${fileId}, returning empty object`);
+      return {};
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      logger.warn(`Content is not valid JSON: ${parseError.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Write content to a file, replacing it
+   * @param {string} fileId - The file name
+   * @param {Object} content - The content to write
+   * @returns {Promise<Object>} The file information after writing
+   */
+  async uploadFile(fileId, content) {
+    logger.info(`Writing local file ${fileId}...`);
+    const directory = await this._getDirectory();
+    const fileHandle = await directory.getFileHandle(fileId, { create: true });
+    await this._writeJson(fileHandle, content || {});
+    return this._toFileInfo(await fileHandle.getFile());
+  }
+
+  /**
+   * Get a file's metadata
+   * @param {string} fileId - The file name
+   * @returns {Promise<Object|null>} File information or null if not found
+   */
+  async getFileMetadata(fileId) {
+    const fileHandle = await this._getFileHandle(fileId);
+    if (!fileHandle) return null;
+    return this._toFileInfo(await fileHandle.getFile());
+  }
+
+  /**
+   * List this app's files in the sync folder. Other files in a shared
+   * folder are left alone.
+   * @returns {Promise<Array>} File information for each file
+   */
+  async listFiles() {
+    const directory = await this._getDirectory();
+    const files = [];
+    for await (const handle of directory.values()) {
+      if (
+        handle.kind === "file" &&
+        handle.name.startsWith(APP_FILE_PREFIX) &&
+        handle.name.endsWith(".json")
+      ) {
+        files.push(this._toFileInfo(await handle.getFile()));
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Delete a file from the sync folder
+   * @param {string} fileId - The file name
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    const directory = await this._getDirectory();
+    try {
+      await directory.removeEntry(fileId);
+    } catch (error) {
+      if (error.name !== "NotFoundError") throw error;
+    }
+  }
+
+  /**
+   * Describe the chosen folder. There is no account, so the folder name
+   * stands in for it.
+   * @returns {Promise<Object|null>} User info object or null if no folder
+   */
+  async getUserInfo() {
+    const directory = this.directoryHandle;
+    if (!directory) return null;
+
+    return {
+      email: directory.name,
+      name: directory.name,
+      id: directory.name,
+      provider: "Local folder",
+    };
+  }
+}
+
+export default LocalFolderProvider;
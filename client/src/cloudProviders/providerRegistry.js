@@ -0,0 +1,124 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// cloudProviders/providerRegistry.js
+
+/**
+ * Registry of cloud sync providers, keyed by each class's static id.
+ * CloudSyncManager creates providers from here, and the settings dialog,
+ * setup wizard and dev tools build their provider lists from it, so a new
+ * provider only needs a class extending CloudProvider and a line below.
+ */
+
+import CloudProvider from "./cloudProvider.js";
+import GoogleDriveProvider from "./googleDriveProvider.js";
+import DropboxProvider from "./dropboxProvider.js";
+import WebDAVProvider from "./webdavProvider.js";
+import ServerStorageProvider from "./serverStorageProvider.js";
+import LocalFolderProvider from "./localFolderProvider.js";
+
+const providers = new Map();
+
+/**
+ * Add a provider class to the registry. Registration order is the order
+ * providers are offered to the user.
+ * @param {typeof CloudProvider} ProviderClass - A CloudProvider subclass
+ * @throws {Error} If the class has no id or the id is taken
+ */
+export function registerProvider(ProviderClass) {
+  if (!(ProviderClass.prototype instanceof CloudProvider)) {
+    throw new Error("Cloud providers must extend CloudProvider");
+  }
+  const { id } = ProviderClass;
+  if (!id) {
+    throw new Error("Cloud providers need a static id");
+  }
+  if (providers.has(id)) {
+    throw new Error(`Cloud provider '${id}' is already registered`);
+  }
+  providers.set(id, ProviderClass);
+}
+
+/**
+ * Get a provider class by id
+ * @param {string} id - Provider id, e.g. "gdrive"
+ * @returns {typeof CloudProvider|null}
+ */
+export function getProviderClass(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Create a provider instance by id
+ * @param {string} id - Provider id
+ * @returns {CloudProvider}
+ * @throws {Error} If no provider has that id
+ */
+export function createProvider(id) {
+  const ProviderClass = getProviderClass(id);
+  if (!ProviderClass) {
+    throw new Error(`Unsupported cloud provider: ${id}`);
+  }
+  return new ProviderClass();
+}
+
+/**
+ * List registered provider classes
+ * @param {Object} [options]
+ * @param {boolean} [options.supportedOnly=true] - Skip providers this
+ *   browser can't run
+ * @returns {Array<typeof CloudProvider>}
+ */
+export function getProviders({ supportedOnly = true } = {}) {
+  const all = [...providers.values()];
+  return supportedOnly ? all.filter((Provider) => Provider.isSupported()) : all;
+}
+
+/**
+ * Get the id of a provider instance, as saved in the cloudSyncProvider
+ * preference
+ * @param {CloudProvider} provider - Provider instance
+ * @returns {string|null} The id, or null without a provider
+ */
+export function getProviderType(provider) {
+  return provider?.constructor?.id || null;
+}
+
+/**
+ * Get the display name for a provider id
+ * @param {string} id - Provider id
+ * @returns {string} e.g. "Google Drive", or the id if unknown
+ */
+export function getProviderDisplayName(id) {
+  return getProviderClass(id)?.displayName || id;
+}
+
+registerProvider(GoogleDriveProvider);
+registerProvider(DropboxProvider);
+registerProvider(WebDAVProvider);
+registerProvider(ServerStorageProvider);
+registerProvider(LocalFolderProvider);
+
+export default {
+  registerProvider,
+  getProviderClass,
+  createProvider,
+  getProviders,
+  getProviderType,
+  getProviderDisplayName,
+};
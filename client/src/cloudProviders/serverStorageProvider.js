@@ -0,0 +1,382 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// cloudProviders/serverStorageProvider.js
+
+/**
+ * Provider for the app server's own sync storage (/api/storage), for
+ * deployments that keep everything on-prem.
+ *
+ * The user pastes the access token an administrator configured in
+ * SYNC_STORAGE_USERS. File IDs are file names. Each upload sends the
+ * revision this device last downloaded or wrote as If-Match (after a
+ * reload, the revision stored at the file's last sync), so a file another
+ * device changed in the meantime is rejected (412) rather than
+ * overwritten; the next sync then downloads and merges it.
+ */
+
+import logger from "../core/logger.js";
+import CloudProvider, { AUTH_TYPES } from "./cloudProvider.js";
+
+const TOKEN_KEY = "server_storage_token";
+const API_BASE = "/api/storage";
+
+class ServerStorageProvider extends CloudProvider {
+  static id = "server";
+  static displayName = "Self-hosted server";
+  static authType = AUTH_TYPES.CREDENTIALS;
+  static capabilities = Object.freeze({
+    revisions: true,
+    listing: true,
+    quota: false,
+    userInfo: true,
+    backgroundSync: true,
+  });
+  static revisionFields = ["rev"];
+  static credentialFields = [
+    {
+      name: "token",
+      label: "Access token",
+      type: "password",
+      autocomplete: "off",
+      secret: true,
+    },
+  ];
+  static description = "Use the access token from your server administrator.";
+
+  constructor() {
+    super();
+    this.providerName = "ServerStorageProvider";
+    this.ACCESS_TOKEN = null;
+    this.isAuthenticated = false;
+    this.knownRevisions = new Map(); // fileId -> last rev seen by this device
+  }
+
+  // Nothing to load - the API is same-origin fetch
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Read the saved access token
+   * @returns {Object|null} { token } or null
+   */
+  getStoredCredentials() {
+    const token = localStorage.getItem(TOKEN_KEY);
+    return token ? { token } : null;
+  }
+
+  /**
+   * Save the access token. Call checkAuth() afterwards to test it.
+   * @param {Object} credentials - { token }
+   * @throws {Error} If the token is empty
+   */
+  saveCredentials({ token }) {
+    const trimmedToken = String(token || "").trim();
+    if (!trimmedToken) {
+      throw new Error("Enter the access token from your server administrator");
+    }
+    localStorage.setItem(TOKEN_KEY, trimmedToken);
+    this.ACCESS_TOKEN = trimmedToken;
+    this.isAuthenticated = false;
+  }
+
+  async checkAuth() {
+    this.ACCESS_TOKEN = localStorage.getItem(TOKEN_KEY);
+    if (!this.ACCESS_TOKEN) {
+      this.isAuthenticated = false;
+      return false;
+    }
+
+    try {
+      await this._request("GET", "/me");
+      logger.info("Server storage token from storage is valid.");
+      this.isAuthenticated = true;
+    } catch (error) {
+      logger.warn("Server storage auth check failed:", error);
+      this.isAuthenticated = false;
+    }
+    return this.isAuthenticated;
+  }
+
+  // The token is entered in settings or the setup wizard, not via redirect
+  async authenticate() {
+    return this.checkAuth();
+  }
+
+  // Tokens are long-lived and set by the administrator
+  async refreshToken() {
+    return false;
+  }
+
+  clearStoredAuth() {
+    localStorage.removeItem(TOKEN_KEY);
+    this.ACCESS_TOKEN = null;
+    this.isAuthenticated = false;
+    this.knownRevisions.clear();
+    logger.info("Cleared stored server storage token.");
+  }
+
+  /**
+   * Send an authenticated request to the storage API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/storage
+   * @param {Object} [options] - { headers, body, allowStatus: [codes] }
+   * @returns {Promise<Response>} The response
+   * @throws {Error} With a `status` property for unexpected responses
+   */
+  async _request(method, path, { headers = {}, body, allowStatus = [] } = {}) {
+    if (!this.ACCESS_TOKEN) this.ACCESS_TOKEN = localStorage.getItem(TOKEN_KEY);
+    if (!this.ACCESS_TOKEN) {
+      throw new Error("No server storage token. Cannot perform operation.");
+    }
+
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${this.ACCESS_TOKEN}`, ...headers },
+      body,
+      cache: "no-store",
+    });
+
+    if (response.ok || allowStatus.includes(response.status)) {
+      return response;
+    }
+
+    let message = `Server storage ${method} failed with status ${response.status}`;
+    if (response.status === 401) {
+      this.isAuthenticated = false;
+      message = "The server rejected the access token. Please reconnect.";
+    } else if (response.status === 503) {
+      message = "Sync storage is not enabled on this server.";
+    } else if (response.status === 412) {
+      message = "The file changed on the server. Sync again to merge.";
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
+  }
+
+  _filePath(fileId) {
+    return `/files/${encodeURIComponent(fileId)}`;
+  }
+
+  _toFileInfo(metadata) {
+    return {
+      id: metadata.name,
+      name: metadata.name,
+      rev: metadata.rev,
+      modifiedTime: metadata.modifiedTime,
+      size: metadata.size || 0,
+    };
+  }
+
+  /**
+   * Find or create a file
+   * @param {string} filename - The filename to find or create
+   * @returns {Promise<Object>} The file information
+   */
+  async findOrCreateFile(filename) {
+    try {
+      const existing = await this.searchFile(filename);
+      if (existing) return existing;
+
+      logger.warn(`File '${filename}' not found, creating new file...`);
+      // 412 means another device created it first; use that one
+      const response = await this._request("PUT", this._filePath(filename), {
+        headers: { "Content-Type": "application/json", "If-None-Match": "*" },
+        body: JSON.stringify({}),
+        allowStatus: [412],
+      });
+
+      if (response.status === 412) {
+        return this.getFileMetadata(filename);
+      }
+      const created = this._toFileInfo(await response.json());
+      this.knownRevisions.set(filename, created.rev);
+      return created;
+    } catch (error) {
+      logger.error("Error in server storage findOrCreateFile:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search for a file without creating it
+   * @param {string} filename - The filename to search for
+   * @returns {Promise<Object|null>} The file information or null if not found
+   */
+  async searchFile(filename) {
+    try {
+      logger.debug(`Searching for server file '${filename}'...`);
+      const file = await this.getFileMetadata(filename);
+      if (!file) {
+        logger.info(`File '${filename}' not found on server`);
+      }
+      return file;
+    } catch (error) {
+      logger.error("Error in server storage searchFile:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download and parse a file
+   * @param {string} fileId - The file name
+   * @returns {Promise<Object>} The file content, or {} if missing or invalid
+   */
+  async downloadFile(fileId) {
+    logger.debug(`Downloading server file ${fileId}...`);
+    const response = await this._request("GET", this._filePath(fileId), {
+      allowStatus: [404],
+    });
+
+    if (response.status === 404) {
+      logger.info(`File ${fileId} not found - returning empty object`);
+      return {};
+    }
+
+    const rev = response.headers.get("ETag")?.replace(/"/g, "");
+    if (rev) this.knownRevisions.set(fileId, rev);
+
+    try {
+      const data = await response.json();
+      logger.debug(`Successfully downloaded and parsed file ${fileId}`);
+      return data || {};
+    } catch (parseError) {
+      logger.warn(`Content is not valid JSON: ${parseError.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Upload content, replacing the file if it still has the revision this
+   * device last saw
+   * @param {string} fileId - The file name
+   * @param {Object} content - The content to upload
+   * @param {Object} [revision] - The file's revisionFields at the last sync,
+   *   used until this device has read or written the file since loading
+   * @returns {Promise<Object>} The file information including the new rev
+   */
+  async uploadFile(fileId, content, revision) {
+    logger.info(`Uploading to server file ${fileId}...`);
+
+    const headers = { "Content-Type": "application/json" };
+    const knownRev = this.knownRevisions.get(fileId) || revision?.rev;
+    if (knownRev) {
+      headers["If-Match"] = `"${knownRev}"`;
+    }
+
+    const response = await this._request("PUT", this._filePath(fileId), {
+      headers,
+      body: JSON.stringify(content || {}),
+    });
+
+    const fileInfo = this._toFileInfo(await response.json());
+    this.knownRevisions.set(fileId, fileInfo.rev);
+    logger.info("Upload response rev:", fileInfo.rev);
+    return fileInfo;
+  }
+
+  /**
+   * Describe an upload the service worker can send on its own, guarded by
+   * If-Match so the server rejects it with a 412 if the file changed
+   * @param {string} fileId - The file name
+   * @param {Object} revision - The file's revision fields at the last sync
+   * @returns {Object|null} The upload description or null
+   */
+  getBackgroundUploadRequest(fileId, revision) {
+    const accessToken = this.ACCESS_TOKEN || localStorage.getItem(TOKEN_KEY);
+    if (!accessToken || !revision?.rev) return null;
+
+    return {
+      upload: {
+        url: `${API_BASE}${this._filePath(fileId)}`,
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+          "If-Match": `"${revision.rev}"`,
+        },
+      },
+      revisionFields: ServerStorageProvider.revisionFields,
+    };
+  }
+
+  /**
+   * Get a file's metadata
+   * @param {string} fileId - The file name
+   * @returns {Promise<Object|null>} File information or null if not found
+   */
+  async getFileMetadata(fileId) {
+    const response = await this._request(
+      "GET",
+      `${this._filePath(fileId)}/metadata`,
+      { allowStatus: [404] }
+    );
+    if (response.status === 404) {
+      logger.info(`File with ID ${fileId} not found`);
+      return null;
+    }
+    return this._toFileInfo(await response.json());
+  }
+
+  /**
+   * List the stored files
+   * @returns {Promise<Array>} File information for each file
+   */
+  async listFiles() {
+    const response = await this._request("GET", "/files");
+    const { files = [] } = await response.json();
+    return files.map((metadata) => this._toFileInfo(metadata));
+  }
+
+  /**
+   * Delete a file
+   * @param {string} fileId - The file name
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    await this._request("DELETE", this._filePath(fileId), {
+      allowStatus: [404],
+    });
+    this.knownRevisions.delete(fileId);
+  }
+
+  /**
+   * Get the account the token belongs to
+   * @returns {Promise<Object|null>} User info object or null if failed
+   */
+  async getUserInfo() {
+    try {
+      const response = await this._request("GET", "/me");
+      const { user } = await response.json();
+      return {
+        email: `${user}@${window.location.host}`,
+        name: user,
+        id: user,
+        provider: "Server",
+      };
+    } catch (error) {
+      logger.error("Error getting server storage user info:", error);
+      return null;
+    }
+  }
+}
+
+export default ServerStorageProvider;
@@ -0,0 +1,498 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// cloudProviders/webdavProvider.js
+
+/**
+ * WebDAV provider for Nextcloud, ownCloud and other WebDAV servers.
+ *
+ * Files live in a "MindDietTracker" folder under the WebDAV URL the user
+ * enters, and a file's ID is simply its name inside that folder. There is
+ * no OAuth: the server URL, username and (app) password are kept in
+ * localStorage and sent with Basic auth. ETags serve as revision info.
+ *
+ * The server must allow CORS requests from the app's origin, or be proxied
+ * under the same origin.
+ */
+
+import logger from "../core/logger.js";
+import CloudProvider, { AUTH_TYPES } from "./cloudProvider.js";
+
+const CREDENTIALS_KEY = "webdav_credentials";
+const APP_FOLDER = "MindDietTracker";
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:getetag/>
+    <d:getlastmodified/>
+    <d:getcontentlength/>
+    <d:resourcetype/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * Strip the weak-validator prefix and quotes from an ETag header value
+ * @param {string|null} etag - Raw ETag
+ * @returns {string|null} Normalized ETag
+ */
+function normalizeEtag(etag) {
+  if (!etag) return null;
+  return etag.replace(/^W\//, "").replace(/"/g, "") || null;
+}
+
+class WebDAVProvider extends CloudProvider {
+  static id = "webdav";
+  static displayName = "WebDAV / Nextcloud";
+  static authType = AUTH_TYPES.CREDENTIALS;
+  static capabilities = Object.freeze({
+    revisions: true,
+    listing: true,
+    quota: false,
+    userInfo: true,
+    backgroundSync: true,
+  });
+  static revisionFields = ["etag"];
+  static credentialFields = [
+    {
+      name: "url",
+      label: "Server URL",
+      type: "url",
+      placeholder: "https://cloud.example.com/remote.php/dav/files/you/",
+    },
+    {
+      name: "username",
+      label: "Username",
+      type: "text",
+      autocomplete: "username",
+    },
+    {
+      name: "password",
+      label: "App password",
+      type: "password",
+      autocomplete: "current-password",
+      secret: true,
+    },
+  ];
+
+  constructor() {
+    super();
+    this.providerName = "WebDAVProvider";
+    this.credentials = null;
+    this.isAuthenticated = false;
+  }
+
+  // Nothing to load - WebDAV is plain HTTP
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Read the saved server credentials
+   * @returns {Object|null} { url, username, password } or null
+   */
+  getStoredCredentials() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CREDENTIALS_KEY));
+      if (saved?.url && saved?.username) {
+        return saved;
+      }
+    } catch (error) {
+      logger.warn("Stored WebDAV credentials are unreadable:", error);
+    }
+    return null;
+  }
+
+  /**
+   * Validate and save server credentials. Call checkAuth() afterwards to
+   * test them.
+   * @param {Object} credentials - { url, username, password }
+   * @throws {Error} If the URL or username is missing or invalid
+   */
+  saveCredentials({ url, username, password }) {
+    const trimmedUrl = String(url || "").trim();
+    const trimmedUsername = String(username || "").trim();
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(trimmedUrl);
+    } catch (error) {
+      throw new Error("Enter the full WebDAV URL, starting with https://");
+    }
+    if (!["https:", "http:"].includes(parsedUrl.protocol)) {
+      throw new Error("The WebDAV URL must start with https:// or http://");
+    }
+    if (!trimmedUsername) {
+      throw new Error("Enter your WebDAV username");
+    }
+
+    this.credentials = {
+      url: parsedUrl.href.endsWith("/") ? parsedUrl.href : `${parsedUrl.href}/`,
+      username: trimmedUsername,
+      password: String(password || ""),
+    };
+    localStorage.setItem(CREDENTIALS_KEY, JSON.stringify(this.credentials));
+    this.isAuthenticated = false;
+  }
+
+  async checkAuth() {
+    this.credentials = this.getStoredCredentials();
+    if (!this.credentials) {
+      this.isAuthenticated = false;
+      return false;
+    }
+
+    try {
+      await this._ensureAppFolder();
+      logger.info("WebDAV credentials from storage are valid.");
+      this.isAuthenticated = true;
+    } catch (error) {
+      logger.warn("WebDAV auth check failed:", error);
+      this.isAuthenticated = false;
+    }
+    return this.isAuthenticated;
+  }
+
+  // Credentials come from the settings form or setup wizard, not a redirect
+  async authenticate() {
+    return this.checkAuth();
+  }
+
+  // Basic auth has no tokens to refresh
+  async refreshToken() {
+    return false;
+  }
+
+  clearStoredAuth() {
+    localStorage.removeItem(CREDENTIALS_KEY);
+    this.credentials = null;
+    this.isAuthenticated = false;
+    logger.info("Cleared stored WebDAV credentials.");
+  }
+
+  _folderUrl() {
+    return `${this.credentials.url}${encodeURIComponent(APP_FOLDER)}/`;
+  }
+
+  _fileUrl(fileId) {
+    return `${this._folderUrl()}${encodeURIComponent(fileId)}`;
+  }
+
+  _authHeader() {
+    const { username, password } = this.credentials;
+    const bytes = new TextEncoder().encode(`${username}:${password}`);
+    return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+  }
+
+  /**
+   * Send an authenticated request to the server
+   * @param {string} method - HTTP or WebDAV method
+   * @param {string} url - Absolute URL
+   * @param {Object} [options] - { headers, body, allowStatus: [codes] }
+   * @returns {Promise<Response>} The response
+   * @throws {Error} With a `status` property for unexpected responses
+   */
+  async _request(method, url, { headers = {}, body, allowStatus = [] } = {}) {
+    if (!this.credentials) this.credentials = this.getStoredCredentials();
+    if (!this.credentials) {
+      throw new Error("WebDAV is not configured. Cannot perform operation.");
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers: { Authorization: this._authHeader(), ...headers },
+      body,
+      cache: "no-store",
+    });
+
+    if (response.ok || allowStatus.includes(response.status)) {
+      return response;
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      this.isAuthenticated = false;
+    }
+
+    const error = new Error(
+      response.status === 401
+        ? "Authentication failed. Please check your WebDAV username and password."
+        : `WebDAV ${method} failed with status ${response.status}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  /**
+   * PROPFIND a resource
+   * @param {string} url - Resource URL
+   * @param {string} depth - "0" for the resource, "1" to include children
+   * @returns {Promise<Array|null>} Parsed entries, or null if not found
+   */
+  async _propfind(url, depth) {
+    const response = await this._request("PROPFIND", url, {
+      headers: { Depth: depth, "Content-Type": "application/xml" },
+      body: PROPFIND_BODY,
+      allowStatus: [404],
+    });
+    if (response.status === 404) return null;
+
+    const xml = new DOMParser().parseFromString(
+      await response.text(),
+      "application/xml"
+    );
+    const prop = (node, name) =>
+      node.getElementsByTagNameNS("DAV:", name)[0]?.textContent || null;
+
+    return Array.from(xml.getElementsByTagNameNS("DAV:", "response")).map(
+      (node) => {
+        const href = decodeURIComponent(prop(node, "href") || "");
+        const lastModified = prop(node, "getlastmodified");
+        return {
+          name: href.replace(/\/$/, "").split("/").pop(),
+          etag: normalizeEtag(prop(node, "getetag")),
+          modifiedTime: lastModified
+            ? new Date(lastModified).toISOString()
+            : null,
+          size: Number(prop(node, "getcontentlength")) || 0,
+          isFolder:
+            node.getElementsByTagNameNS("DAV:", "collection").length > 0,
+        };
+      }
+    );
+  }
+
+  _toFileInfo(entry) {
+    return {
+      id: entry.name,
+      name: entry.name,
+      etag: entry.etag,
+      modifiedTime: entry.modifiedTime,
+      size: entry.size,
+    };
+  }
+
+  async _ensureAppFolder() {
+    const folder = await this._propfind(this._folderUrl(), "0");
+    if (folder) return;
+
+    logger.info(`Creating WebDAV folder '${APP_FOLDER}'...`);
+    // 405 means the folder appeared in the meantime
+    await this._request("MKCOL", this._folderUrl(), { allowStatus: [405] });
+  }
+
+  /**
+   * Find or create a file in the app folder
+   * @param {string} filename - The filename to find or create
+   * @returns {Promise<Object>} The file information
+   */
+  async findOrCreateFile(filename) {
+    try {
+      const existing = await this.searchFile(filename);
+      if (existing) return existing;
+
+      logger.warn(`File '${filename}' not found, creating new file...`);
+      await this._ensureAppFolder();
+
+      // 412 means another device created it first; use that one
+      await this._request("PUT", this._fileUrl(filename), {
+        headers: { "Content-Type": "application/json", "If-None-Match": "*" },
+        body: JSON.stringify({}),
+        allowStatus: [412],
+      });
+
+      const created = await this.getFileMetadata(filename);
+      if (!created) {
+        throw new Error(`Failed to create WebDAV file '${filename}'`);
+      }
+      logger.debug(`Created new file: ${created.name}`);
+      return created;
+    } catch (error) {
+      logger.error("Error in WebDAV findOrCreateFile:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search for a file in the app folder without creating it
+   * @param {string} filename - The filename to search for
+   * @returns {Promise<Object|null>} The file information or null if not found
+   */
+  async searchFile(filename) {
+    try {
+      logger.debug(`Searching for WebDAV file '${filename}'...`);
+      const file = await this.getFileMetadata(filename);
+      if (!file) {
+        logger.info(`File '${filename}' not found on WebDAV server`);
+      }
+      return file;
+    } catch (error) {
+      logger.error("Error in WebDAV searchFile:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download and parse a JSON file
+   * @param {string} fileId - The file name
+   * @returns {Promise<Object>} The file content, or {} if missing or empty
+   */
+  async downloadFile(fileId) {
+    logger.debug(`Downloading WebDAV file ${fileId}...`);
+    const response = await this._request("GET", this._fileUrl(fileId), {
+      allowStatus: [404],
+    });
+
+    if (response.status === 404) {
+      logger.info(`File ${fileId} not found - returning empty object`);
+      return {};
+    }
+
+    const text = await response.text();
+    if (!text || text.trim() === "") {
+      logger.info(`Empty content for ${fileId}, returning empty object`);
+      return {};
+    }
+
+    try {
+      const data = JSON.parse(text);
+      logger.debug(`Successfully downloaded and parsed file ${fileId}`);
+      return data;
+    } catch (parseError) {
+      logger.warn(`Content is not valid JSON: ${parseError.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Upload JSON content, replacing the file
+   * @param {string} fileId - The file name
+   * @param {Object} content - The content to upload
+   * @returns {Promise<Object>} The file information including the new ETag
+   */
+  async uploadFile(fileId, content) {
+    logger.info(`Uploading to WebDAV file ${fileId}...`);
+
+    const contentStr = JSON.stringify(content || {});
+    logger.debug(`Content size: ${contentStr.length} bytes`);
+
+    const response = await this._request("PUT", this._fileUrl(fileId), {
+      headers: { "Content-Type": "application/json" },
+      body: contentStr,
+    });
+
+    // The ETag header is only readable if the server exposes it to CORS
+    const etag = normalizeEtag(response.headers.get("ETag"));
+    if (etag) {
+      logger.info("Upload response etag:", etag);
+      return {
+        id: fileId,
+        name: fileId,
+        etag,
+        modifiedTime: new Date().toISOString(),
+        size: contentStr.length,
+      };
+    }
+
+    return this.getFileMetadata(fileId);
+  }
+
+  /**
+   * Describe an upload the service worker can send on its own, guarded by
+   * If-Match so the server rejects it with a 412 if the file changed
+   * @param {string} fileId - The file name
+   * @param {Object} revision - The file's revision fields at the last sync
+   * @returns {Object|null} The upload description or null
+   */
+  getBackgroundUploadRequest(fileId, revision) {
+    if (!this.credentials) this.credentials = this.getStoredCredentials();
+    if (!this.credentials || !revision?.etag) return null;
+
+    return {
+      upload: {
+        url: this._fileUrl(fileId),
+        method: "PUT",
+        headers: {
+          Authorization: this._authHeader(),
+          "Content-Type": "application/json",
+          "If-Match": `"${revision.etag}"`,
+        },
+      },
+      revisionFields: WebDAVProvider.revisionFields,
+    };
+  }
+
+  /**
+   * Get a file's metadata
+   * @param {string} fileId - The file name
+   * @returns {Promise<Object|null>} File information or null if not found
+   */
+  async getFileMetadata(fileId) {
+    const entries = await this._propfind(this._fileUrl(fileId), "0");
+    if (!entries || entries.length === 0) {
+      logger.info(`File with ID ${fileId} not found`);
+      return null;
+    }
+    return this._toFileInfo(entries[0]);
+  }
+
+  /**
+   * List the files in the app folder
+   * @returns {Promise<Array>} File information for each file
+   */
+  async listFiles() {
+    const entries = (await this._propfind(this._folderUrl(), "1")) || [];
+    return entries
+      .filter((entry) => !entry.isFolder)
+      .map((entry) => this._toFileInfo(entry));
+  }
+
+  /**
+   * Delete a file from the app folder
+   * @param {string} fileId - The file name
+   * @returns {Promise<void>}
+   */
+  async deleteFile(fileId) {
+    await this._request("DELETE", this._fileUrl(fileId), {
+      allowStatus: [404],
+    });
+  }
+
+  /**
+   * Get account information. WebDAV has no profile endpoint, so the account
+   * is shown as user@host, like a Nextcloud federated cloud ID.
+   * @returns {Promise<Object|null>} User info object or null if not configured
+   */
+  async getUserInfo() {
+    if (!this.credentials) this.credentials = this.getStoredCredentials();
+    if (!this.credentials) {
+      logger.warn("WebDAV is not configured, cannot get user info");
+      return null;
+    }
+
+    const { username, url } = this.credentials;
+    const host = new URL(url).host;
+    return {
+      email: `${username}@${host}`,
+      name: username,
+      id: `${username}@${host}`,
+      provider: "WebDAV",
+    };
+  }
+}
+
+export default WebDAVProvider;
@@ -32,6 +32,7 @@ import {
 export class ChangeDetectionService {
   constructor(dependencies) {
     this.logger = dependencies.logger || logger;
+    this.journal = dependencies.journal || null;
   }
 
   /**
@@ -209,9 +210,20 @@ export class ChangeDetectionService {
    * Log sync decision details
    * @param {Object} syncNeeds - Sync needs assessment
    * @param {Object} metadata - Current metadata
+   * @param {string} [scope="sync"] - What the decision is about, for the
+   *   sync journal
    */
-  logSyncDecision(syncNeeds, metadata) {
+  logSyncDecision(syncNeeds, metadata, scope = "sync") {
+    this.journal?.noteDecision({
+      scope,
+      syncCurrent: syncNeeds.syncCurrent,
+      syncHistory: syncNeeds.syncHistory,
+      hasLocalChanges: syncNeeds.hasLocalChanges,
+      hasRemoteChanges: !!syncNeeds.hasRemoteChanges,
+      reasons: syncNeeds.reason,
+    });
     this.logger.info("Sync decision:", {
+      scope,
       syncCurrent: syncNeeds.syncCurrent,
       syncHistory: syncNeeds.syncHistory,
       hasLocalChanges: syncNeeds.hasLocalChanges,
@@ -5,14 +5,14 @@
  * Cloud Sync Manager
  * Handles synchronization between local data and cloud storage
  * Dependencies:
- * - Google Drive Provider
- * - Dropbox Provider
+ * - Provider registry (cloudProviders/providerRegistry.js)
  */
 
-import GoogleDriveProvider from "../cloudProviders/googleDriveProvider.js";
-import DropboxProvider from "../cloudProviders/dropboxProvider.js";
+import { createProvider } from "../cloudProviders/providerRegistry.js";
 import logger from "../core/logger.js";
+import trackingEngine from "../core/trackingEngine.js";
 import {
+  CURRENT_WEEK_FILE_NAME,
   getCurrentTimestamp,
   isTimestampValid,
   compareTimestamps,
@@ -63,16 +63,11 @@ export class CloudSyncManager {
 
   /**
    * Initialize cloud sync
+   * @param {string} [providerName="gdrive"] - Provider id in the registry
    * @returns {Promise<void>}
    */
   async initialize(providerName = "gdrive") {
-    if (providerName === "gdrive") {
-      this.provider = new GoogleDriveProvider();
-    } else if (providerName === "dropbox") {
-      this.provider = new DropboxProvider();
-    } else {
-      throw new Error(`Unsupported cloud provider: ${providerName}`);
-    }
+    this.provider = createProvider(providerName);
 
     // Initialize the provider and check if it was successful
     const initResult = await this.provider.initialize();
@@ -160,7 +155,7 @@ export class CloudSyncManager {
         });
       } else {
         // Fallback to direct sync if appManager not available
-        this.sync(true);
+        this.sync(true, "timer");
       }
     }, intervalMinutes * 60 * 1000);
     this.autoSyncEnabled = true;
@@ -179,6 +174,18 @@ export class CloudSyncManager {
     logger.info("Auto-sync disabled");
   }
 
+  /**
+   * Sign out and turn sync off after another device forgot this one
+   * @returns {Promise<void>}
+   */
+  async stopSyncingForgottenDevice() {
+    this.disableAutoSync();
+    this.provider.clearStoredAuth();
+    this.isAuthenticated = false;
+    await this.dataService.savePreference("cloudSyncEnabled", false);
+    logger.warn("Sync turned off: this device was forgotten");
+  }
+
   /**
    * Check if auto-sync is enabled
    * @returns {boolean}
@@ -198,24 +205,33 @@ export class CloudSyncManager {
   /**
    * Sync data between local device and cloud
    * @param {boolean} silent - Whether to show notifications
+   * @param {string} [trigger="direct"] - What asked for the sync, recorded
+   *   in the sync journal
    * @returns {Promise<Object|boolean>} Sync results or false if sync failed
    */
-  async sync(silent = false) {
+  async sync(silent = false, trigger = "direct") {
     if (this.syncInProgress) {
       logger.info("Sync already in progress, skipping");
       return false;
     }
 
+    const journal = this.syncOperationHandler.journal;
+    journal.start(trigger, this.provider?.constructor?.id);
+
     // Check network constraints
     if (!this.checkNetworkConstraints()) {
       const error = new Error("'Sync only on Wi-Fi' is enabled.");
       error.code = "NETWORK_CONSTRAINT";
+      journal.noteError(error);
+      await journal.finish("skipped");
       this.onSyncError(error);
       return false;
     }
 
     try {
       this.syncInProgress = true;
+      this.syncOperationHandler.resetMergeSnapshot();
+      this.syncOperationHandler.resetConflictCount();
       logger.info("Starting sync process");
 
       // Check if we're authenticated
@@ -240,6 +256,24 @@ export class CloudSyncManager {
         }
       }
 
+      // Stop before merging anything if the cloud data uses a sync
+      // passphrase this device doesn't have
+      await this.syncOperationHandler.encryption.verify();
+
+      // Stop if another device forgot this one
+      if (await this.syncOperationHandler.deviceRegistry.checkForgotten()) {
+        await this.stopSyncingForgottenDevice();
+        const error = new Error(
+          "This device was removed from sync on another device. Turn sync on again in Settings to reconnect."
+        );
+        error.code = "DEVICE_FORGOTTEN";
+        throw error;
+      }
+
+      // Ask the provider once what changed since the last sync
+      const fileMetadataManager = this.syncOperationHandler.fileMetadataManager;
+      await fileMetadataManager.loadChanges();
+
       // Show sync toast
       if (this.uiRenderer) {
         this.uiRenderer.showToast(
@@ -252,24 +286,54 @@ export class CloudSyncManager {
         );
       }
 
+      let workWasDone = false;
+      const syncResults = {};
+
+      // Sync preferences first: a week start day set on another device
+      // changes which days belong to the current week
+      const changedPreferences =
+        await this.syncOperationHandler.syncPreferences();
+      if (changedPreferences.length > 0) {
+        workWasDone = true;
+        syncResults.preferencesChanged = changedPreferences;
+        if (changedPreferences.includes("weekStartDay") && this.stateManager) {
+          await this.stateManager.changeWeekStartDay(
+            await this.dataService.getPreference("weekStartDay", "Sunday")
+          );
+        }
+      }
+
       // Determine what needs to be synced
+      const syncMetadata = this.dataService.loadState().metadata || {};
       const syncNeeds =
         await this.syncOperationHandler.changeDetectionService.determineSyncNeeds(
           await this.syncOperationHandler.changeDetectionService.analyzeDirtyFlags(
-            this.dataService.loadState().metadata || {}
+            syncMetadata
           ),
           null,
           true
         );
+      this.syncOperationHandler.changeDetectionService.logSyncDecision(
+        syncNeeds,
+        syncMetadata
+      );
 
-      let workWasDone = false;
-      const syncResults = {};
+      // Apply what other devices logged since the last sync before
+      // comparing week files
+      const changeLog = this.syncOperationHandler.changeLog;
+      if ((await changeLog.replayRemoteChanges()) > 0) {
+        workWasDone = true;
+        syncResults.changesReplayed = true;
+      }
 
       // Sync current week if needed
+      let currentWeekResult = null;
       if (syncNeeds.syncCurrent) {
         logger.info("Syncing current week...");
-        const currentWeekResult =
-          await this.syncOperationHandler.syncCurrentWeek();
+        currentWeekResult = await this.syncOperationHandler.syncCurrentWeek();
+        if (currentWeekResult?.error) {
+          journal.noteError(currentWeekResult.error, "current week");
+        }
         if (currentWeekResult) {
           workWasDone = true;
           syncResults.currentWeekSynced = true;
@@ -286,12 +350,42 @@ export class CloudSyncManager {
         }
       }
 
+      // Announce this device's changes, unless the current week file that
+      // should hold them didn't reach the cloud
+      if (!currentWeekResult?.error) {
+        await changeLog.publish();
+      }
+
+      // Tell other devices when this one last synced
+      await this.syncOperationHandler.deviceRegistry.recordSync();
+
+      // Days edited on both devices, left for the user to resolve
+      if (this.syncOperationHandler.newConflictCount > 0) {
+        syncResults.newConflicts = this.syncOperationHandler.newConflictCount;
+      }
+
+      if (!journal.hasErrors()) {
+        await fileMetadataManager.saveChangeCursor();
+      }
+
       this.lastSyncTimestamp = this.dataService.getCurrentTimestamp();
+      // This device's current week didn't reach the cloud; other steps that
+      // failed make the run "partial"
+      await journal.finish(
+        currentWeekResult?.error ? "error" : "success",
+        syncResults
+      );
 
       // Show completion toast if work was done OR if this was a manual sync
       if (this.uiRenderer) {
         this.uiRenderer.clearToasts(); // Clear the persistent sync toast
-        if (workWasDone) {
+        if (currentWeekResult?.error) {
+          this.uiRenderer.showToast(
+            `The current week didn't sync: ${currentWeekResult.error}`,
+            "warning",
+            { duration: 4000 }
+          );
+        } else if (workWasDone) {
           this.uiRenderer.showToast(
             silent
               ? "Auto-sync completed successfully!"
@@ -311,6 +405,9 @@ export class CloudSyncManager {
 
       return syncResults;
     } catch (error) {
+      journal.noteError(error);
+      await journal.finish("error");
+
       // Clear any sync toast on error
       if (this.uiRenderer) {
         this.uiRenderer.clearToasts();
@@ -318,6 +415,7 @@ export class CloudSyncManager {
       this.onSyncError(error);
       return false;
     } finally {
+      this.syncOperationHandler.fileMetadataManager.clearChanges();
       this.syncInProgress = false;
       logger.info("Sync process completed");
     }
@@ -340,15 +438,14 @@ export class CloudSyncManager {
         return false;
       }
 
-      const currentWeekFileName = "mind-diet-current-week.json";
-      const fileInfo = await this.provider.searchFile(currentWeekFileName);
+      const fileInfo = await this.provider.searchFile(CURRENT_WEEK_FILE_NAME);
 
       if (!fileInfo) {
         return true;
       }
 
       return await this.syncOperationHandler.fileMetadataManager.checkIfFileChanged(
-        currentWeekFileName,
+        CURRENT_WEEK_FILE_NAME,
         fileInfo.id,
         this.provider
       );
@@ -358,6 +455,25 @@ export class CloudSyncManager {
     }
   }
 
+  /**
+   * Queue the current week's unsynced changes for the service worker to
+   * upload after the app is closed
+   * @returns {Promise<boolean>} True if an upload was queued
+   */
+  async prepareBackgroundSync() {
+    try {
+      const entry =
+        await this.syncOperationHandler.prepareBackgroundUpload();
+      if (!entry) return false;
+      await this.dataService.saveSyncOutboxEntry(entry);
+      logger.info("Queued current week for background sync");
+      return true;
+    } catch (error) {
+      logger.warn("Could not queue background sync:", error);
+      return false;
+    }
+  }
+
   /**
    * Get sync status
    * @returns {Object} Sync status information
@@ -561,8 +677,12 @@ export class CloudSyncManager {
       let changed = false;
 
       Object.entries(remoteWeeklyCounts || {}).forEach(
-        ([groupId, remoteCount]) => {
-          const localCount = mergedTotals[groupId] || 0;
+        ([groupId, rawRemoteCount]) => {
+          const remoteCount =
+            trackingEngine.validateFoodGroupCount(rawRemoteCount);
+          const localCount = trackingEngine.validateFoodGroupCount(
+            mergedTotals[groupId]
+          );
           if (remoteCount > localCount) {
             mergedTotals[groupId] = remoteCount;
             changed = true;
@@ -579,13 +699,19 @@ export class CloudSyncManager {
         return true;
       }
 
+      await this.syncOperationHandler.snapshotBeforeMerge(
+        `Archived week ${weekStartDate} merge`
+      );
+
       // Update the archived week
       archivedWeek.totals = mergedTotals;
       archivedWeek.metadata.updatedAt = this.dataService.getCurrentTimestamp();
       archivedWeek.metadata.mergedAfterReset = true;
 
       // Save the updated archive
-      await this.dataService.saveWeekHistory(archivedWeek);
+      await this.dataService.saveWeekHistory(archivedWeek, {
+        skipSyncLog: true,
+      });
 
       logger.info(
         `Successfully merged remote data into archived week ${weekStartDate}`
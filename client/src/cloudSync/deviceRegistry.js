@@ -0,0 +1,357 @@
+/**
+ * MIND Diet Tracker PWA
+ * Copyright (c) 2024
+ *
+ * Device Registry
+ * Lists the devices that sync with the account
+ *
+ * Every sync records this device's name, browser, app version and sync
+ * time (to within an hour) in mind-diet-devices.json. Changes are saved
+ * only if the file is still at the revision they were made to, and made
+ * again to the new content otherwise. A device can be forgotten from another
+ * device: it is taken off the list, and its next sync signs it out of the
+ * provider and turns sync off until it is connected again. This relies on
+ * the forgotten device running the app; it doesn't revoke the provider's
+ * access.
+ */
+
+import { logger } from "../core/logger.js";
+import appUtils from "../utils/appUtils.js";
+import { compareRevisionInfo, hasValidFileMetadata } from "./syncUtils.js";
+
+export const DEVICES_FILE_NAME = "mind-diet-devices.json";
+const REGISTRY_FORMAT = "mind-diet-devices";
+const REGISTRY_VERSION = 1;
+
+// Per-device preference, never synced
+const DEVICE_NAME_KEY = "deviceName";
+export const DEVICE_NAME_MAX_LENGTH = 40;
+
+// When this device last found itself forgotten, so it knows it has been
+// connected again since
+const FORGOTTEN_AT_KEY = "cloudSyncForgottenAt";
+
+// A sync that would only move this device's lastSyncAt forward by less
+// than this isn't uploaded
+const LAST_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+// Times an update is made again after another device saved the registry
+const UPDATE_ATTEMPTS = 3;
+
+/**
+ * Check whether an upload failed because the file changed since it was read
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isConflict(error) {
+  return error?.status === 409 || error?.status === 412;
+}
+
+/**
+ * Describe a browser and operating system in a few words
+ * @param {string} [userAgent] - User agent string
+ * @returns {string} e.g. "Chrome on Android"
+ */
+export function summarizeUserAgent(userAgent = navigator.userAgent) {
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\//, "Opera"],
+    [/SamsungBrowser\//, "Samsung Internet"],
+    [/Firefox\/|FxiOS\//, "Firefox"],
+    [/Chrome\/|CriOS\//, "Chrome"],
+    [/Safari\//, "Safari"],
+  ];
+  const systems = [
+    [/Android/, "Android"],
+    [/iPhone|iPod/, "iOS"],
+    [/iPad/, "iPadOS"],
+    [/CrOS/, "ChromeOS"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ];
+  const find = (patterns) =>
+    patterns.find(([pattern]) => pattern.test(userAgent || ""))?.[1];
+
+  const browser = find(browsers) || "Browser";
+  const system = find(systems);
+  return system ? `${browser} on ${system}` : browser;
+}
+
+/**
+ * This device's name: the one given in Settings, or its browser and
+ * operating system
+ * @param {Object} dataService - The data service
+ * @returns {Promise<string>}
+ */
+export async function getDeviceName(dataService) {
+  const name = await dataService.getPreference(DEVICE_NAME_KEY, null);
+  return name || summarizeUserAgent();
+}
+
+/**
+ * Rename this device. Other devices see the new name after its next sync.
+ * @param {Object} dataService - The data service
+ * @param {string} name - The new name; empty to go back to the default
+ * @returns {Promise<string>} The name now in use
+ */
+export async function setDeviceName(dataService, name) {
+  const trimmed = String(name ?? "")
+    .trim()
+    .slice(0, DEVICE_NAME_MAX_LENGTH);
+  if (trimmed) {
+    await dataService.savePreference(DEVICE_NAME_KEY, trimmed);
+  } else {
+    await dataService.deletePreference(DEVICE_NAME_KEY);
+  }
+  return getDeviceName(dataService);
+}
+
+/**
+ * Reads and writes the device registry file
+ */
+export class DeviceRegistry {
+  /**
+   * @param {Object} dataService - The data service
+   * @param {Object} handler - The SyncOperationHandler, for its provider and
+   *   (encrypting) file transfers
+   */
+  constructor(dataService, handler) {
+    this.dataService = dataService;
+    this.handler = handler;
+    this.fileId = null;
+    this.appVersion = undefined;
+    // The registry as last downloaded or uploaded, and its file
+    this.content = null;
+    this.contentFileId = null;
+  }
+
+  get provider() {
+    return this.handler.provider;
+  }
+
+  get fileMetadataManager() {
+    return this.handler.fileMetadataManager;
+  }
+
+  /**
+   * Read the registry, downloading it only if it changed since it was last
+   * read or written
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh=false] - Download it regardless
+   * @returns {Promise<Object>} { devices, forgotten }, where devices maps
+   *   device IDs to { name, userAgent, appVersion, lastSyncAt, firstSyncAt }
+   *   and forgotten maps device IDs to when they were forgotten
+   */
+  async load({ fresh = false } = {}) {
+    const fileInfo = await this.provider.findOrCreateFile(DEVICES_FILE_NAME);
+    this.fileId = fileInfo.id;
+
+    const unchanged =
+      !fresh &&
+      this.content &&
+      this.contentFileId === fileInfo.id &&
+      !(await this.fileMetadataManager.checkIfFileChanged(
+        DEVICES_FILE_NAME,
+        fileInfo.id,
+        this.provider
+      ));
+    if (!unchanged) {
+      // Read before the download: a change in between only makes the next
+      // save start again
+      const revisionInfo = this.provider.capabilities?.revisions
+        ? await this.provider.getFileMetadata(fileInfo.id)
+        : null;
+      this.content = await this.handler.downloadData(
+        fileInfo.id,
+        DEVICES_FILE_NAME
+      );
+      this.contentFileId = fileInfo.id;
+      await this.fileMetadataManager.storeFileMetadata(
+        DEVICES_FILE_NAME,
+        revisionInfo || fileInfo
+      );
+    }
+
+    const content = JSON.parse(JSON.stringify(this.content ?? {}));
+
+    if (content?.format !== REGISTRY_FORMAT) {
+      return {
+        format: REGISTRY_FORMAT,
+        version: REGISTRY_VERSION,
+        devices: {},
+        forgotten: {},
+      };
+    }
+    return {
+      ...content,
+      devices: content.devices || {},
+      forgotten: content.forgotten || {},
+    };
+  }
+
+  /**
+   * Upload the registry, unless the file changed since load()
+   * @param {Object} registry - The registry from load()
+   * @returns {Promise<void>}
+   * @throws {Error} With status 412 if the file changed
+   */
+  async save(registry) {
+    if (this.provider.capabilities?.revisions) {
+      const revisionFields = this.provider.constructor.revisionFields;
+      const loaded =
+        await this.fileMetadataManager.getStoredFileMetadata(DEVICES_FILE_NAME);
+      const current = await this.provider.getFileMetadata(this.fileId);
+      if (
+        current &&
+        hasValidFileMetadata(loaded, revisionFields) &&
+        compareRevisionInfo(loaded, current, revisionFields).hasChanged
+      ) {
+        const error = new Error(
+          "The device registry changed since it was read"
+        );
+        error.status = 412;
+        throw error;
+      }
+    }
+
+    registry.updatedAt = Date.now();
+    const uploadResult = await this.handler.uploadData(
+      this.fileId,
+      registry,
+      DEVICES_FILE_NAME
+    );
+    this.content = registry;
+    this.contentFileId = this.fileId;
+    await this.fileMetadataManager.storeFileMetadata(
+      DEVICES_FILE_NAME,
+      uploadResult
+    );
+  }
+
+  /**
+   * Read the registry, edit it and save it, making the edit again to the
+   * new content if another device saved the registry in between
+   * @param {Function} edit - Called with the registry to change; returns
+   *   false if there is nothing to save
+   * @returns {Promise<void>}
+   */
+  async update(edit) {
+    for (let attempt = 1; ; attempt++) {
+      const registry = await this.load({ fresh: attempt > 1 });
+      if (edit(registry) === false) return;
+
+      try {
+        await this.save(registry);
+        return;
+      } catch (error) {
+        if (!isConflict(error) || attempt >= UPDATE_ATTEMPTS) throw error;
+        logger.info("The device registry changed on another device, retrying");
+      }
+    }
+  }
+
+  /**
+   * Check at the start of a sync whether another device forgot this one.
+   * A forgotten device takes itself off the list; the caller then signs it
+   * out. Each forget is acted on once, so the device can be connected again.
+   * @returns {Promise<boolean>} True if this device has just been forgotten
+   */
+  async checkForgotten() {
+    const deviceId = this.dataService.getDeviceId();
+    let forgottenAt = null;
+    try {
+      await this.update((registry) => {
+        forgottenAt = registry.forgotten[deviceId] || null;
+        if (forgottenAt === this.getAcknowledgedForget()) {
+          forgottenAt = null;
+        }
+        if (!forgottenAt || !registry.devices[deviceId]) return false;
+        delete registry.devices[deviceId];
+      });
+    } catch (error) {
+      // Syncing doesn't depend on the registry
+      logger.warn("Could not update the device registry:", error);
+      this.handler.journal.noteError(error, "device registry");
+    }
+    if (!forgottenAt) return false;
+
+    logger.warn("This device was forgotten by another device");
+    localStorage.setItem(FORGOTTEN_AT_KEY, String(forgottenAt));
+    return true;
+  }
+
+  /**
+   * Record this device's sync. Failures are logged, not thrown.
+   * @returns {Promise<void>}
+   */
+  async recordSync() {
+    try {
+      if (this.appVersion === undefined) {
+        const versionData = await appUtils.loadAppVersion();
+        this.appVersion = versionData?.commitHash || null;
+      }
+
+      const deviceId = this.dataService.getDeviceId();
+      const name = await getDeviceName(this.dataService);
+      await this.update((registry) => {
+        let reconnected = false;
+        if (registry.forgotten[deviceId] === this.getAcknowledgedForget()) {
+          // Connected again since it was forgotten
+          delete registry.forgotten[deviceId];
+          reconnected = true;
+        }
+
+        const now = Date.now();
+        const previous = registry.devices[deviceId];
+        const entry = {
+          name,
+          userAgent: summarizeUserAgent(),
+          appVersion: this.appVersion,
+          lastSyncAt: now,
+          firstSyncAt: previous?.firstSyncAt || now,
+        };
+        const onlySyncTimeChanged =
+          previous &&
+          ["name", "userAgent", "appVersion"].every(
+            (field) => previous[field] === entry[field]
+          ) &&
+          now - previous.lastSyncAt < LAST_SYNC_INTERVAL_MS;
+        if (!reconnected && onlySyncTimeChanged) return false;
+
+        registry.devices[deviceId] = entry;
+      });
+    } catch (error) {
+      logger.warn("Could not update the device registry:", error);
+      this.handler.journal.noteError(error, "device registry");
+    }
+  }
+
+  /**
+   * Forget another device: take it off the list and have it sign out on
+   * its next sync
+   * @param {string} deviceId - The device to forget
+   * @returns {Promise<void>}
+   */
+  async forget(deviceId) {
+    if (deviceId === this.dataService.getDeviceId()) {
+      throw new Error("This device can't forget itself");
+    }
+
+    await this.update((registry) => {
+      registry.forgotten[deviceId] = Date.now();
+      delete registry.devices[deviceId];
+    });
+    logger.info(`Forgot device ${deviceId}`);
+  }
+
+  /**
+   * When this device was last forgotten, as found by checkForgotten()
+   * @returns {number|null}
+   */
+  getAcknowledgedForget() {
+    return Number(localStorage.getItem(FORGOTTEN_AT_KEY)) || null;
+  }
+}
+
+export default DeviceRegistry;
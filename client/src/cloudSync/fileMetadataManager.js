@@ -14,16 +14,109 @@ import {
   validateSyncData,
   logSyncError,
   compareRevisionInfo,
+  extractRevisionInfo,
   hasValidFileMetadata,
 } from "./syncUtils.js";
 
+/**
+ * Get the revision fields a provider reports
+ * @param {Object} provider - The cloud provider instance
+ * @returns {string[]}
+ */
+function getRevisionFields(provider) {
+  return provider?.constructor?.revisionFields || [];
+}
+
 /**
  * Manages file metadata for cloud synchronization
  * Handles storage, retrieval, and change detection of file metadata
+ *
+ * During a sync, change detection asks the provider once what changed
+ * since the cursor stored at the end of the last sync (see
+ * CloudProvider.listChanges), and only files the provider lists are
+ * compared further. Without a usable cursor each file's metadata is
+ * fetched instead.
  */
 export class FileMetadataManager {
-  constructor(dataService) {
+  constructor(dataService, provider, journal = null) {
     this.dataService = dataService;
+    this.provider = provider;
+    this.journal = journal;
+    // Files changed since the stored cursor, by file ID and by name; null
+    // outside a sync or when every file has to be checked
+    this.changes = null;
+    this.nextCursor = null;
+  }
+
+  /**
+   * Preference key of the provider's stored change cursor
+   * @returns {string}
+   */
+  getCursorKey() {
+    return `changeCursor_${this.provider?.constructor?.id}`;
+  }
+
+  /**
+   * Ask the provider what changed since the last sync. Called at the start
+   * of a sync; without a stored cursor, files are checked one by one and a
+   * cursor is taken for next time.
+   * @returns {Promise<void>}
+   */
+  async loadChanges() {
+    this.changes = null;
+    this.nextCursor = null;
+    if (!this.provider?.capabilities?.listing) return;
+
+    try {
+      const cursor = await this.dataService.getPreference(
+        this.getCursorKey(),
+        null
+      );
+      if (cursor == null) {
+        this.nextCursor = await this.provider.getChangeCursor();
+        return;
+      }
+
+      const { files, cursor: nextCursor } =
+        await this.provider.listChanges(cursor);
+      this.nextCursor = nextCursor;
+      if (!files) return;
+
+      this.changes = new Map();
+      for (const file of files) {
+        if (file.id) this.changes.set(file.id, file);
+        if (file.name) this.changes.set(file.name, file);
+      }
+      logger.info(`${files.length} cloud file(s) changed since the last sync`);
+    } catch (error) {
+      logger.warn("Could not list cloud changes, checking each file:", error);
+    }
+  }
+
+  /**
+   * Store the cursor taken at the start of this sync, so the next sync
+   * lists what changed after it. Skipped after a sync with errors, so the
+   * files involved are listed again.
+   * @returns {Promise<void>}
+   */
+  async saveChangeCursor() {
+    if (this.nextCursor == null) return;
+    try {
+      await this.dataService.savePreference(
+        this.getCursorKey(),
+        this.nextCursor
+      );
+    } catch (error) {
+      logger.warn("Failed to store change cursor:", error);
+    }
+  }
+
+  /**
+   * Forget this sync's changes; checks outside a sync ask about each file
+   */
+  clearChanges() {
+    this.changes = null;
+    this.nextCursor = null;
   }
 
   /**
@@ -39,33 +132,14 @@ export class FileMetadataManager {
       // Log the full fileInfo to debug
       logger.info(`Full fileInfo for ${fileName}:`, fileInfo);
 
+      // Keep only the provider's revision fields, plus the file ID so the
+      // service worker can upload without looking the file up
       const metadata = {
+        ...extractRevisionInfo(fileInfo, getRevisionFields(this.provider)),
         fileName,
-        lastChecked: Date.now(),
+        fileId: fileInfo.id || null,
       };
 
-      // Store provider-specific revision info
-      if (fileInfo.rev) {
-        // Dropbox uses rev
-        metadata.rev = fileInfo.rev;
-        logger.info(`Storing Dropbox rev for ${fileName}: ${metadata.rev}`);
-      } else {
-        // For Google Drive - store all available revision indicators
-        metadata.headRevisionId = fileInfo.headRevisionId;
-        metadata.version = fileInfo.version;
-        metadata.md5Checksum = fileInfo.md5Checksum;
-
-        logger.info(
-          `Storing Google Drive headRevisionId for ${fileName}: ${metadata.headRevisionId}`
-        );
-        logger.info(
-          `Storing Google Drive version for ${fileName}: ${metadata.version}`
-        );
-        logger.info(
-          `Storing Google Drive md5Checksum for ${fileName}: ${metadata.md5Checksum}`
-        );
-      }
-
       // Save in preferences
       await this.dataService.savePreference(
         `file_metadata_${fileName}`,
@@ -94,21 +168,33 @@ export class FileMetadataManager {
    * @returns {Promise<boolean>} True if file has changed, false if unchanged
    */
   async checkIfFileChanged(fileName, fileId, provider) {
+    const changed = await this.compareWithStoredMetadata(
+      fileName,
+      fileId,
+      provider
+    );
+    this.journal?.noteFileChecked(fileName, changed);
+    return changed;
+  }
+
+  /**
+   * Compare a cloud file's revision/ETag with the one stored at its last sync
+   * @param {string} fileName - The file name to check
+   * @param {string} fileId - The file ID in the cloud
+   * @param {Object} provider - The cloud provider instance
+   * @returns {Promise<boolean>} True if file has changed, false if unchanged
+   */
+  async compareWithStoredMetadata(fileName, fileId, provider) {
     try {
-      // Skip check if no provider or not authenticated
-      if (!provider || !provider.isAuthenticated) {
+      // Skip check if no provider, not authenticated, or no revisions
+      if (
+        !provider ||
+        !provider.isAuthenticated ||
+        !provider.capabilities?.revisions
+      ) {
         return true; // Assume changed if we can't check
       }
 
-      // Get file info from the cloud
-      const fileInfo = await provider.getFileMetadata(fileId);
-
-      // If file doesn't exist or we couldn't get metadata, assume changed
-      if (!fileInfo) {
-        logger.info(`File ${fileName} not found or metadata unavailable`);
-        return true;
-      }
-
       // Get locally stored metadata
       const storedMetadata = await this.getStoredFileMetadata(fileName);
 
@@ -118,13 +204,46 @@ export class FileMetadataManager {
         return true;
       }
 
-      const providerType =
-        provider.providerName === "DropboxProvider" ? "dropbox" : "gdrive";
+      // The change list answers for the file stored at the last sync
+      const sameFile =
+        !storedMetadata.fileId || storedMetadata.fileId === fileId;
+      if (this.changes && sameFile) {
+        const change = this.changes.get(fileId) || this.changes.get(fileName);
+        if (!change) {
+          logger.debug(`File ${fileName} not in the change list, unchanged`);
+          return false;
+        }
+        if (change.deleted) return true;
+
+        // Listed files include this device's own uploads, so compare
+        // revisions where the change list has them
+        const revisionFields = getRevisionFields(provider);
+        if (revisionFields.some((field) => change[field] != null)) {
+          const comparison = compareRevisionInfo(
+            storedMetadata,
+            change,
+            revisionFields
+          );
+          logger.debug(
+            `File ${fileName}: ${comparison.revisionInfo}, changed: ${comparison.hasChanged}`
+          );
+          return comparison.hasChanged;
+        }
+      }
+
+      // Get file info from the cloud
+      const fileInfo = await provider.getFileMetadata(fileId);
+
+      // If file doesn't exist or we couldn't get metadata, assume changed
+      if (!fileInfo) {
+        logger.info(`File ${fileName} not found or metadata unavailable`);
+        return true;
+      }
 
       const comparison = compareRevisionInfo(
         storedMetadata,
         fileInfo,
-        providerType
+        getRevisionFields(provider)
       );
 
       logger.debug(
@@ -145,9 +264,7 @@ export class FileMetadataManager {
    * @returns {boolean} True if metadata is valid
    */
   validateFileMetadata(fileMetadata, provider) {
-    const providerType =
-      provider.providerName === "DropboxProvider" ? "dropbox" : "gdrive";
-    return hasValidFileMetadata(fileMetadata, providerType);
+    return hasValidFileMetadata(fileMetadata, getRevisionFields(provider));
   }
 
   /**
@@ -161,26 +278,17 @@ export class FileMetadataManager {
     }
 
     try {
+      const revisionFields = getRevisionFields(this.provider);
       const preferences = metadataEntries
         .map(({ fileName, fileInfo }) => {
           if (!fileInfo) return null;
 
           const metadata = {
+            ...extractRevisionInfo(fileInfo, revisionFields),
             fileName,
-            lastChecked: Date.now(),
+            fileId: fileInfo.id || null,
           };
 
-          // Store provider-specific revision info
-          if (fileInfo.rev) {
-            // Dropbox uses rev
-            metadata.rev = fileInfo.rev;
-          } else {
-            // For Google Drive - store all available revision indicators
-            metadata.headRevisionId = fileInfo.headRevisionId;
-            metadata.version = fileInfo.version;
-            metadata.md5Checksum = fileInfo.md5Checksum;
-          }
-
           return {
             key: `file_metadata_${fileName}`,
             value: metadata,
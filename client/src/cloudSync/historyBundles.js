@@ -0,0 +1,233 @@
+/**
+ * MIND Diet Tracker PWA
+ * Copyright (c) 2024
+ *
+ * History Bundles
+ * Packs week history into compressed yearly files for cloud sync
+ *
+ * History is stored in the cloud as one bundle per calendar year
+ * (mind-diet-history-<year>.json) holding every week that starts in that
+ * year, gzipped and base64 encoded. The history index
+ * (mind-diet-history.json) lists each week with a hash of its counts, so a
+ * device can tell which years differ from its own history without
+ * downloading them. Earlier versions stored one file per week listed in
+ * mind-diet-history-index.json; those are read when moving to bundles and
+ * whenever a device on an older version changes them, and are deleted once
+ * every device has had time to update.
+ */
+
+import { logger } from "../core/logger.js";
+import trackingEngine from "../core/trackingEngine.js";
+
+export const HISTORY_INDEX_FILE_NAME = "mind-diet-history.json";
+export const LEGACY_HISTORY_INDEX_FILE_NAME = "mind-diet-history-index.json";
+export const LEGACY_WEEK_FILE_PREFIX = "mind-diet-week-";
+
+const INDEX_FORMAT = "mind-diet-history";
+const INDEX_VERSION = 2;
+const BUNDLE_FORMAT = "mind-diet-history-bundle";
+const BUNDLE_VERSION = 1;
+
+// Bytes passed to String.fromCharCode at once when base64 encoding
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Get the year whose bundle holds a week
+ * @param {string} weekStartDate - Week start date (YYYY-MM-DD)
+ * @returns {string} The year
+ */
+export function getBundleYear(weekStartDate) {
+  return weekStartDate.slice(0, 4);
+}
+
+/**
+ * Get the file name of a year's bundle
+ * @param {string} year - The year
+ * @returns {string}
+ */
+export function getBundleFileName(year) {
+  return `mind-diet-history-${year}.json`;
+}
+
+/**
+ * Get the file name of a week in the per-week layout
+ * @param {string} weekStartDate - Week start date (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function getLegacyWeekFileName(weekStartDate) {
+  return `${LEGACY_WEEK_FILE_PREFIX}${weekStartDate}.json`;
+}
+
+/**
+ * Create an empty history index
+ * @returns {Object}
+ */
+export function createHistoryIndex() {
+  return {
+    format: INDEX_FORMAT,
+    version: INDEX_VERSION,
+    updatedAt: Date.now(),
+    weeks: {},
+  };
+}
+
+/**
+ * Check whether downloaded content is a history index
+ * @param {Object} content - Decrypted file content
+ * @returns {boolean}
+ */
+export function isHistoryIndex(content) {
+  return content?.format === INDEX_FORMAT && !!content.weeks;
+}
+
+/**
+ * Hash a week's counts. Zero counts are left out, so a week hashes the
+ * same however its empty days are stored.
+ * @param {Object} week - Week history record
+ * @returns {Promise<string>} Hex SHA-256 hash
+ */
+export async function hashWeek(week) {
+  const canonical = (counts) =>
+    Object.keys(counts || {})
+      .sort()
+      .map((groupId) => [
+        groupId,
+        trackingEngine.validateFoodGroupCount(counts[groupId]),
+      ])
+      .filter(([, count]) => count !== 0);
+
+  const days = Object.keys(week?.dailyBreakdown || {})
+    .sort()
+    .map((date) => [date, canonical(week.dailyBreakdown[date])])
+    .filter(([, counts]) => counts.length > 0);
+  const text = JSON.stringify({
+    weekStartDate: week?.weekStartDate,
+    days,
+    totals: canonical(week?.totals),
+  });
+
+  return sha256Hex(text);
+}
+
+/**
+ * Hash a whole history from its week hashes, to tell cheaply whether it
+ * changed since the last sync
+ * @param {Object} weekHashes - { weekStartDate: hash }
+ * @returns {Promise<string>} Hex SHA-256 hash
+ */
+export async function hashHistory(weekHashes) {
+  return sha256Hex(
+    JSON.stringify(
+      Object.keys(weekHashes)
+        .sort()
+        .map((date) => [date, weekHashes[date]])
+    )
+  );
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Gzip text
+ * @param {string} text - Text to compress
+ * @returns {Promise<Uint8Array>}
+ */
+async function gzip(text) {
+  const stream = new Blob([text])
+    .stream()
+    .pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Gunzip to text
+ * @param {Uint8Array} bytes - Gzipped bytes
+ * @returns {Promise<string>}
+ */
+async function gunzip(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).text();
+}
+
+/**
+ * Pack a year's weeks into bundle content. Falls back to uncompressed
+ * weeks where the browser has no CompressionStream.
+ * @param {string} year - The year
+ * @param {Array<Object>} weeks - Week history records, each with its
+ *   appliedChanges
+ * @returns {Promise<Object>} Bundle content
+ */
+export async function packBundle(year, weeks) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    year,
+    weekCount: weeks.length,
+  };
+
+  if (typeof CompressionStream === "undefined") {
+    logger.warn("CompressionStream unavailable, storing history uncompressed");
+    return { ...bundle, compression: "none", weeks };
+  }
+
+  const data = toBase64(await gzip(JSON.stringify(weeks)));
+  return { ...bundle, compression: "gzip", data };
+}
+
+/**
+ * Unpack bundle content
+ * @param {Object} content - Decrypted bundle content; empty for a new file
+ * @returns {Promise<Array<Object>>} The weeks in the bundle
+ * @throws {Error} If the content isn't a complete, readable bundle
+ */
+export async function unpackBundle(content) {
+  if (!content || Object.keys(content).length === 0) return [];
+  if (content.format !== BUNDLE_FORMAT) {
+    throw new Error("Not a history bundle");
+  }
+
+  let weeks;
+  if (content.compression === "none") {
+    weeks = content.weeks || [];
+  } else if (content.compression !== "gzip") {
+    throw new Error(`Unsupported history compression: ${content.compression}`);
+  } else if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser can't read compressed history");
+  } else {
+    weeks = JSON.parse(await gunzip(fromBase64(content.data)));
+  }
+
+  if (content.weekCount != null && weeks.length !== content.weekCount) {
+    throw new Error(
+      `History bundle holds ${weeks.length} of its ${content.weekCount} weeks`
+    );
+  }
+  return weeks;
+}
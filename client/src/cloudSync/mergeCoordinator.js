@@ -20,28 +20,40 @@ import {
 } from "./syncUtils.js";
 
 export class MergeCoordinator {
-  constructor(dataService, stateManager) {
+  /**
+   * @param {Object} dataService - The data service
+   * @param {Object} [stateManager] - The state manager
+   * @param {Function} [snapshotBeforeMerge] - Takes the sync run's snapshot
+   *   before a merge changes local data; called with what is being merged
+   */
+  constructor(dataService, stateManager, snapshotBeforeMerge = null) {
     this.dataService = dataService;
     this.stateManager = stateManager;
 
     // Initialize merge strategies
     this.currentWeekStrategy = new CurrentWeekMergeStrategy(dataService);
     this.historyStrategy = new HistoryMergeStrategy(dataService);
-    this.archiveStrategy = new ArchiveMergeStrategy(dataService, stateManager);
+    this.archiveStrategy = new ArchiveMergeStrategy(
+      dataService,
+      stateManager,
+      snapshotBeforeMerge
+    );
   }
 
   /**
    * Merge current week data using appropriate strategy
    * @param {Object} localData - Local state data
    * @param {Object} remoteData - Remote state data
+   * @param {Object|null} [baseDays=null] - Daily counts after the last sync
    * @returns {Object} Merged data
    */
-  mergeCurrentWeekData(localData, remoteData) {
+  mergeCurrentWeekData(localData, remoteData, baseDays = null) {
     try {
       logger.info("MergeCoordinator: Starting current week merge");
       const result = this.currentWeekStrategy.mergeCurrentWeekData(
         localData,
-        remoteData
+        remoteData,
+        baseDays
       );
       logger.info(
         "MergeCoordinator: Current week merge completed successfully"
@@ -57,14 +69,16 @@ export class MergeCoordinator {
    * Merge history data using appropriate strategy
    * @param {Array} localHistory - Local history array
    * @param {Array} remoteHistory - Remote history array
+   * @param {Object} [bases={}] - Daily breakdowns after the last sync
    * @returns {Object} Merge result with data and change flag
    */
-  mergeHistoryData(localHistory, remoteHistory) {
+  mergeHistoryData(localHistory, remoteHistory, bases = {}) {
     try {
       logger.info("MergeCoordinator: Starting history merge");
       const result = this.historyStrategy.mergeHistoryData(
         localHistory,
-        remoteHistory
+        remoteHistory,
+        bases
       );
       logger.info("MergeCoordinator: History merge completed successfully");
       return result;
@@ -74,6 +88,25 @@ export class MergeCoordinator {
     }
   }
 
+  /**
+   * Merge a downloaded history week into the local one
+   * @param {Object} localWeek - Local week
+   * @param {Object} remoteWeek - Remote week
+   * @param {Object|null} baseDays - Daily breakdown after the last sync
+   * @returns {Object} { data, conflicts }
+   */
+  mergeHistoryWeek(localWeek, remoteWeek, baseDays) {
+    return this.historyStrategy.mergeWeek(localWeek, remoteWeek, baseDays);
+  }
+
+  /**
+   * Days found in conflict by the last current week merge
+   * @returns {Array<Object>} [{ date, local, remote }]
+   */
+  getCurrentWeekConflicts() {
+    return this.currentWeekStrategy.getConflicts();
+  }
+
   /**
    * Execute any pending archive merge from current week strategy
    * @returns {Promise<boolean>} Success status
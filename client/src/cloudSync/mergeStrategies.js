@@ -7,6 +7,163 @@
  */
 
 import { logger } from "../core/logger.js";
+import trackingEngine from "../core/trackingEngine.js";
+
+/**
+ * Check whether two days have the same count for every food group
+ * @param {Object} dayA - { groupId: count }
+ * @param {Object} dayB - { groupId: count }
+ * @returns {boolean}
+ */
+export function isSameDay(dayA = {}, dayB = {}) {
+  const groupIds = new Set([...Object.keys(dayA), ...Object.keys(dayB)]);
+  return [...groupIds].every(
+    (groupId) =>
+      trackingEngine.validateFoodGroupCount(dayA[groupId]) ===
+      trackingEngine.validateFoodGroupCount(dayB[groupId])
+  );
+}
+
+/**
+ * Three-way merge of daily counts against the last synced base. Each side's
+ * change to a food group on a day is a delta from the base, and both deltas
+ * are applied, so servings logged offline on two devices add up. A day
+ * where one side raised a count the other lowered can't be combined; it
+ * keeps the local counts and is reported as a conflict.
+ * @param {Object} localDays - Local { "YYYY-MM-DD": { groupId: count } }
+ * @param {Object} remoteDays - Remote daily counts
+ * @param {Object} baseDays - Daily counts after the last sync
+ * @returns {Object} { days, conflicts } where conflicts are
+ *   [{ date, local, remote }]
+ */
+export function mergeDailyDeltas(localDays, remoteDays, baseDays) {
+  const count = (day, groupId) =>
+    trackingEngine.validateFoodGroupCount(day[groupId]);
+  const days = {};
+  const conflicts = [];
+
+  const dates = new Set([
+    ...Object.keys(localDays || {}),
+    ...Object.keys(remoteDays || {}),
+  ]);
+
+  [...dates].sort().forEach((date) => {
+    const local = localDays?.[date] || {};
+    const remote = remoteDays?.[date] || {};
+    const base = baseDays?.[date] || {};
+
+    // Unchanged on one side: take the other
+    if (isSameDay(local, base)) {
+      days[date] = { ...remote };
+      return;
+    }
+    if (isSameDay(remote, base) || isSameDay(local, remote)) {
+      days[date] = { ...local };
+      return;
+    }
+
+    const merged = {};
+    let divergent = false;
+    const groupIds = new Set([...Object.keys(local), ...Object.keys(remote)]);
+    groupIds.forEach((groupId) => {
+      const baseCount = count(base, groupId);
+      const localDelta = count(local, groupId) - baseCount;
+      const remoteDelta = count(remote, groupId) - baseCount;
+      if (localDelta !== 0 && remoteDelta !== 0) {
+        divergent ||= Math.sign(localDelta) !== Math.sign(remoteDelta);
+      }
+      merged[groupId] = trackingEngine.validateFoodGroupCount(
+        baseCount + localDelta + remoteDelta
+      );
+    });
+
+    if (divergent) {
+      days[date] = { ...local };
+      conflicts.push({ date, local: { ...local }, remote: { ...remote } });
+    } else {
+      days[date] = merged;
+    }
+  });
+
+  return { days, conflicts };
+}
+
+/**
+ * Sum daily counts into weekly totals
+ * @param {Object} days - { "YYYY-MM-DD": { groupId: count } }
+ * @returns {Object} { groupId: total }
+ */
+export function sumDailyCounts(days) {
+  const totals = {};
+  Object.values(days || {}).forEach((day) => {
+    Object.entries(day).forEach(([groupId, count]) => {
+      totals[groupId] = trackingEngine.validateFoodGroupCount(
+        (totals[groupId] || 0) + count
+      );
+    });
+  });
+  return totals;
+}
+
+function isSamePreference(entryA, entryB) {
+  const deletedA = !entryA || entryA.deleted;
+  const deletedB = !entryB || entryB.deleted;
+  if (deletedA || deletedB) return deletedA && deletedB;
+  return (
+    entryA.updatedAt === entryB.updatedAt &&
+    JSON.stringify(entryA.value) === JSON.stringify(entryB.value)
+  );
+}
+
+/**
+ * Merge synced preferences key by key. A side changed a key if its change
+ * time differs from the last synced one; when both did, the later change
+ * wins.
+ * @param {Object} localEntries - { key: { value, updatedAt, deleted? } }
+ * @param {Object} remoteEntries - Entries from the preferences file
+ * @param {Object} baseEntries - { key: { updatedAt } } after the last sync
+ * @param {boolean} [preferRemote=false] - Let remote changes win, for a
+ *   fresh install joining existing cloud data
+ * @returns {Object} { entries, remoteWins, needsUpload } where remoteWins
+ *   lists the keys to apply locally
+ */
+export function mergePreferences(
+  localEntries,
+  remoteEntries,
+  baseEntries,
+  preferRemote = false
+) {
+  const entries = {};
+  const remoteWins = [];
+  let needsUpload = false;
+
+  const keys = new Set([
+    ...Object.keys(localEntries),
+    ...Object.keys(remoteEntries),
+  ]);
+  keys.forEach((key) => {
+    const local = localEntries[key];
+    const remote = remoteEntries[key];
+    const baseUpdatedAt = baseEntries[key]?.updatedAt;
+    const localChanged = !!local && local.updatedAt !== baseUpdatedAt;
+    const remoteChanged = !!remote && remote.updatedAt !== baseUpdatedAt;
+
+    const remoteWinsKey =
+      !local ||
+      (remoteChanged &&
+        (!localChanged || preferRemote || remote.updatedAt > local.updatedAt));
+
+    if (remote && remoteWinsKey) {
+      entries[key] = remote;
+      if (!isSamePreference(local, remote)) remoteWins.push(key);
+    } else {
+      entries[key] = local;
+      if (!isSamePreference(local, remote)) needsUpload = true;
+    }
+  });
+
+  return { entries, remoteWins, needsUpload };
+}
 
 /**
  * Current Week Merge Strategy
@@ -20,9 +177,20 @@ export class CurrentWeekMergeStrategy {
   constructor(dataService) {
     this.dataService = dataService;
     this.pendingArchiveMerge = null;
+    this.conflicts = [];
   }
 
-  mergeCurrentWeekData(localData, remoteData) {
+  /**
+   * Merge current week data
+   * @param {Object} localData - Local state
+   * @param {Object} remoteData - Remote state
+   * @param {Object|null} [baseDays=null] - Daily counts after the last
+   *   sync, used to detect days edited on both devices
+   * @returns {Object} Merged state. Conflicted days keep the local counts;
+   *   see getConflicts().
+   */
+  mergeCurrentWeekData(localData, remoteData, baseDays = null) {
+    this.conflicts = [];
     logger.info("Merging current week data:");
     logger.debug("LOCAL data:", {
       dayDate: localData.currentDayDate,
@@ -98,6 +266,15 @@ export class CurrentWeekMergeStrategy {
       return this.handleFreshInstallMerge(localData, remoteData);
     }
 
+    // Both sides are on the same week and we know what was last synced:
+    // combine the changes made on each device since then
+    if (
+      baseDays &&
+      localData.currentWeekStartDate === remoteData.currentWeekStartDate
+    ) {
+      return this.handleThreeWayMerge(localData, remoteData, baseDays, now);
+    }
+
     // Special weekly reset handling
     if (weeklyResetPerformed) {
       return this.handleWeeklyResetMerge(
@@ -126,6 +303,70 @@ export class CurrentWeekMergeStrategy {
     );
   }
 
+  /**
+   * Merge both sides' changes since the last sync, day by day and food
+   * group by food group, instead of letting the newer timestamp win.
+   * Days that can't be combined keep the local counts and are recorded
+   * as conflicts.
+   * @param {Object} localData - Local state
+   * @param {Object} remoteData - Remote state, for the same week
+   * @param {Object} baseDays - Daily counts after the last sync
+   * @param {number} now - Merge time
+   * @returns {Object} The merged state
+   */
+  handleThreeWayMerge(localData, remoteData, baseDays, now) {
+    logger.info("THREE-WAY MERGE against last synced state");
+
+    const { days, conflicts } = mergeDailyDeltas(
+      localData.dailyCounts,
+      remoteData.dailyCounts,
+      baseDays
+    );
+    this.conflicts = conflicts;
+    if (conflicts.length > 0) {
+      logger.warn(
+        `Days edited on both devices: ${conflicts
+          .map((conflict) => conflict.date)
+          .join(", ")}`
+      );
+    }
+
+    // Upload again only if the remote copy lacks something from here
+    const remoteDays = remoteData.dailyCounts || {};
+    const differsFromRemote = Object.keys({ ...days, ...remoteDays }).some(
+      (date) => !isSameDay(days[date], remoteDays[date])
+    );
+
+    return {
+      ...localData,
+      dailyCounts: days,
+      weeklyCounts: sumDailyCounts(days),
+      metadata: {
+        ...localData.metadata,
+        lastModified: now,
+        dailyTotalsUpdatedAt: Math.max(
+          localData.metadata?.dailyTotalsUpdatedAt || 0,
+          remoteData.metadata?.dailyTotalsUpdatedAt || 0
+        ),
+        weeklyTotalsUpdatedAt: Math.max(
+          localData.metadata?.weeklyTotalsUpdatedAt || 0,
+          remoteData.metadata?.weeklyTotalsUpdatedAt || 0
+        ),
+        dailyTotalsDirty: differsFromRemote,
+        weeklyTotalsDirty: differsFromRemote,
+        currentWeekDirty: differsFromRemote,
+      },
+    };
+  }
+
+  /**
+   * Days found in conflict by the last merge
+   * @returns {Array<Object>} [{ date, local, remote }]
+   */
+  getConflicts() {
+    return this.conflicts;
+  }
+
   handleFreshInstallMerge(localData, remoteData) {
     logger.info(
       "FRESH INSTALL detected by mergeCurrentWeekData - prioritizing cloud data if it exists."
@@ -356,8 +597,13 @@ export class CurrentWeekMergeStrategy {
         }
 
         // For each food group in the remote day
-        Object.entries(remoteDay).forEach(([groupId, remoteCount]) => {
-          const localCount = localDay[groupId] || 0;
+        Object.entries(remoteDay).forEach(([groupId, rawRemoteCount]) => {
+          // Counts may be fractional; normalize to quarter servings before comparing
+          const remoteCount =
+            trackingEngine.validateFoodGroupCount(rawRemoteCount);
+          const localCount = trackingEngine.validateFoodGroupCount(
+            localDay[groupId]
+          );
 
           // If remote is newer, use it
           if (remoteDailyUpdatedAt > localDailyUpdatedAt) {
@@ -441,8 +687,12 @@ export class CurrentWeekMergeStrategy {
 
     // Process each food group in remote weekly counts
     Object.entries(remoteData.weeklyCounts || {}).forEach(
-      ([groupId, remoteCount]) => {
-        const localCount = localData.weeklyCounts?.[groupId] || 0;
+      ([groupId, rawRemoteCount]) => {
+        const remoteCount =
+          trackingEngine.validateFoodGroupCount(rawRemoteCount);
+        const localCount = trackingEngine.validateFoodGroupCount(
+          localData.weeklyCounts?.[groupId]
+        );
 
         // If remote is newer, use it
         if (remoteWeeklyUpdatedAt > localWeeklyUpdatedAt) {
@@ -497,9 +747,20 @@ export class CurrentWeekMergeStrategy {
 export class HistoryMergeStrategy {
   constructor(dataService) {
     this.dataService = dataService;
+    this.conflicts = [];
   }
 
-  mergeHistoryData(localHistory, remoteHistory) {
+  /**
+   * Merge history weeks
+   * @param {Array} localHistory - Local weeks
+   * @param {Array} remoteHistory - Remote weeks
+   * @param {Object} [bases={}] - Daily breakdowns after the last sync, by
+   *   week start date
+   * @returns {Object} { data, changed }; see getConflicts() for days
+   *   edited on both devices
+   */
+  mergeHistoryData(localHistory, remoteHistory, bases = {}) {
+    this.conflicts = [];
     logger.info("Starting history merge process");
     logger.info(`Local history: ${localHistory.length} items`);
     logger.info(`Remote history: ${remoteHistory.length} items`);
@@ -518,7 +779,8 @@ export class HistoryMergeStrategy {
     let changed = false;
 
     // Process remote history, overwriting local only if newer
-    changed = this.processRemoteHistory(validatedRemote, weekMap) || changed;
+    changed =
+      this.processRemoteHistory(validatedRemote, weekMap, bases) || changed;
 
     // Convert map back to array and sort by date (newest first)
     const mergedData = this.convertMapToSortedArray(weekMap);
@@ -582,7 +844,7 @@ export class HistoryMergeStrategy {
     });
   }
 
-  processRemoteHistory(remoteHistory, weekMap) {
+  processRemoteHistory(remoteHistory, weekMap, bases = {}) {
     let changed = false;
 
     remoteHistory.forEach((week, index) => {
@@ -625,9 +887,15 @@ export class HistoryMergeStrategy {
           logger.info(
             `Newer version found for week ${week.weekStartDate}: remote (${remoteUpdatedAt}) > local (${existingWeek.updatedAt})`
           );
+          const { data, conflicts } = this.mergeWeek(
+            existingWeek.data,
+            week,
+            bases[week.weekStartDate]
+          );
+          this.conflicts.push(...conflicts);
           weekMap.set(week.weekStartDate, {
             source: "remote",
-            data: week,
+            data,
             updatedAt: remoteUpdatedAt,
           });
           changed = true;
@@ -642,6 +910,60 @@ export class HistoryMergeStrategy {
     return changed;
   }
 
+  /**
+   * Merge a newer remote week with the local one. With a last synced
+   * breakdown to compare against, changes from both devices are combined
+   * day by day; days that can't be combined keep the local counts and the
+   * week is marked with syncStatus "conflict" until the user resolves
+   * them. Without one, the remote week is taken as is.
+   * @param {Object} localWeek - Local week
+   * @param {Object} remoteWeek - Remote week
+   * @param {Object|null} baseDays - Daily breakdown after the last sync
+   * @returns {Object} { data, conflicts } where conflicts are
+   *   [{ date, weekStartDate, local, remote }]
+   */
+  mergeWeek(localWeek, remoteWeek, baseDays) {
+    if (!baseDays) {
+      return { data: remoteWeek, conflicts: [] };
+    }
+
+    const { days, conflicts } = mergeDailyDeltas(
+      localWeek.dailyBreakdown,
+      remoteWeek.dailyBreakdown,
+      baseDays
+    );
+    const weekConflicts = conflicts.map((conflict) => ({
+      ...conflict,
+      weekStartDate: remoteWeek.weekStartDate,
+    }));
+    if (weekConflicts.length > 0) {
+      logger.warn(
+        `Week ${remoteWeek.weekStartDate} has days edited on both devices`
+      );
+    }
+
+    return {
+      data: {
+        ...remoteWeek,
+        dailyBreakdown: days,
+        totals: sumDailyCounts(days),
+        metadata: {
+          ...remoteWeek.metadata,
+          ...(weekConflicts.length > 0 && { syncStatus: "conflict" }),
+        },
+      },
+      conflicts: weekConflicts,
+    };
+  }
+
+  /**
+   * Days found in conflict by the last merge
+   * @returns {Array<Object>} [{ date, weekStartDate, local, remote }]
+   */
+  getConflicts() {
+    return this.conflicts;
+  }
+
   ensureWeekStructure(week) {
     // Ensure totals exists
     if (!week.totals) {
@@ -687,9 +1009,10 @@ export class HistoryMergeStrategy {
  * into already archived local data.
  */
 export class ArchiveMergeStrategy {
-  constructor(dataService, stateManager) {
+  constructor(dataService, stateManager, snapshotBeforeMerge = null) {
     this.dataService = dataService;
     this.stateManager = stateManager;
+    this.snapshotBeforeMerge = snapshotBeforeMerge;
   }
 
   async executeArchiveMerge(weekStartDate, remoteWeeklyCounts) {
@@ -715,6 +1038,8 @@ export class ArchiveMergeStrategy {
         return true;
       }
 
+      await this.snapshotBeforeMerge?.(`Archived week ${weekStartDate} merge`);
+
       // Update the archived week with merged data
       const updatedWeek = this.updateArchivedWeek(
         archivedWeek,
@@ -722,7 +1047,9 @@ export class ArchiveMergeStrategy {
       );
 
       // Save the updated archive
-      await this.dataService.saveWeekHistory(updatedWeek);
+      await this.dataService.saveWeekHistory(updatedWeek, {
+        skipSyncLog: true,
+      });
 
       logger.info(
         `Successfully merged remote data into archived week ${weekStartDate}`
@@ -745,8 +1072,12 @@ export class ArchiveMergeStrategy {
     const mergedTotals = { ...localTotals };
     let changed = false;
 
-    Object.entries(remoteTotals || {}).forEach(([groupId, remoteCount]) => {
-      const localCount = mergedTotals[groupId] || 0;
+    Object.entries(remoteTotals || {}).forEach(([groupId, rawRemoteCount]) => {
+      // Totals may hold fractional servings; compare at stored precision
+      const remoteCount = trackingEngine.validateFoodGroupCount(rawRemoteCount);
+      const localCount = trackingEngine.validateFoodGroupCount(
+        mergedTotals[groupId]
+      );
       if (remoteCount > localCount) {
         mergedTotals[groupId] = remoteCount;
         changed = true;
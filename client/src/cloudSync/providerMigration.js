@@ -0,0 +1,185 @@
+/**
+ * MIND Diet Tracker PWA
+ * Copyright (c) 2024
+ *
+ * Provider Migration
+ * Copies every sync file from one cloud provider to another and verifies it
+ */
+
+import { logger } from "../core/logger.js";
+import { isSameDay } from "./mergeStrategies.js";
+import { SyncEncryption } from "./syncEncryption.js";
+import { compareRevisionInfo, hasValidFileMetadata } from "./syncUtils.js";
+import trackingEngine from "../core/trackingEngine.js";
+
+/**
+ * Pick out the counts of a current week or history week file
+ * @param {Object} content - Decrypted file content
+ * @returns {Object|null} { weekStartDate, days, totals }, or null if the
+ *   file doesn't hold a week
+ */
+function getWeekCounts(content) {
+  const days = content?.dailyCounts || content?.dailyBreakdown;
+  const totals = content?.weeklyCounts || content?.totals;
+  if (!days && !totals) return null;
+
+  return {
+    weekStartDate:
+      content.currentWeekStartDate || content.weekStartDate || null,
+    days: days || {},
+    totals: totals || {},
+  };
+}
+
+/**
+ * Describe how a copied week's counts differ from the original
+ * @param {Object|null} original - Counts from getWeekCounts
+ * @param {Object|null} copy - Counts from getWeekCounts
+ * @returns {string|null} The difference, or null if they match
+ */
+function compareWeekCounts(original, copy) {
+  if (!original || !copy) return "week counts missing from the copy";
+  if (original.weekStartDate !== copy.weekStartDate) {
+    return "week start date differs";
+  }
+
+  const dates = new Set([
+    ...Object.keys(original.days),
+    ...Object.keys(copy.days),
+  ]);
+  const changedDays = [...dates].filter(
+    (date) => !isSameDay(original.days[date], copy.days[date])
+  ).length;
+
+  const groupIds = new Set([
+    ...Object.keys(original.totals),
+    ...Object.keys(copy.totals),
+  ]);
+  const changedTotals = [...groupIds].filter(
+    (groupId) =>
+      trackingEngine.validateFoodGroupCount(original.totals[groupId]) !==
+      trackingEngine.validateFoodGroupCount(copy.totals[groupId])
+  ).length;
+
+  if (changedDays === 0 && changedTotals === 0) return null;
+  return `${changedDays} day(s) and ${changedTotals} total(s) differ`;
+}
+
+/**
+ * Check whether downloaded content is empty. Providers return {} for a
+ * missing or unreadable file as well as for an empty one.
+ * @param {Object} content - Downloaded content
+ * @returns {boolean}
+ */
+function isEmptyContent(content) {
+  return !content || Object.keys(content).length === 0;
+}
+
+/**
+ * Copies the app's files from the current provider to a new one. Files are
+ * copied as stored, so encrypted files stay encrypted; only the check that
+ * compares counts decrypts them, where this device has the key.
+ */
+export class ProviderMigration {
+  /**
+   * @param {Object} dataService - The data service
+   * @param {Object} source - Authenticated provider to copy from
+   * @param {Object} target - Authenticated provider to copy to
+   */
+  constructor(dataService, source, target) {
+    this.source = source;
+    this.target = target;
+    this.encryption = new SyncEncryption(dataService, source);
+  }
+
+  /**
+   * Copy every file and read each copy back to verify it. Files with the
+   * same name on the target are replaced.
+   * @param {Function} [onProgress] - Called with (done, total, fileName)
+   * @returns {Promise<Object>} { files: [{ name, weekStartDate, problem }],
+   *   verified } where verified is true if every copy matched
+   */
+  async run(onProgress = () => {}) {
+    const sourceFiles = await this.source.listFiles();
+    logger.info(`Migrating ${sourceFiles.length} file(s)`);
+
+    const files = [];
+    for (const [index, file] of sourceFiles.entries()) {
+      onProgress(index, sourceFiles.length, file.name);
+      files.push(await this.copyFile(file));
+    }
+    onProgress(sourceFiles.length, sourceFiles.length, null);
+
+    const verified = files.every((file) => !file.problem);
+    logger.info(
+      `Migration ${verified ? "verified" : "found problems"}:`,
+      files.filter((file) => file.problem)
+    );
+    return { files, verified };
+  }
+
+  /**
+   * Copy one file and compare the copy with the original. An original that
+   * reads as empty, or that changed since it was listed, is never verified:
+   * the source files may be deleted once the copy is.
+   * @param {Object} file - Source file info
+   * @returns {Promise<Object>} { name, weekStartDate, problem }
+   */
+  async copyFile(file) {
+    const result = { name: file.name, weekStartDate: null, problem: null };
+    try {
+      const content = await this.source.downloadFile(file.id);
+      if (isEmptyContent(content)) {
+        result.problem = "the original is empty or couldn't be read";
+        return result;
+      }
+      const revisionFields = this.source.constructor.revisionFields;
+      if (hasValidFileMetadata(file, revisionFields)) {
+        const current = await this.source.getFileMetadata(file.id);
+        if (compareRevisionInfo(file, current, revisionFields).hasChanged) {
+          result.problem = "the original changed during the copy";
+          return result;
+        }
+      }
+
+      const targetFile = await this.target.findOrCreateFile(file.name);
+      await this.target.uploadFile(targetFile.id, content);
+      const copy = await this.target.downloadFile(targetFile.id);
+
+      const [original, copied] = await Promise.all([
+        this.readContent(content),
+        this.readContent(copy),
+      ]);
+      const originalCounts = getWeekCounts(original);
+      if (originalCounts) {
+        result.weekStartDate = originalCounts.weekStartDate;
+        result.problem = compareWeekCounts(
+          originalCounts,
+          getWeekCounts(copied)
+        );
+      } else if (JSON.stringify(original) !== JSON.stringify(copied)) {
+        result.problem = "content differs";
+      }
+    } catch (error) {
+      logger.error(`Failed to migrate ${file.name}:`, error);
+      result.problem = error.message;
+    }
+    return result;
+  }
+
+  /**
+   * Decrypt content for comparison, or leave it as stored if this device
+   * can't decrypt it
+   * @param {Object} content - Stored file content
+   * @returns {Promise<Object>}
+   */
+  async readContent(content) {
+    try {
+      return await this.encryption.decryptContent(content);
+    } catch {
+      return content;
+    }
+  }
+}
+
+export default ProviderMigration;
@@ -0,0 +1,509 @@
+/**
+ * MIND Diet Tracker PWA
+ * Copyright (c) 2024
+ *
+ * Sync Change Log
+ * Exchanges count changes between devices through append-only logs
+ *
+ * Every edit to a day's counts is recorded in the local syncLog store as
+ * per-day, per-food-group deltas. After each sync the new entries are
+ * appended to this device's log file in the cloud
+ * (mind-diet-changes-<deviceId>.json), and before each sync the other
+ * devices' logs are read and their new entries replayed here. Deltas add
+ * up, so servings logged offline on two devices both survive.
+ *
+ * The week files stay the source of truth. Each uploaded week file carries
+ * the sequence numbers of the log entries it already includes
+ * (appliedChanges), so an entry is never replayed on top of a file that
+ * contained it, and each log lists the files its device uploaded so a file
+ * whose counts this device already has from the log needn't be downloaded.
+ * Logs are compacted by dropping old entries; a device that falls behind
+ * the oldest entry left relies on the week files alone.
+ */
+
+import { logger } from "../core/logger.js";
+import trackingEngine from "../core/trackingEngine.js";
+import {
+  compareRevisionInfo,
+  extractRevisionInfo,
+  getSyncBase,
+  saveSyncBase,
+} from "./syncUtils.js";
+import { sumDailyCounts } from "./mergeStrategies.js";
+
+export const LOG_FILE_PREFIX = "mind-diet-changes-";
+const LOG_FORMAT = "mind-diet-changes";
+const LOG_VERSION = 1;
+const STATE_KEY = "cloudSyncChangeLog";
+
+// Log entries and upload records older than this are dropped on compaction
+const LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const LOG_MAX_ENTRIES = 500;
+
+/**
+ * Summarize a week's counts so two devices can tell whether they hold the
+ * same counts without exchanging them
+ * @param {Object} days - { "YYYY-MM-DD": { groupId: count } }
+ * @returns {string} Hex FNV-1a hash of the non-zero counts
+ */
+function countsFingerprint(days) {
+  const canonical = Object.keys(days || {})
+    .sort()
+    .map((date) =>
+      Object.keys(days[date] || {})
+        .sort()
+        .map((groupId) => [
+          groupId,
+          trackingEngine.validateFoodGroupCount(days[date][groupId]),
+        ])
+        .filter(([, count]) => count !== 0)
+        .map(([groupId, count]) => `${date}/${groupId}=${count}`)
+        .join(";")
+    )
+    .filter(Boolean)
+    .join(";");
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < canonical.length; i++) {
+    hash ^= canonical.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Add logged deltas to daily counts. Counts never go below zero.
+ * @param {Object} days - { "YYYY-MM-DD": { groupId: count } }
+ * @param {Object} changes - { "YYYY-MM-DD": { groupId: delta } }
+ * @returns {Object} New daily counts
+ */
+function applyDeltas(days, changes) {
+  const result = { ...(days || {}) };
+  Object.entries(changes).forEach(([date, groups]) => {
+    const day = { ...(result[date] || {}) };
+    Object.entries(groups).forEach(([groupId, delta]) => {
+      day[groupId] = trackingEngine.validateFoodGroupCount(
+        Math.max(0, (day[groupId] || 0) + delta)
+      );
+    });
+    result[date] = day;
+  });
+  return result;
+}
+
+/**
+ * Reads, replays and publishes per-device change logs
+ */
+export class SyncChangeLog {
+  /**
+   * @param {Object} dataService - The data service
+   * @param {Object} handler - The SyncOperationHandler, for its provider,
+   *   file metadata and (encrypting) file transfers
+   */
+  constructor(dataService, handler) {
+    this.dataService = dataService;
+    this.handler = handler;
+    this.publishThrough = 0;
+    this.uploads = {};
+    this.hasOwnLog = true;
+  }
+
+  get provider() {
+    return this.handler.provider;
+  }
+
+  get fileName() {
+    return `${LOG_FILE_PREFIX}${this.dataService.getDeviceId()}.json`;
+  }
+
+  get revisionFields() {
+    return this.provider?.constructor?.revisionFields || [];
+  }
+
+  /**
+   * Load what this device has sent and read
+   * @returns {Object} { uploadedThrough, readPositions, applied,
+   *   remoteUploads }
+   */
+  loadState() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(STATE_KEY));
+    } catch (error) {
+      logger.warn("Ignoring unreadable change log state:", error);
+    }
+    return {
+      uploadedThrough: stored?.uploadedThrough || 0,
+      readPositions: stored?.readPositions || {},
+      applied: stored?.applied || {},
+      remoteUploads: stored?.remoteUploads || {},
+    };
+  }
+
+  saveState(state) {
+    try {
+      localStorage.setItem(STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+      logger.warn("Failed to store change log state:", error);
+    }
+  }
+
+  /**
+   * Get the log entries a week file being uploaded already includes: all of
+   * this device's, plus those of other devices replayed or merged here
+   * @param {string} weekStartDate - The week in the file
+   * @returns {Promise<Object>} { deviceId: sequence number }
+   */
+  async getAppliedChanges(weekStartDate) {
+    const { applied } = this.loadState();
+    return {
+      ...(applied[weekStartDate] || {}),
+      [this.dataService.getDeviceId()]:
+        await this.dataService.getLatestSyncChangeId(),
+    };
+  }
+
+  /**
+   * Record that a week now includes the log entries a merged file included
+   * @param {string} weekStartDate - The week
+   * @param {Object} [appliedChanges] - The file's appliedChanges
+   */
+  noteAppliedChanges(weekStartDate, appliedChanges) {
+    if (!weekStartDate || !appliedChanges) return;
+    const deviceId = this.dataService.getDeviceId();
+    const state = this.loadState();
+    const week = { ...(state.applied[weekStartDate] || {}) };
+    Object.entries(appliedChanges).forEach(([device, seq]) => {
+      if (device !== deviceId && seq > (week[device] || 0)) {
+        week[device] = seq;
+      }
+    });
+    state.applied[weekStartDate] = week;
+    this.saveState(state);
+  }
+
+  /**
+   * Remember a week file uploaded in this sync, to list in the log
+   * @param {string} fileName - The file name
+   * @param {Object} details
+   * @param {string} details.weekStartDate - The week in the file
+   * @param {Object} details.days - The uploaded daily counts
+   * @param {Object} details.uploadResult - File info after the upload
+   * @param {Object} details.appliedChanges - The file's appliedChanges
+   * @param {number} [details.updatedAt] - The week's updatedAt, for history
+   */
+  noteUpload(fileName, details) {
+    this.uploads[fileName] = {
+      weekStartDate: details.weekStartDate,
+      fingerprint: countsFingerprint(details.days),
+      revision: extractRevisionInfo(details.uploadResult, this.revisionFields),
+      appliedChanges: details.appliedChanges,
+      updatedAt: details.updatedAt,
+      uploadedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Check whether any device's log lists an upload of a file
+   * @param {string} fileName - The file name
+   * @returns {boolean}
+   */
+  knowsUpload(fileName) {
+    const { remoteUploads } = this.loadState();
+    return Object.values(remoteUploads).some((uploads) => uploads[fileName]);
+  }
+
+  /**
+   * Find another device's upload of a file that holds exactly the counts
+   * this device has, so the file needn't be downloaded
+   * @param {string} fileName - The file name
+   * @param {Object} remoteInfo - The file's current info from the provider
+   * @param {string} weekStartDate - The local week
+   * @param {Object} days - The local daily counts for the week
+   * @returns {Object|null} The upload record, or null
+   */
+  findCoveringUpload(fileName, remoteInfo, weekStartDate, days) {
+    if (!remoteInfo) return null;
+    const fingerprint = countsFingerprint(days);
+    const { remoteUploads } = this.loadState();
+
+    return (
+      Object.values(remoteUploads)
+        .map((uploads) => uploads[fileName])
+        .find(
+          (upload) =>
+            upload &&
+            upload.weekStartDate === weekStartDate &&
+            upload.fingerprint === fingerprint &&
+            !compareRevisionInfo(
+              upload.revision,
+              remoteInfo,
+              this.revisionFields
+            ).hasChanged
+        ) || null
+    );
+  }
+
+  /**
+   * Replay the entries other devices logged since this device last read
+   * their logs. Called before the week files are synced.
+   * @returns {Promise<number>} Number of entries replayed
+   */
+  async replayRemoteChanges() {
+    this.uploads = {};
+    this.publishThrough = await this.dataService.getLatestSyncChangeId();
+
+    let replayed = 0;
+    try {
+      const allFiles = await this.provider.listFiles();
+      this.hasOwnLog = allFiles.some((file) => file.name === this.fileName);
+      const files = allFiles.filter(
+        (file) =>
+          file.name.startsWith(LOG_FILE_PREFIX) && file.name !== this.fileName
+      );
+
+      for (const file of files) {
+        const stored =
+          await this.handler.fileMetadataManager.getStoredFileMetadata(
+            file.name
+          );
+        if (
+          !compareRevisionInfo(stored, file, this.revisionFields).hasChanged
+        ) {
+          continue;
+        }
+
+        const log = await this.handler.downloadData(file.id, file.name);
+        if (log?.format !== LOG_FORMAT || !log.deviceId) {
+          logger.warn(`Ignoring ${file.name}: not a change log`);
+          continue;
+        }
+        replayed += await this.replayLog(log);
+        await this.handler.fileMetadataManager.storeFileMetadata(
+          file.name,
+          file
+        );
+      }
+    } catch (error) {
+      // The week files still carry every change
+      logger.warn("Could not read change logs from other devices:", error);
+      this.handler.journal.noteError(error, "change logs");
+    }
+
+    if (replayed > 0) {
+      logger.info(`Replayed ${replayed} changes from other devices`);
+    }
+    return replayed;
+  }
+
+  /**
+   * Replay one device's new log entries
+   * @param {Object} log - The downloaded log
+   * @returns {Promise<number>} Number of entries replayed
+   */
+  async replayLog(log) {
+    const device = log.deviceId;
+    const entries = [...(log.entries || [])].sort((a, b) => a.seq - b.seq);
+    const head = Math.max(
+      log.trimmedThrough || 0,
+      ...entries.map((entry) => entry.seq)
+    );
+
+    const state = this.loadState();
+    state.remoteUploads[device] = log.uploads || {};
+    const readPosition = state.readPositions[device];
+
+    // A new device's earlier changes, and any dropped from the log before
+    // we read them, arrive with the week files instead
+    if (
+      readPosition === undefined ||
+      readPosition < (log.trimmedThrough || 0)
+    ) {
+      logger.info(
+        `Starting to follow changes from device ${device} at entry ${head}`
+      );
+      state.readPositions[device] = head;
+      this.saveState(state);
+      return 0;
+    }
+    this.saveState(state);
+
+    let replayed = 0;
+    for (const entry of entries) {
+      if (entry.seq <= readPosition) continue;
+
+      // Saved after each entry so none is ever replayed twice
+      const current = this.loadState();
+      const alreadyApplied =
+        entry.seq <= (current.applied[entry.weekStartDate]?.[device] || 0);
+      if (!alreadyApplied && (await this.applyEntry(entry))) {
+        current.applied[entry.weekStartDate] = {
+          ...(current.applied[entry.weekStartDate] || {}),
+          [device]: entry.seq,
+        };
+        replayed++;
+      }
+      current.readPositions[device] = entry.seq;
+      this.saveState(current);
+    }
+
+    const current = this.loadState();
+    current.readPositions[device] = head;
+    this.saveState(current);
+    return replayed;
+  }
+
+  /**
+   * Add an entry's deltas to the local week, and to the last synced counts
+   * so the next file merge sees them as already shared
+   * @param {Object} entry - { weekStartDate, changes }
+   * @returns {Promise<boolean>} False if the week isn't on this device yet
+   */
+  async applyEntry({ weekStartDate, changes }) {
+    const state = this.dataService.loadState();
+
+    if (state.currentWeekStartDate === weekStartDate) {
+      const dailyCounts = applyDeltas(state.dailyCounts, changes);
+      this.dataService.saveState(
+        {
+          ...state,
+          dailyCounts,
+          weeklyCounts: sumDailyCounts(dailyCounts),
+        },
+        { skipSyncLog: true }
+      );
+    } else {
+      const week = await this.dataService.getWeekHistory(weekStartDate);
+      if (!week) return false;
+
+      const dailyBreakdown = applyDeltas(week.dailyBreakdown, changes);
+      await this.dataService.saveWeekHistory(
+        { ...week, dailyBreakdown, totals: sumDailyCounts(dailyBreakdown) },
+        {
+          updatedAt: week.metadata?.updatedAt,
+          syncStatus: week.metadata?.syncStatus,
+          weekStartDay: week.metadata?.weekStartDay,
+          skipSyncLog: true,
+        }
+      );
+    }
+
+    const base = getSyncBase(weekStartDate);
+    if (base) {
+      saveSyncBase(weekStartDate, applyDeltas(base, changes));
+    }
+    return true;
+  }
+
+  /**
+   * Append the changes made here before this sync started to this device's
+   * log, with the files uploaded in this sync. Called after the week files
+   * are synced, so the files always hold what the log announces.
+   * @returns {Promise<number>} Number of entries published
+   */
+  async publish() {
+    const state = this.loadState();
+    const pending = (await this.dataService.getPendingSyncChanges(0)).filter(
+      (change) =>
+        change.id > state.uploadedThrough && change.id <= this.publishThrough
+    );
+
+    const entries = pending
+      .map((change) => {
+        let data = null;
+        try {
+          data = JSON.parse(change.data);
+        } catch (error) {
+          logger.debug(`Skipping unreadable sync log entry ${change.id}`);
+        }
+        return data?.changes
+          ? {
+              seq: change.id,
+              timestamp: change.timestamp,
+              weekStartDate: data.weekStartDate,
+              changes: data.changes,
+            }
+          : null;
+      })
+      .filter(Boolean);
+
+    try {
+      // The log is created on the first sync, even if empty, so other
+      // devices follow it from the start
+      if (
+        entries.length > 0 ||
+        Object.keys(this.uploads).length > 0 ||
+        !this.hasOwnLog
+      ) {
+        const fileInfo = await this.provider.findOrCreateFile(this.fileName);
+        const existing = await this.handler.downloadData(
+          fileInfo.id,
+          this.fileName
+        );
+        const log =
+          existing?.format === LOG_FORMAT
+            ? existing
+            : {
+                format: LOG_FORMAT,
+                version: LOG_VERSION,
+                deviceId: this.dataService.getDeviceId(),
+                // Entries sent before, e.g. to another provider, aren't here
+                trimmedThrough: state.uploadedThrough,
+                entries: [],
+                uploads: {},
+              };
+
+        log.entries = [...(log.entries || []), ...entries];
+        log.uploads = { ...(log.uploads || {}), ...this.uploads };
+        log.updatedAt = Date.now();
+        this.compact(log);
+
+        await this.handler.uploadData(fileInfo.id, log, this.fileName);
+        this.hasOwnLog = true;
+        logger.info(
+          `Published ${entries.length} changes to ${this.fileName}`
+        );
+      }
+    } catch (error) {
+      // Kept in the local sync log for the next sync
+      logger.warn("Could not publish changes to the cloud:", error);
+      this.handler.journal.noteError(error, "change log");
+      return 0;
+    }
+
+    this.uploads = {};
+    if (this.publishThrough > state.uploadedThrough) {
+      state.uploadedThrough = this.publishThrough;
+      this.saveState(state);
+      await this.dataService.deleteSyncChangesThrough(this.publishThrough);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Drop old entries and upload records from a log
+   * @param {Object} log - The log, changed in place
+   */
+  compact(log) {
+    const cutoff = Date.now() - LOG_RETENTION_MS;
+    const kept = log.entries
+      .filter((entry) => entry.timestamp >= cutoff)
+      .slice(-LOG_MAX_ENTRIES);
+    const keptSeqs = new Set(kept.map((entry) => entry.seq));
+    const dropped = log.entries.filter((entry) => !keptSeqs.has(entry.seq));
+
+    if (dropped.length > 0) {
+      log.trimmedThrough = Math.max(
+        log.trimmedThrough || 0,
+        ...dropped.map((entry) => entry.seq)
+      );
+      logger.info(`Compacted change log: dropped ${dropped.length} entries`);
+    }
+    log.entries = kept;
+    log.uploads = Object.fromEntries(
+      Object.entries(log.uploads).filter(
+        ([, upload]) => upload.uploadedAt >= cutoff
+      )
+    );
+  }
+}
@@ -0,0 +1,583 @@
+/**
+ * MIND Diet Tracker PWA
+ * Copyright (c) 2024
+ *
+ * Sync Encryption
+ * Optional passphrase-based encryption of sync files
+ *
+ * A key is derived from the passphrase with PBKDF2 and used for AES-GCM.
+ * Each encrypted file is an envelope holding the IV and ciphertext of the
+ * JSON it replaces. The salt, iteration count and an encrypted check value
+ * live in a key-check file next to the sync files, so other devices derive
+ * the same key and a wrong passphrase is caught before anything is merged.
+ * Turning encryption off replaces the check with a marker sealed with the
+ * key, so only a device holding the key can turn it off for the others,
+ * and they only follow once the user agrees in Settings.
+ * The derived key is kept in IndexedDB as a non-extractable CryptoKey; the
+ * passphrase itself is never stored.
+ */
+
+import { logger } from "../core/logger.js";
+import {
+  HISTORY_INDEX_FILE_NAME,
+  LEGACY_HISTORY_INDEX_FILE_NAME,
+  getBundleFileName,
+  getBundleYear,
+  getLegacyWeekFileName,
+} from "./historyBundles.js";
+import { DEVICES_FILE_NAME } from "./deviceRegistry.js";
+import { LOG_FILE_PREFIX } from "./syncChangeLog.js";
+import { CURRENT_WEEK_FILE_NAME, PREFERENCES_FILE_NAME } from "./syncUtils.js";
+
+const ENVELOPE_FORMAT = "mind-diet-encrypted";
+const CHECK_FORMAT = "mind-diet-key-check";
+const DISABLED_FORMAT = "mind-diet-encryption-off";
+const FORMAT_VERSION = 1;
+const CHECK_FILE_NAME = "mind-diet-encryption.json";
+const CHECK_VALUE = "mind-diet-key-check";
+const DISABLED_VALUE = "mind-diet-encryption-off";
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// dataService syncKeys record ids
+const CURRENT_KEY = "syncKey";
+const PREVIOUS_KEY = "previousSyncKey";
+
+export const ENCRYPTION_ERRORS = Object.freeze({
+  LOCKED: "ENCRYPTION_LOCKED",
+  KEY_MISMATCH: "ENCRYPTION_KEY_MISMATCH",
+  WRONG_PASSPHRASE: "WRONG_PASSPHRASE",
+  UNSUPPORTED: "ENCRYPTION_UNSUPPORTED",
+  CHECK_UNREADABLE: "ENCRYPTION_CHECK_UNREADABLE",
+  DISABLED_ELSEWHERE: "ENCRYPTION_DISABLED_ELSEWHERE",
+});
+
+/**
+ * Create an error with a code from ENCRYPTION_ERRORS. Messages are shown
+ * in the sync error toast, so they say what to do next.
+ * @param {string} code - Error code
+ * @param {string} message - Message for the user
+ * @returns {Error}
+ */
+function encryptionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Check whether content is an encrypted envelope
+ * @param {Object} content - Downloaded file content
+ * @returns {boolean}
+ */
+export function isEncryptedContent(content) {
+  return content?.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Encrypts sync files on upload and decrypts them on download
+ */
+export class SyncEncryption {
+  constructor(dataService, provider) {
+    this.dataService = dataService;
+    this.provider = provider;
+  }
+
+  /**
+   * Check whether this browser has the WebCrypto features needed
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return (
+      typeof crypto !== "undefined" &&
+      !!crypto.subtle &&
+      typeof crypto.getRandomValues === "function"
+    );
+  }
+
+  /**
+   * Check whether this device has a sync key
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    return !!(await this.dataService.getSyncKey(CURRENT_KEY));
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   * @param {string} passphrase - The passphrase
+   * @param {Uint8Array} salt - PBKDF2 salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} Non-extractable key
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  /**
+   * Encrypt a value into an envelope
+   * @param {Object} keyRecord - syncKeys record
+   * @param {*} value - JSON-serializable value
+   * @returns {Promise<Object>} Envelope
+   */
+  async seal(keyRecord, value) {
+    const iv = randomBytes(IV_BYTES);
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      keyRecord.key,
+      plaintext
+    );
+    return {
+      format: ENVELOPE_FORMAT,
+      version: FORMAT_VERSION,
+      keyId: keyRecord.keyId,
+      iv: toBase64(iv),
+      data: toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  /**
+   * Decrypt an envelope. AES-GCM fails on a wrong key or altered data.
+   * @param {CryptoKey} key - The key
+   * @param {Object} envelope - Envelope from seal()
+   * @returns {Promise<*>} The original value
+   */
+  async open(key, envelope) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Find the local key that matches a key id, including the previous key
+   * while a passphrase change is being applied
+   * @param {string} keyId - Key id from an envelope
+   * @returns {Promise<Object|null>} syncKeys record or null
+   */
+  async getKeyRecord(keyId) {
+    for (const id of [CURRENT_KEY, PREVIOUS_KEY]) {
+      const record = await this.dataService.getSyncKey(id);
+      if (record && record.keyId === keyId) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Encrypt file content if encryption is on
+   * @param {Object} content - Content to upload
+   * @returns {Promise<Object>} Envelope, or the content unchanged
+   */
+  async encryptContent(content) {
+    const keyRecord = await this.dataService.getSyncKey(CURRENT_KEY);
+    if (!keyRecord) return content;
+    return this.seal(keyRecord, content);
+  }
+
+  /**
+   * Decrypt downloaded content. Plaintext passes through, so files written
+   * before encryption was turned on still read.
+   * @param {Object} content - Downloaded content
+   * @returns {Promise<Object>} Decrypted content
+   * @throws {Error} If no local key matches or decryption fails
+   */
+  async decryptContent(content) {
+    if (!isEncryptedContent(content)) return content;
+
+    const keyRecord = await this.getKeyRecord(content.keyId);
+    if (!keyRecord) {
+      throw encryptionError(
+        ENCRYPTION_ERRORS.LOCKED,
+        "Cloud data is encrypted with a passphrase this device doesn't " +
+          "have. Enter your sync passphrase in Settings."
+      );
+    }
+    try {
+      return await this.open(keyRecord.key, content);
+    } catch (error) {
+      logger.error("Could not decrypt sync file:", error);
+      throw encryptionError(
+        ENCRYPTION_ERRORS.KEY_MISMATCH,
+        "A sync file could not be decrypted. It may be damaged."
+      );
+    }
+  }
+
+  /**
+   * Read the key-check file
+   * @returns {Promise<Object|null>} { fileInfo, content } or null if missing
+   */
+  async readCheckFile() {
+    const fileInfo = await this.provider.searchFile(CHECK_FILE_NAME);
+    if (!fileInfo) return null;
+    const content = await this.provider.downloadFile(fileInfo.id);
+    return { fileInfo, content: content || {} };
+  }
+
+  /**
+   * Write the key-check file
+   * @param {Object} content - Check content, or the marker from
+   *   buildDisabledMarker() once encryption is off
+   * @returns {Promise<void>}
+   */
+  async writeCheckFile(content) {
+    const fileInfo = await this.provider.findOrCreateFile(CHECK_FILE_NAME);
+    await this.provider.uploadFile(fileInfo.id, content);
+  }
+
+  /**
+   * Build key-check content for a key
+   * @param {Object} keyRecord - syncKeys record
+   * @returns {Promise<Object>}
+   */
+  async buildCheck(keyRecord) {
+    return {
+      format: CHECK_FORMAT,
+      version: FORMAT_VERSION,
+      keyId: keyRecord.keyId,
+      kdf: {
+        algorithm: "PBKDF2",
+        hash: "SHA-256",
+        iterations: keyRecord.iterations,
+        salt: keyRecord.salt,
+      },
+      check: await this.seal(keyRecord, CHECK_VALUE),
+    };
+  }
+
+  /**
+   * Build the marker left in the key-check file when encryption is turned
+   * off. It is sealed with the key being dropped, so it can't be forged
+   * without it.
+   * @param {Object} keyRecord - syncKeys record
+   * @returns {Promise<Object>}
+   */
+  async buildDisabledMarker(keyRecord) {
+    return {
+      format: DISABLED_FORMAT,
+      version: FORMAT_VERSION,
+      keyId: keyRecord.keyId,
+      marker: await this.seal(keyRecord, DISABLED_VALUE),
+    };
+  }
+
+  /**
+   * Check that a marker from buildDisabledMarker() was sealed with a key
+   * this device has
+   * @param {Object} content - Key-check file content
+   * @returns {Promise<boolean>}
+   */
+  async isAuthenticDisabledMarker(content) {
+    const keyRecord = await this.getKeyRecord(content.keyId);
+    if (!keyRecord || !isEncryptedContent(content.marker)) return false;
+    try {
+      return (
+        (await this.open(keyRecord.key, content.marker)) === DISABLED_VALUE
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Derive a new key with a fresh salt and key id
+   * @param {string} passphrase - The passphrase
+   * @returns {Promise<Object>} syncKeys record without an id
+   */
+  async createKeyRecord(passphrase) {
+    const salt = randomBytes(SALT_BYTES);
+    return {
+      keyId: crypto.randomUUID
+        ? crypto.randomUUID()
+        : toBase64(randomBytes(16)),
+      key: await this.deriveKey(passphrase, salt, PBKDF2_ITERATIONS),
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+    };
+  }
+
+  /**
+   * Derive the key described by a remote key-check file and make sure the
+   * passphrase opens it
+   * @param {string} passphrase - The passphrase
+   * @param {Object} check - Key-check content
+   * @returns {Promise<Object>} syncKeys record without an id
+   * @throws {Error} WRONG_PASSPHRASE if the check value doesn't decrypt
+   */
+  async keyRecordFromCheck(passphrase, check) {
+    const { salt, iterations } = check.kdf;
+    const key = await this.deriveKey(passphrase, fromBase64(salt), iterations);
+    let value = null;
+    try {
+      value = await this.open(key, check.check);
+    } catch (error) {
+      // Decryption fails outright when the passphrase is wrong
+    }
+    if (value !== CHECK_VALUE) {
+      throw encryptionError(
+        ENCRYPTION_ERRORS.WRONG_PASSPHRASE,
+        "That passphrase doesn't match the one used on your other devices."
+      );
+    }
+    return { keyId: check.keyId, key, salt, iterations };
+  }
+
+  /**
+   * Make sure this device can read and write the cloud data before a sync.
+   * Recreates a missing key-check file and finishes an interrupted
+   * passphrase change. A device with a key never drops it here: encryption
+   * turned off elsewhere stops the sync until the user removes it in
+   * Settings too.
+   * @returns {Promise<void>}
+   * @throws {Error} If the cloud data uses a key this device doesn't have,
+   *   the key-check file can't be read, or encryption was turned off on
+   *   another device
+   */
+  async verify() {
+    const current = await this.dataService.getSyncKey(CURRENT_KEY);
+    const remote = await this.readCheckFile();
+    const check = remote?.content;
+
+    if (check?.format !== CHECK_FORMAT) {
+      if (!current) return;
+
+      if (!remote) {
+        // New or cleared storage: publish this device's key
+        logger.info("Key-check file missing, recreating it");
+        await this.writeCheckFile(await this.buildCheck(current));
+        return;
+      }
+
+      if (
+        check?.format === DISABLED_FORMAT &&
+        (await this.isAuthenticDisabledMarker(check))
+      ) {
+        throw encryptionError(
+          ENCRYPTION_ERRORS.DISABLED_ELSEWHERE,
+          "Sync encryption was turned off on another device. Remove it in " +
+            "Settings on this device too to keep syncing."
+        );
+      }
+
+      // A failed or blanked read, or a marker not made with this key
+      throw encryptionError(
+        ENCRYPTION_ERRORS.CHECK_UNREADABLE,
+        "The sync encryption settings in the cloud couldn't be read. Try " +
+          "again later; if this keeps happening, remove encryption in " +
+          "Settings and turn it on again."
+      );
+    }
+
+    if (!current) {
+      throw encryptionError(
+        ENCRYPTION_ERRORS.LOCKED,
+        "Cloud data is encrypted. Enter your sync passphrase in Settings."
+      );
+    }
+
+    const previous = await this.dataService.getSyncKey(PREVIOUS_KEY);
+    if (check.keyId !== current.keyId) {
+      if (previous?.keyId !== check.keyId) {
+        throw encryptionError(
+          ENCRYPTION_ERRORS.KEY_MISMATCH,
+          "The sync passphrase was changed on another device. " +
+            "Enter the new passphrase in Settings."
+        );
+      }
+      // A passphrase change stopped before publishing the new key
+      await this.writeCheckFile(await this.buildCheck(current));
+    }
+
+    if (previous) {
+      logger.info("Finishing an interrupted sync passphrase change");
+      await this.rewriteAllFiles();
+      await this.dataService.deleteSyncKey(PREVIOUS_KEY);
+    }
+  }
+
+  /**
+   * Turn encryption on. If the cloud data is already encrypted, the
+   * passphrase must match it; otherwise a new key is created and existing
+   * files are encrypted.
+   * @param {string} passphrase - The passphrase
+   * @returns {Promise<void>}
+   */
+  async enable(passphrase) {
+    if (!SyncEncryption.isSupported()) {
+      throw encryptionError(
+        ENCRYPTION_ERRORS.UNSUPPORTED,
+        "This browser can't encrypt sync data."
+      );
+    }
+    const remote = await this.readCheckFile();
+    const check = remote?.content;
+
+    if (check?.format === CHECK_FORMAT) {
+      const keyRecord = await this.keyRecordFromCheck(passphrase, check);
+      await this.dataService.saveSyncKey({ ...keyRecord, id: CURRENT_KEY });
+      logger.info("Joined encrypted sync with existing passphrase");
+      return;
+    }
+
+    const keyRecord = await this.createKeyRecord(passphrase);
+    await this.writeCheckFile(await this.buildCheck(keyRecord));
+    await this.dataService.saveSyncKey({ ...keyRecord, id: CURRENT_KEY });
+    await this.rewriteAllFiles();
+    logger.info("Sync encryption enabled");
+  }
+
+  /**
+   * Replace the passphrase and re-encrypt all files with the new key. The
+   * old key is kept until every file is rewritten.
+   * @param {string} passphrase - The new passphrase
+   * @returns {Promise<void>}
+   */
+  async changePassphrase(passphrase) {
+    const current = await this.dataService.getSyncKey(CURRENT_KEY);
+    if (!current) {
+      throw new Error("Sync encryption is not enabled on this device");
+    }
+    await this.verify();
+
+    const keyRecord = await this.createKeyRecord(passphrase);
+    await this.dataService.saveSyncKey({ ...current, id: PREVIOUS_KEY });
+    await this.dataService.saveSyncKey({ ...keyRecord, id: CURRENT_KEY });
+    await this.writeCheckFile(await this.buildCheck(keyRecord));
+    await this.rewriteAllFiles();
+    await this.dataService.deleteSyncKey(PREVIOUS_KEY);
+    logger.info("Sync passphrase changed");
+  }
+
+  /**
+   * Turn encryption off, rewriting all files as plaintext
+   * @returns {Promise<void>}
+   */
+  async disable() {
+    try {
+      await this.verify();
+    } catch (error) {
+      // The user is removing encryption, which is what these ask for
+      if (
+        error.code !== ENCRYPTION_ERRORS.DISABLED_ELSEWHERE &&
+        error.code !== ENCRYPTION_ERRORS.CHECK_UNREADABLE
+      ) {
+        throw error;
+      }
+    }
+    const current = await this.dataService.getSyncKey(CURRENT_KEY);
+    if (!current) return;
+
+    await this.rewriteAllFiles({ plaintext: true });
+    await this.writeCheckFile(await this.buildDisabledMarker(current));
+    await this.forgetKeys();
+    logger.info("Sync encryption disabled");
+  }
+
+  /**
+   * Delete this device's keys
+   * @returns {Promise<void>}
+   */
+  async forgetKeys() {
+    await this.dataService.deleteSyncKey(CURRENT_KEY);
+    await this.dataService.deleteSyncKey(PREVIOUS_KEY);
+  }
+
+  /**
+   * Re-encrypt every sync file with the current key, or write it as
+   * plaintext. Files already in the target form are left alone, so an
+   * interrupted run can be repeated.
+   * @param {Object} [options]
+   * @param {boolean} [options.plaintext=false] - Write plaintext
+   * @returns {Promise<number>} Number of files rewritten
+   */
+  async rewriteAllFiles({ plaintext = false } = {}) {
+    const current = await this.dataService.getSyncKey(CURRENT_KEY);
+    const targetKeyId = plaintext ? null : current?.keyId;
+    let rewritten = 0;
+
+    const rewrite = async (fileName) => {
+      const fileInfo = await this.provider.searchFile(fileName);
+      if (!fileInfo) return null;
+
+      const stored = await this.provider.downloadFile(fileInfo.id);
+      const content = await this.decryptContent(stored);
+      const storedKeyId = isEncryptedContent(stored) ? stored.keyId : null;
+      const isEmpty = !content || Object.keys(content).length === 0;
+
+      if (storedKeyId !== targetKeyId && !isEmpty) {
+        await this.provider.uploadFile(
+          fileInfo.id,
+          plaintext ? content : await this.seal(current, content)
+        );
+        rewritten++;
+      }
+      return content;
+    };
+
+    await rewrite(CURRENT_WEEK_FILE_NAME);
+    await rewrite(PREFERENCES_FILE_NAME);
+    await rewrite(DEVICES_FILE_NAME);
+    const index = await rewrite(HISTORY_INDEX_FILE_NAME);
+    const years = new Set(Object.keys(index?.weeks || {}).map(getBundleYear));
+    for (const year of years) {
+      await rewrite(getBundleFileName(year));
+    }
+
+    // Every device's change log
+    const files = await this.provider.listFiles();
+    for (const file of files) {
+      if (file.name.startsWith(LOG_FILE_PREFIX)) {
+        await rewrite(file.name);
+      }
+    }
+
+    // History not yet moved to bundles
+    const legacyIndex = await rewrite(LEGACY_HISTORY_INDEX_FILE_NAME);
+    for (const week of legacyIndex?.weeks || []) {
+      await rewrite(getLegacyWeekFileName(week.weekStartDate));
+    }
+
+    logger.info(`Rewrote ${rewritten} sync files`);
+    return rewritten;
+  }
+}
+
+export default SyncEncryption;
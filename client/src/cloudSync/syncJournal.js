@@ -0,0 +1,121 @@
+/**
+ * MIND Diet Tracker PWA
+ * Copyright (c) 2024
+ *
+ * Sync Journal
+ * Records what each sync run did, for troubleshooting
+ */
+
+import { logger } from "../core/logger.js";
+
+/**
+ * Collects one sync run at a time and stores it in the syncJournal store
+ * when the run finishes. Notes made outside a run are ignored.
+ */
+export class SyncJournal {
+  constructor(dataService) {
+    this.dataService = dataService;
+    this.run = null;
+  }
+
+  /**
+   * Start recording a sync run
+   * @param {string} trigger - What asked for the sync (e.g. "timer")
+   * @param {string} [provider] - Provider id
+   */
+  start(trigger, provider = null) {
+    this.run = {
+      startedAt: Date.now(),
+      trigger,
+      provider,
+      filesChecked: [],
+      downloaded: [],
+      uploaded: [],
+      decisions: [],
+      errors: [],
+    };
+  }
+
+  /**
+   * Note a file whose revision was compared with the last sync
+   * @param {string} fileName - The file
+   * @param {boolean} changed - Whether it changed since the last sync
+   */
+  noteFileChecked(fileName, changed) {
+    this.run?.filesChecked.push({ fileName, changed });
+  }
+
+  /**
+   * Note a file downloaded during the run
+   * @param {string} fileName - The file
+   */
+  noteDownload(fileName) {
+    this.run?.downloaded.push(fileName);
+  }
+
+  /**
+   * Note a file uploaded during the run
+   * @param {string} fileName - The file
+   */
+  noteUpload(fileName) {
+    this.run?.uploaded.push(fileName);
+  }
+
+  /**
+   * Note a decision about what to sync
+   * @param {Object} decision - { scope, syncCurrent, syncHistory, ... }
+   */
+  noteDecision(decision) {
+    this.run?.decisions.push({ ...decision, at: Date.now() });
+  }
+
+  /**
+   * Note an error, including ones the run recovered from
+   * @param {Error|string} error - The error
+   * @param {string} [context] - What was being synced
+   */
+  noteError(error, context = null) {
+    this.run?.errors.push({
+      message: error?.message || String(error),
+      code: error?.code || null,
+      context,
+      at: Date.now(),
+    });
+  }
+
+  /**
+   * Whether the current run has noted any errors
+   * @returns {boolean}
+   */
+  hasErrors() {
+    return (this.run?.errors.length || 0) > 0;
+  }
+
+  /**
+   * Finish the run and store it. A successful run that recovered from
+   * errors is stored as "partial".
+   * @param {string} status - "success", "error" or "skipped"
+   * @param {Object} [results] - Summary flags from the run
+   * @returns {Promise<void>}
+   */
+  async finish(status, results = {}) {
+    if (!this.run) return;
+    const finishedAt = Date.now();
+    const entry = {
+      ...this.run,
+      finishedAt,
+      duration: finishedAt - this.run.startedAt,
+      status:
+        status === "success" && this.run.errors.length > 0 ? "partial" : status,
+      results,
+    };
+    this.run = null;
+
+    try {
+      await this.dataService.addSyncJournalEntry(entry);
+    } catch (error) {
+      // The journal must never make a sync fail
+      logger.warn("Failed to save sync journal entry:", error);
+    }
+  }
+}
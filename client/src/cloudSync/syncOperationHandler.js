@@ -7,10 +7,34 @@
  */
 
 import { logger } from "../core/logger.js";
+import foodGroupsManager from "../core/foodGroupsManager.js";
+import foodLibraryManager from "../core/foodLibraryManager.js";
+import themeManager from "../core/themeManager.js";
 import { ChangeDetectionService } from "./changeDetectionService.js";
+import { DeviceRegistry } from "./deviceRegistry.js";
 import { FileMetadataManager } from "./fileMetadataManager.js";
 import { MergeCoordinator } from "./mergeCoordinator.js";
+import { isSameDay, mergePreferences } from "./mergeStrategies.js";
+import { SyncEncryption } from "./syncEncryption.js";
+import { SyncChangeLog } from "./syncChangeLog.js";
+import { SyncJournal } from "./syncJournal.js";
 import {
+  HISTORY_INDEX_FILE_NAME,
+  LEGACY_HISTORY_INDEX_FILE_NAME,
+  LEGACY_WEEK_FILE_PREFIX,
+  createHistoryIndex,
+  getBundleFileName,
+  getBundleYear,
+  getLegacyWeekFileName,
+  hashHistory,
+  hashWeek,
+  isHistoryIndex,
+  packBundle,
+  unpackBundle,
+} from "./historyBundles.js";
+import {
+  CURRENT_WEEK_FILE_NAME,
+  PREFERENCES_FILE_NAME,
   generateSyncId,
   isNetworkAvailable,
   getSyncStatus,
@@ -21,8 +45,57 @@ import {
   retryWithBackoff,
   debounce,
   throttle,
+  getSyncBase,
+  saveSyncBase,
+  getPreferenceSyncBase,
+  savePreferenceSyncBase,
+  getHistorySyncHash,
+  saveHistorySyncHash,
 } from "./syncUtils.js";
 
+// How long the per-week history files are kept after history moved to
+// bundles, for devices still on an older version
+const LEGACY_HISTORY_GRACE_MS = 60 * 24 * 60 * 60 * 1000;
+
+// Outbox record for the current week; must match BACKGROUND_UPLOAD_ID in
+// public/serviceWorker.js
+const BACKGROUND_UPLOAD_ID = "currentWeek";
+
+// Preferences shared by all devices. Sync settings such as syncWifiOnly,
+// stored file metadata and other per-device values stay local.
+export const SYNCED_PREFERENCES = Object.freeze([
+  "weekStartDay",
+  "theme",
+  "foodGroups",
+  "foodLibrary",
+]);
+
+// Check a synced preference read from the cloud, returning its normalized
+// value or throwing if it is malformed
+const PREFERENCE_VALIDATORS = Object.freeze({
+  weekStartDay: (value) => {
+    if (value !== "Sunday" && value !== "Monday") {
+      throw new Error(`Unknown week start day: ${value}`);
+    }
+    return value;
+  },
+  theme: (value) => {
+    if (!Object.values(themeManager.THEMES).includes(value)) {
+      throw new Error(`Unknown theme: ${value}`);
+    }
+    return value;
+  },
+  foodGroups: (value) => foodGroupsManager.validateFoodGroups(value),
+  foodLibrary: (value) => {
+    if (!Array.isArray(value)) {
+      throw new Error("The food library must be a list");
+    }
+    return foodLibraryManager.validateItems(value, {
+      allowUnknownGroups: true,
+    });
+  },
+});
+
 /**
  * Handles sync operations for cloud synchronization
  * Manages the coordination between change detection, metadata, and merge operations
@@ -31,10 +104,324 @@ export class SyncOperationHandler {
   constructor(dataService, provider) {
     this.dataService = dataService;
     this.provider = provider;
-    this.changeDetectionService = new ChangeDetectionService({ logger });
-    this.fileMetadataManager = new FileMetadataManager(dataService);
-    this.mergeCoordinator = new MergeCoordinator(dataService);
+    this.journal = new SyncJournal(dataService);
+    this.changeDetectionService = new ChangeDetectionService({
+      logger,
+      journal: this.journal,
+    });
+    this.fileMetadataManager = new FileMetadataManager(
+      dataService,
+      provider,
+      this.journal
+    );
+    this.mergeCoordinator = new MergeCoordinator(dataService, null, (details) =>
+      this.snapshotBeforeMerge(details)
+    );
+    this.encryption = new SyncEncryption(dataService, provider);
+    this.changeLog = new SyncChangeLog(dataService, this);
+    this.deviceRegistry = new DeviceRegistry(dataService, this);
     this.syncInProgress = false;
+    this.mergeSnapshotTaken = false;
+    this.newConflictCount = 0;
+  }
+
+  /**
+   * Download a sync file, decrypting it if needed
+   * @param {string} fileId - Provider file ID
+   * @param {string} [fileName] - File name, for the sync journal
+   * @returns {Promise<Object>} The file content
+   */
+  async downloadData(fileId, fileName = fileId) {
+    const content = await this.provider.downloadFile(fileId);
+    this.journal.noteDownload(fileName);
+    return this.encryption.decryptContent(content);
+  }
+
+  /**
+   * Upload a sync file, encrypting it if encryption is on. The revision
+   * stored at the file's last sync goes along, so providers that check
+   * revisions still do after the app is reloaded.
+   * @param {string} fileId - Provider file ID
+   * @param {Object} content - The file content
+   * @param {string} [fileName] - File name, for the sync journal and the
+   *   stored revision
+   * @returns {Promise<Object>} File info after the upload
+   */
+  async uploadData(fileId, content, fileName = fileId) {
+    const stored = await this.encryption.encryptContent(content);
+    const lastSynced =
+      await this.fileMetadataManager.getStoredFileMetadata(fileName);
+    const revision =
+      lastSynced && (!lastSynced.fileId || lastSynced.fileId === fileId)
+        ? lastSynced
+        : undefined;
+    const result = await this.provider.uploadFile(fileId, stored, revision);
+    this.journal.noteUpload(fileName);
+    return result;
+  }
+
+  /**
+   * Allow the next merge to take a fresh snapshot; called at the start of each sync run
+   */
+  resetMergeSnapshot() {
+    this.mergeSnapshotTaken = false;
+  }
+
+  /**
+   * Reset the count of conflicts found; called at the start of each sync run
+   */
+  resetConflictCount() {
+    this.newConflictCount = 0;
+  }
+
+  /**
+   * Record days edited on both devices for the user to resolve
+   * @param {Array<Object>} conflicts - [{ date, local, remote }]
+   * @param {string} weekStartDate - Week the days belong to
+   * @param {string} source - "current" or "history"
+   * @returns {Promise<void>}
+   */
+  async recordConflicts(conflicts, weekStartDate, source) {
+    for (const { date, local, remote } of conflicts) {
+      await this.dataService.saveSyncConflict({
+        id: date,
+        date,
+        weekStartDate,
+        source,
+        local,
+        remote,
+      });
+    }
+    this.newConflictCount += conflicts.length;
+  }
+
+  /**
+   * Drop recorded conflicts that were settled elsewhere: both sides now
+   * agree on the day, and not on the value this device had kept
+   * @param {string} weekStartDate - Week that was just synced
+   * @param {Object} localDays - Local daily counts after the sync
+   * @param {Object} remoteDays - Daily counts now in the cloud
+   * @returns {Promise<void>}
+   */
+  async clearSettledConflicts(weekStartDate, localDays, remoteDays) {
+    const conflicts = await this.dataService.getSyncConflicts();
+    for (const conflict of conflicts) {
+      if (conflict.weekStartDate !== weekStartDate) continue;
+      const localDay = localDays?.[conflict.date] || {};
+      if (
+        isSameDay(localDay, remoteDays?.[conflict.date] || {}) &&
+        !isSameDay(localDay, conflict.local)
+      ) {
+        logger.info(`Conflict on ${conflict.date} was resolved elsewhere`);
+        await this.dataService.deleteSyncConflict(conflict.id);
+      }
+    }
+  }
+
+  /**
+   * Skip downloading a week file if another device's change log says it
+   * holds exactly the counts this device already has
+   * @param {string} fileName - The week file
+   * @param {string} fileId - Provider file ID
+   * @param {string} weekStartDate - The week
+   * @param {Object} days - Local daily counts for the week
+   * @returns {Promise<Object|null>} The covering upload record, or null
+   */
+  async findCoveringUpload(fileName, fileId, weekStartDate, days) {
+    if (!this.changeLog.knowsUpload(fileName)) return null;
+
+    const remoteInfo = await this.provider.getFileMetadata(fileId);
+    const upload = this.changeLog.findCoveringUpload(
+      fileName,
+      remoteInfo,
+      weekStartDate,
+      days
+    );
+    if (!upload) return null;
+
+    logger.info(`${fileName} already applied from change log, not downloading`);
+    this.changeLog.noteAppliedChanges(weekStartDate, upload.appliedChanges);
+    await this.fileMetadataManager.storeFileMetadata(fileName, remoteInfo);
+    saveSyncBase(weekStartDate, days);
+    await this.clearSettledConflicts(weekStartDate, days, days);
+    return upload;
+  }
+
+  /**
+   * Snapshot local data before the first merge that changes it in this sync run
+   * @param {string} details - What is about to be merged
+   * @returns {Promise<void>}
+   */
+  async snapshotBeforeMerge(details) {
+    if (this.mergeSnapshotTaken) return;
+    this.mergeSnapshotTaken = true;
+    await this.dataService.createSnapshot(
+      this.dataService.SNAPSHOT_REASONS.SYNC_MERGE,
+      details
+    );
+  }
+
+  /**
+   * Get the synced preferences as stored on this device. A key deleted
+   * since the last sync becomes a deletion entry dated just after that
+   * sync, so any change made elsewhere since then wins over it.
+   * @param {Object} baseEntries - { key: { updatedAt, deleted? } }
+   * @returns {Promise<Object>} { key: { value, updatedAt, deleted? } }
+   */
+  async getLocalPreferenceEntries(baseEntries) {
+    const entries = {};
+    for (const key of SYNCED_PREFERENCES) {
+      const record = await this.dataService.getPreferenceRecord(key);
+      const base = baseEntries[key];
+      if (record) {
+        entries[key] = {
+          value: record.value,
+          updatedAt: record.metadata?.updatedAt || 0,
+        };
+      } else if (base?.deleted) {
+        entries[key] = { ...base };
+      } else if (base) {
+        entries[key] = { deleted: true, updatedAt: base.updatedAt + 1 };
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Sync the preferences file, merging each synced preference by its change
+   * time
+   * @returns {Promise<Array<string>>} Keys whose local value changed
+   */
+  async syncPreferences() {
+    try {
+      const fileInfo = await this.provider.findOrCreateFile(
+        PREFERENCES_FILE_NAME
+      );
+
+      const baseEntries = getPreferenceSyncBase();
+      const localEntries = await this.getLocalPreferenceEntries(baseEntries);
+      const hasLocalChanges = Object.entries(localEntries).some(
+        ([key, entry]) => entry.updatedAt !== baseEntries[key]?.updatedAt
+      );
+      const hasFileChanged = await this.fileMetadataManager.checkIfFileChanged(
+        PREFERENCES_FILE_NAME,
+        fileInfo.id,
+        this.provider
+      );
+
+      if (!hasLocalChanges && !hasFileChanged) {
+        logger.info("No preference changes, skipping preferences sync");
+        return [];
+      }
+
+      const remoteData = await this.downloadData(
+        fileInfo.id,
+        PREFERENCES_FILE_NAME
+      );
+      const remotePreferences = { ...(remoteData?.preferences || {}) };
+      const remoteEntries = {};
+      let hasInvalidEntries = false;
+      for (const key of SYNCED_PREFERENCES) {
+        const entry = remotePreferences[key];
+        if (!entry) continue;
+        if (entry.deleted) {
+          remoteEntries[key] = entry;
+          continue;
+        }
+        try {
+          remoteEntries[key] = {
+            ...entry,
+            value: PREFERENCE_VALIDATORS[key](entry.value),
+          };
+        } catch (error) {
+          // Treated as missing, so this device's value replaces it
+          logger.warn(`Ignoring invalid ${key} from the cloud:`, error);
+          this.journal.noteError(error, `preference ${key}`);
+          delete remotePreferences[key];
+          hasInvalidEntries = true;
+        }
+      }
+
+      // A new device takes the settings already in use on the others
+      const preferRemote =
+        (this.dataService.loadState().metadata?.isFreshInstall || false) &&
+        Object.keys(baseEntries).length === 0;
+
+      const { entries, remoteWins, needsUpload } = mergePreferences(
+        localEntries,
+        remoteEntries,
+        baseEntries,
+        preferRemote
+      );
+
+      const changedKeys = [];
+      for (const key of remoteWins) {
+        const entry = entries[key];
+        const local = localEntries[key];
+        if (entry.deleted) {
+          if (local && !local.deleted) {
+            await this.dataService.deletePreference(key, {
+              skipSyncLog: true,
+            });
+            changedKeys.push(key);
+          }
+          continue;
+        }
+
+        await this.dataService.savePreference(key, entry.value, {
+          updatedAt: entry.updatedAt,
+          skipSyncLog: true,
+        });
+        if (
+          !local ||
+          local.deleted ||
+          JSON.stringify(local.value) !== JSON.stringify(entry.value)
+        ) {
+          changedKeys.push(key);
+        }
+      }
+
+      if (needsUpload || hasInvalidEntries) {
+        // Keep keys this version doesn't sync, for newer app versions
+        const uploadResult = await this.uploadData(
+          fileInfo.id,
+          {
+            lastUpdated: Date.now(),
+            preferences: { ...remotePreferences, ...entries },
+          },
+          PREFERENCES_FILE_NAME
+        );
+        await this.fileMetadataManager.storeFileMetadata(
+          PREFERENCES_FILE_NAME,
+          uploadResult
+        );
+      } else {
+        await this.fileMetadataManager.storeFileMetadata(
+          PREFERENCES_FILE_NAME,
+          fileInfo
+        );
+      }
+
+      savePreferenceSyncBase(
+        Object.fromEntries(
+          Object.entries(entries).map(([key, entry]) => [
+            key,
+            entry.deleted
+              ? { updatedAt: entry.updatedAt, deleted: true }
+              : { updatedAt: entry.updatedAt },
+          ])
+        )
+      );
+
+      logger.info("Preferences synced:", {
+        changedKeys,
+        uploaded: needsUpload,
+      });
+      return changedKeys;
+    } catch (error) {
+      logger.error("Error in syncPreferences:", error);
+      throw error;
+    }
   }
 
   /**
@@ -49,7 +436,7 @@ export class SyncOperationHandler {
       }
 
       this.syncInProgress = true;
-      const currentWeekFileName = "mind-diet-current-week.json";
+      const currentWeekFileName = CURRENT_WEEK_FILE_NAME;
 
       // Get local data and check for changes
       const localData = this.dataService.loadState();
@@ -98,11 +485,23 @@ export class SyncOperationHandler {
       }
 
       // Check if file has changed
-      const hasFileChanged = await this.fileMetadataManager.checkIfFileChanged(
+      let hasFileChanged = await this.fileMetadataManager.checkIfFileChanged(
         currentWeekFileName,
         fileInfo.id,
         this.provider
       );
+      if (
+        hasFileChanged &&
+        cloudFileExists &&
+        (await this.findCoveringUpload(
+          currentWeekFileName,
+          fileInfo.id,
+          localData.currentWeekStartDate,
+          localData.dailyCounts
+        ))
+      ) {
+        hasFileChanged = false;
+      }
 
       // Determine sync needs
       const syncNeeds = this.changeDetectionService.determineSyncNeeds(
@@ -110,6 +509,11 @@ export class SyncOperationHandler {
         { hasChanged: hasFileChanged, reason: "remote changes" },
         cloudFileExists
       );
+      this.changeDetectionService.logSyncDecision(
+        syncNeeds,
+        localData.metadata,
+        "current week"
+      );
 
       // If no changes needed, skip sync
       if (!syncNeeds.syncCurrent) {
@@ -127,7 +531,10 @@ export class SyncOperationHandler {
       // Download if needed
       if (hasFileChanged) {
         try {
-          remoteData = await this.provider.downloadFile(fileInfo.id);
+          remoteData = await this.downloadData(
+            fileInfo.id,
+            currentWeekFileName
+          );
           logger.info("Successfully downloaded data from server");
         } catch (downloadError) {
           logger.error("Error downloading from cloud:", downloadError);
@@ -147,13 +554,28 @@ export class SyncOperationHandler {
           const originalData = JSON.stringify(localData);
           dataToUpload = await this.mergeCoordinator.mergeCurrentWeekData(
             localData,
-            remoteData
+            remoteData,
+            getSyncBase(localData.currentWeekStartDate)
+          );
+          await this.recordConflicts(
+            this.mergeCoordinator.getCurrentWeekConflicts(),
+            localData.currentWeekStartDate,
+            "current"
           );
+          if (
+            remoteData.currentWeekStartDate === localData.currentWeekStartDate
+          ) {
+            this.changeLog.noteAppliedChanges(
+              remoteData.currentWeekStartDate,
+              remoteData.appliedChanges
+            );
+          }
           const mergedData = JSON.stringify(dataToUpload);
           mergeChangedData = originalData !== mergedData;
           logger.info("Successfully merged data");
           if (mergeChangedData) {
             logger.info("Merge detected data changes");
+            await this.snapshotBeforeMerge("Current week merge");
             // Log specific changes for debugging
             const originalDailyCounts = localData.dailyCounts || {};
             const mergedDailyCounts = dataToUpload.dailyCounts || {};
@@ -195,11 +617,21 @@ export class SyncOperationHandler {
       if (needsUpload) {
         try {
           logger.info("Uploading data to cloud");
-          const uploadResult = await this.provider.uploadFile(
+          const appliedChanges = await this.changeLog.getAppliedChanges(
+            dataToUpload.currentWeekStartDate
+          );
+          const uploadResult = await this.uploadData(
             fileInfo.id,
-            dataToUpload
+            { ...dataToUpload, appliedChanges },
+            currentWeekFileName
           );
           logger.info("Successfully uploaded data to server");
+          this.changeLog.noteUpload(currentWeekFileName, {
+            weekStartDate: dataToUpload.currentWeekStartDate,
+            days: dataToUpload.dailyCounts,
+            uploadResult,
+            appliedChanges,
+          });
 
           // Store file metadata after upload
           await this.fileMetadataManager.storeFileMetadata(
@@ -212,9 +644,27 @@ export class SyncOperationHandler {
             dataToUpload.metadata.currentWeekDirty = false;
             dataToUpload.metadata.dailyTotalsDirty = false;
             dataToUpload.metadata.weeklyTotalsDirty = false;
-            this.dataService.saveState(dataToUpload);
+            this.dataService.saveState(dataToUpload, { skipSyncLog: true });
           }
 
+          // The uploaded days are the base for the next conflict check
+          saveSyncBase(
+            dataToUpload.currentWeekStartDate,
+            dataToUpload.dailyCounts
+          );
+          await this.clearSettledConflicts(
+            dataToUpload.currentWeekStartDate,
+            dataToUpload.dailyCounts,
+            dataToUpload.dailyCounts
+          );
+
+          // A queued background upload is now out of date
+          await this.dataService
+            .deleteSyncOutboxEntry(BACKGROUND_UPLOAD_ID)
+            .catch((error) =>
+              logger.warn("Could not clear background upload:", error)
+            );
+
           return { downloaded: !!remoteData, uploaded: true };
         } catch (uploadError) {
           logger.error("Error uploading to cloud:", uploadError);
@@ -226,6 +676,20 @@ export class SyncOperationHandler {
         }
       } else {
         logger.info("No data changes detected, skipping upload");
+        if (
+          remoteData &&
+          remoteData.currentWeekStartDate === localData.currentWeekStartDate
+        ) {
+          saveSyncBase(
+            remoteData.currentWeekStartDate,
+            remoteData.dailyCounts
+          );
+          await this.clearSettledConflicts(
+            localData.currentWeekStartDate,
+            localData.dailyCounts,
+            remoteData.dailyCounts
+          );
+        }
         return { downloaded: !!remoteData, uploaded: false };
       }
     } catch (error) {
@@ -237,222 +701,205 @@ export class SyncOperationHandler {
   }
 
   /**
-   * Sync history data
-   * @returns {Promise<Array>} List of weeks that need syncing
+   * Build the outbox record the service worker uses to upload the current
+   * week while the app is closed. The upload only goes through if the cloud
+   * file is still at the revision of the last sync, so nothing needs merging.
+   * @returns {Promise<Object|null>} The record, or null if the current week
+   *   has no unsynced changes or can't be uploaded in the background
+   */
+  async prepareBackgroundUpload() {
+    if (!this.provider?.capabilities?.backgroundSync) return null;
+
+    const localData = this.dataService.loadState();
+    const metadata = localData.metadata || {};
+    if (
+      !metadata.currentWeekDirty &&
+      !metadata.dailyTotalsDirty &&
+      !metadata.weeklyTotalsDirty
+    ) {
+      return null;
+    }
+
+    // The file ID and revision come from the last sync; without them there
+    // is nothing safe to upload over
+    const stored = await this.fileMetadataManager.getStoredFileMetadata(
+      CURRENT_WEEK_FILE_NAME
+    );
+    if (!stored?.fileId) return null;
+
+    const revision = Object.fromEntries(
+      this.provider.constructor.revisionFields.map((field) => [
+        field,
+        stored[field] ?? null,
+      ])
+    );
+    const request = this.provider.getBackgroundUploadRequest(
+      stored.fileId,
+      revision
+    );
+    if (!request) return null;
+
+    const appliedChanges = await this.changeLog.getAppliedChanges(
+      localData.currentWeekStartDate
+    );
+    return {
+      id: BACKGROUND_UPLOAD_ID,
+      provider: this.provider.constructor.id,
+      fileName: CURRENT_WEEK_FILE_NAME,
+      fileId: stored.fileId,
+      revision,
+      request,
+      content: await this.encryption.encryptContent({
+        ...localData,
+        appliedChanges,
+      }),
+      weekStartDate: localData.currentWeekStartDate,
+      preparedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Sync history through the history index and the yearly bundles. Only
+   * years holding a week whose hash differs from the index are downloaded
+   * and uploaded, and the index itself is only read if it or the local
+   * history changed since the last history sync.
+   * @returns {Promise<Array>} Weeks that were synced, as
+   *   { weekStartDate, direction }
    */
   async syncHistory() {
     try {
-      const historyIndexFileName = "mind-diet-history-index.json";
-
-      // Find or create the history index file
-      const fileInfo = await this.provider.findOrCreateFile(
-        historyIndexFileName
+      const indexFile = await this.provider.findOrCreateFile(
+        HISTORY_INDEX_FILE_NAME
+      );
+      const legacyIndexFile = await this.provider.searchFile(
+        LEGACY_HISTORY_INDEX_FILE_NAME
       );
 
-      // Get local history state
-      const localHistory = await this.dataService.getAllWeekHistory();
-      const currentState = await this.dataService.loadState();
-      const historyDirty = currentState.metadata?.historyDirty || false;
-
-      logger.info("Local history state:", {
-        weekCount: localHistory.length,
-        historyDirty,
-      });
-
-      // Check if file has changed
-      const changeStatus = await this.fileMetadataManager.checkIfFileChanged(
-        historyIndexFileName,
-        fileInfo.id,
+      let localHistory = await this.dataService.getAllWeekHistory();
+      let localHashes = await this.hashWeeks(localHistory);
+      const localChanged =
+        this.dataService.loadState().metadata?.historyDirty ||
+        (await hashHistory(localHashes)) !== getHistorySyncHash();
+      const remoteChanged = await this.fileMetadataManager.checkIfFileChanged(
+        HISTORY_INDEX_FILE_NAME,
+        indexFile.id,
         this.provider
       );
+      const legacyChanged =
+        !!legacyIndexFile &&
+        (await this.fileMetadataManager.checkIfFileChanged(
+          LEGACY_HISTORY_INDEX_FILE_NAME,
+          legacyIndexFile.id,
+          this.provider
+        ));
+      if (!localChanged && !remoteChanged && !legacyChanged) {
+        logger.info("History unchanged here and in the cloud, skipping");
+        return [];
+      }
 
-      logger.info("History index change status:", changeStatus);
-
-      // Create local index
-      const localIndex = {
-        lastUpdated: Date.now(),
-        weeks: localHistory.map((week) => ({
-          weekStartDate: week.weekStartDate,
-          updatedAt: week.metadata?.updatedAt || 0,
-        })),
-      };
-      logger.info("Local history index:", localIndex);
-
-      // Download remote index
-      logger.info("Downloading remote index...");
-      const remoteIndex = await this.provider.downloadFile(fileInfo.id);
-      logger.info("Remote history index:", remoteIndex);
-
-      // Store file metadata
-      await this.fileMetadataManager.storeFileMetadata(
-        historyIndexFileName,
-        fileInfo
+      const storedIndex = await this.downloadData(
+        indexFile.id,
+        HISTORY_INDEX_FILE_NAME
       );
-
-      // Initialize weeksToSync array early to avoid temporal dead zone
-      const weeksToSync = [];
-
-      // If remote index exists, compare with local history
-      if (remoteIndex && Object.keys(remoteIndex).length > 0) {
-        logger.info("Remote index found, comparing with local history");
-
-        // Combine local and remote weeks, removing duplicates
-        const allWeeks = [...localIndex.weeks, ...(remoteIndex.weeks || [])];
-        logger.debug("All weeks before deduplication:", allWeeks.length);
-
-        // Deduplicate weeks, keeping the most recent version
-        const uniqueWeeks = allWeeks.reduce((acc, week) => {
-          const existing = acc.find(
-            (w) => w.weekStartDate === week.weekStartDate
-          );
-          if (!existing || week.updatedAt > existing.updatedAt) {
-            return [
-              ...acc.filter((w) => w.weekStartDate !== week.weekStartDate),
-              week,
-            ];
-          }
-          return acc;
-        }, []);
-        logger.debug("Unique weeks after deduplication:", uniqueWeeks.length);
-
-        // Update the index with deduplicated weeks
-        localIndex.weeks = uniqueWeeks;
+      const index = isHistoryIndex(storedIndex)
+        ? storedIndex
+        : createHistoryIndex();
+      let indexChanged = !isHistoryIndex(storedIndex);
+      let failed = false;
+
+      // Bring in weeks from the per-week files, written before history
+      // moved to bundles and still by devices on an older version
+      if (legacyChanged) {
+        failed = !(await this.readLegacyHistory(legacyIndexFile));
+        localHistory = await this.dataService.getAllWeekHistory();
+        localHashes = await this.hashWeeks(localHistory);
       }
-
-      // Determine if index upload is needed
-      let shouldUploadIndex = false;
-
-      // Only upload if:
-      // 1. Local history has dirty flags
-      if (historyDirty) {
-        shouldUploadIndex = true;
-        logger.info(
-          "History index upload needed: local history has dirty flags"
-        );
+      if (legacyIndexFile && !index.legacyMovedAt) {
+        index.legacyMovedAt = Date.now();
+        indexChanged = true;
       }
 
-      // 2. Remote data was downloaded and merged (index changed)
-      if (remoteIndex && Object.keys(remoteIndex).length > 0) {
-        const originalWeekCount = remoteIndex.weeks
-          ? remoteIndex.weeks.length
-          : 0;
-        const newWeekCount = localIndex.weeks.length;
-        if (newWeekCount !== originalWeekCount) {
-          shouldUploadIndex = true;
-          logger.info(
-            `History index upload needed: week count changed from ${originalWeekCount} to ${newWeekCount}`
+      const weekStartDates = new Set([
+        ...Object.keys(localHashes),
+        ...Object.keys(index.weeks),
+      ]);
+      const changedYears = [
+        ...new Set(
+          [...weekStartDates]
+            .filter((date) => localHashes[date] !== index.weeks[date]?.hash)
+            .map(getBundleYear)
+        ),
+      ].sort();
+      logger.info("History state:", {
+        weekCount: weekStartDates.size,
+        changedYears,
+      });
+
+      const weeksToSync = [];
+      for (const year of changedYears) {
+        try {
+          const result = await this.syncHistoryBundle(
+            year,
+            localHistory.filter(
+              (week) => getBundleYear(week.weekStartDate) === year
+            ),
+            index
           );
+          weeksToSync.push(...result.weeks);
+          indexChanged = indexChanged || result.indexChanged;
+        } catch (error) {
+          failed = true;
+          logger.error(`Error syncing history for ${year}:`, error);
+          this.journal.noteError(error, `history ${year}`);
         }
       }
 
-      // Check for weeks that need uploading (local changes)
-      const weeksToUpload = localHistory
-        .filter((week) => {
-          // Include week if it's dirty or doesn't exist in remote
-          const remoteWeek = remoteIndex?.weeks?.find(
-            (w) => w.weekStartDate === week.weekStartDate
-          );
-          return !remoteWeek || week.metadata?.updatedAt > remoteWeek.updatedAt;
-        })
-        .map((week) => ({
-          weekStartDate: week.weekStartDate,
-          direction: "upload",
-        }));
-
-      // Check for weeks that need downloading (remote changes)
-      if (remoteIndex?.weeks) {
-        const weeksToDownload = remoteIndex.weeks
-          .filter((remoteWeek) => {
-            // Include week if it doesn't exist locally or remote is newer
-            const localWeek = localHistory.find(
-              (w) => w.weekStartDate === remoteWeek.weekStartDate
-            );
-            return (
-              !localWeek ||
-              remoteWeek.updatedAt > (localWeek.metadata?.updatedAt || 0)
-            );
-          })
-          .map((week) => ({
-            weekStartDate: week.weekStartDate,
-            direction: "download",
-          }));
-
-        weeksToSync.push(...weeksToDownload);
+      // Devices still on the per-week files have had time to update
+      if (
+        legacyIndexFile &&
+        !failed &&
+        Date.now() - index.legacyMovedAt >= LEGACY_HISTORY_GRACE_MS
+      ) {
+        await this.deleteLegacyHistory();
+        delete index.legacyMovedAt;
+        indexChanged = true;
       }
 
-      weeksToSync.push(...weeksToUpload);
-
-      // 3. Weeks were actually synced
-      if (weeksToSync.length > 0) {
-        shouldUploadIndex = true;
-        logger.info(
-          `History index upload needed: ${weeksToSync.length} weeks were synced`
-        );
+      let storedInfo = indexFile;
+      if (indexChanged) {
+        index.updatedAt = Date.now();
+        storedInfo =
+          (await this.uploadData(
+            indexFile.id,
+            index,
+            HISTORY_INDEX_FILE_NAME
+          )) || indexFile;
       }
+      await this.fileMetadataManager.storeFileMetadata(
+        HISTORY_INDEX_FILE_NAME,
+        storedInfo
+      );
 
-      // Only upload if needed
-      if (shouldUploadIndex) {
-        logger.info("Uploading updated history index");
-        const content = localIndex;
-        logger.debug("Content size:", JSON.stringify(content).length);
-        await this.provider.uploadFile(fileInfo.id, content);
-        logger.info("Upload successful:", historyIndexFileName);
-
-        // Get the updated file info
-        const updatedFileInfo = await this.provider.getFileMetadata(
-          fileInfo.id
-        );
-        logger.info(
-          "Full fileInfo for",
-          historyIndexFileName + ":",
-          updatedFileInfo
-        );
-
-        // Store the updated metadata
-        await this.fileMetadataManager.storeFileMetadata(
-          historyIndexFileName,
-          updatedFileInfo
-        );
+      if (failed) {
+        // Check every year again next time
+        saveHistorySyncHash(null);
       } else {
-        logger.info("No history changes detected, skipping index upload");
-        // Still store the current metadata to avoid unnecessary change detection in future
-        await this.fileMetadataManager.storeFileMetadata(
-          historyIndexFileName,
-          fileInfo
+        // Local history now matches the index
+        saveHistorySyncHash(
+          await hashHistory(
+            Object.fromEntries(
+              Object.entries(index.weeks).map(([date, entry]) => [
+                date,
+                entry.hash,
+              ])
+            )
+          )
         );
-      }
-
-      logger.info("Weeks to sync:", weeksToSync);
-
-      // Sync each week that needs syncing
-      let syncSuccessCount = 0;
-      const metadataToStore = []; // Collect metadata for bulk storage
-
-      for (const weekInfo of weeksToSync) {
-        try {
-          const success = await this.syncWeek(
-            weekInfo.weekStartDate,
-            weekInfo.direction
-          );
-          if (success) {
-            syncSuccessCount++;
-            // Collect metadata for bulk storage
-            const weekFileName = `mind-diet-week-${weekInfo.weekStartDate}.json`;
-            const fileInfo = await this.provider.findOrCreateFile(weekFileName);
-            metadataToStore.push({ fileName: weekFileName, fileInfo });
-          }
-        } catch (error) {
-          logger.error(`Error syncing week ${weekInfo.weekStartDate}:`, error);
-        }
-      }
-
-      // Bulk store metadata for all synced weeks
-      if (metadataToStore.length > 0) {
-        await this.fileMetadataManager.bulkStoreFileMetadata(metadataToStore);
+        this.clearHistoryDirty();
       }
 
       logger.info(
-        `Synced ${syncSuccessCount} out of ${weeksToSync.length} weeks`
+        `Synced ${weeksToSync.length} history weeks in ${changedYears.length} bundles`
       );
       return weeksToSync;
     } catch (error) {
@@ -462,133 +909,282 @@ export class SyncOperationHandler {
   }
 
   /**
-   * Sync a specific week
-   * @param {string} weekStartDate - The week start date
-   * @param {string} direction - The sync direction ("upload" or "download")
-   * @returns {Promise<boolean>} Success status
+   * Hash each week of a history
+   * @param {Array<Object>} weeks - Week history records
+   * @returns {Promise<Object>} { weekStartDate: hash }
    */
-  async syncWeek(weekStartDate, direction) {
-    logger.info(`=== Syncing week ${weekStartDate} (${direction}) ===`);
+  async hashWeeks(weeks) {
+    const hashes = {};
+    for (const week of weeks) {
+      hashes[week.weekStartDate] = await hashWeek(week);
+    }
+    return hashes;
+  }
 
-    try {
-      const weekFileName = `mind-diet-week-${weekStartDate}.json`;
+  /**
+   * Clear the history dirty flag once history is synced
+   */
+  clearHistoryDirty() {
+    const state = this.dataService.loadState();
+    if (state.metadata?.historyDirty) {
+      state.metadata.historyDirty = false;
+      this.dataService.saveState(state, { skipSyncLog: true });
+    }
+  }
 
-      // Find or create the week file
-      const fileInfo = await this.provider.findOrCreateFile(weekFileName);
+  /**
+   * Sync one year's bundle: merge its weeks into local history, then upload
+   * the year if the cloud lacks anything this device has
+   * @param {string} year - The year
+   * @param {Array<Object>} localWeeks - Local weeks starting in the year
+   * @param {Object} index - The history index, updated in place
+   * @returns {Promise<Object>} { weeks: [{ weekStartDate, direction }],
+   *   indexChanged }
+   * @throws {Error} If the bundle can't be read, leaving the year for the
+   *   next sync
+   */
+  async syncHistoryBundle(year, localWeeks, index) {
+    const fileName = getBundleFileName(year);
+    const fileInfo = await this.provider.findOrCreateFile(fileName);
+
+    // Read even when the index lists none of the year's weeks, so a week
+    // another device added is never overwritten
+    const remoteWeeks = await unpackBundle(
+      await this.downloadData(fileInfo.id, fileName)
+    );
+
+    // Providers return {} for a failed read. Uploading this device's weeks
+    // over it would drop the other devices' weeks for the year, and the
+    // index would then forget them.
+    const indexedCount = Object.keys(index.weeks).filter(
+      (date) => getBundleYear(date) === year
+    ).length;
+    if (remoteWeeks.length === 0 && indexedCount > 0) {
+      throw new Error(
+        `${fileName} read as empty, but the history index lists ${indexedCount} weeks in it`
+      );
+    }
 
-      let syncSuccessful = false;
+    const localByDate = new Map(
+      localWeeks.map((week) => [week.weekStartDate, week])
+    );
+    const remoteByDate = new Map(
+      remoteWeeks.map((week) => [week.weekStartDate, week])
+    );
+    const dates = [
+      ...new Set([...localByDate.keys(), ...remoteByDate.keys()]),
+    ].sort();
+
+    const bundleWeeks = [];
+    const weeks = [];
+    let uploadNeeded = false;
+    for (const date of dates) {
+      const result = await this.mergeRemoteWeek(
+        localByDate.get(date),
+        remoteByDate.get(date)
+      );
+      bundleWeeks.push(result.week);
+      if (result.downloaded) {
+        weeks.push({ weekStartDate: date, direction: "download" });
+      }
+      if (result.uploadNeeded) {
+        weeks.push({ weekStartDate: date, direction: "upload" });
+        uploadNeeded = true;
+      }
+    }
 
-      if (direction === "upload") {
-        // Get the local week data
-        const localWeek = await this.dataService.getWeekHistory(weekStartDate);
+    let storedInfo = fileInfo;
+    if (uploadNeeded) {
+      const content = await packBundle(
+        year,
+        await Promise.all(
+          bundleWeeks.map(async (week) => ({
+            ...week,
+            appliedChanges: await this.changeLog.getAppliedChanges(
+              week.weekStartDate
+            ),
+          }))
+        )
+      );
+      storedInfo =
+        (await this.uploadData(fileInfo.id, content, fileName)) || fileInfo;
+      logger.info(`Uploaded ${bundleWeeks.length} weeks to ${fileName}`);
+    }
+    await this.fileMetadataManager.storeFileMetadata(fileName, storedInfo);
+
+    // The cloud now holds the synced weeks as they are here
+    for (const { weekStartDate } of weeks) {
+      const week = bundleWeeks.find((w) => w.weekStartDate === weekStartDate);
+      saveSyncBase(weekStartDate, week.dailyBreakdown);
+      await this.clearSettledConflicts(
+        weekStartDate,
+        week.dailyBreakdown,
+        week.dailyBreakdown
+      );
+    }
 
-        if (!localWeek) {
-          logger.warn(`Local week ${weekStartDate} not found for upload`);
-          return false;
-        }
+    // Point the index at what the bundle holds now
+    let indexChanged = false;
+    for (const date of Object.keys(index.weeks)) {
+      if (getBundleYear(date) === year && !dates.includes(date)) {
+        delete index.weeks[date];
+        indexChanged = true;
+      }
+    }
+    for (const week of bundleWeeks) {
+      const entry = {
+        hash: await hashWeek(week),
+        updatedAt: week.metadata?.updatedAt || 0,
+      };
+      const indexed = index.weeks[week.weekStartDate];
+      if (
+        indexed?.hash !== entry.hash ||
+        indexed?.updatedAt !== entry.updatedAt
+      ) {
+        index.weeks[week.weekStartDate] = entry;
+        indexChanged = true;
+      }
+    }
 
-        // Check if file has changed before uploading
-        const hasFileChanged =
-          await this.fileMetadataManager.checkIfFileChanged(
-            weekFileName,
-            fileInfo.id,
-            this.provider
-          );
+    return { weeks, indexChanged };
+  }
 
-        // If uploading and remote file exists but hasn't changed,
-        // compare timestamps to determine if upload is needed
-        if (!hasFileChanged) {
-          const storedMetadata =
-            await this.fileMetadataManager.getStoredFileMetadata(weekFileName);
-          if (
-            storedMetadata &&
-            localWeek.metadata &&
-            storedMetadata.lastModified >= localWeek.metadata.updatedAt &&
-            !(await this.dataService.loadState()).metadata?.historyDirty
-          ) {
-            logger.info(
-              `Week ${weekStartDate} has no changes, skipping upload`
-            );
-            return true;
-          }
-        }
+  /**
+   * Merge a week from the cloud into local history. Days edited on both
+   * devices since the last sync are merged; without a last synced state the
+   * more recently updated week wins.
+   * @param {Object} [localWeek] - The local week, if there is one
+   * @param {Object} [remoteWeek] - The week from the cloud, if there is one
+   * @returns {Promise<Object>} { week, downloaded, uploadNeeded } where week
+   *   is the week as now stored here, downloaded is true if the local week
+   *   changed, and uploadNeeded is true if the cloud lacks it
+   */
+  async mergeRemoteWeek(localWeek, remoteWeek) {
+    if (!remoteWeek) {
+      return { week: localWeek, downloaded: false, uploadNeeded: true };
+    }
 
-        // Upload to cloud
-        const uploadResult = await this.provider.uploadFile(
-          fileInfo.id,
-          localWeek
-        );
-        logger.debug(`Week ${weekStartDate} uploaded successfully`);
+    const weekStartDate = remoteWeek.weekStartDate;
+    this.changeLog.noteAppliedChanges(weekStartDate, remoteWeek.appliedChanges);
 
-        // Store metadata after upload
-        await this.fileMetadataManager.storeFileMetadata(
-          weekFileName,
-          uploadResult || fileInfo
-        );
+    const remoteHash = await hashWeek(remoteWeek);
+    const localHash = localWeek ? await hashWeek(localWeek) : null;
+    if (localHash === remoteHash) {
+      return { week: localWeek, downloaded: false, uploadNeeded: false };
+    }
 
-        syncSuccessful = true;
-      } else {
-        // download
-        // Check if local week already exists with same or newer timestamp
-        const localWeek = await this.dataService.getWeekHistory(weekStartDate);
-        if (localWeek) {
-          // Check if we should skip download
-          const hasFileChanged =
-            await this.fileMetadataManager.checkIfFileChanged(
-              weekFileName,
-              fileInfo.id,
-              this.provider
-            );
+    let merged = remoteWeek;
+    let conflicts = [];
+    const baseDays = getSyncBase(weekStartDate);
+    if (localWeek && baseDays) {
+      ({ data: merged, conflicts } = this.mergeCoordinator.mergeHistoryWeek(
+        localWeek,
+        remoteWeek,
+        baseDays
+      ));
+      await this.recordConflicts(conflicts, weekStartDate, "history");
+    } else if (
+      localWeek &&
+      (localWeek.metadata?.updatedAt || 0) >=
+        (remoteWeek.metadata?.updatedAt || 0)
+    ) {
+      merged = localWeek;
+    }
 
-          // Get the remote week's metadata to compare timestamps
-          const remoteWeek = await this.provider.downloadFile(fileInfo.id);
-          if (
-            !remoteWeek ||
-            !remoteWeek.metadata ||
-            !remoteWeek.metadata.updatedAt
-          ) {
-            logger.warn(
-              `Remote week ${weekStartDate} has no metadata, proceeding with download`
-            );
-          } else if (
-            !hasFileChanged &&
-            localWeek.metadata &&
-            localWeek.metadata.updatedAt >= remoteWeek.metadata.updatedAt
-          ) {
-            logger.info(
-              `Week ${weekStartDate} has no changes, skipping download`
-            );
-            return true;
-          }
-        }
+    const mergedHash = await hashWeek(merged);
+    let week = localWeek;
+    if (mergedHash !== localHash) {
+      if (localWeek) {
+        await this.snapshotBeforeMerge(`Week ${weekStartDate} download`);
+      }
+      await this.dataService.saveWeekHistory(merged, {
+        syncStatus: conflicts.length > 0 ? "conflict" : "synced",
+        updatedAt: Math.max(
+          localWeek?.metadata?.updatedAt || 0,
+          remoteWeek.metadata?.updatedAt || 0
+        ),
+        weekStartDay: merged.metadata?.weekStartDay,
+        skipSyncLog: true,
+      });
+      week = await this.dataService.getWeekHistory(weekStartDate);
+      logger.info(`Week ${weekStartDate} downloaded successfully`);
+    }
 
-        // Download the remote week data
-        const remoteWeek = await this.provider.downloadFile(fileInfo.id);
+    return {
+      week,
+      downloaded: mergedHash !== localHash,
+      uploadNeeded: mergedHash !== remoteHash,
+    };
+  }
 
-        if (!remoteWeek || !remoteWeek.weekStartDate) {
-          logger.warn(`Remote week ${weekStartDate} not found or invalid`);
-          return false;
+  /**
+   * Read the per-week history files into local history. Only weeks updated
+   * after the local copy are downloaded.
+   * @param {Object} indexFile - File info of the per-week index
+   * @returns {Promise<boolean>} True if every week could be read
+   */
+  async readLegacyHistory(indexFile) {
+    const legacyIndex = await this.downloadData(
+      indexFile.id,
+      LEGACY_HISTORY_INDEX_FILE_NAME
+    );
+
+    let complete = true;
+    let read = 0;
+    for (const entry of legacyIndex?.weeks || []) {
+      const weekStartDate = entry.weekStartDate;
+      const fileName = getLegacyWeekFileName(weekStartDate);
+      try {
+        const localWeek = await this.dataService.getWeekHistory(weekStartDate);
+        if (
+          localWeek &&
+          (localWeek.metadata?.updatedAt || 0) >= (entry.updatedAt || 0)
+        ) {
+          continue;
         }
 
-        // Save to local database
-        await this.dataService.saveWeekHistory(remoteWeek, {
-          syncStatus: "synced",
-        });
-        logger.info(`Week ${weekStartDate} downloaded successfully`);
+        const fileInfo = await this.provider.searchFile(fileName);
+        const remoteWeek =
+          fileInfo && (await this.downloadData(fileInfo.id, fileName));
+        if (!remoteWeek?.weekStartDate) {
+          throw new Error(`${fileName} is missing or invalid`);
+        }
+        await this.mergeRemoteWeek(localWeek, remoteWeek);
+        read++;
+      } catch (error) {
+        complete = false;
+        logger.error(`Error reading week ${weekStartDate}:`, error);
+        this.journal.noteError(error, `week ${weekStartDate}`);
+      }
+    }
+    logger.info(`Read ${read} weeks from per-week history files`);
 
-        // Store metadata after download
-        await this.fileMetadataManager.storeFileMetadata(
-          weekFileName,
-          fileInfo
-        );
+    if (complete) {
+      await this.fileMetadataManager.storeFileMetadata(
+        LEGACY_HISTORY_INDEX_FILE_NAME,
+        indexFile
+      );
+    }
+    return complete;
+  }
 
-        syncSuccessful = true;
+  /**
+   * Delete the per-week history files
+   * @returns {Promise<void>}
+   */
+  async deleteLegacyHistory() {
+    try {
+      const files = (await this.provider.listFiles()).filter(
+        (file) =>
+          file.name.startsWith(LEGACY_WEEK_FILE_PREFIX) ||
+          file.name === LEGACY_HISTORY_INDEX_FILE_NAME
+      );
+      for (const file of files) {
+        await this.provider.deleteFile(file.id);
       }
-
-      return syncSuccessful;
+      logger.info(`Deleted ${files.length} per-week history files`);
     } catch (error) {
-      logger.error(`Error syncing week ${weekStartDate}:`, error);
-      return false;
+      logger.warn("Could not delete per-week history files:", error);
     }
   }
 }
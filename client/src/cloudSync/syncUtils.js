@@ -7,6 +7,10 @@
 
 import { logger } from "../core/logger.js";
 
+// Sync File Names
+export const CURRENT_WEEK_FILE_NAME = "mind-diet-current-week.json";
+export const PREFERENCES_FILE_NAME = "mind-diet-preferences.json";
+
 // Timestamp Utilities
 export function getCurrentTimestamp() {
   return new Date().toISOString();
@@ -90,10 +94,29 @@ export function shouldSyncHistory(metadata, alwaysCheckCloudChanges = true) {
   );
 }
 
+/**
+ * Get the value of a revision field, including from raw API responses that
+ * wrap it in `result`
+ * @param {Object} fileInfo - File info or stored metadata
+ * @param {string} field - Field name
+ * @returns {*} The value, or undefined
+ */
+function getRevisionValue(fileInfo, field) {
+  return fileInfo[field] ?? fileInfo.result?.[field];
+}
+
+/**
+ * Compare stored and remote revision info. Every revision field present on
+ * both sides must match for the file to count as unchanged.
+ * @param {Object} localMetadata - Metadata stored after the last sync
+ * @param {Object} remoteMetadata - Current file info from the provider
+ * @param {string[]} revisionFields - The provider's revisionFields
+ * @returns {{hasChanged: boolean, reason: string, revisionInfo: string}}
+ */
 export function compareRevisionInfo(
   localMetadata,
   remoteMetadata,
-  providerType
+  revisionFields
 ) {
   if (!localMetadata || !remoteMetadata) {
     return {
@@ -103,35 +126,36 @@ export function compareRevisionInfo(
     };
   }
 
-  let hasChanged = false;
-  let revisionInfo = "";
-
-  if (providerType === "dropbox") {
-    // Dropbox uses rev property
-    hasChanged = remoteMetadata.rev !== localMetadata.rev;
-    revisionInfo = `rev ${remoteMetadata.rev} vs stored ${localMetadata.rev}`;
-  } else {
-    // Google Drive - try different ways to detect changes in priority order
-    if (remoteMetadata.headRevisionId && localMetadata.headRevisionId) {
-      // Best - compare head revision IDs
-      hasChanged =
-        remoteMetadata.headRevisionId !== localMetadata.headRevisionId;
-      revisionInfo = `headRevisionId ${remoteMetadata.headRevisionId} vs stored ${localMetadata.headRevisionId}`;
-    } else if (remoteMetadata.version && localMetadata.version) {
-      // Next best - compare version numbers
-      hasChanged = remoteMetadata.version !== localMetadata.version;
-      revisionInfo = `version ${remoteMetadata.version} vs stored ${localMetadata.version}`;
-    } else if (remoteMetadata.md5Checksum && localMetadata.md5Checksum) {
-      // Fallback - compare content checksums
-      hasChanged = remoteMetadata.md5Checksum !== localMetadata.md5Checksum;
-      revisionInfo = `md5Checksum ${remoteMetadata.md5Checksum} vs stored ${localMetadata.md5Checksum}`;
-    } else {
-      // If no reliable indicators, assume changed
-      hasChanged = true;
-      revisionInfo = "no reliable revision indicators available";
-    }
+  const compared = (revisionFields || []).filter(
+    (field) =>
+      getRevisionValue(localMetadata, field) != null &&
+      getRevisionValue(remoteMetadata, field) != null
+  );
+
+  if (compared.length === 0) {
+    // If no reliable indicators, assume changed
+    return {
+      hasChanged: true,
+      reason: "revision mismatch",
+      revisionInfo: "no reliable revision indicators available",
+    };
   }
 
+  const hasChanged = compared.some(
+    (field) =>
+      getRevisionValue(remoteMetadata, field) !==
+      getRevisionValue(localMetadata, field)
+  );
+  const revisionInfo = compared
+    .map(
+      (field) =>
+        `${field} ${getRevisionValue(
+          remoteMetadata,
+          field
+        )} vs stored ${getRevisionValue(localMetadata, field)}`
+    )
+    .join(", ");
+
   return {
     hasChanged,
     reason: hasChanged ? "revision mismatch" : "no change detected",
@@ -139,7 +163,13 @@ export function compareRevisionInfo(
   };
 }
 
-export function extractRevisionInfo(fileInfo, providerType) {
+/**
+ * Pick the revision fields out of provider file info for storage
+ * @param {Object} fileInfo - File info from the provider
+ * @param {string[]} revisionFields - The provider's revisionFields
+ * @returns {Object} { fileName, lastChecked, ...revision fields }
+ */
+export function extractRevisionInfo(fileInfo, revisionFields) {
   if (!fileInfo) return {};
 
   const extracted = {
@@ -147,21 +177,8 @@ export function extractRevisionInfo(fileInfo, providerType) {
     lastChecked: Date.now(),
   };
 
-  if (providerType === "dropbox") {
-    // Dropbox uses rev
-    const rev =
-      fileInfo.rev ||
-      fileInfo.result?.rev ||
-      (fileInfo[".tag"] === "file" && fileInfo.rev);
-
-    extracted.rev = rev;
-  } else {
-    // Google Drive - store all available revision indicators
-    extracted.headRevisionId =
-      fileInfo.headRevisionId || fileInfo.result?.headRevisionId;
-    extracted.version = fileInfo.version || fileInfo.result?.version;
-    extracted.md5Checksum =
-      fileInfo.md5Checksum || fileInfo.result?.md5Checksum;
+  for (const field of revisionFields || []) {
+    extracted[field] = getRevisionValue(fileInfo, field) ?? null;
   }
 
   return extracted;
@@ -294,20 +311,19 @@ export function validateMergeResult(result) {
   return true;
 }
 
-export function hasValidFileMetadata(fileMetadata, providerType) {
+/**
+ * Check that metadata has at least one revision field to compare
+ * @param {Object} fileMetadata - Stored metadata or file info
+ * @param {string[]} revisionFields - The provider's revisionFields
+ * @returns {boolean}
+ */
+export function hasValidFileMetadata(fileMetadata, revisionFields) {
   if (!fileMetadata) return false;
 
-  if (providerType === "dropbox") {
-    return typeof fileMetadata.rev === "string" && fileMetadata.rev.length > 0;
-  } else {
-    // Google Drive
-    return (
-      typeof fileMetadata.headRevisionId === "string" &&
-      fileMetadata.headRevisionId.length > 0 &&
-      typeof fileMetadata.version === "string" &&
-      fileMetadata.version.length > 0
-    );
-  }
+  return (revisionFields || []).some((field) => {
+    const value = getRevisionValue(fileMetadata, field);
+    return value != null && value !== "";
+  });
 }
 
 // Sync Utilities
@@ -348,6 +364,105 @@ export function clearSyncStatus() {
   localStorage.removeItem("hasPendingChanges");
 }
 
+// Last-synced daily counts per week, the common base for conflict detection
+const SYNC_BASE_KEY = "cloudSyncBase";
+const SYNC_BASE_MAX_WEEKS = 12;
+
+function loadSyncBases() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_BASE_KEY)) || {};
+  } catch (error) {
+    logger.warn("Ignoring unreadable sync base:", error);
+    return {};
+  }
+}
+
+/**
+ * Get the daily counts of a week as they were after its last sync
+ * @param {string} weekStartDate - Week start date (YYYY-MM-DD)
+ * @returns {Object|null} { "YYYY-MM-DD": { groupId: count } } or null
+ */
+export function getSyncBase(weekStartDate) {
+  return loadSyncBases()[weekStartDate] || null;
+}
+
+/**
+ * Remember the daily counts of a week as now stored in the cloud. Only the
+ * most recent weeks are kept; older weeks are rarely edited on two devices.
+ * @param {string} weekStartDate - Week start date (YYYY-MM-DD)
+ * @param {Object} dailyCounts - { "YYYY-MM-DD": { groupId: count } }
+ */
+export function saveSyncBase(weekStartDate, dailyCounts) {
+  if (!weekStartDate) return;
+  const bases = loadSyncBases();
+  bases[weekStartDate] = JSON.parse(JSON.stringify(dailyCounts || {}));
+
+  const recent = Object.keys(bases)
+    .sort()
+    .slice(-SYNC_BASE_MAX_WEEKS);
+  const kept = Object.fromEntries(recent.map((week) => [week, bases[week]]));
+  try {
+    localStorage.setItem(SYNC_BASE_KEY, JSON.stringify(kept));
+  } catch (error) {
+    logger.warn("Failed to store sync base:", error);
+  }
+}
+
+// Last-synced change time of each synced preference
+const PREFERENCE_SYNC_BASE_KEY = "cloudSyncPreferenceBase";
+
+/**
+ * Get the synced preferences as they were after the last sync
+ * @returns {Object} { key: { updatedAt, deleted? } }
+ */
+export function getPreferenceSyncBase() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFERENCE_SYNC_BASE_KEY)) || {};
+  } catch (error) {
+    logger.warn("Ignoring unreadable preference sync base:", error);
+    return {};
+  }
+}
+
+/**
+ * Remember the synced preferences as now stored in the cloud
+ * @param {Object} entries - { key: { updatedAt, deleted? } }
+ */
+export function savePreferenceSyncBase(entries) {
+  try {
+    localStorage.setItem(PREFERENCE_SYNC_BASE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    logger.warn("Failed to store preference sync base:", error);
+  }
+}
+
+// Hash of the history as it was after the last complete history sync
+const HISTORY_SYNC_HASH_KEY = "cloudSyncHistoryHash";
+
+/**
+ * Get the hash of the history as it was after the last history sync
+ * @returns {string|null}
+ */
+export function getHistorySyncHash() {
+  return localStorage.getItem(HISTORY_SYNC_HASH_KEY);
+}
+
+/**
+ * Remember the hash of the history as now stored in the cloud
+ * @param {string|null} hash - The hash, or null to sync history next time
+ */
+export function saveHistorySyncHash(hash) {
+  try {
+    if (hash) {
+      localStorage.setItem(HISTORY_SYNC_HASH_KEY, hash);
+    } else {
+      localStorage.removeItem(HISTORY_SYNC_HASH_KEY);
+    }
+  } catch (error) {
+    logger.warn("Failed to store history sync hash:", error);
+  }
+}
+
 export function getSyncError(error) {
   if (error instanceof Error) {
     return {
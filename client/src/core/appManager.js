@@ -61,6 +61,7 @@ export default class AppManager {
       aboutBtn: null,
       settingsBtn: null,
       exportBtn: null,
+      exportCsvBtn: null,
       importBtnTrigger: null,
       importFileInput: null,
 
@@ -89,6 +90,7 @@ export default class AppManager {
     this.domElements.aboutBtn = document.getElementById("about-btn");
     this.domElements.settingsBtn = document.getElementById("settings-btn");
     this.domElements.exportBtn = document.getElementById("export-btn");
+    this.domElements.exportCsvBtn = document.getElementById("export-csv-btn");
     this.domElements.importBtnTrigger =
       document.getElementById("import-btn-trigger");
     this.domElements.importFileInput =
@@ -161,22 +163,14 @@ export default class AppManager {
     // Check if we have a cloud sync manager
     const hasSyncManager = !!this.cloudSync;
 
-    // Check authentication status (provider-specific)
+    // Check authentication status
     let isAuthenticated = false;
     let providerName = "none";
 
     if (hasSyncManager && this.cloudSync.provider) {
       // Get provider name for more detailed logging
       providerName = this.cloudSync.provider.providerName;
-
-      // Check if the current provider is authenticated
-      if (providerName === "DropboxProvider") {
-        // For Dropbox, check if we have an access token
-        isAuthenticated = !!this.cloudSync.provider.ACCESS_TOKEN;
-      } else {
-        // For Google Drive, use the internal flag
-        isAuthenticated = this.cloudSync.isAuthenticated;
-      }
+      isAuthenticated = this.cloudSync.isAuthenticated;
     }
 
     // Get other sync state
@@ -428,7 +422,7 @@ export default class AppManager {
         default:
           // Default: Standard sync
           logger.debug("Performing standard sync");
-          syncResult = await this.performStandardSync();
+          syncResult = await this.performStandardSync(trigger);
       }
 
       // Mark sync as completed
@@ -506,7 +500,7 @@ export default class AppManager {
   async performInitialSync() {
     logger.info("Performing initial sync");
     // Initial sync should be full sync with no restrictions
-    return this.cloudSync.sync(true); // silent = true
+    return this.cloudSync.sync(true, "initial"); // silent = true
   }
 
   async performTimerSync() {
@@ -516,7 +510,7 @@ export default class AppManager {
     try {
       // Always perform a sync to check for remote changes
       // The sync operation handler will determine if upload is needed
-      return this.cloudSync.sync(true); // silent = true
+      return this.cloudSync.sync(true, "timer"); // silent = true
     } catch (error) {
       logger.error("Timer sync failed:", error);
       return false;
@@ -530,7 +524,7 @@ export default class AppManager {
     try {
       // Always perform a sync to check for remote changes
       // The sync operation handler will determine if upload is needed
-      return this.cloudSync.sync(true); // silent = true
+      return this.cloudSync.sync(true, "visibility"); // silent = true
     } catch (error) {
       logger.error("Visibility sync failed:", error);
       return false;
@@ -540,19 +534,19 @@ export default class AppManager {
   async performManualSync() {
     logger.info("Performing manual sync");
     // Manual sync should be full sync with user feedback
-    return this.cloudSync.sync(false); // silent = false
+    return this.cloudSync.sync(false, "manual"); // silent = false
   }
 
   async performReloadSync() {
     logger.info("Performing reload sync");
     // Reload sync should check for cross-device changes
-    return this.cloudSync.sync(true); // silent = true
+    return this.cloudSync.sync(true, "reload"); // silent = true
   }
 
-  async performStandardSync() {
+  async performStandardSync(trigger = "standard") {
     logger.info("Performing standard sync");
     // Default sync behavior
-    return this.cloudSync.sync(true); // silent = true
+    return this.cloudSync.sync(true, trigger); // silent = true
   }
 
   /**
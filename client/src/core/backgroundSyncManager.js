@@ -0,0 +1,122 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Background Sync Manager - Sync the current week after the app is closed
+ *
+ * When the app is hidden with unsynced changes, the current week is queued
+ * in the syncOutbox store together with a plain description of the upload
+ * (see CloudProvider.getBackgroundUploadRequest). The service worker sends
+ * it when Background Sync reports a connection, or on a Periodic Background
+ * Sync check, without loading the app. Anything that needs a merge is left
+ * for the app; if the app is open the worker asks it to sync instead.
+ */
+
+import logger from "./logger.js";
+
+// Must match BACKGROUND_SYNC_TAG in public/serviceWorker.js
+const SYNC_TAG = "mind-sync";
+const PERIODIC_MIN_INTERVAL_MS = 60 * 60 * 1000;
+
+let onSyncRequested = null;
+
+/**
+ * Check whether this browser can sync in the background
+ * @returns {boolean}
+ */
+function isSupported() {
+  return (
+    "serviceWorker" in navigator &&
+    ("SyncManager" in window || "PeriodicSyncManager" in window)
+  );
+}
+
+/**
+ * Listen for the service worker asking the open app to sync
+ * @param {Object} options
+ * @param {Function} options.requestSync - Called to start a sync
+ */
+function initialize({ requestSync }) {
+  onSyncRequested = requestSync;
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type !== "SYNC_REQUESTED") return;
+    logger.info("Service worker asked the app to sync");
+    onSyncRequested?.();
+  });
+}
+
+/**
+ * Queue the current week's unsynced changes and ask the service worker to
+ * upload them once there is a connection. Not awaited by callers:
+ * `serviceWorker.ready` never settles if registration failed.
+ * @param {Object} cloudSync - The CloudSyncManager
+ * @returns {Promise<boolean>} True if an upload was queued
+ */
+async function queueUpload(cloudSync) {
+  if (!cloudSync || !isSupported()) return false;
+  if (!(await cloudSync.prepareBackgroundSync())) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(SYNC_TAG);
+    }
+    await registerPeriodicSync(registration);
+    return true;
+  } catch (error) {
+    logger.debug("Background sync registration failed:", error);
+    return false;
+  }
+}
+
+/**
+ * Also retry on periodic checks, in case one-off Background Sync gave up,
+ * where the browser has granted it
+ * @param {ServiceWorkerRegistration} registration
+ */
+async function registerPeriodicSync(registration) {
+  if (!registration.periodicSync) return;
+
+  try {
+    const status = await navigator.permissions?.query({
+      name: "periodic-background-sync",
+    });
+    if (status && status.state !== "granted") return;
+
+    await registration.periodicSync.register(SYNC_TAG, {
+      minInterval: PERIODIC_MIN_INTERVAL_MS,
+    });
+  } catch (error) {
+    logger.debug("Periodic background sync unavailable:", error);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+export default {
+  initialize,
+  isSupported,
+  queueUpload,
+};
+
+// Named exports for convenience
+export { initialize, isSupported, queueUpload };
@@ -33,14 +33,40 @@ import dateUtils from "../utils/dateUtils.js";
 
 // Constants
 const DB_NAME = "MindDietTrackerDB";
-const DB_VERSION = 2;
+const DB_VERSION = 8;
 const STORES = {
   HISTORY: "weeklyHistory",
   PREFERENCES: "userPreferences",
   SYNC_LOG: "syncLog",
+  SNAPSHOTS: "snapshots",
+  FILE_HANDLES: "fileHandles",
+  SYNC_KEYS: "syncKeys",
+  SYNC_CONFLICTS: "syncConflicts",
+  SYNC_JOURNAL: "syncJournal",
+  SYNC_OUTBOX: "syncOutbox",
 };
 const LOCAL_STORAGE_KEY = "mindTrackerState";
 
+// Automatic snapshots taken before destructive operations
+const SNAPSHOT_REASONS = {
+  IMPORT: "import",
+  CLEAR_HISTORY: "clear-history",
+  DELETE_CLOUD_FILES: "delete-cloud-files",
+  SYNC_MERGE: "sync-merge",
+  RESTORE: "restore",
+};
+const SNAPSHOT_RETENTION_KEY = "snapshotRetention";
+
+// Preferences holding this device's sync connection (stored file metadata,
+// change cursors, sync provider and on/off), which a restore or import
+// leaves alone
+const DEVICE_SYNC_PREFERENCE_PATTERN =
+  /^(file_metadata_|changeCursor_|cloudSync)/;
+const DEFAULT_SNAPSHOT_RETENTION = 10;
+
+// Number of sync runs kept in the sync journal
+const SYNC_JOURNAL_MAX_ENTRIES = 200;
+
 // Schema version and structure
 // In dataService.js - Update the SCHEMA object with correct structure
 // Find this section near the top of the file
@@ -54,6 +80,7 @@ const SCHEMA = {
     selectedTrackerDate: String, // YYYY-MM-DD, the date being viewed/edited in tracker
     dailyCounts: Object, // { "YYYY-MM-DD": { foodGroupId: count, ... }, ... }
     weeklyCounts: Object, // { foodGroupId: totalCountForWeek, ... }
+    dailyItemLogs: Object, // { "YYYY-MM-DD": [{ id, itemId, name, servings, loggedAt }, ...] }
     lastModified: Number, // Timestamp
     metadata: {
       schemaVersion: Number,
@@ -84,6 +111,7 @@ const SCHEMA = {
     weekEndDate: String,
     dailyBreakdown: Object, // { "YYYY-MM-DD": { foodGroupId: count, ... }, ... } for the 7 days of this week
     totals: Object, // Summed weekly totals { foodGroupId: totalCount, ... }
+    dailyItemLogs: Object, // Food library items logged per day (servings already in dailyBreakdown)
     targets: Object,
     metadata: {
       createdAt: Number, // Timestamp
@@ -256,6 +284,68 @@ async function initDatabase() {
             logger.debug(`Object store created: ${STORES.SYNC_LOG}`);
           }
         }
+
+        if (event.oldVersion < 3) {
+          // Add snapshots store in version 3
+          if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+            const snapshotStore = db.createObjectStore(STORES.SNAPSHOTS, {
+              keyPath: "id",
+              autoIncrement: true,
+            });
+            snapshotStore.createIndex("createdAt", "createdAt", {
+              unique: false,
+            });
+            logger.debug(`Object store created: ${STORES.SNAPSHOTS}`);
+          }
+        }
+
+        if (event.oldVersion < 4) {
+          // Add file handle store in version 4. Handles are kept apart from
+          // preferences so they never end up in exports, snapshots or sync.
+          if (!db.objectStoreNames.contains(STORES.FILE_HANDLES)) {
+            db.createObjectStore(STORES.FILE_HANDLES, { keyPath: "id" });
+            logger.debug(`Object store created: ${STORES.FILE_HANDLES}`);
+          }
+        }
+
+        if (event.oldVersion < 5) {
+          // Add sync encryption key store in version 5. Keys are stored as
+          // non-extractable CryptoKeys and, like file handles, stay local.
+          if (!db.objectStoreNames.contains(STORES.SYNC_KEYS)) {
+            db.createObjectStore(STORES.SYNC_KEYS, { keyPath: "id" });
+            logger.debug(`Object store created: ${STORES.SYNC_KEYS}`);
+          }
+        }
+
+        if (event.oldVersion < 6) {
+          // Add sync conflict store in version 6, one record per day
+          if (!db.objectStoreNames.contains(STORES.SYNC_CONFLICTS)) {
+            db.createObjectStore(STORES.SYNC_CONFLICTS, { keyPath: "id" });
+            logger.debug(`Object store created: ${STORES.SYNC_CONFLICTS}`);
+          }
+        }
+
+        if (event.oldVersion < 7) {
+          // Add sync journal store in version 7, one record per sync run
+          if (!db.objectStoreNames.contains(STORES.SYNC_JOURNAL)) {
+            const journalStore = db.createObjectStore(STORES.SYNC_JOURNAL, {
+              keyPath: "id",
+              autoIncrement: true,
+            });
+            journalStore.createIndex("startedAt", "startedAt", {
+              unique: false,
+            });
+            logger.debug(`Object store created: ${STORES.SYNC_JOURNAL}`);
+          }
+        }
+
+        if (event.oldVersion < 8) {
+          // Add sync outbox store in version 8, read by the service worker
+          if (!db.objectStoreNames.contains(STORES.SYNC_OUTBOX)) {
+            db.createObjectStore(STORES.SYNC_OUTBOX, { keyPath: "id" });
+            logger.debug(`Object store created: ${STORES.SYNC_OUTBOX}`);
+          }
+        }
       };
     } catch (error) {
       logger.error("Error during database initialization:", error);
@@ -378,6 +468,7 @@ function normalizeWeekData(weekData, options = {}) {
   const totals = weekData.totals || weekData.weeklyCounts || {};
   // Ensure dailyBreakdown is an object if provided, otherwise default to empty
   const dailyBreakdown = weekData.dailyBreakdown || {};
+  const dailyItemLogs = weekData.dailyItemLogs || {};
 
   return {
     id: existingRecord?.id || weekData.id || generateUUID(),
@@ -385,6 +476,7 @@ function normalizeWeekData(weekData, options = {}) {
     weekEndDate: getWeekEndDate(weekStartDate), // Recalculate based on actual weekStartDate
     dailyBreakdown: dailyBreakdown, // New: store the daily breakdown
     totals: totals, // Still store summed weekly totals
+    dailyItemLogs: dailyItemLogs,
     targets: targets,
     metadata: metadata,
   };
@@ -394,6 +486,8 @@ function normalizeWeekData(weekData, options = {}) {
  * Save a week's history data to IndexedDB with normalized structure
  * @param {Object} weekData - The week data to save (should include weekStartDate, totals, and optionally dailyBreakdown)
  * @param {Object} [options] - Additional options (like foodGroups for targets, weekStartDay preference)
+ * @param {boolean} [options.skipSyncLog=false] - Don't log the change; for
+ *   writes made by sync itself
  * @returns {Promise<void>} Promise that resolves when save is complete
  */
 async function saveWeekHistory(weekData, options = {}) {
@@ -442,12 +536,23 @@ async function saveWeekHistory(weekData, options = {}) {
       const request = store.put(normalizedRecord);
       request.onsuccess = () => {
         logger.info("Week data saved successfully to history:", weekStartDate);
-        logSyncChange(
-          "history",
-          existingRecord ? "update" : "create", // More specific operation
-          normalizedRecord.id, // Use record ID (UUID)
-          { weekStartDate: normalizedRecord.weekStartDate } // Minimal data for log
-        );
+        if (!options.skipSyncLog) {
+          const changes = existingRecord
+            ? diffDailyCounts(
+                existingRecord.dailyBreakdown,
+                normalizedRecord.dailyBreakdown
+              )
+            : null;
+          logSyncChange(
+            "history",
+            existingRecord ? "update" : "create", // More specific operation
+            normalizedRecord.id, // Use record ID (UUID)
+            {
+              weekStartDate: normalizedRecord.weekStartDate,
+              ...(changes && { changes }),
+            }
+          );
+        }
         // No need to mark historyDirty in current state metadata here, stateManager will do it.
         resolve();
       };
@@ -555,10 +660,20 @@ function createHistoryFromCurrentState(
     JSON.parse(JSON.stringify(newTotals))
   );
 
+  // Keep food item logs for the same 7 days
+  const dailyItemLogsForHistory = {};
+  Object.keys(dailyBreakdownForHistory).forEach((dateKey) => {
+    const dayLog = importedCurrentStateData.dailyItemLogs?.[dateKey];
+    if (Array.isArray(dayLog) && dayLog.length > 0) {
+      dailyItemLogsForHistory[dateKey] = dayLog;
+    }
+  });
+
   const weekDataForNormalization = {
     weekStartDate: importedCurrentStateData.currentWeekStartDate, // From the imported state
     dailyBreakdown: dailyBreakdownForHistory,
     totals: newTotals,
+    dailyItemLogs: dailyItemLogsForHistory,
     id: generateUUID(), // Generate a new ID for this new history record
     metadata: {
       // Pass relevant metadata from importInfo
@@ -622,10 +737,19 @@ async function getAllWeekHistory(options = {}) {
 }
 
 /**
- * Clear all history data from the store
+ * Clear all history data from the store, taking a snapshot first
  * @returns {Promise<void>} Promise that resolves when clear is complete
  */
 async function clearHistoryStore() {
+  await createSnapshot(SNAPSHOT_REASONS.CLEAR_HISTORY);
+  return clearHistory();
+}
+
+/**
+ * Clear all history data from the store without a snapshot
+ * @returns {Promise<void>} Promise that resolves when clear is complete
+ */
+async function clearHistory() {
   return dbOperation(
     STORES.HISTORY,
     "readwrite",
@@ -656,9 +780,15 @@ async function clearHistoryStore() {
  * Save a user preference
  * @param {string} key - The preference key
  * @param {any} value - The preference value
+ * @param {Object} [options]
+ * @param {number} [options.updatedAt] - Change time to record; for values
+ *   synced from another device. Saving an unchanged value otherwise keeps
+ *   its existing change time
+ * @param {boolean} [options.skipSyncLog=false] - Don't log the change; for
+ *   writes made by sync itself
  * @returns {Promise<void>} Promise that resolves when save is complete
  */
-async function savePreference(key, value) {
+async function savePreference(key, value, options = {}) {
   if (!key) throw new Error("Preference key is required");
 
   const now = getCurrentTimestamp();
@@ -680,13 +810,19 @@ async function savePreference(key, value) {
     logger.warn(`Could not check for existing preference: ${error.message}`);
   }
 
+  const unchanged =
+    existingPref &&
+    JSON.stringify(existingPref.value) === JSON.stringify(value);
+
   // Create normalized preference structure
   const normalizedPref = {
     id: key,
     value: value,
     metadata: {
       createdAt: existingPref?.metadata?.createdAt || now,
-      updatedAt: now,
+      updatedAt:
+        options.updatedAt ||
+        (unchanged ? existingPref.metadata?.updatedAt || now : now),
       deviceId: getDeviceId(),
     },
   };
@@ -702,7 +838,9 @@ async function savePreference(key, value) {
         logger.debug(`Preference '${key}' saved successfully.`);
 
         // Log the change for future sync
-        logSyncChange("preference", "update", key, { key, value });
+        if (!options.skipSyncLog && !unchanged) {
+          logSyncChange("preference", "update", key, { key, value });
+        }
 
         resolve();
       };
@@ -758,6 +896,36 @@ async function getPreference(key, defaultValue = null) {
   }
 }
 
+/**
+ * Get a user preference with its metadata
+ * @param {string} key - The preference key
+ * @returns {Promise<Object|null>} { id, value, metadata }, or null if unset
+ */
+async function getPreferenceRecord(key) {
+  if (!key) throw new Error("Preference key is required");
+
+  try {
+    const record = await dbOperation(
+      STORES.PREFERENCES,
+      "readonly",
+      (store, transaction, resolve, reject) => {
+        const request = store.get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) =>
+          reject(
+            new Error(
+              `Error fetching preference '${key}': ${event.target.error}`
+            )
+          );
+      }
+    );
+    return record || null;
+  } catch (error) {
+    logger.warn(`Error getting preference record '${key}':`, error);
+    return null;
+  }
+}
+
 /**
  * Get all user preferences
  * @returns {Promise<Object>} Promise resolving to an object of all preferences
@@ -796,9 +964,12 @@ async function getAllPreferences() {
 /**
  * Delete a user preference
  * @param {string} key - The preference key
+ * @param {Object} [options]
+ * @param {boolean} [options.skipSyncLog=false] - Don't log the change; for
+ *   deletes made by sync itself
  * @returns {Promise<boolean>} Promise resolving to true if deleted, false if not found
  */
-async function deletePreference(key) {
+async function deletePreference(key, options = {}) {
   if (!key) throw new Error("Preference key is required");
 
   return dbOperation(
@@ -811,7 +982,9 @@ async function deletePreference(key) {
         logger.info(`Preference '${key}' deleted successfully.`);
 
         // Log the change for future sync
-        logSyncChange("preference", "delete", key, null);
+        if (!options.skipSyncLog) {
+          logSyncChange("preference", "delete", key, null);
+        }
 
         resolve(true);
       };
@@ -825,6 +998,34 @@ async function deletePreference(key) {
   );
 }
 
+/**
+ * Work out the per-day, per-food-group count changes between two versions
+ * of a week's daily counts, so other devices can replay them
+ * @param {Object} before - { "YYYY-MM-DD": { groupId: count } }
+ * @param {Object} after - Daily counts after the change
+ * @param {string[]} [dates] - Days to compare; defaults to all days in either
+ * @returns {Object|null} { "YYYY-MM-DD": { groupId: delta } }, or null if
+ *   no count changed
+ */
+function diffDailyCounts(before, after, dates) {
+  const oldDays = before || {};
+  const newDays = after || {};
+  const changes = {};
+
+  (dates || Object.keys({ ...oldDays, ...newDays })).forEach((date) => {
+    const oldDay = oldDays[date] || {};
+    const newDay = newDays[date] || {};
+    Object.keys({ ...oldDay, ...newDay }).forEach((groupId) => {
+      const delta = (newDay[groupId] || 0) - (oldDay[groupId] || 0);
+      if (delta !== 0) {
+        changes[date] = { ...changes[date], [groupId]: delta };
+      }
+    });
+  });
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
 /**
  * Log a change for future synchronization
  * @param {string} recordType - Type of record ('history', 'preference', etc.)
@@ -899,6 +1100,571 @@ async function getPendingSyncChanges(since = 0) {
   }
 }
 
+/**
+ * Get the ID of the newest sync log entry
+ * @returns {Promise<number>} Promise resolving to the ID, or 0 if the log is empty
+ */
+async function getLatestSyncChangeId() {
+  return dbOperation(
+    STORES.SYNC_LOG,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.openKeyCursor(null, "prev");
+      request.onsuccess = () => resolve(request.result?.key || 0);
+      request.onerror = (event) =>
+        reject(new Error(`Error reading sync log: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Delete sync log entries that have been sent to the cloud
+ * @param {number} throughId - Delete entries with this ID or lower
+ * @returns {Promise<void>} Promise that resolves when deleted
+ */
+async function deleteSyncChangesThrough(throughId) {
+  return dbOperation(
+    STORES.SYNC_LOG,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.delete(IDBKeyRange.upperBound(throughId));
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error pruning sync log: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Get the configured number of snapshots to keep of each reason
+ * @returns {Promise<number>} Promise resolving to the retention count
+ */
+async function getSnapshotRetention() {
+  const retention = Number(
+    await getPreference(SNAPSHOT_RETENTION_KEY, DEFAULT_SNAPSHOT_RETENTION)
+  );
+  return Number.isInteger(retention) && retention > 0
+    ? retention
+    : DEFAULT_SNAPSHOT_RETENTION;
+}
+
+/**
+ * Set the number of snapshots to keep of each reason and prune any excess
+ * @param {number} retention - Number of snapshots to keep per reason
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+async function setSnapshotRetention(retention) {
+  const value = parseInt(retention, 10);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error("Snapshot retention must be a positive whole number");
+  }
+  await savePreference(SNAPSHOT_RETENTION_KEY, value);
+  await pruneSnapshots(value);
+}
+
+/**
+ * Take a snapshot of current state, history and preferences.
+ * Failures are logged rather than thrown so a full disk never blocks the
+ * operation the snapshot is protecting.
+ * @param {string} reason - One of SNAPSHOT_REASONS
+ * @param {string} [details=""] - Short human-readable context
+ * @returns {Promise<number|null>} Promise resolving to the snapshot ID, or null on failure
+ */
+async function createSnapshot(reason, details = "") {
+  try {
+    const currentState = loadState();
+    const history = await getAllWeekHistory();
+    const preferences = await getAllPreferences();
+
+    const snapshot = {
+      createdAt: getCurrentTimestamp(),
+      reason,
+      details,
+      schemaVersion: SCHEMA.VERSION,
+      deviceId: getDeviceId(),
+      summary: {
+        historyWeeks: history.length,
+        preferenceCount: Object.keys(preferences).length,
+        currentWeekStartDate: currentState.currentWeekStartDate,
+      },
+      data: { currentState, history, preferences },
+    };
+
+    const id = await dbOperation(
+      STORES.SNAPSHOTS,
+      "readwrite",
+      (store, transaction, resolve, reject) => {
+        const request = store.add(snapshot);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) =>
+          reject(new Error(`Error saving snapshot: ${event.target.error}`));
+      }
+    );
+
+    logger.info(`Snapshot ${id} created (${reason})`);
+    await pruneSnapshots(await getSnapshotRetention());
+    return id;
+  } catch (error) {
+    logger.warn(`Could not create snapshot before ${reason}:`, error);
+    return null;
+  }
+}
+
+/**
+ * List snapshots without their data payloads
+ * @returns {Promise<Array>} Promise resolving to snapshot summaries, newest first
+ */
+async function getSnapshots() {
+  const snapshots = await dbOperation(
+    STORES.SNAPSHOTS,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) =>
+        reject(new Error(`Error fetching snapshots: ${event.target.error}`));
+    }
+  );
+
+  return snapshots
+    .map(({ data, ...summary }) => summary)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Get a single snapshot including its data
+ * @param {number} id - The snapshot ID
+ * @returns {Promise<Object|null>} Promise resolving to the snapshot or null
+ */
+async function getSnapshot(id) {
+  return dbOperation(
+    STORES.SNAPSHOTS,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) =>
+        reject(new Error(`Error fetching snapshot: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Delete a snapshot
+ * @param {number} id - The snapshot ID
+ * @returns {Promise<void>} Promise that resolves when deleted
+ */
+async function deleteSnapshot(id) {
+  return dbOperation(
+    STORES.SNAPSHOTS,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error deleting snapshot: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Save a File System Access API handle (e.g. a sync folder)
+ * @param {string} id - The handle key
+ * @param {FileSystemHandle} handle - The handle to persist
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+async function saveFileHandle(id, handle) {
+  return dbOperation(
+    STORES.FILE_HANDLES,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.put({ id, handle, savedAt: Date.now() });
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error saving file handle: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Get a saved File System Access API handle
+ * @param {string} id - The handle key
+ * @returns {Promise<FileSystemHandle|null>} Promise resolving to the handle or null
+ */
+async function getFileHandle(id) {
+  return dbOperation(
+    STORES.FILE_HANDLES,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result?.handle || null);
+      request.onerror = (event) =>
+        reject(new Error(`Error fetching file handle: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Forget a saved File System Access API handle
+ * @param {string} id - The handle key
+ * @returns {Promise<void>} Promise that resolves when deleted
+ */
+async function deleteFileHandle(id) {
+  return dbOperation(
+    STORES.FILE_HANDLES,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error deleting file handle: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Save a sync encryption key record
+ * @param {Object} record - { id, keyId, key: CryptoKey, salt, iterations }
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+async function saveSyncKey(record) {
+  return dbOperation(
+    STORES.SYNC_KEYS,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.put({ ...record, savedAt: Date.now() });
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error saving sync key: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Get a sync encryption key record
+ * @param {string} id - The record key
+ * @returns {Promise<Object|null>} Promise resolving to the record or null
+ */
+async function getSyncKey(id) {
+  return dbOperation(
+    STORES.SYNC_KEYS,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) =>
+        reject(new Error(`Error fetching sync key: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Delete a sync encryption key record
+ * @param {string} id - The record key
+ * @returns {Promise<void>} Promise that resolves when deleted
+ */
+async function deleteSyncKey(id) {
+  return dbOperation(
+    STORES.SYNC_KEYS,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error deleting sync key: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Save a sync conflict, replacing any earlier conflict for the same day
+ * @param {Object} conflict - { id, date, weekStartDate, source, local, remote }
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+async function saveSyncConflict(conflict) {
+  return dbOperation(
+    STORES.SYNC_CONFLICTS,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.put({
+        ...conflict,
+        detectedAt: conflict.detectedAt || Date.now(),
+      });
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(new Error(`Error saving sync conflict: ${event.target.error}`));
+    }
+  );
+}
+
+/**
+ * Get all unresolved sync conflicts, oldest day first
+ * @returns {Promise<Array>} Promise resolving to the conflicts
+ */
+async function getSyncConflicts() {
+  return dbOperation(
+    STORES.SYNC_CONFLICTS,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () =>
+        resolve(
+          (request.result || []).sort((a, b) => a.date.localeCompare(b.date))
+        );
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error fetching sync conflicts: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Delete a sync conflict once it is resolved
+ * @param {string} id - The conflict ID (its date)
+ * @returns {Promise<void>} Promise that resolves when deleted
+ */
+async function deleteSyncConflict(id) {
+  return dbOperation(
+    STORES.SYNC_CONFLICTS,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error deleting sync conflict: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Add a sync run to the sync journal, dropping the oldest runs beyond the
+ * journal's size limit
+ * @param {Object} entry - The run record (see SyncJournal)
+ * @returns {Promise<number>} Promise resolving to the new entry's ID
+ */
+async function addSyncJournalEntry(entry) {
+  return dbOperation(
+    STORES.SYNC_JOURNAL,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.add(entry);
+      request.onsuccess = () => {
+        const id = request.result;
+        const cutoff = id - SYNC_JOURNAL_MAX_ENTRIES;
+        if (cutoff > 0) store.delete(IDBKeyRange.upperBound(cutoff));
+        resolve(id);
+      };
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error saving sync journal entry: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Get the sync journal, most recent run first
+ * @returns {Promise<Array>} Promise resolving to the journal entries
+ */
+async function getSyncJournal() {
+  const entries = await dbOperation(
+    STORES.SYNC_JOURNAL,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error fetching sync journal: ${event.target.error}`)
+        );
+    }
+  );
+  return entries.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Delete all sync journal entries
+ * @returns {Promise<void>} Promise that resolves when cleared
+ */
+async function clearSyncJournal() {
+  return dbOperation(
+    STORES.SYNC_JOURNAL,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.clear();
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error clearing sync journal: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Save an upload for the service worker to send while the app is closed
+ * @param {Object} entry - The outbox record, keyed by id
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+async function saveSyncOutboxEntry(entry) {
+  return dbOperation(
+    STORES.SYNC_OUTBOX,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.put(entry);
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error saving sync outbox entry: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Get a pending background upload
+ * @param {string} id - The outbox record ID
+ * @returns {Promise<Object|null>} Promise resolving to the record or null
+ */
+async function getSyncOutboxEntry(id) {
+  return dbOperation(
+    STORES.SYNC_OUTBOX,
+    "readonly",
+    (store, transaction, resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error fetching sync outbox entry: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Delete a pending background upload
+ * @param {string} id - The outbox record ID
+ * @returns {Promise<void>} Promise that resolves when deleted
+ */
+async function deleteSyncOutboxEntry(id) {
+  return dbOperation(
+    STORES.SYNC_OUTBOX,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = (event) =>
+        reject(
+          new Error(`Error deleting sync outbox entry: ${event.target.error}`)
+        );
+    }
+  );
+}
+
+/**
+ * Delete the oldest snapshots beyond the retention limit. The limit applies
+ * to each reason separately, so frequent sync merge snapshots never push
+ * out the ones taken before an import or a history clear.
+ * @param {number} retention - Number of snapshots to keep per reason
+ * @returns {Promise<number>} Promise resolving to the number deleted
+ */
+async function pruneSnapshots(retention) {
+  const snapshots = await getSnapshots();
+  const keptByReason = new Map();
+  const excess = snapshots.filter((snapshot) => {
+    const kept = keptByReason.get(snapshot.reason) || 0;
+    keptByReason.set(snapshot.reason, kept + 1);
+    return kept >= retention;
+  });
+  for (const snapshot of excess) {
+    await deleteSnapshot(snapshot.id);
+  }
+  if (excess.length > 0) {
+    logger.debug(`Pruned ${excess.length} old snapshot(s)`);
+  }
+  return excess.length;
+}
+
+/**
+ * Replace current state, history and preferences with a snapshot.
+ * A snapshot of the data being replaced is taken first so the restore itself
+ * can be reverted. Restored records are stamped as updated now so they win
+ * the next sync. Preferences created since the snapshot are deleted; this
+ * device's sync connection is kept as it is.
+ * @param {number} id - The snapshot ID
+ * @returns {Promise<Object>} Promise resolving to counts of restored records
+ */
+async function restoreSnapshot(id) {
+  const snapshot = await getSnapshot(id);
+  if (!snapshot) {
+    throw new Error("Snapshot not found");
+  }
+
+  await createSnapshot(
+    SNAPSHOT_REASONS.RESTORE,
+    `Before restoring snapshot from ${new Date(
+      snapshot.createdAt
+    ).toLocaleString()}`
+  );
+
+  const now = getCurrentTimestamp();
+  const { currentState, history, preferences } = snapshot.data;
+
+  const isRestored = (key) => !DEVICE_SYNC_PREFERENCE_PATTERN.test(key);
+  const currentPreferences = await getAllPreferences();
+  for (const key of Object.keys(currentPreferences)) {
+    if (isRestored(key) && !(key in (preferences || {}))) {
+      await deletePreference(key, { skipSyncLog: true });
+    }
+  }
+  await bulkSavePreferences(
+    Object.entries(preferences || {})
+      .filter(([key]) => isRestored(key))
+      .map(([key, value]) => ({ key, value }))
+  );
+
+  await clearHistory();
+  await dbOperation(
+    STORES.HISTORY,
+    "readwrite",
+    (store, transaction, resolve, reject) => {
+      (history || []).forEach((week) => {
+        store.put({
+          ...week,
+          metadata: { ...(week.metadata || {}), updatedAt: now },
+        });
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = () =>
+        reject(new Error(`Error restoring history: ${transaction.error}`));
+    }
+  );
+
+  saveState({
+    ...currentState,
+    metadata: {
+      ...(currentState?.metadata || {}),
+      currentWeekDirty: true,
+      historyDirty: true,
+      dailyTotalsDirty: true,
+      dailyTotalsUpdatedAt: now,
+      weeklyTotalsDirty: true,
+      weeklyTotalsUpdatedAt: now,
+    },
+  });
+
+  logSyncChange("snapshot", "restore", String(id), null);
+  logger.info(`Snapshot ${id} restored`);
+
+  return {
+    historyWeeks: (history || []).length,
+    preferenceCount: Object.keys(preferences || {}).length,
+  };
+}
+
 /**
  * Load the current state from localStorage with normalized structure
  * @returns {Object} The current state object, or default state if none exists
@@ -967,6 +1733,7 @@ function loadState() {
       selectedTrackerDate: savedState.selectedTrackerDate || today,
       dailyCounts: savedState.dailyCounts || {},
       weeklyCounts: savedState.weeklyCounts || {},
+      dailyItemLogs: savedState.dailyItemLogs || {},
       lastModified: lastModified,
       metadata: normalizedMetadata,
     };
@@ -1022,6 +1789,7 @@ function loadState() {
       selectedTrackerDate: today,
       dailyCounts: { [today]: {} },
       weeklyCounts: {},
+      dailyItemLogs: {},
       lastModified: veryOldTimestampOnError,
       metadata: fallbackMetadata,
     };
@@ -1031,11 +1799,20 @@ function loadState() {
 /**
  * Save the current state to localStorage with normalized structure
  * @param {Object} state - The state object to save
+ * @param {Object} [options]
+ * @param {boolean} [options.skipSyncLog=false] - Don't log the change; for
+ *   writes made by sync itself
  * @returns {boolean} Success status
  */
-function saveState(state) {
+function saveState(state, options = {}) {
   try {
     const now = getCurrentTimestamp();
+    let previousState = null;
+    try {
+      previousState = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY));
+    } catch (parseError) {
+      logger.warn("Stored state unreadable, not logging count changes");
+    }
 
     const normalizedState = {
       currentDayDate: state.currentDayDate,
@@ -1043,6 +1820,7 @@ function saveState(state) {
       selectedTrackerDate: state.selectedTrackerDate,
       dailyCounts: state.dailyCounts || {},
       weeklyCounts: state.weeklyCounts || {},
+      dailyItemLogs: state.dailyItemLogs || {},
       lastModified: now,
       metadata: {
         ...(state.metadata || {}), // Preserve all existing metadata fields
@@ -1076,11 +1854,24 @@ function saveState(state) {
       JSON.parse(JSON.stringify(normalizedState))
     );
 
-    logSyncChange("currentState", "update", "current", {
-      timestamp: now,
-      weekStartDate: state.currentWeekStartDate,
-      selectedDate: state.selectedTrackerDate,
-    }).catch((e) => logger.warn("Failed to log current state change:", e));
+    if (!options.skipSyncLog) {
+      // Days dropped from the state were archived, not edited, so only
+      // days still present are compared
+      const changes =
+        previousState?.currentWeekStartDate === state.currentWeekStartDate
+          ? diffDailyCounts(
+              previousState.dailyCounts,
+              normalizedState.dailyCounts,
+              Object.keys(normalizedState.dailyCounts)
+            )
+          : null;
+      logSyncChange("currentState", "update", "current", {
+        timestamp: now,
+        weekStartDate: state.currentWeekStartDate,
+        selectedDate: state.selectedTrackerDate,
+        ...(changes && { changes }),
+      }).catch((e) => logger.warn("Failed to log current state change:", e));
+    }
 
     return true;
   } catch (error) {
@@ -1475,6 +2266,7 @@ export default {
   // User preferences
   savePreference,
   getPreference,
+  getPreferenceRecord,
   getAllPreferences,
   deletePreference,
 
@@ -1484,11 +2276,49 @@ export default {
   createHistoryFromCurrentState,
   getDeviceId,
 
+  // Snapshots
+  createSnapshot,
+  getSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  restoreSnapshot,
+  getSnapshotRetention,
+  setSnapshotRetention,
+  SNAPSHOT_REASONS,
+  DEVICE_SYNC_PREFERENCE_PATTERN,
+
+  // File System Access handles
+  saveFileHandle,
+  getFileHandle,
+  deleteFileHandle,
+
+  // Sync encryption keys
+  saveSyncKey,
+  getSyncKey,
+  deleteSyncKey,
+
+  // Sync conflicts
+  saveSyncConflict,
+  getSyncConflicts,
+  deleteSyncConflict,
+
+  // Sync journal
+  addSyncJournalEntry,
+  getSyncJournal,
+  clearSyncJournal,
+
+  // Background sync outbox
+  saveSyncOutboxEntry,
+  getSyncOutboxEntry,
+  deleteSyncOutboxEntry,
+
   // Diagnostics
   getDBStats,
 
-  // Future sync support
+  // Sync change log
   getPendingSyncChanges,
+  getLatestSyncChangeId,
+  deleteSyncChangesThrough,
 
   // Test utilities (development only)
   enableTestMode,
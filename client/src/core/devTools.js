@@ -19,6 +19,22 @@
 import { createLogger, configure, LOG_LEVELS } from "./logger.js";
 const logger = createLogger("devTools");
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "1.5 GB"
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
 /**
  * Development Tools Class
  * Handles all development-related functionality including cloud file management,
@@ -58,29 +74,22 @@ class DevTools {
       return;
     }
 
-    const providerName =
-      this.appManager.getCloudSync().provider.providerName === "DropboxProvider"
-        ? "Dropbox"
-        : "Google Drive";
+    const provider = this.appManager.getCloudSync().provider;
+    const providerName = provider.constructor.displayName;
+
+    if (!provider.capabilities.listing) {
+      this.uiRenderer.showToast(
+        `${providerName} does not support listing files`,
+        "error"
+      );
+      return;
+    }
 
     try {
-      // Get file list
-      let files = [];
-      const provider = this.appManager.getCloudSync().provider;
-
-      if (providerName === "Google Drive") {
-        const listResponse = await provider.gapi.client.drive.files.list({
-          spaces: "appDataFolder",
-          fields: "files(id, name, mimeType, modifiedTime, size)",
-          pageSize: 100,
-        });
-        files = listResponse.result.files || [];
-      } else if (providerName === "Dropbox") {
-        const listResponse = await provider.dbx.filesListFolder({
-          path: "",
-        });
-        files = listResponse.result.entries || [];
-      }
+      const files = await provider.listFiles();
+      const quota = provider.capabilities.quota
+        ? await provider.getQuota()
+        : null;
 
       // Generate file list with checkboxes
       let fileListHtml = "";
@@ -99,16 +108,12 @@ class DevTools {
             <div id="file-list">
         `;
 
-        files.sort((a, b) => {
-          const nameA = a.name || a.path_display || "";
-          const nameB = b.name || b.path_display || "";
-          return nameA.localeCompare(nameB);
-        });
+        files.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
 
         files.forEach((file, index) => {
-          const fileName = file.name || file.path_display || "Unknown file";
-          const fileId = file.id || file.path_lower || `file-${index}`;
-          const modifiedDate = file.modifiedTime || file.server_modified || "";
+          const fileName = file.name || "Unknown file";
+          const fileId = file.id || `file-${index}`;
+          const modifiedDate = file.modifiedTime || "";
           const modifiedStr = modifiedDate
             ? ` (${new Date(modifiedDate).toLocaleString()})`
             : "";
@@ -144,6 +149,13 @@ class DevTools {
           </button>
         </div>
         ${fileListHtml}
+        ${
+          quota
+            ? `<p style="margin-top: 10px; font-size: 12px;">Storage used: ${formatBytes(
+                quota.used
+              )}${quota.total ? ` of ${formatBytes(quota.total)}` : ""}</p>`
+            : ""
+        }
       `;
 
       // Show the dialog
@@ -263,8 +275,7 @@ class DevTools {
    */
   async downloadCloudFile(file, providerName) {
     try {
-      const fileName = file.name || file.path_display || "unknown-file";
-      const fileId = file.id || file.path_lower;
+      const fileName = file.name || "unknown-file";
 
       this.uiRenderer.showToast(`Downloading ${fileName}...`, "info", {
         isPersistent: true,
@@ -274,7 +285,7 @@ class DevTools {
       // Download the file content
       const content = await this.appManager
         .getCloudSync()
-        .provider.downloadFile(fileId);
+        .provider.downloadFile(file.id);
 
       // Convert to JSON string
       const jsonString = JSON.stringify(content, null, 2);
@@ -306,19 +317,15 @@ class DevTools {
     let deletedCount = 0;
 
     try {
+      await this.dataService.createSnapshot(
+        this.dataService.SNAPSHOT_REASONS.DELETE_CLOUD_FILES,
+        `${files.length} file(s) on ${providerName}`
+      );
+
       for (const file of files) {
-        const fileName = file.name || file.path_display || "unknown-file";
-        const fileId = file.id || file.path_lower;
-
-        if (providerName === "Google Drive") {
-          await this.appManager
-            .getCloudSync()
-            .provider.gapi.client.drive.files.delete({ fileId });
-        } else if (providerName === "Dropbox") {
-          await this.appManager
-            .getCloudSync()
-            .provider.dbx.filesDelete({ path: fileId });
-        }
+        const fileName = file.name || "unknown-file";
+
+        await this.appManager.getCloudSync().provider.deleteFile(file.id);
 
         deletedCount++;
         logger.info(`Deleted file: ${fileName}`);
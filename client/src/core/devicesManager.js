@@ -0,0 +1,215 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Devices Manager - List, rename and forget synced devices
+ *
+ * Each sync records the device in the cloud device registry. This dialog
+ * lists the devices found there, renames this device, and forgets other
+ * devices so they sign out and stop syncing the next time they try.
+ */
+
+import dataService from "./dataService.js";
+import uiRenderer from "../ui/renderer.js";
+import logger from "./logger.js";
+import {
+  DEVICE_NAME_MAX_LENGTH,
+  getDeviceName,
+  setDeviceName,
+} from "../cloudSync/deviceRegistry.js";
+import { escapeHtml } from "../utils/appUtils.js";
+
+/**
+ * Render one device
+ * @param {string} deviceId - Device ID
+ * @param {Object} device - Registry entry
+ * @param {boolean} isThisDevice - Whether it is this device
+ * @returns {string} HTML for the list item
+ */
+function renderDevice(deviceId, device, isThisDevice) {
+  const summary = [
+    escapeHtml(device.userAgent),
+    device.appVersion && `v${escapeHtml(device.appVersion)}`,
+    `last sync ${new Date(device.lastSyncAt).toLocaleString()}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return `
+      <li class="device-item">
+        <div>
+          <strong>${escapeHtml(device.name)}</strong>${
+            isThisDevice
+              ? ` <span class="status-value connected">This device</span>`
+              : ""
+          }
+          <span class="journal-summary">${summary}</span>
+        </div>${
+          isThisDevice
+            ? ""
+            : `
+        <button class="small-btn device-forget-btn" data-id="${escapeHtml(
+          deviceId
+        )}" data-name="${escapeHtml(device.name)}">Forget</button>`
+        }
+      </li>`;
+}
+
+/**
+ * Read the device registry, if sync is connected
+ * @param {Object|null} cloudSync - The CloudSyncManager
+ * @returns {Promise<Object>} { devices, note } where devices is null and
+ *   note explains why if they couldn't be read
+ */
+async function loadDevices(cloudSync) {
+  if (!cloudSync?.isAuthenticated) {
+    return {
+      devices: null,
+      note: "Connect to a cloud provider to see the devices that sync with it.",
+    };
+  }
+
+  try {
+    const registry =
+      await cloudSync.syncOperationHandler.deviceRegistry.load();
+    return { devices: registry.devices, note: null };
+  } catch (error) {
+    logger.error("Failed to load device registry:", error);
+    return {
+      devices: null,
+      note: `Could not read the device list: ${escapeHtml(error.message)}`,
+    };
+  }
+}
+
+/**
+ * Forget a device after the user confirms
+ * @param {Object} cloudSync - The CloudSyncManager
+ * @param {string} deviceId - The device to forget
+ * @param {string} name - Its name, for the confirmation
+ * @returns {Promise<void>}
+ */
+async function forgetDevice(cloudSync, deviceId, name) {
+  const confirmed = await uiRenderer.showConfirmDialog({
+    title: "Forget Device",
+    message: `Forget "${escapeHtml(
+      name
+    )}"? It will sign out and stop syncing the next time it tries, until sync is turned on there again. This doesn't revoke its access at the cloud provider.`,
+    confirmText: "Forget",
+    cancelText: "Cancel",
+  });
+  if (!confirmed) return;
+
+  if (cloudSync.syncInProgress) {
+    uiRenderer.showToast("Wait for the sync to finish and try again", "info");
+    return;
+  }
+
+  try {
+    await cloudSync.syncOperationHandler.deviceRegistry.forget(deviceId);
+    uiRenderer.showToast(`Forgot "${name}"`, "success");
+  } catch (error) {
+    logger.error("Failed to forget device:", error);
+    uiRenderer.showToast("Failed to forget device", "error");
+  }
+}
+
+/**
+ * Show the devices dialog
+ * @param {Object} [options]
+ * @param {Object} [options.cloudSync] - The CloudSyncManager, if sync is set up
+ * @param {Function} [options.onBack] - Show a Back button that calls this
+ *   (e.g. to return to Settings) instead of Close
+ * @returns {Promise<void>}
+ */
+async function showDevicesDialog(options = {}) {
+  const { cloudSync = null, onBack = null } = options;
+  const deviceId = dataService.getDeviceId();
+  const deviceName = await getDeviceName(dataService);
+  const { devices, note } = await loadDevices(cloudSync);
+
+  const entries = Object.entries(devices || {}).sort(
+    ([, a], [, b]) => (b.lastSyncAt || 0) - (a.lastSyncAt || 0)
+  );
+  const list = devices
+    ? entries.length === 0
+      ? `<p class="setting-note">No devices have synced yet.</p>`
+      : `
+      <ul class="device-list">${entries
+        .map(([id, device]) => renderDevice(id, device, id === deviceId))
+        .join("")}
+      </ul>`
+    : `<p class="setting-note">${note}</p>`;
+
+  const content = `
+      <div class="settings-row">
+        <label for="device-name-input">This device:</label>
+        <input type="text" id="device-name-input" maxlength="${DEVICE_NAME_MAX_LENGTH}" value="${escapeHtml(
+          deviceName
+        )}">
+        <button id="device-rename-btn" class="small-btn">Rename</button>
+      </div>
+      <p class="setting-note">Devices that sync with this account, most recent first. Other devices see a new name after this device's next sync.</p>
+      ${list}`;
+
+  uiRenderer.openModal("Devices", content, {
+    showFooter: true,
+    buttons: [
+      onBack
+        ? {
+            label: "Back",
+            id: "devices-back-btn",
+            class: "secondary-btn",
+            onClick: () => onBack(),
+          }
+        : {
+            label: "Close",
+            id: "devices-close-btn",
+            class: "secondary-btn",
+            onClick: () => uiRenderer.closeModal(),
+          },
+    ],
+  });
+
+  document
+    .getElementById("device-rename-btn")
+    ?.addEventListener("click", async () => {
+      try {
+        const name = await setDeviceName(
+          dataService,
+          document.getElementById("device-name-input").value
+        );
+        uiRenderer.showToast(`Device renamed to "${name}"`, "success");
+      } catch (error) {
+        logger.error("Failed to rename device:", error);
+        uiRenderer.showToast("Failed to rename device", "error");
+      }
+      await showDevicesDialog(options);
+    });
+
+  document.querySelectorAll(".device-forget-btn").forEach((button) => {
+    button.addEventListener("click", async () => {
+      await forgetDevice(cloudSync, button.dataset.id, button.dataset.name);
+      await showDevicesDialog(options);
+    });
+  });
+}
+
+export default {
+  showDevicesDialog,
+};
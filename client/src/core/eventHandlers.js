@@ -18,7 +18,14 @@
 
 import { createLogger, configure, LOG_LEVELS } from "./logger.js";
 import appUtils from "../utils/appUtils.js";
+import foodLibraryManager from "./foodLibraryManager.js";
+import backgroundSyncManager from "./backgroundSyncManager.js";
+import trackingEngine from "./trackingEngine.js";
 import DevTools from "./devTools.js";
+import {
+  getProviderType,
+  getProviderDisplayName,
+} from "../cloudProviders/providerRegistry.js";
 import { CONFIG } from "../config.js";
 
 // Check if server features are enabled (build-time constant)
@@ -59,6 +66,7 @@ class EventHandlers {
     this.handleCounterClick = this.handleCounterClick.bind(this);
     this.handleCounterInputChange = this.handleCounterInputChange.bind(this);
     this.handleInfoClick = this.handleInfoClick.bind(this);
+    this.handleFoodLibraryClick = this.handleFoodLibraryClick.bind(this);
     this.handlePrevWeek = this.handlePrevWeek.bind(this);
     this.handleNextWeek = this.handleNextWeek.bind(this);
     this.handleHistoryDatePick = this.handleHistoryDatePick.bind(this);
@@ -66,6 +74,9 @@ class EventHandlers {
     this.handleAboutClick = this.handleAboutClick.bind(this);
     this.toggleMenu = this.toggleMenu.bind(this);
     this.handleOutsideMenuClick = this.handleOutsideMenuClick.bind(this);
+    this.handleUndoShortcut = this.handleUndoShortcut.bind(this);
+    this.undoLastChange = this.undoLastChange.bind(this);
+    this.redoLastChange = this.redoLastChange.bind(this);
   }
 
   /**
@@ -115,6 +126,10 @@ class EventHandlers {
         this.handleCounterInputChange
       );
       foodTrackerContainer.addEventListener("click", this.handleInfoClick);
+      foodTrackerContainer.addEventListener(
+        "click",
+        this.handleFoodLibraryClick
+      );
     }
 
     // History navigation
@@ -126,6 +141,18 @@ class EventHandlers {
     nextWeekBtn.addEventListener("click", this.handleNextWeek);
     historyDatePicker.addEventListener("change", this.handleHistoryDatePick);
 
+    // Trends range selector
+    const trendsRangeSelector = document.getElementById(
+      "trends-range-selector"
+    );
+    if (trendsRangeSelector) {
+      trendsRangeSelector.addEventListener("click", (event) => {
+        const button = event.target.closest("button[data-range]");
+        if (!button) return;
+        this.uiRenderer.setTrendsRange(parseInt(button.dataset.range, 10));
+      });
+    }
+
     // History edit modal button
     if (this.appManager.getDomElements().editHistoryWeekBtn) {
       this.appManager
@@ -148,6 +175,11 @@ class EventHandlers {
       .exportBtn.addEventListener("click", () =>
         this.importExportManager.handleExport(this.closeMenu)
       );
+    this.appManager
+      .getDomElements()
+      .exportCsvBtn?.addEventListener("click", () =>
+        this.importExportManager.handleCsvExport(this.closeMenu)
+      );
     this.appManager
       .getDomElements()
       .importBtnTrigger.addEventListener("click", () =>
@@ -167,6 +199,9 @@ class EventHandlers {
       this.handleVisibilityChange();
     });
 
+    // Undo/redo keyboard shortcuts
+    document.addEventListener("keydown", this.handleUndoShortcut);
+
     logger.info("Event listeners setup complete");
   }
 
@@ -256,15 +291,21 @@ class EventHandlers {
       return;
     }
 
-    let currentValue = parseInt(input.value, 10) || 0;
+    const step = trackingEngine.getServingIncrement(
+      this.stateManager.getFoodGroup(groupId)
+    );
+    let currentValue = trackingEngine.validateFoodGroupCount(input.value);
     let valueChanged = false;
 
     if (button.classList.contains("increment-btn")) {
-      currentValue++;
+      currentValue = trackingEngine.roundServings(currentValue + step);
       valueChanged = true;
     } else if (button.classList.contains("decrement-btn")) {
       const oldValue = currentValue;
-      currentValue = Math.max(0, currentValue - 1);
+      currentValue = Math.max(
+        0,
+        trackingEngine.roundServings(currentValue - step)
+      );
       valueChanged = currentValue < oldValue;
     }
 
@@ -274,7 +315,10 @@ class EventHandlers {
       );
       appUtils.triggerHapticFeedback(30);
 
-      this.stateManager.updateDailyCount(selectedDate, groupId, currentValue);
+      this.stateManager.updateDailyCount(selectedDate, groupId, currentValue, {
+        undoable: true,
+      });
+      this.showUndoToast(groupId, currentValue);
     }
   }
 
@@ -289,8 +333,16 @@ class EventHandlers {
     const item = input.closest(".food-group-item");
     if (!item) return;
 
+    // Wait for "change" while a value is half-typed (e.g. "1." on the way to "1.5")
+    if (
+      event.type === "input" &&
+      (input.value === "" || input.validity?.badInput)
+    ) {
+      return;
+    }
+
     const groupId = item.dataset.id;
-    let newValue = parseInt(input.value, 10);
+    const newValue = trackingEngine.validateFoodGroupCount(input.value);
 
     // Get the currently selected date from the state manager
     const currentState = this.stateManager.getState();
@@ -303,15 +355,146 @@ class EventHandlers {
       return;
     }
 
-    // Validate input
-    if (isNaN(newValue) || newValue < 0) {
-      newValue = 0;
-    }
-
     logger.debug(
       `handleCounterInputChange: Updating count for date: ${selectedDate}, group: ${groupId}, new value: ${newValue}`
     );
-    this.stateManager.updateDailyCount(selectedDate, groupId, newValue);
+    this.stateManager.updateDailyCount(selectedDate, groupId, newValue, {
+      undoable: true,
+    });
+    this.showUndoToast(groupId, newValue);
+  }
+
+  /**
+   * Handle quick-add and remove clicks in the food library bar
+   * @param {Event} event - The click event
+   */
+  handleFoodLibraryClick(event) {
+    const quickAddBtn = event.target.closest(".quick-add-btn");
+    const removeBtn = event.target.closest(".item-log-remove-btn");
+    if (!quickAddBtn && !removeBtn) return;
+
+    const selectedDate = this.stateManager.getState().selectedTrackerDate;
+    if (!selectedDate) {
+      logger.error(
+        "handleFoodLibraryClick: selectedTrackerDate is not available in state."
+      );
+      this.uiRenderer.showToast("Error: No date selected to update.", "error");
+      return;
+    }
+
+    let message = null;
+    if (quickAddBtn) {
+      const item = foodLibraryManager.getItem(quickAddBtn.dataset.itemId);
+      if (!item) {
+        this.uiRenderer.showToast(
+          "That food is no longer in your library",
+          "error"
+        );
+        return;
+      }
+      appUtils.triggerHapticFeedback(30);
+      this.stateManager.logFoodItem(selectedDate, item, { undoable: true });
+      message = `Added ${item.name}`;
+    } else {
+      const entry = this.stateManager.removeFoodItemLog(
+        selectedDate,
+        removeBtn.dataset.entryId,
+        { undoable: true }
+      );
+      if (!entry) return;
+      message = `Removed ${entry.name}`;
+    }
+
+    this.uiRenderer.showToast(message, "info", {
+      duration: 3000,
+      action: { label: "Undo", onClick: this.undoLastChange },
+    });
+  }
+
+  /**
+   * Show a toast for a tracker edit with an Undo action
+   * @param {string} groupId - The food group ID that changed
+   * @param {number} value - The new count
+   */
+  showUndoToast(groupId, value) {
+    if (!this.stateManager.canUndo()) return;
+
+    const groupName = this.stateManager.getFoodGroup(groupId)?.name || groupId;
+    this.uiRenderer.showToast(`${groupName}: ${value}`, "info", {
+      duration: 3000,
+      action: { label: "Undo", onClick: this.undoLastChange },
+    });
+  }
+
+  /**
+   * Undo the most recent tracker or history edit
+   */
+  async undoLastChange() {
+    try {
+      const label = await this.stateManager.undo();
+      if (!label) {
+        this.uiRenderer.showToast("Nothing to undo", "info");
+        return;
+      }
+      this.uiRenderer.showToast(`Undone: ${label}`, "info", {
+        duration: 3000,
+        action: { label: "Redo", onClick: this.redoLastChange },
+      });
+    } catch (error) {
+      logger.error("Undo failed:", error);
+      this.uiRenderer.showToast("Undo failed", "error");
+    }
+  }
+
+  /**
+   * Redo the most recently undone edit
+   */
+  async redoLastChange() {
+    try {
+      const label = await this.stateManager.redo();
+      if (!label) {
+        this.uiRenderer.showToast("Nothing to redo", "info");
+        return;
+      }
+      this.uiRenderer.showToast(`Redone: ${label}`, "info", {
+        duration: 3000,
+        action: { label: "Undo", onClick: this.undoLastChange },
+      });
+    } catch (error) {
+      logger.error("Redo failed:", error);
+      this.uiRenderer.showToast("Redo failed", "error");
+    }
+  }
+
+  /**
+   * Handle Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y (redo)
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    const isUndo = key === "z" && !event.shiftKey;
+    const isRedo = (key === "z" && event.shiftKey) || key === "y";
+    if (!isUndo && !isRedo) return;
+
+    // Leave native undo to text fields, and don't act behind an open dialog
+    const target = event.target;
+    if (
+      target.isContentEditable ||
+      (target.matches?.("input, textarea, select") &&
+        !target.classList.contains("count-input"))
+    ) {
+      return;
+    }
+    if (document.querySelector(".modal.modal-open")) return;
+
+    event.preventDefault();
+    if (isUndo) {
+      this.undoLastChange();
+    } else {
+      this.redoLastChange();
+    }
   }
 
   /**
@@ -429,11 +612,9 @@ class EventHandlers {
         this.appManager.getCloudSync() &&
         this.appManager.getCloudSync().provider
       ) {
-        currentProvider =
-          this.appManager.getCloudSync().provider.providerName ===
-          "DropboxProvider"
-            ? "Dropbox"
-            : "Google Drive";
+        currentProvider = getProviderDisplayName(
+          getProviderType(this.appManager.getCloudSync().provider)
+        );
       }
 
       aboutContent += this.getDevControlsHtml();
@@ -508,11 +689,9 @@ class EventHandlers {
       this.appManager.getCloudSync() &&
       this.appManager.getCloudSync().provider
     ) {
-      currentProvider =
-        this.appManager.getCloudSync().provider.providerName ===
-        "DropboxProvider"
-          ? "Dropbox"
-          : "Google Drive";
+      currentProvider = getProviderDisplayName(
+        getProviderType(this.appManager.getCloudSync().provider)
+      );
     }
 
     return `
@@ -650,6 +829,9 @@ class EventHandlers {
             priority: "high",
             skipCooldown: true, // Force sync even during cooldown for dirty flags
           });
+          // If that can't finish before the app is closed (e.g. offline),
+          // the service worker uploads the current week later
+          backgroundSyncManager.queueUpload(this.appManager.getCloudSync());
         } else if (timeSinceLastSync >= this.appManager.MIN_SYNC_INTERVAL) {
           logger.info("App being hidden, periodic sync triggered");
           // Use centralized sync coordination for periodic sync
@@ -0,0 +1,431 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Food Groups Manager - Handles the food group configuration and its persistence
+ *
+ * The MIND defaults below are used until the user customizes groups in Settings.
+ * Customized groups are stored in the userPreferences store under "foodGroups".
+ */
+
+import dataService from "./dataService.js";
+import logger from "./logger.js";
+
+const PREFERENCE_KEY = "foodGroups";
+
+const FREQUENCIES = ["day", "week"];
+const TYPES = ["positive", "limit"];
+// Steps offered for the + / - controls (whole, half and quarter servings)
+const SERVING_INCREMENTS = [1, 0.5, 0.25];
+
+// Default MIND diet food groups
+const DEFAULT_FOOD_GROUPS = [
+  // Daily Positive
+  {
+    id: "whole_grains",
+    name: "Whole Grains",
+    frequency: "day",
+    target: 3,
+    unit: "servings",
+    type: "positive",
+    description:
+      "Serving examples: 1 slice whole-grain bread, ½ cup cooked whole grains (oats, quinoa, brown rice), ½ cup whole-grain cereal, 3 cups popped popcorn.",
+  },
+  {
+    id: "other_veg",
+    name: "Other Vegetables",
+    frequency: "day",
+    target: 1,
+    unit: "serving",
+    type: "positive",
+    description:
+      "Serving examples: ½ cup cooked or 1 cup raw non-starchy vegetables (broccoli, peppers, carrots, tomatoes, zucchini, onions, etc.). Excludes potatoes.",
+  },
+  {
+    id: "olive_oil",
+    name: "Olive Oil",
+    frequency: "day",
+    target: 1,
+    unit: "Tbsp (main oil)",
+    type: "positive",
+    description:
+      "Use extra virgin olive oil (EVOO) as your principal oil for cooking, dressings, etc. Aim for at least 1 Tbsp use daily.",
+  },
+
+  // Weekly Positive
+  {
+    id: "leafy_greens",
+    name: "Green Leafy Vegetables",
+    frequency: "week",
+    target: 6,
+    unit: "servings",
+    type: "positive",
+    description:
+      "Serving examples: 1 cup raw or ½ cup cooked leafy greens (spinach, kale, collards, romaine, arugula, etc.).",
+  },
+  {
+    id: "nuts",
+    name: "Nuts",
+    frequency: "week",
+    target: 5,
+    unit: "servings",
+    type: "positive",
+    description:
+      "Serving examples: ¼ cup nuts or 2 Tbsp nut butter (almonds, walnuts, pecans preferred; avoid heavily salted/sugared nuts).",
+  },
+  {
+    id: "beans",
+    name: "Beans",
+    frequency: "week",
+    target: 4,
+    unit: "servings",
+    type: "positive",
+    description:
+      "Serving examples: ½ cup cooked beans, lentils, or legumes (kidney, black, pinto beans, chickpeas, soybeans, etc.).",
+  },
+  {
+    id: "berries",
+    name: "Berries",
+    frequency: "week",
+    target: 2,
+    unit: "servings",
+    type: "positive",
+    description:
+      "Serving examples: ½ cup fresh or frozen berries (blueberries strongly recommended, strawberries, raspberries, blackberries).",
+  },
+  {
+    id: "poultry",
+    name: "Poultry",
+    frequency: "week",
+    target: 2,
+    unit: "servings",
+    type: "positive",
+    description:
+      "Serving examples: 3-4 oz cooked chicken or turkey (prefer skinless, not fried).",
+  },
+  {
+    id: "fish",
+    name: "Fish",
+    frequency: "week",
+    target: 1,
+    unit: "serving",
+    type: "positive",
+    description:
+      "Serving examples: 3-4 oz cooked fish (prefer oily fish like salmon, mackerel, sardines; avoid fried fish).",
+  },
+  {
+    id: "wine",
+    name: "Wine",
+    frequency: "day",
+    target: 1,
+    unit: "glass (max)",
+    type: "limit",
+    isOptional: true,
+    description:
+      "Optional: Limit to no more than one standard glass (approx. 5 oz) per day. Preferrably red wine.",
+  },
+
+  // Weekly Limit
+  {
+    id: "red_meat",
+    name: "Red Meats",
+    frequency: "week",
+    target: 3,
+    unit: "servings (max)",
+    type: "limit",
+    description:
+      "Limit to less than 4 servings/week (target ≤3). Serving ~3-4 oz cooked. Includes beef, pork, lamb, and processed meats.",
+  },
+  {
+    id: "butter_margarine",
+    name: "Butter/Margarine",
+    frequency: "day",
+    target: 1,
+    unit: "Tbsp (max)",
+    type: "limit",
+    description:
+      "Limit butter to less than 1 Tbsp per day. Avoid stick margarine entirely.",
+  },
+  {
+    id: "cheese",
+    name: "Cheese",
+    frequency: "week",
+    target: 1,
+    unit: "serving (max)",
+    type: "limit",
+    description:
+      "Limit full-fat cheese to less than 1 serving/week (target ≤1). Serving ~1-1.5 oz.",
+  },
+  {
+    id: "pastries_sweets",
+    name: "Pastries & Sweets",
+    frequency: "week",
+    target: 4,
+    unit: "servings (max)",
+    type: "limit",
+    description:
+      "Limit pastries and sweets to less than 5 servings/week (target ≤4). Includes cakes, cookies, candies, ice cream, sugary drinks etc.",
+  },
+  {
+    id: "fried_fast_food",
+    name: "Fried/Fast Food",
+    frequency: "week",
+    target: 1,
+    unit: "serving (max)",
+    type: "limit",
+    description:
+      "Limit fried food (especially commercial) and fast food to less than 1 serving/week (target ≤1).",
+  },
+];
+
+// Module state
+let currentFoodGroups = cloneGroups(DEFAULT_FOOD_GROUPS);
+
+/**
+ * Deep copy a food groups array so callers can't mutate module state
+ * @param {Array} groups - Food groups to copy
+ * @returns {Array} Copied food groups
+ */
+function cloneGroups(groups) {
+  return JSON.parse(JSON.stringify(groups || []));
+}
+
+/**
+ * Initialize the food groups manager by loading any saved configuration
+ * @returns {Promise<Array>} The active food groups
+ */
+async function initialize() {
+  try {
+    const savedGroups = await dataService.getPreference(PREFERENCE_KEY, null);
+
+    if (Array.isArray(savedGroups) && savedGroups.length > 0) {
+      currentFoodGroups = validateFoodGroups(savedGroups);
+      logger.info(
+        `Food groups manager initialized with ${currentFoodGroups.length} saved groups`
+      );
+    } else {
+      currentFoodGroups = cloneGroups(DEFAULT_FOOD_GROUPS);
+      logger.info("Food groups manager initialized with default groups");
+    }
+  } catch (error) {
+    logger.error(
+      "Error loading food groups, falling back to defaults:",
+      error
+    );
+    currentFoodGroups = cloneGroups(DEFAULT_FOOD_GROUPS);
+  }
+
+  return getFoodGroups();
+}
+
+/**
+ * Get the active food groups
+ * @returns {Array} Copy of the active food groups
+ */
+function getFoodGroups() {
+  return cloneGroups(currentFoodGroups);
+}
+
+/**
+ * Get the built-in MIND diet food groups
+ * @returns {Array} Copy of the default food groups
+ */
+function getDefaultFoodGroups() {
+  return cloneGroups(DEFAULT_FOOD_GROUPS);
+}
+
+/**
+ * Build a unique food group ID from a display name
+ * @param {string} name - The food group name
+ * @param {Array} existingGroups - Groups whose IDs must not be reused
+ * @returns {string} A snake_case ID not used by existingGroups
+ */
+function generateGroupId(name, existingGroups = []) {
+  const base =
+    String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "group";
+
+  const usedIds = new Set(existingGroups.map((group) => group.id));
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base}_${suffix}`;
+    suffix++;
+  }
+  return id;
+}
+
+/**
+ * Validate and normalize a food groups array
+ * @param {Array} groups - Food groups to validate
+ * @returns {Array} Normalized food groups
+ * @throws {Error} If any group is invalid
+ */
+function validateFoodGroups(groups) {
+  if (!Array.isArray(groups) || groups.length === 0) {
+    throw new Error("At least one food group is required");
+  }
+
+  const seenIds = new Set();
+
+  return groups.map((group, index) => {
+    const name = String(group?.name || "").trim();
+    if (!name) {
+      throw new Error(`Food group ${index + 1} needs a name`);
+    }
+
+    const id = String(group.id || "").trim();
+    if (!id) {
+      throw new Error(`Food group "${name}" is missing an ID`);
+    }
+    if (seenIds.has(id)) {
+      throw new Error(`Duplicate food group ID: ${id}`);
+    }
+    seenIds.add(id);
+
+    const target = Number(group.target);
+    if (!Number.isFinite(target) || target < 0) {
+      throw new Error(`Target for "${name}" must be a non-negative number`);
+    }
+
+    if (!FREQUENCIES.includes(group.frequency)) {
+      throw new Error(`Frequency for "${name}" must be "day" or "week"`);
+    }
+
+    if (!TYPES.includes(group.type)) {
+      throw new Error(`Type for "${name}" must be "positive" or "limit"`);
+    }
+
+    // Groups saved before fractional servings have no increment; they keep whole steps
+    const increment =
+      group.increment === undefined || group.increment === null
+        ? 1
+        : Number(group.increment);
+    if (!SERVING_INCREMENTS.includes(increment)) {
+      throw new Error(
+        `Step for "${name}" must be one of ${SERVING_INCREMENTS.join(", ")}`
+      );
+    }
+
+    const normalized = {
+      id,
+      name,
+      frequency: group.frequency,
+      target,
+      unit: String(group.unit || "servings").trim() || "servings",
+      type: group.type,
+      increment,
+      description: String(group.description || ""),
+    };
+
+    if (group.isOptional) {
+      normalized.isOptional = true;
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Validate, persist and activate a new food groups configuration
+ * @param {Array} groups - The food groups to save
+ * @returns {Promise<Array>} The saved food groups
+ * @throws {Error} If validation fails
+ */
+async function saveFoodGroups(groups) {
+  const validatedGroups = validateFoodGroups(groups);
+
+  await dataService.savePreference(PREFERENCE_KEY, validatedGroups);
+  currentFoodGroups = validatedGroups;
+
+  logger.info(`Saved ${validatedGroups.length} food groups`);
+  return getFoodGroups();
+}
+
+/**
+ * Restore the default MIND diet food groups
+ * @returns {Promise<Array>} The default food groups
+ */
+async function resetToDefaults() {
+  await dataService.deletePreference(PREFERENCE_KEY);
+  currentFoodGroups = cloneGroups(DEFAULT_FOOD_GROUPS);
+
+  logger.info("Food groups reset to defaults");
+  return getFoodGroups();
+}
+
+/**
+ * Get the food groups that applied to an archived week.
+ * Uses the week's targets snapshot so old weeks keep their original targets,
+ * falling back to the active configuration for records without a snapshot.
+ * @param {Object} weekData - A history record
+ * @returns {Array} Food groups for that week, in display order
+ */
+function getFoodGroupsForWeek(weekData) {
+  const targets = weekData?.targets;
+  if (!targets || Object.keys(targets).length === 0) {
+    return getFoodGroups();
+  }
+
+  const currentById = new Map(
+    currentFoodGroups.map((group) => [group.id, group])
+  );
+
+  // Keep current ordering for groups that still exist, then append retired groups
+  const orderedIds = [
+    ...currentFoodGroups
+      .map((group) => group.id)
+      .filter((id) => targets[id]),
+    ...Object.keys(targets).filter((id) => !currentById.has(id)),
+  ];
+
+  return orderedIds.map((id) => {
+    const snapshot = targets[id];
+    const current = currentById.get(id);
+    return {
+      id,
+      name: snapshot.name || current?.name || id,
+      frequency: snapshot.frequency,
+      target: snapshot.target,
+      unit: snapshot.unit,
+      type: snapshot.type,
+      increment: current?.increment ?? 1,
+      description: current?.description || "",
+    };
+  });
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+export default {
+  initialize,
+  getFoodGroups,
+  getDefaultFoodGroups,
+  getFoodGroupsForWeek,
+  generateGroupId,
+  validateFoodGroups,
+  saveFoodGroups,
+  resetToDefaults,
+  FREQUENCIES,
+  TYPES,
+  SERVING_INCREMENTS,
+};
@@ -0,0 +1,252 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Food Library Manager - Handles the personal library of foods and meals
+ *
+ * Each item maps to servings across food groups, e.g.
+ * { name: "Oatmeal bowl", servings: { whole_grains: 1, nuts: 1 } }.
+ * Logging an item adds those servings to the day's counts, so weekly totals
+ * stay a plain sum of dailyCounts. The library is stored in the
+ * userPreferences store under "foodLibrary".
+ */
+
+import dataService from "./dataService.js";
+import logger from "./logger.js";
+import trackingEngine from "./trackingEngine.js";
+
+const PREFERENCE_KEY = "foodLibrary";
+
+let currentItems = [];
+
+/**
+ * Initialize the food library from stored preferences
+ * @returns {Promise<Array>} The library items
+ */
+async function initialize() {
+  try {
+    const savedItems = await dataService.getPreference(PREFERENCE_KEY, []);
+    currentItems = Array.isArray(savedItems)
+      ? validateItems(savedItems, { allowUnknownGroups: true })
+      : [];
+    logger.info(
+      `Food library initialized with ${currentItems.length} item(s)`
+    );
+  } catch (error) {
+    logger.error("Error loading food library, starting empty:", error);
+    currentItems = [];
+  }
+
+  return getItems();
+}
+
+/**
+ * Get the library items
+ * @returns {Array} A copy of the library items
+ */
+function getItems() {
+  return JSON.parse(JSON.stringify(currentItems));
+}
+
+/**
+ * Get a single library item
+ * @param {string} itemId - The item ID
+ * @returns {Object|null} A copy of the item or null
+ */
+function getItem(itemId) {
+  const item = currentItems.find((entry) => entry.id === itemId);
+  return item ? JSON.parse(JSON.stringify(item)) : null;
+}
+
+/**
+ * Generate a unique item ID from a name
+ * @param {string} name - The item name
+ * @param {Array} existingItems - Items whose IDs are already taken
+ * @returns {string} A unique ID
+ */
+function generateItemId(name, existingItems = []) {
+  const base =
+    String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "item";
+
+  const usedIds = new Set(existingItems.map((item) => item.id));
+  let id = base;
+  let suffix = 2;
+  while (usedIds.has(id)) {
+    id = `${base}_${suffix}`;
+    suffix++;
+  }
+  return id;
+}
+
+/**
+ * Validate and normalize library items
+ * @param {Array} items - Items to validate
+ * @param {Object} [options] - Validation options
+ * @param {Array} [options.foodGroups] - Valid food groups for serving keys
+ * @param {boolean} [options.allowUnknownGroups=false] - Keep servings for groups not in foodGroups
+ * @returns {Array} Normalized items
+ * @throws {Error} If any item is invalid
+ */
+function validateItems(items, options = {}) {
+  const { foodGroups = null, allowUnknownGroups = false } = options;
+  const validGroupIds = foodGroups
+    ? new Set(foodGroups.map((group) => group.id))
+    : null;
+  const seenIds = new Set();
+
+  return items.map((item, index) => {
+    const name = String(item?.name || "").trim();
+    if (!name) {
+      throw new Error(`Food ${index + 1} needs a name`);
+    }
+
+    const id = String(item.id || "").trim();
+    if (!id) {
+      throw new Error(`Food "${name}" is missing an ID`);
+    }
+    if (seenIds.has(id)) {
+      throw new Error(`Duplicate food ID: ${id}`);
+    }
+    seenIds.add(id);
+
+    const servings = {};
+    Object.entries(item.servings || {}).forEach(([groupId, value]) => {
+      if (value === "" || value === null) return;
+      const amount = trackingEngine.roundServings(Number(value));
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error(
+          `Servings of ${groupId} for "${name}" must be a positive number`
+        );
+      }
+      if (amount === 0) return;
+      if (validGroupIds && !validGroupIds.has(groupId) && !allowUnknownGroups) {
+        throw new Error(`Unknown food group "${groupId}" in "${name}"`);
+      }
+      servings[groupId] = amount;
+    });
+
+    if (Object.keys(servings).length === 0) {
+      throw new Error(`"${name}" needs at least one serving`);
+    }
+
+    return { id, name, servings };
+  });
+}
+
+/**
+ * Validate and save the full library
+ * @param {Array} items - The library items
+ * @param {Array} foodGroups - The configured food groups
+ * @returns {Promise<Array>} The saved items
+ */
+async function saveItems(items, foodGroups) {
+  const validatedItems = validateItems(items, { foodGroups });
+
+  await dataService.savePreference(PREFERENCE_KEY, validatedItems);
+  currentItems = validatedItems;
+
+  logger.info(`Saved ${validatedItems.length} food library item(s)`);
+  return getItems();
+}
+
+/**
+ * Add or replace a single item
+ * @param {Object} item - The item; a new ID is generated if it has none
+ * @param {Array} foodGroups - The configured food groups
+ * @returns {Promise<Object>} The saved item
+ */
+async function saveItem(item, foodGroups) {
+  const items = getItems();
+  const id =
+    item.id ||
+    generateItemId(
+      item.name,
+      items.filter((existing) => existing.id !== item.id)
+    );
+  const index = items.findIndex((existing) => existing.id === id);
+  const updatedItem = { ...item, id };
+
+  if (index === -1) {
+    items.push(updatedItem);
+  } else {
+    items[index] = updatedItem;
+  }
+
+  const savedItems = await saveItems(items, foodGroups);
+  return savedItems.find((saved) => saved.id === id);
+}
+
+/**
+ * Remove an item from the library. Logged entries keep their own copy of
+ * the servings, so past days are unaffected.
+ * @param {string} itemId - The item ID
+ * @returns {Promise<Array>} The remaining items
+ */
+async function deleteItem(itemId) {
+  currentItems = currentItems.filter((item) => item.id !== itemId);
+  await dataService.savePreference(PREFERENCE_KEY, currentItems);
+  logger.info(`Deleted food library item ${itemId}`);
+  return getItems();
+}
+
+/**
+ * Describe an item's servings using food group names
+ * @param {Object} item - The item (or a logged entry)
+ * @param {Array} foodGroups - Food groups for display names
+ * @returns {string} e.g. "1 Whole Grains, 1 Nuts"
+ */
+function describeServings(item, foodGroups = []) {
+  return Object.entries(item.servings || {})
+    .map(([groupId, amount]) => {
+      const group = foodGroups.find((entry) => entry.id === groupId);
+      return `${amount} ${group?.name || groupId}`;
+    })
+    .join(", ");
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+export default {
+  initialize,
+  getItems,
+  getItem,
+  generateItemId,
+  validateItems,
+  saveItems,
+  saveItem,
+  deleteItem,
+  describeServings,
+};
+
+// Named exports for convenience
+export {
+  initialize,
+  getItems,
+  getItem,
+  generateItemId,
+  validateItems,
+  saveItems,
+  saveItem,
+  deleteItem,
+  describeServings,
+};
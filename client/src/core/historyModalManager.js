@@ -24,6 +24,8 @@ import stateManager from "./stateManager.js";
 import uiRenderer from "../ui/renderer.js";
 import dateUtils from "../utils/dateUtils.js";
 import dataService from "./dataService.js";
+import foodGroupsManager from "./foodGroupsManager.js";
+import trackingEngine from "./trackingEngine.js";
 import logger from "./logger.js";
 
 // Modal state management
@@ -151,7 +153,10 @@ function openEditHistoryDailyDetailsModal() {
 
   modalState.editingHistoryWeekDataRef =
     state.history[state.currentHistoryIndex];
-  modalState.historyModalFoodGroups = state.foodGroups;
+  // Edit against the groups recorded for that week, not the current config
+  modalState.historyModalFoodGroups = foodGroupsManager.getFoodGroupsForWeek(
+    modalState.editingHistoryWeekDataRef
+  );
 
   // Deep copy the dailyBreakdown for temporary editing
   modalState.tempEditedDailyBreakdown = JSON.parse(
@@ -317,19 +322,23 @@ function handleModalDailyDetailChange(event) {
       {};
   }
 
-  let currentValue =
-    parseInt(
-      modalState.tempEditedDailyBreakdown[modalState.selectedDayInHistoryModal][
-        groupId
-      ],
-      10
-    ) || 0;
+  let currentValue = trackingEngine.validateFoodGroupCount(
+    modalState.tempEditedDailyBreakdown[modalState.selectedDayInHistoryModal][
+      groupId
+    ]
+  );
+  const step = trackingEngine.getServingIncrement(
+    modalState.historyModalFoodGroups.find((group) => group.id === groupId)
+  );
 
   // Update value based on button type
   if (button.classList.contains("edit-increment-btn")) {
-    currentValue++;
+    currentValue = trackingEngine.roundServings(currentValue + step);
   } else if (button.classList.contains("edit-decrement-btn")) {
-    currentValue = Math.max(0, currentValue - 1);
+    currentValue = Math.max(
+      0,
+      trackingEngine.roundServings(currentValue - step)
+    );
   }
 
   // Update temporary state
@@ -340,7 +349,7 @@ function handleModalDailyDetailChange(event) {
   // Update display
   const totalSpan = itemElement.querySelector(".edit-current-total");
   if (totalSpan) {
-    totalSpan.textContent = currentValue;
+    totalSpan.textContent = trackingEngine.formatServings(currentValue);
   }
 
   // Recalculate and update weekly totals
@@ -354,7 +363,9 @@ function handleModalDailyDetailChange(event) {
   // Update the weekly total display in the current item
   const weeklySpan = itemElement.querySelector(".edit-weekly-total");
   if (weeklySpan) {
-    weeklySpan.textContent = weeklyTotals[groupId] || 0;
+    weeklySpan.textContent = trackingEngine.formatServings(
+      weeklyTotals[groupId]
+    );
   }
 
   // Update the badge color and number for the current item
@@ -363,7 +374,9 @@ function handleModalDailyDetailChange(event) {
     // Update the badge number
     const badgeValueSpan = weeklyBadge.querySelector(".wk-val");
     if (badgeValueSpan) {
-      badgeValueSpan.textContent = weeklyTotals[groupId] || 0;
+      badgeValueSpan.textContent = trackingEngine.formatServings(
+        weeklyTotals[groupId]
+      );
     }
 
     // Find the food group info
@@ -432,6 +445,10 @@ async function saveEditedHistoryDailyDetails() {
   }
 
   try {
+    // Keep the stored record so the edit can be undone
+    const weekStartDate = modalState.editingHistoryWeekDataRef.weekStartDate;
+    const recordBeforeEdit = await dataService.getWeekHistory(weekStartDate);
+
     // Apply the temporary changes to the actual history object
     modalState.editingHistoryWeekDataRef.dailyBreakdown = JSON.parse(
       JSON.stringify(modalState.tempEditedDailyBreakdown)
@@ -471,7 +488,27 @@ async function saveEditedHistoryDailyDetails() {
       },
     });
 
-    uiRenderer.showToast("History week details updated.", "success");
+    stateManager.recordHistoryWeekChange(
+      recordBeforeEdit,
+      await dataService.getWeekHistory(weekStartDate),
+      `Edit week of ${weekStartDate}`
+    );
+
+    uiRenderer.showToast("History week details updated.", "success", {
+      duration: 3000,
+      action: {
+        label: "Undo",
+        onClick: async () => {
+          try {
+            const label = await stateManager.undo();
+            if (label) uiRenderer.showToast(`Undone: ${label}`, "info");
+          } catch (error) {
+            logger.error("Undo failed:", error);
+            uiRenderer.showToast("Undo failed", "error");
+          }
+        },
+      },
+    });
     closeEditHistoryDailyDetailsModal();
 
     // Reload history data from database and update state to reflect changes
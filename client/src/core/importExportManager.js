@@ -23,7 +23,29 @@
 import stateManager from "./stateManager.js";
 import uiRenderer from "../ui/renderer.js";
 import dataService from "./dataService.js";
+import foodGroupsManager from "./foodGroupsManager.js";
+import foodLibraryManager from "./foodLibraryManager.js";
+import trackingEngine from "./trackingEngine.js";
+import dateUtils from "../utils/dateUtils.js";
+import csvUtils from "../utils/csvUtils.js";
 import logger from "./logger.js";
+import { escapeHtml } from "../utils/appUtils.js";
+
+// First column of the servings CSV; remaining columns are food group IDs
+const CSV_DATE_HEADER = "date";
+
+// How an imported week compares with the matching local week
+const PREVIEW_STATUS = {
+  ADDED: "added",
+  CHANGED: "changed",
+  IDENTICAL: "identical",
+  CONFLICTING: "conflicting",
+  FUTURE: "future",
+};
+
+// Device-specific preferences that an import never overwrites, besides the
+// sync state matched by dataService.DEVICE_SYNC_PREFERENCE_PATTERN
+const PRESERVED_PREFERENCE_KEYS = ["syncWifiOnly", "deviceName"];
 
 // DOM element reference for file input
 let importFileInputElement = null;
@@ -92,6 +114,316 @@ async function handleExport(closeMenuCallback) {
   }
 }
 
+/**
+ * Collect daily servings from every history week plus the current week
+ * @param {Array} history - All history records
+ * @param {Object} currentDailyCounts - Current state dailyCounts
+ * @returns {Object} Servings keyed by date, then by food group ID
+ */
+function collectDailyServings(history, currentDailyCounts) {
+  const days = {};
+
+  (history || []).forEach((week) => {
+    Object.entries(week.dailyBreakdown || {}).forEach(([date, counts]) => {
+      days[date] = { ...(counts || {}) };
+    });
+  });
+
+  // Current tracking wins over any overlapping archived day
+  Object.entries(currentDailyCounts || {}).forEach(([date, counts]) => {
+    days[date] = { ...(counts || {}) };
+  });
+
+  return days;
+}
+
+/**
+ * Handle CSV export - one row per day, one column per food group
+ * @param {Function} closeMenuCallback - Function to close the menu after export starts
+ */
+async function handleCsvExport(closeMenuCallback) {
+  if (closeMenuCallback) closeMenuCallback();
+
+  try {
+    logger.info("Exporting daily servings as CSV...");
+    const history = await dataService.getAllWeekHistory();
+    const days = collectDailyServings(
+      history,
+      stateManager.getState().dailyCounts
+    );
+    const dates = Object.keys(days).sort();
+
+    if (dates.length === 0) {
+      uiRenderer.showToast("No data available to export.", "error");
+      return;
+    }
+
+    // Configured groups first, then any retired groups still present in the data
+    const groupIds = stateManager.getFoodGroups().map((group) => group.id);
+    dates.forEach((date) => {
+      Object.keys(days[date]).forEach((groupId) => {
+        if (!groupIds.includes(groupId)) groupIds.push(groupId);
+      });
+    });
+
+    const rows = [
+      [CSV_DATE_HEADER, ...groupIds],
+      ...dates.map((date) => [
+        date,
+        ...groupIds.map((groupId) => days[date][groupId] || 0),
+      ]),
+    ];
+
+    const blob = new Blob([csvUtils.toCsv(rows)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    const timestamp = dataService.getTodayDateString();
+    link.download = `mind-diet-tracker-servings-${timestamp}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    logger.info(`CSV exported with ${dates.length} days.`);
+    uiRenderer.showToast("CSV exported successfully!", "success");
+  } catch (error) {
+    logger.error("Error exporting CSV:", error);
+    uiRenderer.showToast(`CSV export failed: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Parse and validate a servings CSV. Columns that aren't configured food
+ * groups, such as groups removed since the file was exported, are skipped.
+ * @param {string} text - The CSV file content
+ * @param {Array} foodGroups - The configured food groups (valid column IDs)
+ * @returns {Object} { days, skippedColumns } where days holds servings keyed
+ *   by date, then by food group ID
+ * @throws {Error} If the headers or any value are invalid, or no column is
+ *   a configured food group
+ */
+function parseServingsCsv(text, foodGroups) {
+  const rows = csvUtils.parseCsv(text);
+  if (rows.length < 2) {
+    throw new Error("CSV file has no data rows.");
+  }
+
+  const headers = rows[0].map((header) => header.trim());
+  if (headers[0].toLowerCase() !== CSV_DATE_HEADER) {
+    throw new Error(`First column must be "${CSV_DATE_HEADER}".`);
+  }
+
+  const groupIds = headers.slice(1);
+  const validIds = new Set(foodGroups.map((group) => group.id));
+  const skippedColumns = groupIds.filter((id) => !validIds.has(id));
+  const duplicateIds = groupIds.filter(
+    (id, index) => groupIds.indexOf(id) !== index
+  );
+  if (duplicateIds.length > 0) {
+    throw new Error(`Duplicate columns: ${duplicateIds.join(", ")}`);
+  }
+  if (skippedColumns.length === groupIds.length) {
+    const expected = [...validIds].join(", ");
+    throw new Error(
+      `No food group columns found. After "${CSV_DATE_HEADER}", expected any of: ${expected}.`
+    );
+  }
+
+  const days = {};
+  rows.slice(1).forEach((row, rowIndex) => {
+    const lineNumber = rowIndex + 2;
+    const date = (row[0] || "").trim();
+    if (!dateUtils.isValidDateString(date)) {
+      throw new Error(`Line ${lineNumber}: invalid date "${date}".`);
+    }
+    if (days[date]) {
+      throw new Error(`Line ${lineNumber}: date ${date} appears twice.`);
+    }
+
+    days[date] = {};
+    groupIds.forEach((groupId, columnIndex) => {
+      if (!validIds.has(groupId)) return;
+      const rawValue = (row[columnIndex + 1] || "").trim();
+      if (rawValue === "") return; // Blank cells leave existing data untouched
+
+      const value = Number(rawValue);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(
+          `Line ${lineNumber}: "${rawValue}" is not a valid count for ${groupId}.`
+        );
+      }
+      // Fractional servings are kept to the nearest quarter
+      days[date][groupId] = trackingEngine.roundServings(value);
+    });
+  });
+
+  return { days, skippedColumns };
+}
+
+/**
+ * Merge imported daily servings into the current week and history. Days
+ * after today are skipped.
+ * @param {Object} days - Servings keyed by date, then by food group ID
+ * @returns {Promise<Object>} Counts of days and weeks updated
+ */
+async function processCsvImport(days) {
+  const state = stateManager.getState();
+  const weekStartDay = state.metadata?.weekStartDay || "Sunday";
+  const currentWeekStart = state.currentWeekStartDate;
+  const today = dataService.getTodayDateString();
+
+  const result = {
+    daysImported: 0,
+    weeksUpdated: 0,
+    currentWeekDays: 0,
+    skippedFutureDays: 0,
+  };
+
+  // Group days by the week they fall in
+  const weeks = {};
+  Object.entries(days).forEach(([date, counts]) => {
+    if (date > today) {
+      result.skippedFutureDays++;
+      return;
+    }
+    const weekStart = dataService.getWeekStartDate(date, weekStartDay);
+    weeks[weekStart] = weeks[weekStart] || {};
+    weeks[weekStart][date] = counts;
+  });
+  const now = Date.now();
+
+  await dataService.createSnapshot(
+    dataService.SNAPSHOT_REASONS.IMPORT,
+    `CSV import of ${Object.keys(days).length} day(s)`
+  );
+
+  for (const [weekStart, weekDays] of Object.entries(weeks)) {
+    if (weekStart > currentWeekStart) {
+      result.skippedFutureDays += Object.keys(weekDays).length;
+      continue;
+    }
+
+    if (weekStart === currentWeekStart) {
+      stateManager.startBatching();
+      try {
+        Object.entries(weekDays).forEach(([date, counts]) => {
+          Object.entries(counts).forEach(([groupId, count]) => {
+            stateManager.updateDailyCount(date, groupId, count);
+          });
+        });
+      } finally {
+        stateManager.endBatching();
+      }
+      result.currentWeekDays += Object.keys(weekDays).length;
+      result.daysImported += Object.keys(weekDays).length;
+      continue;
+    }
+
+    const existingWeek = await dataService.getWeekHistory(weekStart);
+    const dailyBreakdown = { ...(existingWeek?.dailyBreakdown || {}) };
+    Object.entries(weekDays).forEach(([date, counts]) => {
+      dailyBreakdown[date] = { ...(dailyBreakdown[date] || {}), ...counts };
+    });
+
+    await dataService.saveWeekHistory(
+      {
+        ...(existingWeek || {}),
+        weekStartDate: weekStart,
+        dailyBreakdown,
+        totals: trackingEngine.calculateWeeklyTotals(
+          dailyBreakdown,
+          [],
+          weekStart
+        ),
+      },
+      {
+        foodGroups: stateManager.getFoodGroups(),
+        updatedAt: now,
+        weekStartDay,
+        importInfo: { deviceId: "csv-import", timestamp: now },
+      }
+    );
+
+    result.weeksUpdated++;
+    result.daysImported += Object.keys(weekDays).length;
+  }
+
+  if (result.weeksUpdated > 0) {
+    stateManager.updateMetadata({ historyDirty: true, lastModified: now });
+
+    const historyData = await dataService.getAllWeekHistory();
+    stateManager.dispatch({
+      type: stateManager.ACTION_TYPES.SET_HISTORY,
+      payload: { history: historyData },
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Handle a selected CSV file: validate, confirm and merge
+ * @param {File} file - The selected CSV file
+ */
+async function handleCsvImportFile(file) {
+  try {
+    const text = await file.text();
+    const { days, skippedColumns } = parseServingsCsv(
+      text,
+      stateManager.getFoodGroups()
+    );
+    const dates = Object.keys(days).sort();
+
+    const fileDetails = `
+      <p><strong>File:</strong> ${escapeHtml(file.name)}</p>
+      <p><strong>Days:</strong> ${dates.length} (${dates[0]} to ${
+      dates[dates.length - 1]
+    })</p>${
+      skippedColumns.length > 0
+        ? `
+      <p><strong>Skipped columns:</strong> ${escapeHtml(
+        skippedColumns.join(", ")
+      )} (not food groups in your current settings)</p>`
+        : ""
+    }
+    `;
+
+    const confirmed = await uiRenderer.showConfirmDialog({
+      title: "Import CSV",
+      details: fileDetails,
+      actionDesc: "MERGE these days into your tracking data",
+      message:
+        "Counts in the file replace the matching days and food groups. Blank cells are left unchanged. Do you want to proceed?",
+      confirmText: "Import",
+      cancelText: "Cancel",
+    });
+
+    if (!confirmed) {
+      logger.info("CSV import cancelled by user.");
+      return;
+    }
+
+    const result = await processCsvImport(days);
+    logger.info("CSV import complete:", result);
+
+    uiRenderer.renderEverything();
+
+    let message = `Imported ${result.daysImported} days.`;
+    if (result.skippedFutureDays > 0) {
+      message += ` Skipped ${result.skippedFutureDays} future days.`;
+    }
+    uiRenderer.showToast(message, "success", { duration: 4000 });
+  } catch (error) {
+    logger.error("Error importing CSV:", error);
+    uiRenderer.showToast(`CSV import failed: ${error.message}`, "error", {
+      duration: 5000,
+    });
+  } finally {
+    clearFileInput();
+  }
+}
+
 /**
  * Trigger the import file selection dialog
  * @param {Function} closeMenuCallback - Function to close the menu
@@ -117,10 +449,16 @@ async function handleImportFileSelect(event) {
     return;
   }
 
+  // CSV files hold daily servings only and are merged rather than replaced
+  if (file.type === "text/csv" || file.name.toLowerCase().endsWith(".csv")) {
+    await handleCsvImportFile(file);
+    return;
+  }
+
   // Validate file type
   if (!file.type || file.type !== "application/json") {
     uiRenderer.showToast(
-      "Invalid file type. Please select a '.json' file.",
+      "Invalid file type. Please select a '.json' or '.csv' file.",
       "error"
     );
     clearFileInput();
@@ -144,97 +482,37 @@ async function handleImportFileSelect(event) {
         throw new Error("Invalid file structure.");
       }
 
-      // Format export date for display
-      const exportDate =
-        importedData.appInfo && importedData.appInfo.exportDate
-          ? new Date(importedData.appInfo.exportDate).toLocaleString()
-          : "unknown date";
-
-      // Determine relationship between import date and current date
-      const importedDate = importedData.currentState.currentDayDate;
-      const todayStr = dataService.getTodayDateString();
-
-      // Get date relationship (SAME_DAY, SAME_WEEK, PAST_WEEK, FUTURE_WEEK)
-      const dateRelationship = getDateRelationship(importedDate, todayStr);
-
-      // Prepare confirmation message
-      let actionDescription;
-      switch (dateRelationship) {
-        case "SAME_DAY":
-          actionDescription = "REPLACE ALL tracking data";
-          break;
-        case "SAME_WEEK":
-          actionDescription = "UPDATE current week totals and REPLACE history";
-          break;
-        case "PAST_WEEK":
-          actionDescription =
-            "ADD the imported data as history while PRESERVING current tracking";
-          break;
-        case "FUTURE_WEEK":
-          actionDescription =
-            "Warning: Import data appears to be from a FUTURE date";
-          break;
-        default:
-          actionDescription = "REPLACE ALL tracking data";
-      }
-
-      // File details for the dialog
-      const fileDetails = `
-        <p><strong>File:</strong> ${file.name}</p>
-        <p><strong>Exported:</strong> ${exportDate}</p>
-        <p><strong>Import type:</strong> ${dateRelationship
-          .replace("_", " ")
-          .toLowerCase()}</p>
-      `;
-
-      // Show confirmation dialog using uiRenderer
-      const confirmed = await uiRenderer.showConfirmDialog({
-        title: "Import Confirmation",
-        details: fileDetails,
-        actionDesc: actionDescription,
-        message:
-          "This action cannot be undone. Do you want to proceed with the import?",
-        confirmText: "Import",
-        cancelText: "Cancel",
-      });
+      // Compare every week in the file with local data before writing anything
+      const preview = await buildImportPreview(importedData);
+      const selection = await showImportPreviewDialog(
+        file,
+        importedData,
+        preview
+      );
 
-      if (!confirmed) {
+      if (!selection) {
         logger.info("Import cancelled by user.");
         clearFileInput();
         return;
       }
 
-      // Perform the import based on the data relationship
-      const importResult = await processImport(importedData, dateRelationship);
+      const importResult = await processImport(
+        importedData,
+        preview,
+        selection
+      );
 
       // Reload UI with new data
       uiRenderer.renderEverything();
       uiRenderer.setActiveView("tracker");
 
-      // Create success message
-      let successMessage;
-      switch (dateRelationship) {
-        case "SAME_DAY":
-          successMessage = `Import complete. All data replaced.`;
-          break;
-        case "SAME_WEEK":
-          successMessage = `Import complete. Week totals updated for current week.`;
-          break;
-        case "PAST_WEEK":
-          const importedCount =
-            importResult?.importedCount ||
-            importedData.appInfo?.historyCount ||
-            importedData.history.length;
-          successMessage = `Import complete. ${importedCount} weeks added to history.`;
-          break;
-        case "FUTURE_WEEK":
-          successMessage = `Import complete. Future-dated data imported.`;
-          break;
-        default:
-          successMessage = `Import successful!`;
+      let successMessage = `Import complete. ${importResult.importedWeeks} week${
+        importResult.importedWeeks === 1 ? "" : "s"
+      } imported`;
+      if (importResult.preferencesImported) {
+        successMessage += " and preferences updated";
       }
-
-      uiRenderer.showToast(successMessage, "success", { duration: 4000 });
+      uiRenderer.showToast(`${successMessage}.`, "success", { duration: 4000 });
     } catch (error) {
       logger.error("Error importing data:", error);
       uiRenderer.showToast(`Import failed: ${error.message}`, "error", {
@@ -255,181 +533,445 @@ async function handleImportFileSelect(event) {
 }
 
 /**
- * Process the import operation based on date relationship
- * @param {Object} importedData - The parsed data from the imported JSON file
- * @param {string} dateRelationship - Relationship of imported currentState to local current date
- * @returns {Promise<Object>} An object indicating success and any relevant import counts
+ * Get the seven YYYY-MM-DD dates of a week
+ * @param {string} weekStartDate - The week start date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates of the week in order
  */
-async function processImport(importedData, dateRelationship) {
-  try {
-    let importResult = { success: false };
+function getWeekDates(weekStartDate) {
+  const startDate = dateUtils.parseDateString(weekStartDate);
+  const dates = [];
+  for (let i = 0; i < 7; i++) {
+    const day = new Date(startDate);
+    day.setDate(startDate.getDate() + i);
+    dates.push(dateUtils.formatDateToYYYYMMDD(day));
+  }
+  return dates;
+}
 
-    // Get current sync settings before import
-    const currentSyncEnabled = await dataService.getPreference(
-      "cloudSyncEnabled",
-      false
-    );
-    const currentSyncProvider = await dataService.getPreference(
-      "cloudSyncProvider",
-      "gdrive"
-    );
-    const currentSyncWifiOnly = await dataService.getPreference(
-      "syncWifiOnly",
-      false
-    );
+/**
+ * Drop zero counts and empty days so sparse and padded records compare equal
+ * @param {Object} dailyBreakdown - Counts keyed by date, then by food group ID
+ * @returns {Object} Compacted copy
+ */
+function compactBreakdown(dailyBreakdown) {
+  const compacted = {};
+  Object.entries(dailyBreakdown || {}).forEach(([date, counts]) => {
+    const nonZero = {};
+    Object.entries(counts || {}).forEach(([groupId, count]) => {
+      if (Number(count) !== 0) nonZero[groupId] = Number(count);
+    });
+    if (Object.keys(nonZero).length > 0) compacted[date] = nonZero;
+  });
+  return compacted;
+}
 
-    if (dateRelationship === "PAST_WEEK") {
-      const currentState = stateManager.getState();
-      const currentDailyCounts = { ...currentState.dailyCounts };
-      const currentWeeklyCounts = { ...currentState.weeklyCounts };
-      const currentDayDate = currentState.currentDayDate;
-      const currentWeekStartDate = currentState.currentWeekStartDate;
+/**
+ * Check whether two weeks hold the same servings
+ * @param {Object} importedWeek - Week record from the file
+ * @param {Object} localWeek - Local week record
+ * @returns {boolean} True if the weeks hold the same data
+ */
+function weeksAreIdentical(importedWeek, localWeek) {
+  // Old exports may only carry totals; fall back to comparing those
+  const hasBreakdowns =
+    Object.keys(importedWeek.dailyBreakdown || {}).length > 0 &&
+    Object.keys(localWeek.dailyBreakdown || {}).length > 0;
+
+  if (hasBreakdowns) {
+    const imported = compactBreakdown(importedWeek.dailyBreakdown);
+    const local = compactBreakdown(localWeek.dailyBreakdown);
+    const dates = new Set([...Object.keys(imported), ...Object.keys(local)]);
+    return [...dates].every((date) => {
+      const importedDay = imported[date] || {};
+      const localDay = local[date] || {};
+      const groupIds = new Set([
+        ...Object.keys(importedDay),
+        ...Object.keys(localDay),
+      ]);
+      return [...groupIds].every(
+        (groupId) => importedDay[groupId] === localDay[groupId]
+      );
+    });
+  }
+
+  return (
+    calculateGroupDeltas(importedWeek.totals, localWeek.totals).length === 0
+  );
+}
+
+/**
+ * Compute per-group differences between imported and local weekly totals
+ * @param {Object} importedTotals - Weekly totals from the file
+ * @param {Object} localTotals - Local weekly totals
+ * @returns {Array<Object>} Changed groups as { groupId, local, imported, delta }
+ */
+function calculateGroupDeltas(importedTotals = {}, localTotals = {}) {
+  const groupIds = new Set([
+    ...Object.keys(importedTotals || {}),
+    ...Object.keys(localTotals || {}),
+  ]);
+
+  return [...groupIds]
+    .map((groupId) => {
+      const imported = Number(importedTotals?.[groupId]) || 0;
+      const local = Number(localTotals?.[groupId]) || 0;
+      return { groupId, local, imported, delta: imported - local };
+    })
+    .filter((entry) => entry.delta !== 0);
+}
 
-      const foodGroups =
-        currentState.foodGroups || stateManager.getFoodGroups();
+/**
+ * Build a per-week comparison of an import file against local data
+ * @param {Object} importedData - The parsed data from the imported JSON file
+ * @returns {Promise<Object>} Preview with weeks, preference count and export time
+ */
+async function buildImportPreview(importedData) {
+  const state = stateManager.getState();
+  const weekStartDay = state.metadata?.weekStartDay || "Sunday";
+  const localCurrentWeekStart = state.currentWeekStartDate;
+  const foodGroups = stateManager.getFoodGroups();
+
+  const exportTimestamp =
+    importedData.appInfo?.exportTimestamp ||
+    Date.parse(importedData.appInfo?.exportDate) ||
+    0;
+
+  // The file's current week is compared like any other week
+  const importedWeeks = new Map();
+  importedData.history.forEach((week) => {
+    if (week?.weekStartDate) importedWeeks.set(week.weekStartDate, week);
+  });
+  const importedCurrentWeek = dataService.createHistoryFromCurrentState(
+    importedData.currentState,
+    importedData.appInfo,
+    foodGroups,
+    weekStartDay
+  );
+  if (importedCurrentWeek) {
+    importedWeeks.set(importedCurrentWeek.weekStartDate, importedCurrentWeek);
+  }
 
-      const importedCurrentWeek = dataService.createHistoryFromCurrentState(
-        importedData.currentState,
-        importedData.appInfo,
-        foodGroups
+  // Local weeks: archived history plus the week being tracked
+  const localWeeks = new Map();
+  (await dataService.getAllWeekHistory()).forEach((week) => {
+    localWeeks.set(week.weekStartDate, {
+      ...week,
+      updatedAt: week.metadata?.updatedAt || 0,
+    });
+  });
+  const localCurrentWeekDates = getWeekDates(localCurrentWeekStart);
+  const localCurrentBreakdown = {};
+  localCurrentWeekDates.forEach((date) => {
+    localCurrentBreakdown[date] = { ...(state.dailyCounts[date] || {}) };
+  });
+  localWeeks.set(localCurrentWeekStart, {
+    weekStartDate: localCurrentWeekStart,
+    dailyBreakdown: localCurrentBreakdown,
+    totals: { ...state.weeklyCounts },
+    updatedAt: state.metadata?.lastModified || state.lastModified || 0,
+  });
+
+  const weeks = [...importedWeeks.values()]
+    .sort((a, b) => b.weekStartDate.localeCompare(a.weekStartDate))
+    .map((importedWeek) => {
+      const weekStartDate = importedWeek.weekStartDate;
+      const localWeek = localWeeks.get(weekStartDate) || null;
+      const isCurrentWeek = weekStartDate === localCurrentWeekStart;
+      const deltas = calculateGroupDeltas(
+        importedWeek.totals,
+        localWeek?.totals
       );
 
-      const combinedHistory = [importedCurrentWeek, ...importedData.history];
-      const importedHistoryCount = combinedHistory.length;
+      let status;
+      if (weekStartDate > localCurrentWeekStart) {
+        status = PREVIEW_STATUS.FUTURE;
+      } else if (
+        !localWeek ||
+        (isCurrentWeek &&
+          Object.keys(compactBreakdown(localWeek.dailyBreakdown)).length === 0)
+      ) {
+        status = PREVIEW_STATUS.ADDED;
+      } else if (weeksAreIdentical(importedWeek, localWeek)) {
+        status = PREVIEW_STATUS.IDENTICAL;
+      } else if (!exportTimestamp || localWeek.updatedAt > exportTimestamp) {
+        // Local edits made after the export would be lost
+        status = PREVIEW_STATUS.CONFLICTING;
+      } else {
+        status = PREVIEW_STATUS.CHANGED;
+      }
 
-      const historyOnly = {
-        appInfo: {
-          ...importedData.appInfo,
-          historyCount: importedHistoryCount,
-        },
-        currentState: {
-          currentDayDate,
-          currentWeekStartDate,
-          dailyCounts: currentDailyCounts,
-          weeklyCounts: currentWeeklyCounts,
-          lastModified: Date.now(),
-          metadata: {
-            schemaVersion: dataService.SCHEMA?.VERSION || 3,
-            partialImport: true,
-            historyDirty: true,
-          },
-        },
-        history: combinedHistory,
-        preferences: {
-          ...importedData.preferences,
-          cloudSyncEnabled: currentSyncEnabled,
-          cloudSyncProvider: currentSyncProvider,
-          syncWifiOnly: currentSyncWifiOnly,
-        },
+      return {
+        weekStartDate,
+        status,
+        isCurrentWeek,
+        importedWeek,
+        localWeek,
+        deltas,
       };
+    });
 
-      await dataService.importData(historyOnly);
-      importResult = { success: true, importedCount: importedHistoryCount };
-    } else if (dateRelationship === "SAME_WEEK") {
-      const currentState = stateManager.getState();
-      const currentDailyCounts = { ...currentState.dailyCounts };
-      const currentWeeklyCounts = { ...currentState.weeklyCounts };
-      const importedDailyCounts = { ...importedData.currentState.dailyCounts };
-      const importedWeeklyCounts = {
-        ...importedData.currentState.weeklyCounts,
-      };
+  const preferenceKeys = Object.keys(importedData.preferences || {}).filter(
+    (key) =>
+      !PRESERVED_PREFERENCE_KEYS.includes(key) &&
+      !dataService.DEVICE_SYNC_PREFERENCE_PATTERN.test(key)
+  );
 
-      // Merge daily counts
-      const mergedDailyCounts = { ...currentDailyCounts };
-      Object.keys(importedDailyCounts).forEach((date) => {
-        mergedDailyCounts[date] = mergedDailyCounts[date] || {};
-        Object.keys(importedDailyCounts[date]).forEach((groupId) => {
-          const currentCount = mergedDailyCounts[date][groupId] || 0;
-          const importedCount = importedDailyCounts[date][groupId] || 0;
-          mergedDailyCounts[date][groupId] = Math.max(
-            currentCount,
-            importedCount
-          );
-        });
-      });
+  return { weeks, preferenceKeys, exportTimestamp };
+}
 
-      // Merge weekly counts
-      const mergedWeeklyCounts = {};
-      const allGroupIds = [
-        ...new Set([
-          ...Object.keys(currentWeeklyCounts),
-          ...Object.keys(importedWeeklyCounts),
-        ]),
-      ];
-
-      allGroupIds.forEach((groupId) => {
-        const currentCount = currentWeeklyCounts[groupId] || 0;
-        const importedCount = importedWeeklyCounts[groupId] || 0;
-        mergedWeeklyCounts[groupId] = Math.max(currentCount, importedCount);
-      });
+/**
+ * Render one preview row
+ * @param {Object} week - Preview week entry
+ * @param {Map} groupNames - Food group display names keyed by ID
+ * @returns {string} HTML for the row
+ */
+function renderPreviewWeek(week, groupNames) {
+  const weekLabel = dateUtils.formatDate(
+    dateUtils.parseDateString(week.weekStartDate),
+    { includeWeekday: false, includeYear: true }
+  );
+  const selectable = week.status !== PREVIEW_STATUS.FUTURE;
+  const checked =
+    week.status === PREVIEW_STATUS.ADDED ||
+    week.status === PREVIEW_STATUS.CHANGED;
+
+  const deltas =
+    week.status === PREVIEW_STATUS.IDENTICAL || week.deltas.length === 0
+      ? ""
+      : `<ul class="import-week-deltas">${week.deltas
+          .map((entry) => {
+            const name = groupNames.get(entry.groupId) || entry.groupId;
+            const sign = entry.delta > 0 ? "+" : "";
+            return `<li><span>${escapeHtml(name)}</span> ${entry.local} &rarr; ${
+              entry.imported
+            } <span class="delta">(${sign}${entry.delta})</span></li>`;
+          })
+          .join("")}</ul>`;
+
+  return `
+    <li class="import-preview-week status-${week.status}">
+      <label>
+        <input type="checkbox" class="import-week-checkbox" value="${
+          week.weekStartDate
+        }" ${checked ? "checked" : ""} ${selectable ? "" : "disabled"}>
+        <span class="import-week-label">Week of ${escapeHtml(weekLabel)}${
+    week.isCurrentWeek ? " (current week)" : ""
+  }</span>
+        <span class="import-status-badge">${week.status}</span>
+      </label>
+      ${deltas}
+    </li>
+  `;
+}
 
-      const now = Date.now();
-      const mergedImport = {
-        appInfo: importedData.appInfo,
-        currentState: {
-          currentDayDate: currentState.currentDayDate,
-          currentWeekStartDate: currentState.currentWeekStartDate,
-          dailyCounts: mergedDailyCounts,
-          weeklyCounts: mergedWeeklyCounts,
-          lastModified: now,
-          metadata: {
-            schemaVersion: dataService.SCHEMA?.VERSION || 3,
-            partialImport: true,
-            currentWeekDirty: true,
-            historyDirty: true,
-            dailyTotalsDirty: true,
-            dailyTotalsUpdatedAt: now,
-            weeklyTotalsDirty: true,
-            weeklyTotalsUpdatedAt: now,
+/**
+ * Show the import preview and let the user pick weeks and preferences
+ * @param {File} file - The selected file
+ * @param {Object} importedData - The parsed data from the imported JSON file
+ * @param {Object} preview - Result of buildImportPreview
+ * @returns {Promise<Object|null>} { weekStartDates, includePreferences } or null if cancelled
+ */
+function showImportPreviewDialog(file, importedData, preview) {
+  return new Promise((resolve) => {
+    const exportDate = preview.exportTimestamp
+      ? new Date(preview.exportTimestamp).toLocaleString()
+      : "unknown date";
+
+    const groupNames = new Map();
+    preview.weeks.forEach((week) => {
+      Object.entries(week.importedWeek.targets || {}).forEach(
+        ([groupId, target]) => {
+          if (target?.name) groupNames.set(groupId, target.name);
+        }
+      );
+    });
+    stateManager
+      .getFoodGroups()
+      .forEach((group) => groupNames.set(group.id, group.name));
+
+    const preferencesOption =
+      preview.preferenceKeys.length > 0
+        ? `
+      <label class="import-preview-preferences">
+        <input type="checkbox" id="import-preferences-checkbox">
+        Import preferences (${preview.preferenceKeys.length} settings; sync settings on this device are kept)
+      </label>`
+        : "";
+
+    const content = `
+      <div class="dialog-import-details">
+        <p><strong>File:</strong> ${escapeHtml(file.name)}</p>
+        <p><strong>Exported:</strong> ${exportDate}</p>
+        <p><strong>Weeks in file:</strong> ${preview.weeks.length}</p>
+      </div>
+      <p>Select the weeks to import. Selected weeks replace the matching local week.</p>
+      <ul class="import-preview-list">
+        ${preview.weeks
+          .map((week) => renderPreviewWeek(week, groupNames))
+          .join("")}
+      </ul>
+      ${preferencesOption}
+    `;
+
+    uiRenderer.openModal("Import Preview", content, {
+      showFooter: true,
+      buttons: [
+        {
+          label: "Cancel",
+          id: "import-preview-cancel-btn",
+          class: "secondary-btn",
+          onClick: () => {
+            uiRenderer.closeModal();
+            resolve(null);
           },
         },
-        history: importedData.history,
-        preferences: {
-          ...importedData.preferences,
-          cloudSyncEnabled: currentSyncEnabled,
-          cloudSyncProvider: currentSyncProvider,
-          syncWifiOnly: currentSyncWifiOnly,
+        {
+          label: "Import Selected",
+          id: "import-preview-confirm-btn",
+          class: "primary-btn",
+          onClick: () => {
+            const weekStartDates = [
+              ...document.querySelectorAll(".import-week-checkbox:checked"),
+            ].map((checkbox) => checkbox.value);
+            const includePreferences = Boolean(
+              document.getElementById("import-preferences-checkbox")?.checked
+            );
+
+            if (weekStartDates.length === 0 && !includePreferences) {
+              uiRenderer.showToast("Nothing selected to import.", "info");
+              return;
+            }
+
+            uiRenderer.closeModal();
+            resolve({ weekStartDates, includePreferences });
+          },
         },
-      };
+      ],
+    });
+  });
+}
 
-      await dataService.importData(mergedImport);
+/**
+ * Write the selected weeks and preferences from an import file
+ * @param {Object} importedData - The parsed data from the imported JSON file
+ * @param {Object} preview - Result of buildImportPreview
+ * @param {Object} selection - Selected weeks and whether to import preferences
+ * @param {Array<string>} selection.weekStartDates - Week start dates to import
+ * @param {boolean} selection.includePreferences - Whether to import preferences
+ * @returns {Promise<Object>} Counts of what was imported
+ */
+async function processImport(importedData, preview, selection) {
+  try {
+    const importResult = {
+      success: false,
+      importedWeeks: 0,
+      preferencesImported: false,
+    };
+    const state = stateManager.getState();
+    const weekStartDay = state.metadata?.weekStartDay || "Sunday";
+    const foodGroups = stateManager.getFoodGroups();
+    const now = Date.now();
+    let historyChanged = false;
+
+    await dataService.createSnapshot(
+      dataService.SNAPSHOT_REASONS.IMPORT,
+      `${selection.weekStartDates.length} week(s)${
+        selection.includePreferences ? " and preferences" : ""
+      } from file`
+    );
 
-      // Recalculate weekly totals from merged daily counts to ensure consistency
-      stateManager.recalculateWeeklyTotals();
-      logger.info("Recalculated weekly totals after SAME_WEEK import merge");
+    const selectedWeeks = preview.weeks.filter(
+      (week) =>
+        week.status !== PREVIEW_STATUS.FUTURE &&
+        selection.weekStartDates.includes(week.weekStartDate)
+    );
 
-      importResult = { success: true };
-    } else {
-      // SAME_DAY or FUTURE_WEEK – full import
-      importedData.currentState.metadata = {
-        ...(importedData.currentState.metadata || {}),
-        currentWeekDirty: true,
-      };
+    for (const week of selectedWeeks) {
+      const { importedWeek } = week;
 
-      if (importedData.history && importedData.history.length > 0) {
-        importedData.currentState.metadata.historyDirty = true;
+      if (week.isCurrentWeek) {
+        if (Object.keys(importedWeek.dailyBreakdown || {}).length === 0) {
+          logger.warn(
+            `Skipping current week ${week.weekStartDate}: no daily breakdown in file`
+          );
+          continue;
+        }
+
+        // Replace the tracked days of this week, keep anything outside it
+        const weekDates = getWeekDates(week.weekStartDate);
+        const dailyCounts = {};
+        Object.entries(stateManager.getState().dailyCounts).forEach(
+          ([date, counts]) => {
+            if (!weekDates.includes(date)) dailyCounts[date] = counts;
+          }
+        );
+        weekDates.forEach((date) => {
+          dailyCounts[date] = { ...(importedWeek.dailyBreakdown[date] || {}) };
+        });
+
+        // Food item logs follow the counts they were added to
+        const dailyItemLogs = {};
+        Object.entries(stateManager.getState().dailyItemLogs || {}).forEach(
+          ([date, entries]) => {
+            if (!weekDates.includes(date)) dailyItemLogs[date] = entries;
+          }
+        );
+        Object.entries(importedWeek.dailyItemLogs || {}).forEach(
+          ([date, entries]) => {
+            if (weekDates.includes(date)) dailyItemLogs[date] = entries;
+          }
+        );
+
+        stateManager.dispatch({
+          type: stateManager.ACTION_TYPES.SET_STATE,
+          payload: { dailyCounts, dailyItemLogs },
+        });
+        stateManager.recalculateWeeklyTotals();
+        stateManager.updateMetadata({
+          currentWeekDirty: true,
+          dailyTotalsDirty: true,
+          dailyTotalsUpdatedAt: now,
+          weeklyTotalsDirty: true,
+          weeklyTotalsUpdatedAt: now,
+          lastModified: now,
+        });
+      } else {
+        await dataService.saveWeekHistory(importedWeek, {
+          foodGroups,
+          updatedAt: now,
+          weekStartDay,
+          importInfo: importedData.appInfo,
+        });
+        historyChanged = true;
       }
 
-      // Preserve sync settings
-      importedData.preferences = {
-        ...importedData.preferences,
-        cloudSyncEnabled: currentSyncEnabled,
-        cloudSyncProvider: currentSyncProvider,
-        syncWifiOnly: currentSyncWifiOnly,
-      };
+      importResult.importedWeeks++;
+    }
 
-      await dataService.importData(importedData);
-      importResult = { success: true };
+    if (selection.includePreferences) {
+      const preferences = preview.preferenceKeys.map((key) => ({
+        key,
+        value: importedData.preferences[key],
+      }));
+      await dataService.bulkSavePreferences(preferences);
+      importResult.preferencesImported = true;
     }
 
-    const foodGroups =
-      stateManager.getState().foodGroups || stateManager.getFoodGroups();
-    await stateManager.initialize(foodGroups);
+    if (historyChanged) {
+      stateManager.updateMetadata({ historyDirty: true, lastModified: now });
+    }
+
+    // Imported preferences may carry a different food group configuration
+    const reloadedFoodGroups = await foodGroupsManager.initialize();
+    await foodLibraryManager.initialize();
+    await stateManager.initialize(reloadedFoodGroups);
 
     // Ensure weekly totals are consistent with daily counts after any import
     stateManager.recalculateWeeklyTotals();
     logger.debug("Post-import weekly totals recalculation complete");
 
+    importResult.success = true;
+    logger.info("Import complete:", importResult);
     return importResult;
   } catch (error) {
     logger.error("Error during import processing:", error);
@@ -437,30 +979,6 @@ async function processImport(importedData, dateRelationship) {
   }
 }
 
-/**
- * Determine the relationship between two dates
- * @param {string} importDate - The import date string (YYYY-MM-DD)
- * @param {string} todayDate - The current date string (YYYY-MM-DD)
- * @returns {string} Relationship type (SAME_DAY, SAME_WEEK, PAST_WEEK, FUTURE_WEEK)
- */
-function getDateRelationship(importDate, todayDate) {
-  // Convert string dates to Date objects
-  const importDateObj = new Date(`${importDate}T00:00:00`);
-  const todayDateObj = new Date(`${todayDate}T00:00:00`);
-
-  // Get week start dates to compare weeks
-  const importWeekStart = dataService.getWeekStartDate(importDateObj);
-  const todayWeekStart = dataService.getWeekStartDate(todayDateObj);
-
-  if (importDate === todayDate) {
-    return "SAME_DAY";
-  } else if (importWeekStart === todayWeekStart) {
-    return "SAME_WEEK";
-  } else {
-    return importDateObj < todayDateObj ? "PAST_WEEK" : "FUTURE_WEEK";
-  }
-}
-
 /**
  * Clear the file input value
  */
@@ -477,18 +995,26 @@ function clearFileInput() {
 export default {
   initialize,
   handleExport,
+  handleCsvExport,
   triggerImport,
   handleImportFileSelect,
+  buildImportPreview,
   processImport,
-  getDateRelationship,
+  processCsvImport,
+  parseServingsCsv,
+  PREVIEW_STATUS,
 };
 
 // Named exports for convenience
 export {
   initialize,
   handleExport,
+  handleCsvExport,
   triggerImport,
   handleImportFileSelect,
+  buildImportPreview,
   processImport,
-  getDateRelationship,
+  processCsvImport,
+  parseServingsCsv,
+  PREVIEW_STATUS,
 };
@@ -0,0 +1,144 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * MindScore - MIND diet score calculation (Morris et al., 2015)
+ *
+ * Each of the 15 MIND components earns 0, 0.5 or 1 point based on weekly
+ * servings, for a total score between 0 and 15. Thresholds follow the
+ * published scoring table, converted to servings per week. Components are
+ * matched by food group ID, so custom groups are not scored.
+ */
+
+import logger from "./logger.js";
+
+const MAX_COMPONENT_POINTS = 1;
+
+// Weekly-servings scoring rules for each MIND component, keyed by food group ID
+const COMPONENT_RULES = {
+  // Brain-healthy components
+  leafy_greens: (servings) => (servings >= 6 ? 1 : servings > 2 ? 0.5 : 0),
+  other_veg: (servings) => (servings >= 7 ? 1 : servings >= 5 ? 0.5 : 0),
+  nuts: (servings) => (servings >= 5 ? 1 : servings > 0 ? 0.5 : 0),
+  berries: (servings) => (servings >= 2 ? 1 : servings >= 1 ? 0.5 : 0),
+  beans: (servings) => (servings > 3 ? 1 : servings >= 1 ? 0.5 : 0),
+  whole_grains: (servings) => (servings >= 21 ? 1 : servings >= 7 ? 0.5 : 0),
+  fish: (servings) => (servings >= 1 ? 1 : servings > 0 ? 0.5 : 0),
+  poultry: (servings) => (servings >= 2 ? 1 : servings >= 1 ? 0.5 : 0),
+  // Published score rewards olive oil as the primary oil; approximated as daily use
+  olive_oil: (servings) => (servings >= 7 ? 1 : servings > 0 ? 0.5 : 0),
+  // One glass a day is optimal; none or more than one a day scores 0
+  wine: (servings) =>
+    servings === 7 ? 1 : servings > 0 && servings < 7 ? 0.5 : 0,
+
+  // Unhealthy components (fewer servings score higher)
+  red_meat: (servings) => (servings < 4 ? 1 : servings < 7 ? 0.5 : 0),
+  butter_margarine: (servings) =>
+    servings < 7 ? 1 : servings <= 14 ? 0.5 : 0,
+  cheese: (servings) => (servings < 1 ? 1 : servings < 7 ? 0.5 : 0),
+  pastries_sweets: (servings) => (servings < 5 ? 1 : servings < 7 ? 0.5 : 0),
+  fried_fast_food: (servings) => (servings < 1 ? 1 : servings < 4 ? 0.5 : 0),
+};
+
+const COMPONENT_IDS = Object.keys(COMPONENT_RULES);
+const MAX_SCORE = COMPONENT_IDS.length * MAX_COMPONENT_POINTS;
+
+/**
+ * Check whether a food group ID is a MIND score component
+ * @param {string} groupId - The food group ID
+ * @returns {boolean} True if the group contributes to the MIND score
+ */
+function isScoredComponent(groupId) {
+  return Object.prototype.hasOwnProperty.call(COMPONENT_RULES, groupId);
+}
+
+/**
+ * Score a single MIND component
+ * @param {string} groupId - The food group ID
+ * @param {number} weeklyServings - Servings recorded for the week
+ * @returns {number|null} 0, 0.5 or 1, or null if the group isn't a MIND component
+ */
+function scoreComponent(groupId, weeklyServings) {
+  if (!isScoredComponent(groupId)) return null;
+
+  const servings = Number(weeklyServings) || 0;
+  return COMPONENT_RULES[groupId](Math.max(0, servings));
+}
+
+/**
+ * Calculate the MIND score from weekly totals
+ * @param {Object} weeklyTotals - Weekly servings keyed by food group ID
+ * @returns {Object} { total, maxScore, components: { [groupId]: { servings, points } } }
+ */
+function calculateMindScore(weeklyTotals = {}) {
+  const totals = weeklyTotals || {};
+  const components = {};
+  let total = 0;
+
+  COMPONENT_IDS.forEach((groupId) => {
+    const servings = Number(totals[groupId]) || 0;
+    const points = scoreComponent(groupId, servings);
+    components[groupId] = { servings, points };
+    total += points;
+  });
+
+  return { total, maxScore: MAX_SCORE, components };
+}
+
+/**
+ * Calculate the MIND score for an archived week
+ * @param {Object} weekData - A weeklyHistory record
+ * @returns {Object|null} Score result, or null if the record has no totals
+ */
+function calculateWeekScore(weekData) {
+  if (!weekData || !weekData.totals) {
+    logger.debug("calculateWeekScore: No totals for week", weekData);
+    return null;
+  }
+  return calculateMindScore(weekData.totals);
+}
+
+/**
+ * Format a score for display
+ * @param {number} score - The score value
+ * @returns {string} Score with at most one decimal place (e.g. "8.5")
+ */
+function formatScore(score) {
+  const value = Number(score) || 0;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Export public API
+export default {
+  isScoredComponent,
+  scoreComponent,
+  calculateMindScore,
+  calculateWeekScore,
+  formatScore,
+  MAX_SCORE,
+};
+
+// Named exports for convenience
+export {
+  isScoredComponent,
+  scoreComponent,
+  calculateMindScore,
+  calculateWeekScore,
+  formatScore,
+  MAX_SCORE,
+};
@@ -0,0 +1,436 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Provider Migration Manager - Move synced data to another cloud provider
+ *
+ * Picking a different provider in Settings only reconnects, so the new
+ * provider starts empty and the old one keeps its files. This dialog
+ * connects the new provider, copies every sync file to it, checks each
+ * week's counts and totals in the copy, and only then switches sync over.
+ * The old provider's files can be deleted afterwards.
+ */
+
+import dataService from "./dataService.js";
+import uiRenderer from "../ui/renderer.js";
+import logger from "./logger.js";
+import {
+  getProviders,
+  getProviderClass,
+  getProviderType,
+  getProviderDisplayName,
+  createProvider,
+} from "../cloudProviders/providerRegistry.js";
+import { AUTH_TYPES } from "../cloudProviders/cloudProvider.js";
+import { ProviderMigration } from "../cloudSync/providerMigration.js";
+import { escapeHtml } from "../utils/appUtils.js";
+
+// Target provider of a migration waiting on an OAuth redirect
+const PENDING_MIGRATION_KEY = "pendingProviderMigration";
+
+/**
+ * Get and clear the target of a migration that was waiting for the user to
+ * sign in to the new provider
+ * @returns {string|null} Provider id
+ */
+function takePendingMigration() {
+  const targetId = localStorage.getItem(PENDING_MIGRATION_KEY);
+  localStorage.removeItem(PENDING_MIGRATION_KEY);
+  return targetId;
+}
+
+/**
+ * Render the setup inputs of a credentials provider
+ * @param {Function} Provider - Provider class
+ * @returns {string} HTML, or "" for other providers
+ */
+function renderCredentialFields(Provider) {
+  if (Provider.authType !== AUTH_TYPES.CREDENTIALS) return "";
+
+  // Secrets are never echoed back
+  const saved = new Provider().getStoredCredentials();
+  return Provider.credentialFields
+    .map((field) => {
+      const placeholder = field.secret
+        ? saved
+          ? "(unchanged)"
+          : ""
+        : field.placeholder || "";
+      const value = field.secret ? "" : saved?.[field.name] || "";
+      return `
+        <div class="settings-row">
+          <label for="migrate-${field.name}">${field.label}:</label>
+          <input type="${field.type}" id="migrate-${field.name}" ${
+            field.autocomplete ? `autocomplete="${field.autocomplete}"` : ""
+          } placeholder="${escapeHtml(placeholder)}" value="${escapeHtml(
+            value
+          )}">
+        </div>`;
+    })
+    .join("");
+}
+
+/**
+ * Connect the target provider from the dialog. OAuth providers redirect,
+ * and the dialog is reopened when the app loads again.
+ * @param {Object} target - Target provider instance
+ * @returns {Promise<boolean>} True if connected
+ */
+async function connectTarget(target) {
+  const Provider = target.constructor;
+
+  if (Provider.authType === AUTH_TYPES.FOLDER) {
+    // Must run straight from the click
+    return target.authenticate();
+  }
+
+  if (Provider.authType === AUTH_TYPES.CREDENTIALS) {
+    const saved = target.getStoredCredentials() || {};
+    target.saveCredentials(
+      Object.fromEntries(
+        Provider.credentialFields.map((field) => {
+          const value = document.getElementById(
+            `migrate-${field.name}`
+          ).value;
+          // Leaving a secret blank keeps the saved one
+          return [
+            field.name,
+            field.secret && !value ? saved[field.name] : value,
+          ];
+        })
+      )
+    );
+    return target.checkAuth();
+  }
+
+  const state = btoa(JSON.stringify({ wizardContext: "providerMigration" }));
+  localStorage.setItem(PENDING_MIGRATION_KEY, Provider.id);
+  window.location.href = `/api/${Provider.id}/auth?state=${encodeURIComponent(
+    state
+  )}`;
+  return false;
+}
+
+/**
+ * Render the result of a migration
+ * @param {Object} report - From ProviderMigration.run
+ * @returns {string} HTML
+ */
+function renderReport(report) {
+  const items = report.files.map(
+    (file) => `
+        <li class="migration-item">
+          <strong>${escapeHtml(file.name)}</strong>
+          <span class="status-value ${
+            file.problem ? "disconnected" : "connected"
+          }">${file.problem ? escapeHtml(file.problem) : "Verified"}</span>
+        </li>`
+  );
+  return `<ul class="migration-list">${items.join("")}
+      </ul>`;
+}
+
+/**
+ * Show the result of a migration, with the option to delete the old
+ * provider's files once the copy is verified
+ * @param {Object} options - Dialog options (see showMigrationDialog)
+ * @param {Object} source - Provider copied from
+ * @param {Object} target - Provider copied to
+ * @param {Object} report - From ProviderMigration.run
+ */
+function showResult(options, source, target, report) {
+  const sourceName = source.constructor.displayName;
+  const targetName = target.constructor.displayName;
+  const weekCount = report.files.filter((file) => file.weekStartDate).length;
+
+  const summary = report.verified
+    ? `Copied ${report.files.length} file(s) and checked the counts and totals of ${weekCount} week(s). Sync now uses ${escapeHtml(
+        targetName
+      )}. Your data is still on ${escapeHtml(sourceName)} until you delete it.`
+    : `Some files didn't copy correctly, so sync still uses ${escapeHtml(
+        sourceName
+      )} and nothing was deleted.`;
+
+  const buttons = report.verified
+    ? [
+        {
+          label: `Delete from ${sourceName}`,
+          id: "migrate-delete-btn",
+          class: "secondary-btn",
+          onClick: () => deleteSourceFiles(options, source),
+        },
+        {
+          label: "Done",
+          id: "migrate-done-btn",
+          class: "primary-btn",
+          onClick: () => finish(options),
+        },
+      ]
+    : [
+        {
+          label: "Try Again",
+          id: "migrate-retry-btn",
+          class: "primary-btn",
+          onClick: () => runMigration(options, target),
+        },
+        {
+          label: "Back",
+          id: "migrate-back-btn",
+          class: "secondary-btn",
+          onClick: () => finish(options),
+        },
+      ];
+
+  uiRenderer.openModal(
+    "Move Sync Data",
+    `<p>${summary}</p>${renderReport(report)}`,
+    { showFooter: true, buttons }
+  );
+}
+
+/**
+ * Delete the app's files from the old provider, after confirming
+ * @param {Object} options - Dialog options
+ * @param {Object} source - Provider copied from
+ */
+async function deleteSourceFiles(options, source) {
+  const sourceName = source.constructor.displayName;
+  const confirmed = await uiRenderer.showConfirmDialog({
+    title: "Delete Old Sync Files",
+    message: `Delete all MIND Diet Tracker files from ${escapeHtml(
+      sourceName
+    )}? Your data stays on this device and the new provider.`,
+    confirmText: "Delete",
+    cancelText: "Keep",
+  });
+
+  if (confirmed) {
+    try {
+      await dataService.createSnapshot(
+        dataService.SNAPSHOT_REASONS.DELETE_CLOUD_FILES,
+        `All files on ${sourceName}`
+      );
+      const deletedCount = await source.clearAllAppDataFiles();
+      uiRenderer.showToast(
+        `Deleted ${deletedCount} file(s) from ${sourceName}`,
+        "success"
+      );
+    } catch (error) {
+      logger.error("Failed to delete old provider files:", error);
+      uiRenderer.showToast(`Delete failed: ${error.message}`, "error");
+    }
+  }
+  await finish(options);
+}
+
+/**
+ * Leave the dialog
+ * @param {Object} options - Dialog options
+ */
+async function finish(options) {
+  if (options.onBack) {
+    await options.onBack();
+  } else {
+    uiRenderer.closeModal();
+  }
+}
+
+/**
+ * Copy the files, then switch sync to the target if every copy checks out
+ * @param {Object} options - Dialog options (see showMigrationDialog)
+ * @param {Object} target - Connected target provider
+ */
+async function runMigration(options, target) {
+  const { cloudSync, onSwitch } = options;
+  const source = cloudSync.provider;
+  const targetName = target.constructor.displayName;
+
+  if (cloudSync.syncInProgress) {
+    uiRenderer.showToast(
+      "A sync is running. Try again when it finishes.",
+      "warning"
+    );
+    return;
+  }
+
+  uiRenderer.openModal(
+    "Move Sync Data",
+    `<p>Copying files to ${escapeHtml(
+      targetName
+    )}: <span id="migrate-progress">starting...</span></p>
+      <p class="setting-note">Keep the app open until this finishes.</p>`
+  );
+
+  let report;
+  // Keep syncs from changing the files while they are copied
+  cloudSync.syncInProgress = true;
+  try {
+    report = await new ProviderMigration(dataService, source, target).run(
+      (done, total, fileName) => {
+        const progress = document.getElementById("migrate-progress");
+        if (progress) {
+          progress.textContent = fileName
+            ? `${done + 1} of ${total} (${fileName})`
+            : `${total} of ${total}`;
+        }
+      }
+    );
+  } catch (error) {
+    logger.error("Provider migration failed:", error);
+    uiRenderer.showToast(`Migration failed: ${error.message}`, "error");
+    await showMigrationDialog({
+      ...options,
+      targetId: target.constructor.id,
+    });
+    return;
+  } finally {
+    cloudSync.syncInProgress = false;
+  }
+
+  if (report.verified) {
+    try {
+      await onSwitch(target.constructor.id);
+    } catch (error) {
+      logger.error("Failed to switch sync provider:", error);
+      uiRenderer.showToast(
+        `Files were copied, but switching failed: ${error.message}`,
+        "error"
+      );
+      await finish(options);
+      return;
+    }
+  }
+  showResult(options, source, target, report);
+}
+
+/**
+ * Show the migration dialog
+ * @param {Object} options
+ * @param {Object} options.cloudSync - The connected CloudSyncManager
+ * @param {string} [options.targetId] - Provider to preselect
+ * @param {Function} options.onSwitch - Called with the target provider id
+ *   once the copy is verified; switches sync over
+ * @param {Function} [options.onBack] - Show a Back button that calls this
+ *   (e.g. to return to Settings) instead of Close
+ * @returns {Promise<void>}
+ */
+async function showMigrationDialog(options) {
+  const { cloudSync, targetId = null } = options;
+  const sourceId = getProviderType(cloudSync.provider);
+  const choices = getProviders().filter((Provider) => Provider.id !== sourceId);
+
+  if (choices.length === 0) {
+    uiRenderer.showToast("No other sync provider is available", "warning");
+    return;
+  }
+
+  const selectedId = choices.some((Provider) => Provider.id === targetId)
+    ? targetId
+    : choices[0].id;
+  const Provider = getProviderClass(selectedId);
+  const target = createProvider(selectedId);
+
+  let connected = false;
+  try {
+    if (await target.initialize()) {
+      connected = await target.checkAuth();
+    }
+  } catch (error) {
+    logger.debug(`Could not check ${selectedId} connection:`, error);
+  }
+  target.isAuthenticated = connected;
+
+  const content = `
+      <p class="setting-note">Copy your synced data from ${escapeHtml(
+        getProviderDisplayName(sourceId)
+      )} to another provider. Each copied week's counts and totals are checked before sync switches over. Files with the same names on the new provider are replaced.</p>
+      <div class="settings-row">
+        <label for="migrate-target">Move to:</label>
+        <select id="migrate-target">${choices
+          .map(
+            (choice) =>
+              `<option value="${choice.id}" ${
+                choice.id === selectedId ? "selected" : ""
+              }>${escapeHtml(choice.displayName)}</option>`
+          )
+          .join("")}
+        </select>
+      </div>${renderCredentialFields(Provider)}
+      <div class="settings-row">
+        <label>Status:</label>
+        <span class="status-value ${
+          connected ? "connected" : "disconnected"
+        }">${connected ? "Connected" : "Not connected"}</span>
+      </div>`;
+
+  uiRenderer.openModal("Move Sync Data", content, {
+    showFooter: true,
+    buttons: [
+      {
+        label: "Connect",
+        id: "migrate-connect-btn",
+        class: "secondary-btn",
+        onClick: async () => {
+          try {
+            if (!(await connectTarget(target))) {
+              uiRenderer.showToast(
+                `Could not connect to ${Provider.displayName}`,
+                "error"
+              );
+            }
+          } catch (error) {
+            uiRenderer.showToast(error.message, "error");
+            return;
+          }
+          await showMigrationDialog({ ...options, targetId: selectedId });
+        },
+      },
+      {
+        label: "Start",
+        id: "migrate-start-btn",
+        class: "primary-btn",
+        onClick: () => runMigration(options, target),
+      },
+      options.onBack
+        ? {
+            label: "Back",
+            id: "migrate-back-btn",
+            class: "secondary-btn",
+            onClick: () => options.onBack(),
+          }
+        : {
+            label: "Close",
+            id: "migrate-close-btn",
+            class: "secondary-btn",
+            onClick: () => uiRenderer.closeModal(),
+          },
+    ],
+  });
+
+  document.getElementById("migrate-start-btn").disabled = !connected;
+  document
+    .getElementById("migrate-target")
+    ?.addEventListener("change", (event) =>
+      showMigrationDialog({ ...options, targetId: event.target.value })
+    );
+}
+
+export default {
+  showMigrationDialog,
+  takePendingMigration,
+};
@@ -0,0 +1,302 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Reminder Manager - Local reminders for unmet daily targets
+ *
+ * The service worker shows the notifications, but it cannot read
+ * localStorage, so this module pushes it the reminder settings and today's
+ * progress on daily-frequency goals whenever state changes. While the app is
+ * open it asks the worker to check once a minute; where Periodic Background
+ * Sync is available the worker also checks on its own.
+ */
+
+import dataService from "./dataService.js";
+import stateManager from "./stateManager.js";
+import appUtils from "../utils/appUtils.js";
+import logger from "./logger.js";
+
+const PREFERENCE_KEY = "reminderSettings";
+const PERIODIC_SYNC_TAG = "mind-reminders";
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  times: ["12:00", "19:00"],
+  days: [0, 1, 2, 3, 4, 5, 6], // 0 = Sunday
+  quietHoursStart: "22:00",
+  quietHoursEnd: "07:00",
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let currentSettings = { ...DEFAULT_SETTINGS };
+let checkIntervalId = null;
+let unsubscribe = null;
+
+/**
+ * Initialize reminders: load settings, keep the service worker informed and
+ * start the foreground check timer if reminders are enabled
+ * @returns {Promise<Object>} The reminder settings
+ */
+async function initialize() {
+  try {
+    const saved = await dataService.getPreference(PREFERENCE_KEY, null);
+    currentSettings = saved
+      ? validateSettings(saved)
+      : { ...DEFAULT_SETTINGS };
+  } catch (error) {
+    logger.error("Error loading reminder settings, using defaults:", error);
+    currentSettings = { ...DEFAULT_SETTINGS };
+  }
+
+  if (!unsubscribe) {
+    // Bursts of tracker taps only need one update
+    unsubscribe = stateManager.subscribe(
+      appUtils.debounce(() => postStatus(), 1000)
+    );
+  }
+
+  applySettings();
+  return getSettings();
+}
+
+/**
+ * Get the reminder settings
+ * @returns {Object} A copy of the settings
+ */
+function getSettings() {
+  return JSON.parse(JSON.stringify(currentSettings));
+}
+
+/**
+ * Validate and normalize reminder settings
+ * @param {Object} settings - Settings to validate
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a time or day is invalid
+ */
+function validateSettings(settings) {
+  const times = [...new Set(settings.times || [])]
+    .map((time) => String(time).trim())
+    .filter(Boolean)
+    .sort();
+  times.forEach((time) => {
+    if (!TIME_PATTERN.test(time)) {
+      throw new Error(`"${time}" is not a valid reminder time`);
+    }
+  });
+
+  const days = [...new Set((settings.days || []).map(Number))].sort(
+    (a, b) => a - b
+  );
+  if (days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error("Reminder days must be between Sunday and Saturday");
+  }
+
+  const quietHoursStart = String(settings.quietHoursStart || "");
+  const quietHoursEnd = String(settings.quietHoursEnd || "");
+  if (
+    (quietHoursStart || quietHoursEnd) &&
+    (!TIME_PATTERN.test(quietHoursStart) || !TIME_PATTERN.test(quietHoursEnd))
+  ) {
+    throw new Error("Quiet hours need both a start and an end time");
+  }
+
+  return {
+    enabled: Boolean(settings.enabled),
+    times,
+    days,
+    quietHoursStart,
+    quietHoursEnd,
+  };
+}
+
+/**
+ * Validate, persist and apply reminder settings.
+ * Turning reminders on asks for notification permission first.
+ * @param {Object} settings - The new settings
+ * @returns {Promise<Object>} The saved settings
+ * @throws {Error} If validation fails or notifications are blocked
+ */
+async function saveSettings(settings) {
+  const validated = validateSettings(settings);
+
+  if (validated.enabled && !currentSettings.enabled) {
+    const permission = await requestPermission();
+    if (permission !== "granted") {
+      throw new Error("Notifications are blocked for this app");
+    }
+  }
+
+  await dataService.savePreference(PREFERENCE_KEY, validated);
+  currentSettings = validated;
+  applySettings();
+
+  logger.info("Reminder settings saved:", validated);
+  return getSettings();
+}
+
+/**
+ * Ask the browser for notification permission
+ * @returns {Promise<string>} "granted", "denied", "default" or "unsupported"
+ */
+async function requestPermission() {
+  if (!isSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Check whether this browser can show reminders
+ * @returns {boolean}
+ */
+function isSupported() {
+  return "Notification" in window && "serviceWorker" in navigator;
+}
+
+/**
+ * Build today's progress on daily goals for the service worker
+ * @param {Object} [state] - App state (read from stateManager if omitted)
+ * @returns {Object} { date, goals: [{ id, name, unit, target, count }] }
+ */
+function buildReminderStatus(state = stateManager.getState()) {
+  const date = state.currentDayDate || dataService.getTodayDateString();
+  const todayCounts = state.dailyCounts?.[date] || {};
+
+  const goals = (state.foodGroups || [])
+    .filter((group) => group.frequency === "day" && group.type === "positive")
+    .map((group) => ({
+      id: group.id,
+      name: group.name,
+      unit: group.unit,
+      target: group.target,
+      count: todayCounts[group.id] || 0,
+    }));
+
+  return { date, goals };
+}
+
+/**
+ * Send the current settings and progress to the service worker
+ * @param {Object} [extra] - Extra message fields, e.g. { check: true }
+ */
+async function postStatus(extra = {}) {
+  if (!("serviceWorker" in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({
+      type: "REMINDER_STATUS",
+      settings: currentSettings,
+      status: buildReminderStatus(),
+      ...extra,
+    });
+  } catch (error) {
+    logger.warn("Could not send reminder status to service worker:", error);
+  }
+}
+
+/**
+ * Start or stop the foreground check timer and periodic sync to match the settings.
+ * Service worker calls are not awaited: `serviceWorker.ready` never settles
+ * if registration failed, and settings must still save.
+ */
+function applySettings() {
+  if (checkIntervalId) {
+    clearInterval(checkIntervalId);
+    checkIntervalId = null;
+  }
+
+  postStatus();
+
+  if (!currentSettings.enabled || !isSupported()) {
+    unregisterPeriodicCheck();
+    return;
+  }
+
+  checkIntervalId = setInterval(
+    () => postStatus({ check: true }),
+    CHECK_INTERVAL_MS
+  );
+  registerPeriodicCheck();
+}
+
+/**
+ * Let the service worker check reminders while the app is closed, where supported
+ */
+async function registerPeriodicCheck() {
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.periodicSync) return;
+
+    const status = await navigator.permissions?.query({
+      name: "periodic-background-sync",
+    });
+    if (status && status.state !== "granted") {
+      logger.info(
+        "Periodic background sync not granted; reminders only fire while the app is open"
+      );
+      return;
+    }
+
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: 15 * 60 * 1000,
+    });
+  } catch (error) {
+    logger.debug("Periodic reminder check unavailable:", error);
+  }
+}
+
+/**
+ * Stop background reminder checks
+ */
+async function unregisterPeriodicCheck() {
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    await registration?.periodicSync?.unregister(PERIODIC_SYNC_TAG);
+  } catch (error) {
+    logger.debug("Could not unregister periodic reminder check:", error);
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+export default {
+  initialize,
+  getSettings,
+  validateSettings,
+  saveSettings,
+  requestPermission,
+  isSupported,
+  buildReminderStatus,
+  DEFAULT_SETTINGS,
+};
+
+// Named exports for convenience
+export {
+  initialize,
+  getSettings,
+  validateSettings,
+  saveSettings,
+  requestPermission,
+  isSupported,
+  buildReminderStatus,
+  DEFAULT_SETTINGS,
+};
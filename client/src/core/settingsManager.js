@@ -24,6 +24,23 @@ import dataService from "./dataService.js";
 import uiRenderer from "../ui/renderer.js";
 import logger from "./logger.js";
 import themeManager from "./themeManager.js";
+import foodGroupsManager from "./foodGroupsManager.js";
+import foodLibraryManager from "./foodLibraryManager.js";
+import reminderManager from "./reminderManager.js";
+import syncConflictManager from "./syncConflictManager.js";
+import syncJournalManager from "./syncJournalManager.js";
+import devicesManager from "./devicesManager.js";
+import providerMigrationManager from "./providerMigrationManager.js";
+import {
+  getProviders,
+  getProviderClass,
+  getProviderType,
+  getProviderDisplayName,
+} from "../cloudProviders/providerRegistry.js";
+import { AUTH_TYPES } from "../cloudProviders/cloudProvider.js";
+import { SyncEncryption } from "../cloudSync/syncEncryption.js";
+import { getDeviceName } from "../cloudSync/deviceRegistry.js";
+import { escapeHtml } from "../utils/appUtils.js";
 
 // Module state
 let sectionCollapseState = {}; // Track which sections are expanded/collapsed
@@ -50,6 +67,18 @@ let getIsDemoHost = null;
 // Check if server features are enabled (build-time constant)
 const SERVER_FEATURES_ENABLED = __SERVER_FEATURES_ENABLED__;
 
+// Display labels for snapshot reasons
+const SNAPSHOT_REASON_LABELS = {
+  [dataService.SNAPSHOT_REASONS.IMPORT]: "Before import",
+  [dataService.SNAPSHOT_REASONS.CLEAR_HISTORY]: "Before clearing history",
+  [dataService.SNAPSHOT_REASONS.DELETE_CLOUD_FILES]:
+    "Before deleting cloud files",
+  [dataService.SNAPSHOT_REASONS.SYNC_MERGE]: "Before sync merge",
+  [dataService.SNAPSHOT_REASONS.RESTORE]: "Before restoring a snapshot",
+};
+const SNAPSHOT_RETENTION_OPTIONS = [5, 10, 20, 50];
+const REMINDER_DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
 /**
  * Initialize the settings manager
  * @param {Object} dependencies - Required dependencies
@@ -111,10 +140,7 @@ async function showSettings() {
     const cloudSync = getCloudSyncState ? getCloudSyncState() : null;
     if (cloudSync && cloudSync.provider) {
       // If we have an active cloud sync, check what type it is
-      currentSyncProvider =
-        cloudSync.provider.providerName === "DropboxProvider"
-          ? "dropbox"
-          : "gdrive";
+      currentSyncProvider = getProviderType(cloudSync.provider);
       logger.debug("Active provider detected:", currentSyncProvider);
     } else {
       // Fall back to saved preference
@@ -125,9 +151,29 @@ async function showSettings() {
       logger.debug("Using saved provider preference:", currentSyncProvider);
     }
 
+    // Offer providers this browser supports, plus the current one
+    const providerClasses = getProviders({ supportedOnly: false }).filter(
+      (Provider) =>
+        Provider.isSupported() || Provider.id === currentSyncProvider
+    );
+
     // Get Wi-Fi only preference
     const syncWifiOnly = await dataService.getPreference("syncWifiOnly", false);
 
+    // Get this device's name in the device registry
+    const deviceName = await getDeviceName(dataService);
+
+    // Get days waiting for conflict review
+    const conflictCount = SERVER_FEATURES_ENABLED
+      ? await syncConflictManager.getConflictCount()
+      : 0;
+
+    // Get sync encryption state (the key is per device, not per provider)
+    const encryptionSupported = SyncEncryption.isSupported();
+    const encryptionEnabled =
+      SERVER_FEATURES_ENABLED &&
+      (await new SyncEncryption(dataService, null).isEnabled());
+
     // Get user info if connected
     let userInfo = null;
     if (cloudSync?.isAuthenticated && cloudSync.provider?.getUserInfo) {
@@ -141,6 +187,18 @@ async function showSettings() {
     // Get current theme
     const currentTheme = themeManager.getCurrentTheme();
 
+    // Get current food groups configuration
+    const foodGroups = foodGroupsManager.getFoodGroups();
+
+    // Get reminder settings
+    const reminderSettings = reminderManager.getSettings();
+
+    // Get snapshot retention, keeping a custom value selectable
+    const snapshotRetention = await dataService.getSnapshotRetention();
+    const retentionOptions = [
+      ...new Set([...SNAPSHOT_RETENTION_OPTIONS, snapshotRetention]),
+    ].sort((a, b) => a - b);
+
     const settingsTitle = "Settings";
 
     let settingsContent = `
@@ -172,12 +230,13 @@ async function showSettings() {
                   <select id="sync-provider" ${
                     !freshSyncEnabled ? "disabled" : ""
                   }>
-                    <option value="gdrive" ${
-                      currentSyncProvider === "gdrive" ? "selected" : ""
-                    }>Google Drive</option>
-                    <option value="dropbox" ${
-                      currentSyncProvider === "dropbox" ? "selected" : ""
-                    }>Dropbox</option>
+                    ${providerClasses
+                      .map(
+                        (Provider) => `<option value="${Provider.id}" ${
+                          currentSyncProvider === Provider.id ? "selected" : ""
+                        }>${Provider.displayName}</option>`
+                      )
+                      .join("")}
                   </select>
                 </div>
                 
@@ -195,13 +254,21 @@ async function showSettings() {
                     ? `
                 <div class="connection-status account-info">
                   <span class="status-label">Account:</span>
-                  <span class="status-value connected">${userInfo.email}</span>
+                  <span class="status-value connected">${escapeHtml(
+                    userInfo.email
+                  )}</span>
                 </div>
                 `
                     : ""
                 }
               </div>
               
+              ${providerClasses
+                .map((Provider) =>
+                  renderProviderFields(Provider, currentSyncProvider)
+                )
+                .join("")}
+
               <div class="settings-row sync-actions-row">
                 <button id="sync-reauth-btn" class="small-btn" ${
                   !freshSyncEnabled ? "disabled" : ""
@@ -211,6 +278,11 @@ async function showSettings() {
                     ? "disabled"
                     : ""
                 }>Sync Now</button>
+                <button id="sync-migrate-btn" class="small-btn" ${
+                  !freshSyncEnabled || !cloudSync?.isAuthenticated
+                    ? "disabled"
+                    : ""
+                }>Move Data...</button>
               </div>
               
               <div class="settings-row sync-options-row">
@@ -228,7 +300,29 @@ async function showSettings() {
                     ? new Date(cloudSync.lastSyncTimestamp).toLocaleString()
                     : "Never"
                 }</span>
+                <button id="sync-journal-btn" class="small-btn">Sync Journal</button>
+              </div>
+
+              <div class="settings-row sync-last-row">
+                <label>This device:</label>
+                <span id="sync-device-name">${escapeHtml(deviceName)}</span>
+                <button id="sync-devices-btn" class="small-btn">Devices</button>
               </div>
+              ${
+                conflictCount > 0
+                  ? `
+              <div class="settings-row sync-actions-row">
+                <span class="status-value disconnected">${conflictCount} day(s) changed on two devices</span>
+                <button id="sync-conflicts-btn" class="small-btn">Review Conflicts</button>
+              </div>`
+                  : ""
+              }
+
+              ${
+                encryptionSupported
+                  ? renderEncryptionSettings(encryptionEnabled, freshSyncEnabled)
+                  : ""
+              }
             </div>
           </div>
         </div>
@@ -275,6 +369,90 @@ async function showSettings() {
             </div>
           </div>
         </div>
+
+        <!-- Food Groups Section -->
+        <div class="settings-section">
+          <div class="section-header collapsible">
+            <h4>Food Groups</h4>
+            <span class="section-toggle">▼</span>
+          </div>
+          <div class="section-content">
+            <div id="food-groups-editor" class="food-groups-editor">
+              ${renderFoodGroupEditorRows(foodGroups)}
+            </div>
+            <div class="settings-row sync-actions-row">
+              <button id="food-groups-add-btn" class="small-btn">Add Group</button>
+              <button id="food-groups-reset-btn" class="small-btn">Reset to Defaults</button>
+              <button id="food-groups-apply-btn" class="small-btn">Apply</button>
+            </div>
+            <div class="settings-row">
+              <span class="setting-note">Changes apply to the current week. Past weeks keep the targets that were in effect when they were recorded. The ± column sets the step used by the tracker buttons.</span>
+            </div>
+          </div>
+        </div>
+
+        <!-- Food Library Section -->
+        <div class="settings-section">
+          <div class="section-header collapsible">
+            <h4>Food Library</h4>
+            <span class="section-toggle">▼</span>
+          </div>
+          <div class="section-content">
+            <div id="food-library-editor" class="food-library-editor">
+              ${renderFoodLibraryRows(foodGroups)}
+            </div>
+            <div class="settings-row sync-actions-row">
+              <button id="food-library-add-btn" class="small-btn">Add Food</button>
+            </div>
+            <div class="settings-row">
+              <span class="setting-note">Foods and meals you eat often. Each one adds its servings to the day with a single tap in the tracker.</span>
+            </div>
+          </div>
+        </div>
+
+        <!-- Reminders Section -->
+        <div class="settings-section">
+          <div class="section-header collapsible">
+            <h4>Reminders</h4>
+            <span class="section-toggle">▼</span>
+          </div>
+          <div class="section-content" id="reminder-settings">
+            ${
+              reminderManager.isSupported()
+                ? renderReminderSettings(reminderSettings)
+                : `<div class="settings-row"><span class="setting-note">This browser does not support notifications.</span></div>`
+            }
+          </div>
+        </div>
+
+        <!-- Snapshots Section -->
+        <div class="settings-section">
+          <div class="section-header collapsible">
+            <h4>Snapshots</h4>
+            <span class="section-toggle">▼</span>
+          </div>
+          <div class="section-content">
+            <div class="settings-row">
+              <label for="snapshot-retention">Snapshots to keep of each kind:</label>
+              <select id="snapshot-retention">
+                ${retentionOptions
+                  .map(
+                    (count) =>
+                      `<option value="${count}" ${
+                        count === snapshotRetention ? "selected" : ""
+                      }>${count}</option>`
+                  )
+                  .join("")}
+              </select>
+            </div>
+            <div class="settings-row sync-actions-row">
+              <button id="restore-snapshot-btn" class="small-btn">Restore Snapshot...</button>
+            </div>
+            <div class="settings-row">
+              <span class="setting-note">A snapshot is taken automatically before imports, history clears, cloud file deletions and sync merges. Each kind keeps its own most recent snapshots.</span>
+            </div>
+          </div>
+        </div>
       </div>
     `;
 
@@ -336,6 +514,18 @@ function setupSettingsEventListeners(syncEnabled) {
   // Add event listeners for appearance settings
   setupAppearanceListeners();
 
+  // Add event listeners for the food group editor
+  setupFoodGroupsListeners();
+
+  // Add event listeners for the food library
+  setupFoodLibraryListeners();
+
+  // Add event listeners for reminder settings
+  setupReminderListeners();
+
+  // Add event listeners for snapshot settings
+  setupSnapshotListeners();
+
   // Add cloud sync event listeners only if server features are enabled
   if (SERVER_FEATURES_ENABLED) {
     // Add event listener for Enable sync checkbox
@@ -349,6 +539,34 @@ function setupSettingsEventListeners(syncEnabled) {
 
     // Event listeners for action buttons
     setupActionButtonListeners();
+
+    // Event listeners for sync encryption
+    setupEncryptionListeners();
+
+    document
+      .getElementById("sync-conflicts-btn")
+      ?.addEventListener("click", () =>
+        syncConflictManager.showConflictsDialog({ onBack: showSettings })
+      );
+
+    document
+      .getElementById("sync-journal-btn")
+      ?.addEventListener("click", () =>
+        syncJournalManager.showSyncJournalDialog({ onBack: showSettings })
+      );
+
+    document
+      .getElementById("sync-devices-btn")
+      ?.addEventListener("click", () =>
+        devicesManager.showDevicesDialog({
+          cloudSync: getCloudSyncState ? getCloudSyncState() : null,
+          onBack: showSettings,
+        })
+      );
+
+    document
+      .getElementById("sync-migrate-btn")
+      ?.addEventListener("click", () => showProviderMigration());
   }
 }
 
@@ -367,6 +585,660 @@ function setupAppearanceListeners() {
   }
 }
 
+/**
+ * Render a provider's setup fields, shown while it is selected: credential
+ * inputs, a folder picker button, and its description
+ * @param {Function} Provider - Provider class from the registry
+ * @param {string} currentSyncProvider - The selected provider id
+ * @returns {string} HTML, or "" if the provider needs no fields
+ */
+function renderProviderFields(Provider, currentSyncProvider) {
+  const rows = [];
+
+  if (Provider.authType === AUTH_TYPES.CREDENTIALS) {
+    // Secrets are never echoed back
+    const saved = new Provider().getStoredCredentials();
+    Provider.credentialFields.forEach((field) => {
+      const inputId = `${Provider.id}-${field.name}`;
+      const placeholder = field.secret
+        ? saved
+          ? "(unchanged)"
+          : ""
+        : field.placeholder || "";
+      const value = field.secret ? "" : saved?.[field.name] || "";
+      rows.push(`
+                <div class="settings-row">
+                  <label for="${inputId}">${field.label}:</label>
+                  <input type="${field.type}" id="${inputId}" ${
+                    field.autocomplete
+                      ? `autocomplete="${field.autocomplete}"`
+                      : ""
+                  } placeholder="${escapeHtml(
+                    placeholder
+                  )}" value="${escapeHtml(value)}">
+                </div>`);
+    });
+  } else if (Provider.authType === AUTH_TYPES.FOLDER) {
+    rows.push(`
+                <div class="settings-row">
+                  <label for="${Provider.id}-choose-folder">Folder:</label>
+                  <button id="${Provider.id}-choose-folder" class="small-btn choose-folder-btn">Choose folder...</button>
+                </div>`);
+  }
+
+  if (Provider.description) {
+    rows.push(`
+                <div class="settings-row">
+                  <span class="setting-note">${escapeHtml(
+                    Provider.description
+                  )}</span>
+                </div>`);
+  }
+
+  if (rows.length === 0) return "";
+
+  return `
+              <div class="provider-fields ${
+                currentSyncProvider === Provider.id ? "" : "hidden"
+              }" data-provider="${Provider.id}">${rows.join("")}
+              </div>
+`;
+}
+
+/**
+ * Render the sync encryption rows of the Cloud Synchronization section
+ * @param {boolean} enabled - Whether this device has a sync key
+ * @param {boolean} syncEnabled - Whether cloud sync is enabled
+ * @returns {string} HTML for the rows
+ */
+function renderEncryptionSettings(enabled, syncEnabled) {
+  const disabled = !syncEnabled ? "disabled" : "";
+  return `
+              <div class="settings-row sync-encryption-row">
+                <label>Encryption:</label>
+                <span id="sync-encryption-status" class="status-value ${
+                  enabled ? "connected" : "disconnected"
+                }">${enabled ? "On" : "Off"}</span>
+              </div>
+              <div class="settings-row">
+                <label for="sync-passphrase">${
+                  enabled ? "New passphrase" : "Passphrase"
+                }:</label>
+                <input type="password" id="sync-passphrase" autocomplete="new-password" ${disabled}>
+              </div>
+              <div class="settings-row">
+                <label for="sync-passphrase-confirm">Confirm:</label>
+                <input type="password" id="sync-passphrase-confirm" autocomplete="new-password" ${disabled}>
+              </div>
+              <div class="settings-row sync-actions-row">
+                ${
+                  enabled
+                    ? `<button id="sync-passphrase-change-btn" class="small-btn" ${disabled}>Change Passphrase</button>
+                <button id="sync-encryption-remove-btn" class="small-btn" ${disabled}>Remove</button>`
+                    : `<button id="sync-encryption-enable-btn" class="small-btn" ${disabled}>Enable Encryption</button>`
+                }
+              </div>
+              <div class="settings-row">
+                <span class="setting-note">Encrypts synced data with a passphrase before it leaves this device. Enter the same passphrase on each of your devices. It can't be recovered, so keep a copy somewhere safe.</span>
+              </div>`;
+}
+
+/**
+ * Render a single editable food group row
+ * @param {Object} group - The food group (id is empty for new groups)
+ * @returns {string} HTML for the row
+ */
+function renderFoodGroupEditorRow(group) {
+  return `
+    <div class="food-group-edit-row" data-id="${escapeHtml(group.id)}">
+      <input type="text" class="fg-name" value="${escapeHtml(
+        group.name
+      )}" placeholder="Name" aria-label="Food group name">
+      <input type="number" class="fg-target" value="${escapeHtml(
+        group.target
+      )}" min="0" step="any" aria-label="Target">
+      <select class="fg-frequency" aria-label="Frequency">
+        <option value="day" ${
+          group.frequency === "day" ? "selected" : ""
+        }>per day</option>
+        <option value="week" ${
+          group.frequency === "week" ? "selected" : ""
+        }>per week</option>
+      </select>
+      <select class="fg-type" aria-label="Type">
+        <option value="positive" ${
+          group.type === "positive" ? "selected" : ""
+        }>Goal</option>
+        <option value="limit" ${
+          group.type === "limit" ? "selected" : ""
+        }>Limit</option>
+      </select>
+      <input type="text" class="fg-unit" value="${escapeHtml(
+        group.unit
+      )}" placeholder="Unit" aria-label="Unit">
+      <select class="fg-increment" aria-label="Step">
+        ${foodGroupsManager.SERVING_INCREMENTS.map(
+          (increment) =>
+            `<option value="${increment}" ${
+              (group.increment ?? 1) === increment ? "selected" : ""
+            }>±${increment}</option>`
+        ).join("")}
+      </select>
+      <button class="fg-remove-btn" aria-label="Remove food group">&times;</button>
+    </div>
+  `;
+}
+
+/**
+ * Render the editable rows for all food groups
+ * @param {Array} foodGroups - The food groups to render
+ * @returns {string} HTML for all rows
+ */
+function renderFoodGroupEditorRows(foodGroups) {
+  return foodGroups.map((group) => renderFoodGroupEditorRow(group)).join("");
+}
+
+/**
+ * Read the food groups currently shown in the editor
+ * @returns {Array} Food groups built from the editor rows
+ */
+function collectEditedFoodGroups() {
+  const existingGroups = foodGroupsManager.getFoodGroups();
+  const existingById = new Map(existingGroups.map((g) => [g.id, g]));
+  const collected = [];
+
+  document.querySelectorAll(".food-group-edit-row").forEach((row) => {
+    const name = row.querySelector(".fg-name").value.trim();
+    const id =
+      row.dataset.id ||
+      foodGroupsManager.generateGroupId(name, [
+        ...existingGroups,
+        ...collected,
+      ]);
+
+    collected.push({
+      // Keep fields the editor doesn't expose (description, isOptional)
+      ...(existingById.get(id) || {}),
+      id,
+      name,
+      target: parseFloat(row.querySelector(".fg-target").value),
+      frequency: row.querySelector(".fg-frequency").value,
+      type: row.querySelector(".fg-type").value,
+      unit: row.querySelector(".fg-unit").value.trim(),
+      increment: parseFloat(row.querySelector(".fg-increment").value),
+    });
+  });
+
+  return collected;
+}
+
+/**
+ * Setup food group editor listeners
+ */
+function setupFoodGroupsListeners() {
+  const editor = document.getElementById("food-groups-editor");
+  if (!editor) return;
+
+  // Remove buttons (delegated so newly added rows work too)
+  editor.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".fg-remove-btn");
+    if (removeBtn) {
+      removeBtn.closest(".food-group-edit-row")?.remove();
+    }
+  });
+
+  document
+    .getElementById("food-groups-add-btn")
+    ?.addEventListener("click", () => {
+      editor.insertAdjacentHTML(
+        "beforeend",
+        renderFoodGroupEditorRow({
+          id: "",
+          name: "",
+          target: 1,
+          frequency: "week",
+          type: "positive",
+          unit: "servings",
+          increment: 1,
+        })
+      );
+      editor.lastElementChild?.querySelector(".fg-name")?.focus();
+    });
+
+  document
+    .getElementById("food-groups-apply-btn")
+    ?.addEventListener("click", async () => {
+      try {
+        const savedGroups = await foodGroupsManager.saveFoodGroups(
+          collectEditedFoodGroups()
+        );
+        if (stateManager) stateManager.setFoodGroups(savedGroups);
+
+        // Re-render so new rows pick up their generated IDs
+        editor.innerHTML = renderFoodGroupEditorRows(savedGroups);
+        uiRenderer.showToast("Food groups updated", "success");
+      } catch (error) {
+        logger.error("Failed to save food groups:", error);
+        uiRenderer.showToast(error.message, "error", { duration: 3000 });
+      }
+    });
+
+  document
+    .getElementById("food-groups-reset-btn")
+    ?.addEventListener("click", async () => {
+      try {
+        const defaultGroups = await foodGroupsManager.resetToDefaults();
+        if (stateManager) stateManager.setFoodGroups(defaultGroups);
+        editor.innerHTML = renderFoodGroupEditorRows(defaultGroups);
+        uiRenderer.showToast("Food groups reset to defaults", "success");
+      } catch (error) {
+        logger.error("Failed to reset food groups:", error);
+        uiRenderer.showToast("Failed to reset food groups", "error");
+      }
+    });
+}
+
+/**
+ * Render the food library list shown in settings
+ * @param {Array} foodGroups - Food groups for serving names
+ * @returns {string} HTML for the list
+ */
+function renderFoodLibraryRows(foodGroups) {
+  const items = foodLibraryManager.getItems();
+  if (items.length === 0) {
+    return `<p class="setting-note">No foods yet.</p>`;
+  }
+
+  return items
+    .map(
+      (item) => `
+    <div class="food-library-row" data-id="${escapeHtml(item.id)}">
+      <div class="food-library-info">
+        <strong>${escapeHtml(item.name)}</strong>
+        <span class="setting-note">${escapeHtml(
+          foodLibraryManager.describeServings(item, foodGroups)
+        )}</span>
+      </div>
+      <div class="food-library-actions">
+        <button class="small-btn food-library-edit-btn">Edit</button>
+        <button class="small-btn food-library-delete-btn">Delete</button>
+      </div>
+    </div>`
+    )
+    .join("");
+}
+
+/**
+ * Setup food library listeners
+ */
+function setupFoodLibraryListeners() {
+  const editor = document.getElementById("food-library-editor");
+  if (!editor) return;
+
+  editor.addEventListener("click", async (e) => {
+    const row = e.target.closest(".food-library-row");
+    if (!row) return;
+
+    if (e.target.closest(".food-library-edit-btn")) {
+      showFoodItemDialog(foodLibraryManager.getItem(row.dataset.id));
+    } else if (e.target.closest(".food-library-delete-btn")) {
+      try {
+        await foodLibraryManager.deleteItem(row.dataset.id);
+        editor.innerHTML = renderFoodLibraryRows(
+          foodGroupsManager.getFoodGroups()
+        );
+        uiRenderer.renderFoodLibrary();
+      } catch (error) {
+        logger.error("Failed to delete food:", error);
+        uiRenderer.showToast("Failed to delete food", "error");
+      }
+    }
+  });
+
+  document
+    .getElementById("food-library-add-btn")
+    ?.addEventListener("click", () => showFoodItemDialog(null));
+}
+
+/**
+ * Show the editor for a single food library item
+ * @param {Object|null} item - The item to edit, or null to add a new one
+ */
+function showFoodItemDialog(item) {
+  const foodGroups = foodGroupsManager.getFoodGroups();
+  const servings = item?.servings || {};
+
+  const content = `
+    <div class="food-item-editor">
+      <div class="settings-row">
+        <label for="food-item-name">Name:</label>
+        <input type="text" id="food-item-name" value="${escapeHtml(
+          item?.name
+        )}" placeholder="e.g. Oatmeal bowl">
+      </div>
+      <p class="setting-note">Servings added to each food group when you log this food:</p>
+      ${foodGroups
+        .map(
+          (group) => `
+      <div class="settings-row food-item-serving-row">
+        <label for="food-item-serving-${escapeHtml(
+          group.id
+        )}">${escapeHtml(group.name)}</label>
+        <input type="number" id="food-item-serving-${escapeHtml(
+          group.id
+        )}" class="food-item-serving" data-group-id="${escapeHtml(
+          group.id
+        )}" value="${servings[group.id] ?? ""}" min="0" step="0.25" placeholder="0">
+      </div>`
+        )
+        .join("")}
+    </div>
+  `;
+
+  uiRenderer.openModal(item ? "Edit Food" : "Add Food", content, {
+    showFooter: true,
+    buttons: [
+      {
+        label: "Back",
+        id: "food-item-back-btn",
+        class: "secondary-btn",
+        onClick: () => showSettings(),
+      },
+      {
+        label: "Save",
+        id: "food-item-save-btn",
+        class: "primary-btn",
+        onClick: async () => {
+          const editedServings = {};
+          document.querySelectorAll(".food-item-serving").forEach((input) => {
+            if (input.value !== "") {
+              editedServings[input.dataset.groupId] = Number(input.value);
+            }
+          });
+
+          try {
+            await foodLibraryManager.saveItem(
+              {
+                id: item?.id,
+                name: document.getElementById("food-item-name").value,
+                servings: editedServings,
+              },
+              foodGroups
+            );
+            uiRenderer.renderFoodLibrary();
+            await showSettings();
+          } catch (error) {
+            logger.error("Failed to save food:", error);
+            uiRenderer.showToast(error.message, "error", { duration: 3000 });
+          }
+        },
+      },
+    ],
+  });
+
+  document.getElementById("food-item-name")?.focus();
+}
+
+/**
+ * Render a reminder time row
+ * @param {string} time - Time of day (HH:MM)
+ * @returns {string} HTML for the row
+ */
+function renderReminderTimeRow(time) {
+  return `
+    <div class="reminder-time-row">
+      <input type="time" class="reminder-time" value="${escapeHtml(
+        time
+      )}" aria-label="Reminder time">
+      <button class="fg-remove-btn reminder-time-remove-btn" aria-label="Remove reminder time">&times;</button>
+    </div>
+  `;
+}
+
+/**
+ * Render the reminder settings controls
+ * @param {Object} settings - Current reminder settings
+ * @returns {string} HTML for the section content
+ */
+function renderReminderSettings(settings) {
+  return `
+    <div class="settings-row">
+      <label for="reminders-enabled">Remind me about unmet daily goals:</label>
+      <input type="checkbox" id="reminders-enabled" ${
+        settings.enabled ? "checked" : ""
+      }>
+    </div>
+    <div class="settings-row reminder-times-row">
+      <label>Times:</label>
+      <div id="reminder-times" class="reminder-times">
+        ${settings.times.map((time) => renderReminderTimeRow(time)).join("")}
+      </div>
+      <button id="reminder-time-add-btn" class="small-btn">Add Time</button>
+    </div>
+    <div class="settings-row reminder-days">
+      ${REMINDER_DAY_LABELS.map(
+        (label, day) => `
+        <label class="reminder-day">
+          <input type="checkbox" class="reminder-day-checkbox" value="${day}" ${
+            settings.days.includes(day) ? "checked" : ""
+          }>
+          ${label}
+        </label>`
+      ).join("")}
+    </div>
+    <div class="settings-row">
+      <label for="reminder-quiet-start">Quiet hours:</label>
+      <input type="time" id="reminder-quiet-start" value="${escapeHtml(
+        settings.quietHoursStart
+      )}">
+      <span>to</span>
+      <input type="time" id="reminder-quiet-end" value="${escapeHtml(
+        settings.quietHoursEnd
+      )}">
+    </div>
+    <div class="settings-row">
+      <span class="setting-note">Reminders list the daily goals still open, such as whole grains, vegetables and olive oil. They show while the app is open, and in the background where the browser allows it.</span>
+    </div>
+  `;
+}
+
+/**
+ * Read the reminder settings currently shown in the dialog
+ * @returns {Object} Reminder settings
+ */
+function collectReminderSettings() {
+  return {
+    enabled: document.getElementById("reminders-enabled").checked,
+    times: [...document.querySelectorAll(".reminder-time")].map(
+      (input) => input.value
+    ),
+    days: [...document.querySelectorAll(".reminder-day-checkbox:checked")].map(
+      (checkbox) => Number(checkbox.value)
+    ),
+    quietHoursStart: document.getElementById("reminder-quiet-start").value,
+    quietHoursEnd: document.getElementById("reminder-quiet-end").value,
+  };
+}
+
+/**
+ * Setup reminder settings listeners. Changes are saved as they are made.
+ */
+function setupReminderListeners() {
+  const container = document.getElementById("reminder-settings");
+  const timesList = document.getElementById("reminder-times");
+  if (!container || !timesList) return;
+
+  const save = async () => {
+    try {
+      await reminderManager.saveSettings(collectReminderSettings());
+    } catch (error) {
+      logger.error("Failed to save reminder settings:", error);
+      uiRenderer.showToast(error.message, "error", { duration: 3000 });
+      // Reflect what is actually stored (e.g. permission was refused)
+      document.getElementById("reminders-enabled").checked =
+        reminderManager.getSettings().enabled;
+    }
+  };
+
+  container.addEventListener("change", save);
+
+  container.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".reminder-time-remove-btn");
+    if (removeBtn) {
+      removeBtn.closest(".reminder-time-row")?.remove();
+      save();
+    }
+  });
+
+  document
+    .getElementById("reminder-time-add-btn")
+    ?.addEventListener("click", () => {
+      timesList.insertAdjacentHTML("beforeend", renderReminderTimeRow("18:00"));
+      save();
+    });
+}
+
+/**
+ * Setup snapshot settings listeners
+ */
+function setupSnapshotListeners() {
+  document
+    .getElementById("snapshot-retention")
+    ?.addEventListener("change", async (e) => {
+      try {
+        await dataService.setSnapshotRetention(e.target.value);
+        uiRenderer.showToast(
+          `Keeping the last ${e.target.value} snapshots of each kind`,
+          "success"
+        );
+      } catch (error) {
+        logger.error("Failed to save snapshot retention:", error);
+        uiRenderer.showToast("Failed to save snapshot setting", "error");
+      }
+    });
+
+  document
+    .getElementById("restore-snapshot-btn")
+    ?.addEventListener("click", () => showSnapshotsDialog());
+}
+
+/**
+ * Show the list of snapshots with restore and delete actions
+ */
+async function showSnapshotsDialog() {
+  let snapshots = [];
+  try {
+    snapshots = await dataService.getSnapshots();
+  } catch (error) {
+    logger.error("Failed to load snapshots:", error);
+    uiRenderer.showToast("Failed to load snapshots", "error");
+    return;
+  }
+
+  const content =
+    snapshots.length === 0
+      ? `<p>No snapshots yet. One is taken automatically before imports, history clears, cloud file deletions and sync merges.</p>`
+      : `<ul class="snapshot-list">
+          ${snapshots
+            .map(
+              (snapshot) => `
+          <li class="snapshot-item">
+            <div class="snapshot-info">
+              <strong>${new Date(snapshot.createdAt).toLocaleString()}</strong>
+              <span class="snapshot-reason">${
+                SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason
+              }</span>
+              <span class="setting-note">${
+                snapshot.details ? `${escapeHtml(snapshot.details)} · ` : ""
+              }${snapshot.summary?.historyWeeks ?? 0} history weeks</span>
+            </div>
+            <div class="snapshot-actions">
+              <button class="small-btn snapshot-restore-btn" data-id="${
+                snapshot.id
+              }">Restore</button>
+              <button class="small-btn snapshot-delete-btn" data-id="${
+                snapshot.id
+              }">Delete</button>
+            </div>
+          </li>`
+            )
+            .join("")}
+        </ul>`;
+
+  uiRenderer.openModal("Restore Snapshot", content, {
+    showFooter: true,
+    buttons: [
+      {
+        label: "Back",
+        id: "snapshots-back-btn",
+        class: "secondary-btn",
+        onClick: () => showSettings(),
+      },
+    ],
+  });
+
+  document.querySelectorAll(".snapshot-restore-btn").forEach((button) => {
+    button.addEventListener("click", () =>
+      handleRestoreSnapshot(Number(button.dataset.id))
+    );
+  });
+
+  document.querySelectorAll(".snapshot-delete-btn").forEach((button) => {
+    button.addEventListener("click", async () => {
+      try {
+        await dataService.deleteSnapshot(Number(button.dataset.id));
+        await showSnapshotsDialog();
+      } catch (error) {
+        logger.error("Failed to delete snapshot:", error);
+        uiRenderer.showToast("Failed to delete snapshot", "error");
+      }
+    });
+  });
+}
+
+/**
+ * Confirm and restore a snapshot, then reload the app state from storage
+ * @param {number} snapshotId - The snapshot ID
+ */
+async function handleRestoreSnapshot(snapshotId) {
+  const confirmed = await uiRenderer.showConfirmDialog({
+    title: "Restore Snapshot",
+    message:
+      "Your current tracking data, history and preferences will be replaced. A snapshot of the current data is taken first so you can switch back. Continue?",
+    confirmText: "Restore",
+    cancelText: "Cancel",
+  });
+
+  if (!confirmed) {
+    await showSnapshotsDialog();
+    return;
+  }
+
+  try {
+    const result = await dataService.restoreSnapshot(snapshotId);
+
+    const foodGroups = await foodGroupsManager.initialize();
+    await foodLibraryManager.initialize();
+    await reminderManager.initialize();
+    if (stateManager) await stateManager.initialize(foodGroups);
+    await themeManager.applyTheme(
+      await dataService.getPreference("theme", themeManager.getCurrentTheme())
+    );
+    uiRenderer.renderEverything();
+
+    uiRenderer.showToast(
+      `Snapshot restored (${result.historyWeeks} history weeks)`,
+      "success",
+      { duration: 4000 }
+    );
+  } catch (error) {
+    logger.error("Failed to restore snapshot:", error);
+    uiRenderer.showToast(`Restore failed: ${error.message}`, "error", {
+      duration: 5000,
+    });
+  }
+}
+
 /**
  * Setup sync enabled checkbox listener
  */
@@ -472,11 +1344,41 @@ function setupProviderChangeListener() {
       const newProvider = e.target.value;
       let cloudSync = getCloudSyncState ? getCloudSyncState() : null;
       const currentProvider = cloudSync
-        ? cloudSync.provider.providerName === "DropboxProvider"
-          ? "dropbox"
-          : "gdrive"
+        ? getProviderType(cloudSync.provider)
         : "none";
 
+      // Offer to bring the synced data along rather than start empty
+      const syncEnabled = getSyncEnabled ? getSyncEnabled() : false;
+      const offerMigration =
+        syncEnabled &&
+        cloudSync?.isAuthenticated &&
+        newProvider !== currentProvider;
+      if (offerMigration) {
+        const migrate = await uiRenderer.showConfirmDialog({
+          title: "Change Sync Provider",
+          message: `Move your synced data from ${getProviderDisplayName(
+            currentProvider
+          )} to ${getProviderDisplayName(
+            newProvider
+          )}? Otherwise ${getProviderDisplayName(
+            newProvider
+          )} starts without it and the old files stay where they are.`,
+          confirmText: "Move Data",
+          cancelText: "Just Switch",
+        });
+        if (migrate) {
+          await showProviderMigration(newProvider);
+          return;
+        }
+      }
+
+      document.querySelectorAll(".provider-fields").forEach((fields) => {
+        fields.classList.toggle(
+          "hidden",
+          fields.dataset.provider !== newProvider
+        );
+      });
+
       logger.info(
         `Provider changing from ${currentProvider} to ${newProvider}`
       );
@@ -500,20 +1402,9 @@ function setupProviderChangeListener() {
         }
 
         // If we're enabled, initialize the new provider
-        const syncEnabled = getSyncEnabled ? getSyncEnabled() : false;
         if (syncEnabled) {
           try {
-            if (setSyncReadyCallback) setSyncReadyCallback(false);
-            cloudSync = new CloudSyncManager(
-              dataService,
-              stateManager,
-              uiRenderer,
-              handleSyncCompleteCallback,
-              handleSyncErrorCallback
-            );
-            await cloudSync.initialize(newProvider);
-            if (setCloudSyncState) setCloudSyncState(cloudSync);
-            if (setSyncReadyCallback) setSyncReadyCallback(true);
+            await useSyncProvider(newProvider);
           } catch (error) {
             logger.error("Failed to initialize new provider:", error);
             uiRenderer.showToast(
@@ -523,10 +1414,61 @@ function setupProviderChangeListener() {
           }
         }
       }
+
+      // The confirmation replaced the settings dialog
+      if (offerMigration) await showSettings();
     });
   }
 }
 
+/**
+ * Replace the cloud sync manager with one for another provider
+ * @param {string} providerId - Provider id in the registry
+ * @returns {Promise<Object>} The new CloudSyncManager
+ */
+async function useSyncProvider(providerId) {
+  if (setSyncReadyCallback) setSyncReadyCallback(false);
+  const cloudSync = new CloudSyncManager(
+    dataService,
+    stateManager,
+    uiRenderer,
+    handleSyncCompleteCallback,
+    handleSyncErrorCallback
+  );
+  await cloudSync.initialize(providerId);
+  if (setCloudSyncState) setCloudSyncState(cloudSync);
+  if (setSyncReadyCallback) setSyncReadyCallback(true);
+  return cloudSync;
+}
+
+/**
+ * Show the dialog that moves synced data to another provider
+ * @param {string} [targetId] - Provider to preselect
+ * @returns {Promise<void>}
+ */
+async function showProviderMigration(targetId = null) {
+  const cloudSync = getCloudSyncState ? getCloudSyncState() : null;
+  if (!cloudSync?.isAuthenticated) {
+    uiRenderer.showToast(
+      "Connect your current sync provider before moving its data",
+      "warning"
+    );
+    return;
+  }
+
+  await providerMigrationManager.showMigrationDialog({
+    cloudSync,
+    targetId,
+    onSwitch: async (providerId) => {
+      await dataService.savePreference("cloudSyncProvider", providerId);
+      await useSyncProvider(providerId);
+      // Sync with the new provider once the dialog closes
+      pendingInitialSync = true;
+    },
+    onBack: showSettings,
+  });
+}
+
 /**
  * Setup WiFi-only checkbox listener
  */
@@ -592,56 +1534,289 @@ function setupActionButtonListeners() {
   // Connect/Re-authenticate button
   document
     .getElementById("sync-reauth-btn")
-    .addEventListener("click", async () => {
-      const provider = document.getElementById("sync-provider").value;
-      let cloudSync = getCloudSyncState ? getCloudSyncState() : null;
+    .addEventListener("click", () => connectSelectedProvider());
 
-      if (
-        !cloudSync ||
-        cloudSync.provider?.providerName !==
-          (provider === "gdrive" ? "GoogleDriveProvider" : "DropboxProvider")
-      ) {
-        // Initialize with new provider
-        cloudSync = new CloudSyncManager(
-          dataService,
-          stateManager,
-          uiRenderer,
-          handleSyncCompleteCallback,
-          handleSyncErrorCallback
-        );
-        await cloudSync.initialize(provider);
-        if (setCloudSyncState) setCloudSyncState(cloudSync);
-      }
+  // Folder providers: pick a different folder
+  document.querySelectorAll(".choose-folder-btn").forEach((button) => {
+    button.addEventListener("click", () =>
+      connectSelectedProvider({ chooseNewFolder: true })
+    );
+  });
+}
 
-      try {
-        // Create state parameter for settings OAuth flow
-        const state = {
-          wizardContext: "settingsAuth",
-          source: "settingsDialog",
-        };
-        const stateParam = btoa(JSON.stringify(state));
-
-        // Redirect to server OAuth with state parameter
-        if (provider === "dropbox") {
-          window.location.href = `/api/dropbox/auth?state=${encodeURIComponent(
-            stateParam
-          )}`;
-        } else if (provider === "gdrive") {
-          window.location.href = `/api/gdrive/auth?state=${encodeURIComponent(
-            stateParam
-          )}`;
-        }
+/**
+ * Connect the provider selected in the dialog
+ * @param {Object} [options]
+ * @param {boolean} [options.chooseNewFolder=false] - Folder providers only:
+ *   show the folder picker even if a folder was chosen before
+ */
+async function connectSelectedProvider({ chooseNewFolder = false } = {}) {
+  const provider = document.getElementById("sync-provider").value;
+  let cloudSync = getCloudSyncState ? getCloudSyncState() : null;
+
+  if (!cloudSync || getProviderType(cloudSync.provider) !== provider) {
+    // Initialize with new provider
+    cloudSync = new CloudSyncManager(
+      dataService,
+      stateManager,
+      uiRenderer,
+      handleSyncCompleteCallback,
+      handleSyncErrorCallback
+    );
+    await cloudSync.initialize(provider);
+    if (setCloudSyncState) setCloudSyncState(cloudSync);
+  }
 
-        // The page will reload after OAuth, so we don't need to handle the return here
-      } catch (error) {
-        uiRenderer.showToast(
-          `Authentication failed: ${error.message}`,
-          "error"
-        );
+  const { authType } = getProviderClass(provider);
+  if (authType === AUTH_TYPES.CREDENTIALS) {
+    await connectWithCredentials(cloudSync, provider);
+    return;
+  }
+  if (authType === AUTH_TYPES.FOLDER) {
+    await connectFolder(cloudSync, provider, chooseNewFolder);
+    return;
+  }
+
+  try {
+    // Create state parameter for settings OAuth flow
+    const state = {
+      wizardContext: "settingsAuth",
+      source: "settingsDialog",
+    };
+    const stateParam = btoa(JSON.stringify(state));
+
+    // Redirect to server OAuth with state parameter
+    window.location.href = `/api/${provider}/auth?state=${encodeURIComponent(
+      stateParam
+    )}`;
+
+    // The page will reload after OAuth, so we don't need to handle the return here
+  } catch (error) {
+    uiRenderer.showToast(`Authentication failed: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Save the credential form of a provider without OAuth and test the
+ * connection. There is no redirect, so the dialog is updated in place.
+ * @param {Object} cloudSync - A CloudSyncManager using that provider
+ * @param {string} providerKey - Id of a credentials provider
+ */
+async function connectWithCredentials(cloudSync, providerKey) {
+  const statusElement = document.getElementById("sync-status");
+  const provider = cloudSync.provider;
+  const { credentialFields } = getProviderClass(providerKey);
+  const saved = provider.getStoredCredentials() || {};
+  const inputs = credentialFields.map((field) => ({
+    field,
+    input: document.getElementById(`${providerKey}-${field.name}`),
+  }));
+
+  try {
+    // Leaving a secret blank keeps the saved one
+    provider.saveCredentials(
+      Object.fromEntries(
+        inputs.map(({ field, input }) => [
+          field.name,
+          field.secret && !input.value ? saved[field.name] : input.value,
+        ])
+      )
+    );
+  } catch (error) {
+    uiRenderer.showToast(error.message, "error");
+    return;
+  }
+
+  statusElement.textContent = "Connecting...";
+  statusElement.className = "status-value initializing";
+
+  cloudSync.isAuthenticated = await provider.checkAuth();
+  if (updateSyncUIElementsCallback) updateSyncUIElementsCallback();
+
+  if (!cloudSync.isAuthenticated) {
+    uiRenderer.showToast(
+      `Could not connect to ${getProviderDisplayName(
+        providerKey
+      )}. Check the details and try again.`,
+      "error"
+    );
+    return;
+  }
+
+  await dataService.savePreference("cloudSyncProvider", providerKey);
+  inputs
+    .filter(({ field }) => field.secret)
+    .forEach(({ input }) => {
+      input.value = "";
+      input.placeholder = "(unchanged)";
+    });
+  uiRenderer.showToast(
+    `${getProviderDisplayName(providerKey)} connected successfully`,
+    "success"
+  );
+
+  // Sync once the dialog closes, as after an OAuth connect
+  pendingInitialSync = true;
+  if (setSyncReadyCallback) setSyncReadyCallback(true);
+}
+
+/**
+ * Ask for access to the sync folder, picking one if needed. Runs from a
+ * button click, which the browser requires for both.
+ * @param {Object} cloudSync - A CloudSyncManager using that provider
+ * @param {string} providerKey - Id of a folder provider
+ * @param {boolean} chooseNew - Show the picker even if a folder was saved
+ */
+async function connectFolder(cloudSync, providerKey, chooseNew) {
+  const statusElement = document.getElementById("sync-status");
+  statusElement.textContent = "Connecting...";
+  statusElement.className = "status-value initializing";
+
+  cloudSync.isAuthenticated = await cloudSync.provider.authenticate({
+    chooseNew,
+  });
+  if (updateSyncUIElementsCallback) updateSyncUIElementsCallback();
+
+  statusElement.textContent = cloudSync.isAuthenticated
+    ? "Connected"
+    : "Not connected";
+  statusElement.className =
+    "status-value " +
+    (cloudSync.isAuthenticated ? "connected" : "disconnected");
+  document.getElementById("sync-now-btn").disabled =
+    !cloudSync.isAuthenticated;
+
+  if (!cloudSync.isAuthenticated) {
+    uiRenderer.showToast("No access to a sync folder was granted", "warning");
+    return;
+  }
+
+  await dataService.savePreference("cloudSyncProvider", providerKey);
+  const folder = await cloudSync.provider.getUserInfo();
+  uiRenderer.showToast(
+    folder
+      ? `Syncing with folder "${folder.name}"`
+      : `${getProviderDisplayName(providerKey)} connected successfully`,
+    "success"
+  );
+
+  // Sync once the dialog closes, as after an OAuth connect
+  pendingInitialSync = true;
+  if (setSyncReadyCallback) setSyncReadyCallback(true);
+}
+
+/**
+ * Setup sync encryption button listeners
+ */
+function setupEncryptionListeners() {
+  document
+    .getElementById("sync-encryption-enable-btn")
+    ?.addEventListener("click", () =>
+      runEncryptionAction(async (encryption, passphrase) => {
+        await encryption.enable(passphrase);
+        return "Sync encryption enabled";
+      })
+    );
+
+  document
+    .getElementById("sync-passphrase-change-btn")
+    ?.addEventListener("click", () =>
+      runEncryptionAction(async (encryption, passphrase) => {
+        await encryption.changePassphrase(passphrase);
+        return "Passphrase changed. Enter the new one on your other devices.";
+      })
+    );
+
+  document
+    .getElementById("sync-encryption-remove-btn")
+    ?.addEventListener("click", async () => {
+      const confirmed = await uiRenderer.showConfirmDialog({
+        title: "Remove Encryption",
+        message:
+          "Synced data will be decrypted and stored as plain files again. Your other devices will stop syncing until you remove encryption there too. Continue?",
+        confirmText: "Remove",
+        cancelText: "Cancel",
+      });
+
+      if (!confirmed) {
+        await showSettings();
+        return;
       }
+
+      await runEncryptionAction(
+        async (encryption) => {
+          await encryption.disable();
+          return "Sync encryption removed";
+        },
+        { needsPassphrase: false }
+      );
     });
 }
 
+/**
+ * Run a sync encryption change against the connected provider, then
+ * reopen the settings dialog to show the new state
+ * @param {Function} action - async (encryption, passphrase) => success
+ *   message
+ * @param {Object} [options]
+ * @param {boolean} [options.needsPassphrase=true] - Read and check the
+ *   passphrase inputs first
+ */
+async function runEncryptionAction(action, { needsPassphrase = true } = {}) {
+  const cloudSync = getCloudSyncState ? getCloudSyncState() : null;
+  if (!cloudSync?.isAuthenticated) {
+    uiRenderer.showToast("Connect a sync provider first", "warning");
+    return;
+  }
+  if (cloudSync.syncInProgress) {
+    uiRenderer.showToast("Wait for the current sync to finish", "warning");
+    return;
+  }
+
+  let passphrase = null;
+  if (needsPassphrase) {
+    passphrase = document.getElementById("sync-passphrase")?.value || "";
+    const confirmation =
+      document.getElementById("sync-passphrase-confirm")?.value || "";
+    if (passphrase.length < 8) {
+      uiRenderer.showToast(
+        "Use a passphrase of at least 8 characters",
+        "warning"
+      );
+      return;
+    }
+    if (passphrase !== confirmation) {
+      uiRenderer.showToast("The passphrases don't match", "warning");
+      return;
+    }
+  }
+
+  // Keep syncs out while files are being rewritten
+  cloudSync.syncInProgress = true;
+  uiRenderer.showToast("Updating sync encryption...", "info", {
+    isPersistent: true,
+    showSpinner: true,
+  });
+
+  try {
+    const message = await action(
+      cloudSync.syncOperationHandler.encryption,
+      passphrase
+    );
+    uiRenderer.clearToasts();
+    uiRenderer.showToast(message, "success", { duration: 5000 });
+    pendingInitialSync = true;
+  } catch (error) {
+    logger.error("Sync encryption change failed:", error);
+    uiRenderer.clearToasts();
+    uiRenderer.showToast(error.message, "error", { duration: 5000 });
+  } finally {
+    cloudSync.syncInProgress = false;
+  }
+
+  await showSettings();
+}
+
 /**
  * Close settings modal with pending sync handling
  */
@@ -655,9 +1830,9 @@ function closeSettingsModal() {
     logger.info("Executing pending initial sync after settings dialog close");
     pendingInitialSync = false;
 
-    // For Google Drive, ensure sync ready is set since auth flow delays it
+    // For OAuth providers, ensure sync ready is set since auth flow delays it
     if (
-      cloudSync.provider?.providerName === "GoogleDriveProvider" &&
+      cloudSync.provider?.constructor.authType === AUTH_TYPES.OAUTH &&
       setSyncReadyCallback
     ) {
       setSyncReadyCallback(true);
@@ -692,6 +1867,7 @@ export default {
   initialize,
   handleSettings,
   showSettings,
+  showProviderMigration,
   closeSettingsModal,
   setPendingInitialSync,
 };
@@ -19,6 +19,12 @@
 import dataService from "./dataService.js";
 import stateManager from "./stateManager.js";
 import { createLogger } from "./logger.js";
+import {
+  getProviders,
+  getProviderClass,
+  getProviderDisplayName,
+} from "../cloudProviders/providerRegistry.js";
+import { AUTH_TYPES } from "../cloudProviders/cloudProvider.js";
 
 // Check if server features are enabled (build-time constant)
 const SERVER_FEATURES_ENABLED = __SERVER_FEATURES_ENABLED__;
@@ -325,25 +331,24 @@ class SetupWizard {
           <p>Select the cloud provider you'd like to connect to:</p>
           <div class="wizard-form">
             <div class="radio-group">
-              <label>
-                <input type="radio" name="cloudProvider" value="gdrive"
+              ${getProviders()
+                .map(
+                  (Provider) => `<label>
+                <input type="radio" name="cloudProvider" value="${Provider.id}"
                   ${
-                    this.selections.cloudSyncProvider === "gdrive"
+                    this.selections.cloudSyncProvider === Provider.id
                       ? "checked"
                       : ""
                   }>
-                <span>Google Drive</span>
-              </label>
-              <label>
-                <input type="radio" name="cloudProvider" value="dropbox"
-                  ${
-                    this.selections.cloudSyncProvider === "dropbox"
-                      ? "checked"
-                      : ""
-                  }>
-                <span>Dropbox</span>
-              </label>
+                <span>${Provider.displayName}</span>
+              </label>`
+                )
+                .join("")}
             </div>
+            ${getProviders()
+              .map((Provider) => this.renderProviderFields(Provider))
+              .join("")}
+            <p id="wizard-provider-error" class="wizard-error"></p>
           </div>
           <div class="wizard-note">
             <p><strong>Note:</strong> If you've used this app on another device and synced data to the cloud, your existing data will be downloaded to this device on first sync.</p>
@@ -373,16 +378,12 @@ class SetupWizard {
         try {
           const isConnected = await this.verifyCloudConnection();
           syncMessage = isConnected
-            ? `Successfully connected to ${
-                this.selections.cloudSyncProvider === "gdrive"
-                  ? "Google Drive"
-                  : "Dropbox"
-              }!`
-            : `Failed to connect to ${
-                this.selections.cloudSyncProvider === "gdrive"
-                  ? "Google Drive"
-                  : "Dropbox"
-              }. You can try again later from Settings.`;
+            ? `Successfully connected to ${getProviderDisplayName(
+                this.selections.cloudSyncProvider
+              )}!`
+            : `Failed to connect to ${getProviderDisplayName(
+                this.selections.cloudSyncProvider
+              )}. You can try again later from Settings.`;
         } catch (error) {
           logger.error("Error verifying cloud connection:", error);
           syncMessage =
@@ -574,7 +575,7 @@ class SetupWizard {
               if (provider) {
                 this.selections.cloudSyncProvider = provider;
                 await dataService.savePreference("cloudSyncProvider", provider);
-                await this.initiateOAuthFlow(provider);
+                await this.connectProvider(provider);
               }
             });
 
@@ -590,6 +591,14 @@ class SetupWizard {
                 if (connectBtn) {
                   connectBtn.disabled = false;
                 }
+                document
+                  .querySelectorAll(".wizard-provider-fields")
+                  .forEach((fields) => {
+                    fields.classList.toggle(
+                      "hidden",
+                      fields.dataset.provider !== e.target.value
+                    );
+                  });
               });
             });
         }
@@ -605,6 +614,119 @@ class SetupWizard {
     }
   }
 
+  /**
+   * Render the setup fields of a provider, shown while it is selected
+   * @param {Function} Provider - Provider class from the registry
+   * @returns {string} HTML, or "" if the provider needs no fields
+   */
+  renderProviderFields(Provider) {
+    let fields = "";
+
+    if (Provider.authType === AUTH_TYPES.CREDENTIALS) {
+      fields = Provider.credentialFields
+        .map(
+          (field) => `
+              <label for="wizard-${Provider.id}-${field.name}">${
+            field.label
+          }</label>
+              <input type="${field.type}" id="wizard-${Provider.id}-${
+            field.name
+          }" ${
+            field.autocomplete ? `autocomplete="${field.autocomplete}"` : ""
+          } placeholder="${field.placeholder || ""}">`
+        )
+        .join("");
+    } else if (Provider.authType === AUTH_TYPES.FOLDER) {
+      fields = `
+              <p>Connect opens a folder picker.</p>`;
+    }
+
+    if (Provider.description) {
+      fields += `
+              <p>${Provider.description}</p>`;
+    }
+
+    if (!fields) return "";
+
+    return `
+            <div class="wizard-provider-fields ${
+              this.selections.cloudSyncProvider === Provider.id ? "" : "hidden"
+            }" data-provider="${Provider.id}">${fields}
+            </div>`;
+  }
+
+  async connectProvider(provider) {
+    const { authType } = getProviderClass(provider);
+    if (authType === AUTH_TYPES.CREDENTIALS) {
+      await this.connectWithCredentials(provider);
+    } else if (authType === AUTH_TYPES.FOLDER) {
+      await this.connectFolder(provider);
+    } else {
+      await this.initiateOAuthFlow(provider);
+    }
+  }
+
+  /**
+   * Test the details entered for a provider without OAuth. There is no
+   * redirect, so on success the wizard moves straight to the last step.
+   * @param {string} providerKey - Id of a credentials provider
+   */
+  async connectWithCredentials(providerKey) {
+    const errorElement = document.getElementById("wizard-provider-error");
+    const connectBtn = document.getElementById("cloud-provider-connect-btn");
+    const Provider = getProviderClass(providerKey);
+    const provider = new Provider();
+
+    try {
+      provider.saveCredentials(
+        Object.fromEntries(
+          Provider.credentialFields.map((field) => [
+            field.name,
+            document.getElementById(`wizard-${providerKey}-${field.name}`)
+              .value,
+          ])
+        )
+      );
+    } catch (error) {
+      errorElement.textContent = error.message;
+      return;
+    }
+
+    errorElement.textContent = "";
+    connectBtn.disabled = true;
+    connectBtn.textContent = "Connecting...";
+
+    if (await provider.checkAuth()) {
+      this.currentStep = WIZARD_STEPS.COMPLETE;
+      this.renderCurrentStep();
+      return;
+    }
+
+    errorElement.textContent =
+      "Could not connect. Check the details and try again.";
+    connectBtn.disabled = false;
+    connectBtn.textContent = "Connect";
+  }
+
+  /**
+   * Let the user pick the sync folder. Runs from the Connect click, which
+   * the browser requires before showing the picker.
+   * @param {string} providerKey - Id of a folder provider
+   */
+  async connectFolder(providerKey) {
+    const errorElement = document.getElementById("wizard-provider-error");
+    const Provider = getProviderClass(providerKey);
+    errorElement.textContent = "";
+
+    if (await new Provider().authenticate({ chooseNew: true })) {
+      this.currentStep = WIZARD_STEPS.COMPLETE;
+      this.renderCurrentStep();
+      return;
+    }
+
+    errorElement.textContent = "No folder was chosen.";
+  }
+
   async initiateOAuthFlow(provider) {
     const state = {
       wizardContext: "cloudProviderConnect",
@@ -621,16 +743,9 @@ class SetupWizard {
 
     const stateParam = btoa(JSON.stringify(state));
     // Pass state parameter to server for proper OAuth flow identification
-
-    if (provider === "dropbox") {
-      window.location.href = `/api/dropbox/auth?state=${encodeURIComponent(
-        stateParam
-      )}`;
-    } else if (provider === "gdrive") {
-      window.location.href = `/api/gdrive/auth?state=${encodeURIComponent(
-        stateParam
-      )}`;
-    }
+    window.location.href = `/api/${provider}/auth?state=${encodeURIComponent(
+      stateParam
+    )}`;
   }
 
   async finish() {
@@ -663,6 +778,16 @@ class SetupWizard {
         return;
       }
 
+      // Let Backspace edit text in the provider credential fields
+      if (
+        event.key === "Backspace" &&
+        event.target.matches(
+          'input[type="text"], input[type="url"], input[type="password"]'
+        )
+      ) {
+        return;
+      }
+
       // Prevent default behavior for navigation keys
       if (event.key === "Enter" || event.key === "Backspace") {
         event.preventDefault();
@@ -750,7 +875,7 @@ class SetupWizard {
             dataService
               .savePreference("cloudSyncProvider", provider)
               .then(() => {
-                this.initiateOAuthFlow(provider);
+                this.connectProvider(provider);
               });
           }
         }
@@ -21,6 +21,7 @@ import appUtils from "../utils/appUtils.js";
 import dateUtils from "../utils/dateUtils.js";
 import uiRenderer from "../ui/renderer.js";
 import logger from "./logger.js";
+import trackingEngine from "./trackingEngine.js";
 
 /**
  * StateManager - Centralized state management with publisher/subscriber pattern
@@ -37,6 +38,8 @@ export const ACTION_TYPES = {
 
   // Food counts
   UPDATE_DAILY_COUNT: "UPDATE_DAILY_COUNT",
+  LOG_FOOD_ITEM: "LOG_FOOD_ITEM",
+  REMOVE_FOOD_ITEM_LOG: "REMOVE_FOOD_ITEM_LOG",
   // UPDATE_WEEKLY_COUNT: "UPDATE_WEEKLY_COUNT",
 
   // Date changes
@@ -57,6 +60,9 @@ export const ACTION_TYPES = {
   IMPORT_STATE: "IMPORT_STATE", // Will be handled in Phase 2
 
   UPDATE_METADATA: "UPDATE_METADATA",
+
+  // Configuration
+  SET_FOOD_GROUPS: "SET_FOOD_GROUPS",
 };
 
 // Default initial state
@@ -66,6 +72,7 @@ const defaultState = {
   selectedTrackerDate: null, // New
   dailyCounts: {}, // New structure: { "YYYY-MM-DD": { foodId: count } }
   weeklyCounts: {},
+  dailyItemLogs: {}, // { "YYYY-MM-DD": [{ id, itemId, name, servings, loggedAt }] }
   history: [],
   currentHistoryIndex: -1,
   foodGroups: [],
@@ -89,6 +96,19 @@ const _subscribers = [];
 // Batch update flag to prevent intermediate UI updates during complex operations
 let _batchingUpdates = false;
 
+// Kinds of reversible steps recorded for undo/redo
+export const UNDO_KINDS = {
+  DAILY_COUNTS: "DAILY_COUNTS",
+  HISTORY_WEEK: "HISTORY_WEEK",
+  FOOD_ITEM: "FOOD_ITEM",
+};
+const MAX_UNDO_STEPS = 50;
+const UNDO_COALESCE_MS = 2000;
+
+// Undo/redo stacks of recorded steps (most recent last)
+let _undoStack = [];
+let _redoStack = [];
+
 /**
  * Subscribe to state changes
  * @param {Function} callback - Function to call when state changes
@@ -149,7 +169,8 @@ function dispatch(action) {
     if (
       action.type !== ACTION_TYPES.INITIALIZE_STATE &&
       action.type !== ACTION_TYPES.SET_HISTORY &&
-      action.type !== ACTION_TYPES.SET_HISTORY_INDEX
+      action.type !== ACTION_TYPES.SET_HISTORY_INDEX &&
+      action.type !== ACTION_TYPES.SET_FOOD_GROUPS
     ) {
       saveStateToStorage();
     }
@@ -213,7 +234,7 @@ function reducer(state, action) {
 
     case ACTION_TYPES.UPDATE_DAILY_COUNT:
       const { date, groupId, count } = action.payload;
-      const newCount = Math.max(0, parseInt(count, 10) || 0);
+      const newCount = trackingEngine.validateFoodGroupCount(count);
 
       const currentDailyCountsForDate = state.dailyCounts[date] || {};
       const oldDailyValue = currentDailyCountsForDate[groupId] || 0;
@@ -234,6 +255,57 @@ function reducer(state, action) {
         },
       };
 
+    case ACTION_TYPES.LOG_FOOD_ITEM: {
+      // Adds a food library item's servings to the day and records the entry
+      const { date: logDate, entry } = action.payload;
+      const dayCounts = { ...(state.dailyCounts[logDate] || {}) };
+      const weekCounts = { ...state.weeklyCounts };
+
+      Object.entries(entry.servings || {}).forEach(([foodId, amount]) => {
+        dayCounts[foodId] = (dayCounts[foodId] || 0) + amount;
+        weekCounts[foodId] = (weekCounts[foodId] || 0) + amount;
+      });
+
+      const dayLog = state.dailyItemLogs?.[logDate] || [];
+
+      return {
+        ...state,
+        dailyCounts: { ...state.dailyCounts, [logDate]: dayCounts },
+        weeklyCounts: weekCounts,
+        dailyItemLogs: {
+          ...(state.dailyItemLogs || {}),
+          [logDate]: [...dayLog, entry],
+        },
+      };
+    }
+
+    case ACTION_TYPES.REMOVE_FOOD_ITEM_LOG: {
+      // Removes a logged entry and subtracts its servings (never below zero)
+      const { date: logDate, entryId } = action.payload;
+      const dayLog = state.dailyItemLogs?.[logDate] || [];
+      const entry = dayLog.find((logged) => logged.id === entryId);
+      if (!entry) return state;
+
+      const dayCounts = { ...(state.dailyCounts[logDate] || {}) };
+      const weekCounts = { ...state.weeklyCounts };
+
+      Object.entries(entry.servings || {}).forEach(([foodId, amount]) => {
+        const removed = Math.min(amount, dayCounts[foodId] || 0);
+        dayCounts[foodId] = (dayCounts[foodId] || 0) - removed;
+        weekCounts[foodId] = Math.max(0, (weekCounts[foodId] || 0) - removed);
+      });
+
+      return {
+        ...state,
+        dailyCounts: { ...state.dailyCounts, [logDate]: dayCounts },
+        weeklyCounts: weekCounts,
+        dailyItemLogs: {
+          ...(state.dailyItemLogs || {}),
+          [logDate]: dayLog.filter((logged) => logged.id !== entryId),
+        },
+      };
+    }
+
     // UPDATE_WEEKLY_COUNT is deprecated - weekly counts are now derived from daily counts
     /*
     case ACTION_TYPES.UPDATE_WEEKLY_COUNT:
@@ -301,6 +373,10 @@ function reducer(state, action) {
           [dateToReset]: {}, // Set to empty object for that date
         },
         weeklyCounts: updatedWeeklyCountsAfterDailyReset,
+        dailyItemLogs: {
+          ...(state.dailyItemLogs || {}),
+          [dateToReset]: [],
+        },
       };
 
     case ACTION_TYPES.RESET_WEEKLY_COUNTS:
@@ -311,6 +387,7 @@ function reducer(state, action) {
         ...state,
         dailyCounts: { [currentDayForWeeklyReset]: {} },
         weeklyCounts: {},
+        dailyItemLogs: {},
       };
 
     case ACTION_TYPES.RECALCULATE_WEEKLY_TOTALS:
@@ -375,6 +452,13 @@ function reducer(state, action) {
         },
       };
 
+    case ACTION_TYPES.SET_FOOD_GROUPS:
+      // Food groups are persisted as a preference by foodGroupsManager
+      return {
+        ...state,
+        foodGroups: action.payload.foodGroups || [],
+      };
+
     default:
       logger.warn(`Unknown action type in reducer: ${action.type}`);
       return state;
@@ -390,6 +474,7 @@ function saveStateToStorage() {
     currentWeekStartDate: _state.currentWeekStartDate,
     dailyCounts: _state.dailyCounts,
     weeklyCounts: _state.weeklyCounts,
+    dailyItemLogs: _state.dailyItemLogs,
     metadata: _state.metadata,
   };
 
@@ -463,6 +548,9 @@ async function initialize(foodGroups) {
     initialState.dailyCounts[initialState.currentDayDate] = {};
   }
 
+  // Recorded steps refer to data that may just have been replaced
+  clearUndoHistory();
+
   logger.debug(
     "StateManager Initialize: Initial state being dispatched:",
     JSON.parse(JSON.stringify(initialState))
@@ -548,15 +636,31 @@ function getState() {
  * @param {string} date - The date for which to update the count (YYYY-MM-DD)
  * @param {string} groupId - The food group ID
  * @param {number} count - The new count value
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.undoable=false] - Record the change for undo (user edits)
  * @returns {Object} The action object
  */
-function updateDailyCount(date, groupId, count) {
+function updateDailyCount(date, groupId, count, options = {}) {
+  const previousCount = _state.dailyCounts[date]?.[groupId] || 0;
+
   // Added 'date' parameter
   const result = dispatch({
     type: ACTION_TYPES.UPDATE_DAILY_COUNT,
     payload: { date, groupId, count },
   });
 
+  const newCount = _state.dailyCounts[date]?.[groupId] || 0;
+  if (options.undoable && newCount !== previousCount) {
+    recordUndoStep({
+      kind: UNDO_KINDS.DAILY_COUNTS,
+      label: getFoodGroup(groupId)?.name || groupId,
+      date,
+      before: { [groupId]: previousCount },
+      after: { [groupId]: newCount },
+      coalesceKey: `${date}:${groupId}`,
+    });
+  }
+
   const updateTime = Date.now();
   updateMetadata({
     dailyTotalsUpdatedAt: updateTime,
@@ -569,6 +673,101 @@ function updateDailyCount(date, groupId, count) {
   return result;
 }
 
+/**
+ * Mark counts dirty after a food library item was logged or removed
+ */
+function markItemLogChanged() {
+  const updateTime = Date.now();
+  updateMetadata({
+    dailyTotalsUpdatedAt: updateTime,
+    dailyTotalsDirty: true,
+    weeklyTotalsUpdatedAt: updateTime,
+    weeklyTotalsDirty: true,
+    lastModified: updateTime,
+  });
+}
+
+/**
+ * Action creator for logging a food library item on a date.
+ * The item's servings are added to dailyCounts, so weekly totals remain a
+ * plain sum of daily counts; the entry keeps its own copy of the servings.
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @param {Object} item - Library item { id, name, servings }
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.undoable=false] - Record the change for undo
+ * @param {Object} [options.entry] - Re-log an existing entry (used by redo)
+ * @returns {Object} The logged entry
+ */
+function logFoodItem(date, item, options = {}) {
+  const entry = options.entry || {
+    id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    itemId: item.id,
+    name: item.name,
+    servings: { ...item.servings },
+    loggedAt: Date.now(),
+  };
+
+  dispatch({
+    type: ACTION_TYPES.LOG_FOOD_ITEM,
+    payload: { date, entry },
+  });
+
+  if (options.undoable) {
+    recordUndoStep({
+      kind: UNDO_KINDS.FOOD_ITEM,
+      label: entry.name,
+      date,
+      before: null,
+      after: entry,
+    });
+  }
+
+  markItemLogChanged();
+  return entry;
+}
+
+/**
+ * Action creator for removing a logged food library item
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @param {string} entryId - The logged entry ID
+ * @param {Object} [options] - Additional options
+ * @param {boolean} [options.undoable=false] - Record the change for undo
+ * @returns {Object|null} The removed entry, or null if not found
+ */
+function removeFoodItemLog(date, entryId, options = {}) {
+  const entry = (_state.dailyItemLogs?.[date] || []).find(
+    (logged) => logged.id === entryId
+  );
+  if (!entry) return null;
+
+  dispatch({
+    type: ACTION_TYPES.REMOVE_FOOD_ITEM_LOG,
+    payload: { date, entryId },
+  });
+
+  if (options.undoable) {
+    recordUndoStep({
+      kind: UNDO_KINDS.FOOD_ITEM,
+      label: `Remove ${entry.name}`,
+      date,
+      before: entry,
+      after: null,
+    });
+  }
+
+  markItemLogChanged();
+  return JSON.parse(JSON.stringify(entry));
+}
+
+/**
+ * Get the food library items logged on a date
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @returns {Array} Logged entries, oldest first
+ */
+function getItemLog(date) {
+  return JSON.parse(JSON.stringify(_state.dailyItemLogs?.[date] || []));
+}
+
 /**
  * Action creator for updating weekly count
  * @param {string} groupId - The food group ID
@@ -770,6 +969,9 @@ async function checkDateAndReset() {
       );
       await archiveCurrentWeek(completedWeekState); // Pass the captured state
 
+      // Steps for the archived week's days can no longer be applied to current counts
+      clearUndoHistory();
+
       // Now, update state for the NEW week
       dispatch({
         type: ACTION_TYPES.SET_CURRENT_WEEK,
@@ -933,8 +1135,9 @@ async function archiveCurrentWeek(completedWeekState, archiveTimestamp = null) {
     );
   }
 
-  // Filter dailyCounts to only include days within the archived week
+  // Filter dailyCounts (and food item logs) to only include days within the archived week
   const filteredDailyBreakdown = {};
+  const filteredItemLogs = {};
   const weekStartDateObj = new Date(
     stateToArchive.currentWeekStartDate + "T00:00:00"
   );
@@ -966,12 +1169,18 @@ async function archiveCurrentWeek(completedWeekState, archiveTimestamp = null) {
       // Ensure all 7 days have an entry, even if empty
       filteredDailyBreakdown[dayStr] = {};
     }
+
+    const dayItemLog = stateToArchive.dailyItemLogs?.[dayStr];
+    if (Array.isArray(dayItemLog) && dayItemLog.length > 0) {
+      filteredItemLogs[dayStr] = dayItemLog.map((entry) => ({ ...entry }));
+    }
   }
 
   const weekDataForHistory = {
     weekStartDate: stateToArchive.currentWeekStartDate,
     dailyBreakdown: filteredDailyBreakdown, // <<< USE THE FILTERED OBJECT HERE
     totals: { ...stateToArchive.weeklyCounts },
+    dailyItemLogs: filteredItemLogs,
   };
 
   logger.info(
@@ -995,6 +1204,8 @@ async function archiveCurrentWeek(completedWeekState, archiveTimestamp = null) {
       foodGroups: stateToArchive.foodGroups,
       updatedAt: timestamp,
       weekStartDay: stateToArchive.metadata?.weekStartDay || "Sunday",
+      // Archiving moves counts already logged as current week changes
+      skipSyncLog: true,
     });
     logger.info(
       `Archived week ${stateToArchive.currentWeekStartDate} with timestamp ${timestamp}`
@@ -1026,6 +1237,132 @@ async function archiveCurrentWeek(completedWeekState, archiveTimestamp = null) {
   }
 }
 
+/**
+ * Re-cut the current week for a new week start day, e.g. when the setting
+ * arrives from another device. Days that fall before the new start move to
+ * the history week they now belong to; days the current week gains are
+ * copied in from the history week that held them.
+ * @param {string} weekStartDay - "Sunday" or "Monday"
+ * @returns {Promise<boolean>} True if the week start day changed
+ */
+async function changeWeekStartDay(weekStartDay) {
+  const state = getState();
+  if ((state.metadata?.weekStartDay || "Sunday") === weekStartDay) {
+    return false;
+  }
+
+  const oldWeekStart = state.currentWeekStartDate;
+  const newWeekStart = dataService.getWeekStartDate(
+    state.currentDayDate,
+    weekStartDay
+  );
+  logger.info(
+    `Week start day changed to ${weekStartDay}: moving current week from ${oldWeekStart} to ${newWeekStart}`
+  );
+
+  const dailyCounts = {};
+  const dailyItemLogs = {};
+  const leavingWeeks = {}; // { weekStartDate: [dates] }
+  Object.keys(state.dailyCounts || {}).forEach((date) => {
+    if (date >= newWeekStart) {
+      dailyCounts[date] = state.dailyCounts[date];
+      if (state.dailyItemLogs?.[date]) {
+        dailyItemLogs[date] = state.dailyItemLogs[date];
+      }
+      return;
+    }
+    const hasCounts = Object.values(state.dailyCounts[date] || {}).some(
+      (count) => count > 0
+    );
+    if (!hasCounts) return;
+    const weekStart = dataService.getWeekStartDate(date, weekStartDay);
+    (leavingWeeks[weekStart] = leavingWeeks[weekStart] || []).push(date);
+  });
+
+  const timestamp = dataService.getCurrentTimestamp();
+
+  // Move days now before the current week into their history week
+  for (const [weekStart, dates] of Object.entries(leavingWeeks)) {
+    const week = (await dataService.getWeekHistory(weekStart)) || {
+      weekStartDate: weekStart,
+    };
+    const dailyBreakdown = { ...(week.dailyBreakdown || {}) };
+    const itemLogs = { ...(week.dailyItemLogs || {}) };
+    dates.forEach((date) => {
+      dailyBreakdown[date] = { ...state.dailyCounts[date] };
+      if (state.dailyItemLogs?.[date]) {
+        itemLogs[date] = state.dailyItemLogs[date];
+      }
+    });
+    const totals = {};
+    Object.values(dailyBreakdown).forEach((day) => {
+      Object.entries(day).forEach(([groupId, count]) => {
+        totals[groupId] = (totals[groupId] || 0) + count;
+      });
+    });
+
+    await dataService.saveWeekHistory(
+      { ...week, dailyBreakdown, totals, dailyItemLogs: itemLogs },
+      {
+        foodGroups: state.foodGroups,
+        updatedAt: timestamp,
+        weekStartDay,
+        // These counts were already logged as current week changes
+        skipSyncLog: true,
+      }
+    );
+  }
+
+  // Copy in days the current week gains from the history week holding them
+  if (newWeekStart < oldWeekStart) {
+    const previousWeek = await dataService.getWeekHistory(
+      dataService.getWeekStartDate(newWeekStart, state.metadata?.weekStartDay)
+    );
+    Object.entries(previousWeek?.dailyBreakdown || {}).forEach(
+      ([date, counts]) => {
+        if (date < newWeekStart || date >= oldWeekStart) return;
+        if (dailyCounts[date]) return;
+        dailyCounts[date] = { ...counts };
+        if (previousWeek.dailyItemLogs?.[date]) {
+          dailyItemLogs[date] = previousWeek.dailyItemLogs[date];
+        }
+      }
+    );
+  }
+
+  dispatch({
+    type: ACTION_TYPES.SET_STATE,
+    payload: {
+      currentWeekStartDate: newWeekStart,
+      selectedTrackerDate: state.currentDayDate,
+      dailyCounts,
+      dailyItemLogs,
+    },
+  });
+  dispatch({ type: ACTION_TYPES.RECALCULATE_WEEKLY_TOTALS });
+
+  // Steps recorded against the old week no longer line up with it
+  clearUndoHistory();
+
+  const historyMoved = Object.keys(leavingWeeks).length > 0;
+  if (historyMoved) {
+    dispatch({
+      type: ACTION_TYPES.SET_HISTORY,
+      payload: { history: await dataService.getAllWeekHistory() },
+    });
+  }
+  updateMetadata({
+    weekStartDay,
+    currentWeekDirty: true,
+    dailyTotalsDirty: true,
+    weeklyTotalsDirty: true,
+    lastModified: timestamp,
+    ...(historyMoved ? { historyDirty: true } : {}),
+  });
+
+  return true;
+}
+
 /**
  * Get the food group data by ID
  * @param {string} id - The food group ID
@@ -1036,6 +1373,27 @@ function getFoodGroup(id) {
   return state.foodGroups.find((group) => group.id === id) || null;
 }
 
+/**
+ * Get the active food groups configuration
+ * @returns {Array} The food groups array
+ */
+function getFoodGroups() {
+  return getState().foodGroups || [];
+}
+
+/**
+ * Replace the active food groups configuration.
+ * Archived weeks keep their own targets snapshot, so only the current week
+ * is scored against the new configuration.
+ * @param {Array} foodGroups - The new food groups configuration
+ */
+function setFoodGroups(foodGroups) {
+  dispatch({
+    type: ACTION_TYPES.SET_FOOD_GROUPS,
+    payload: { foodGroups },
+  });
+}
+
 /**
  * Start batching state updates to prevent intermediate UI renders
  */
@@ -1056,6 +1414,185 @@ function endBatching() {
   }
 }
 
+/**
+ * Record a reversible step and clear the redo stack.
+ * Consecutive steps with the same coalesceKey inside UNDO_COALESCE_MS merge,
+ * so a burst of taps or keystrokes on one counter undoes in one go.
+ * @param {Object} step - { kind, label, before, after, coalesceKey?, ...kind-specific fields }
+ */
+function recordUndoStep(step) {
+  const now = Date.now();
+  const last = _undoStack[_undoStack.length - 1];
+
+  if (
+    step.coalesceKey &&
+    last &&
+    last.coalesceKey === step.coalesceKey &&
+    now - last.timestamp < UNDO_COALESCE_MS
+  ) {
+    last.after = step.after;
+    last.timestamp = now;
+    // Drop the step entirely if the burst ended where it started
+    if (JSON.stringify(last.before) === JSON.stringify(last.after)) {
+      _undoStack.pop();
+    }
+  } else {
+    _undoStack.push({ ...step, timestamp: now });
+    if (_undoStack.length > MAX_UNDO_STEPS) {
+      _undoStack.shift();
+    }
+  }
+
+  _redoStack = [];
+}
+
+/**
+ * Record an edit to an archived history week so it can be undone
+ * @param {Object} before - The week record before the edit
+ * @param {Object} after - The week record after the edit
+ * @param {string} [label] - Description shown in the undo toast
+ */
+function recordHistoryWeekChange(before, after, label = null) {
+  if (!before || !after) return;
+  recordUndoStep({
+    kind: UNDO_KINDS.HISTORY_WEEK,
+    label: label || `Edit week of ${after.weekStartDate}`,
+    weekStartDate: after.weekStartDate,
+    before: JSON.parse(JSON.stringify(before)),
+    after: JSON.parse(JSON.stringify(after)),
+  });
+}
+
+/**
+ * Apply one side of a recorded step
+ * @param {Object} step - The recorded step
+ * @param {string} direction - "undo" applies `before`, "redo" applies `after`
+ * @returns {Promise<void>}
+ */
+async function applyUndoStep(step, direction) {
+  const values = direction === "undo" ? step.before : step.after;
+
+  switch (step.kind) {
+    case UNDO_KINDS.DAILY_COUNTS:
+      startBatching();
+      try {
+        // Show the day being changed so the reverted value is visible
+        if (_state.selectedTrackerDate !== step.date) {
+          dispatch({
+            type: ACTION_TYPES.SET_SELECTED_TRACKER_DATE,
+            payload: { date: step.date },
+          });
+        }
+        Object.entries(values).forEach(([groupId, count]) => {
+          updateDailyCount(step.date, groupId, count);
+        });
+      } finally {
+        endBatching();
+      }
+      break;
+
+    case UNDO_KINDS.FOOD_ITEM: {
+      // One side is the entry, the other is null (not logged)
+      const removedEntry = direction === "undo" ? step.after : step.before;
+      if (_state.selectedTrackerDate !== step.date) {
+        dispatch({
+          type: ACTION_TYPES.SET_SELECTED_TRACKER_DATE,
+          payload: { date: step.date },
+        });
+      }
+      if (values) {
+        logFoodItem(step.date, null, { entry: values });
+      } else {
+        removeFoodItemLog(step.date, removedEntry.id);
+      }
+      break;
+    }
+
+    case UNDO_KINDS.HISTORY_WEEK: {
+      const updateTime = Date.now();
+      await dataService.saveWeekHistory(values, {
+        updatedAt: updateTime,
+        weekStartDay: values.metadata?.weekStartDay,
+      });
+      updateMetadata({ historyDirty: true, lastModified: updateTime });
+
+      const historyData = await dataService.getAllWeekHistory();
+      dispatch({
+        type: ACTION_TYPES.SET_HISTORY,
+        payload: { history: historyData },
+      });
+      break;
+    }
+
+    default:
+      logger.warn(`Unknown undo step kind: ${step.kind}`);
+  }
+}
+
+/**
+ * Revert the most recent recorded step
+ * @returns {Promise<string|null>} Label of the undone step, or null if nothing to undo
+ */
+async function undo() {
+  const step = _undoStack.pop();
+  if (!step) return null;
+
+  try {
+    await applyUndoStep(step, "undo");
+  } catch (error) {
+    _undoStack.push(step);
+    throw error;
+  }
+
+  _redoStack.push(step);
+  logger.info(`Undid: ${step.label}`);
+  return step.label;
+}
+
+/**
+ * Re-apply the most recently undone step
+ * @returns {Promise<string|null>} Label of the redone step, or null if nothing to redo
+ */
+async function redo() {
+  const step = _redoStack.pop();
+  if (!step) return null;
+
+  try {
+    await applyUndoStep(step, "redo");
+  } catch (error) {
+    _redoStack.push(step);
+    throw error;
+  }
+
+  _undoStack.push(step);
+  logger.info(`Redid: ${step.label}`);
+  return step.label;
+}
+
+/**
+ * Check whether there is a step to undo
+ * @returns {boolean}
+ */
+function canUndo() {
+  return _undoStack.length > 0;
+}
+
+/**
+ * Check whether there is a step to redo
+ * @returns {boolean}
+ */
+function canRedo() {
+  return _redoStack.length > 0;
+}
+
+/**
+ * Forget all undo/redo steps, e.g. after the underlying data was replaced
+ */
+function clearUndoHistory() {
+  _undoStack = [];
+  _redoStack = [];
+}
+
 /**
  * Reload state from persistent storage
  * @param {boolean} skipRecalculation - Skip automatic weekly totals recalculation
@@ -1077,6 +1614,10 @@ async function reload(skipRecalculation = false) {
       weeklyCounts: Object.keys(freshData.weeklyCounts || {}),
     });
 
+    // Steps recorded against the replaced data would write it back over
+    // whatever was loaded, e.g. counts merged in by a sync
+    clearUndoHistory();
+
     // Update state with fresh data
     dispatch({
       type: ACTION_TYPES.SET_STATE,
@@ -1165,6 +1706,8 @@ export default {
   // updateWeeklyCount,
   resetDailyCounts,
   resetWeeklyCounts,
+  logFoodItem,
+  removeFoodItemLog,
   setCurrentDay,
   setCurrentWeek,
   recalculateWeeklyTotals,
@@ -1173,18 +1716,31 @@ export default {
   // Date check & reset
   checkDateAndReset,
   archiveCurrentWeek,
+  changeWeekStartDay,
   // ensureCurrentDate,
 
   // Helper functions
   getFoodGroup,
+  getFoodGroups,
+  setFoodGroups,
+  getItemLog,
   reload, // Add reload to the exported methods
 
   // Batch update controls
   startBatching,
   endBatching,
 
+  // Undo/redo
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  recordHistoryWeekChange,
+  clearUndoHistory,
+
   // Action types (for external use)
   ACTION_TYPES,
+  UNDO_KINDS,
 };
 
 window.appStateManager = {
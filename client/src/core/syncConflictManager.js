@@ -0,0 +1,321 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Sync Conflict Manager - Review and resolve days edited on two devices
+ *
+ * When a sync finds a day changed both here and on another device since
+ * they last synced, the merge keeps this device's counts and records the
+ * other device's counts in the syncConflicts store. Resolving a conflict
+ * writes the chosen counts back like a normal edit, so they sync out to
+ * the other devices.
+ */
+
+import dataService from "./dataService.js";
+import stateManager from "./stateManager.js";
+import foodGroupsManager from "./foodGroupsManager.js";
+import trackingEngine from "./trackingEngine.js";
+import uiRenderer from "../ui/renderer.js";
+import { formatDate } from "../ui/components.js";
+import logger from "./logger.js";
+import { escapeHtml } from "../utils/appUtils.js";
+
+const RESOLUTIONS = Object.freeze({
+  KEEP_LOCAL: "keep-local",
+  KEEP_REMOTE: "keep-remote",
+  TAKE_MAX: "take-max",
+});
+
+const RESOLUTION_LABELS = {
+  [RESOLUTIONS.KEEP_LOCAL]: "Keep This Device",
+  [RESOLUTIONS.KEEP_REMOTE]: "Keep Other Device",
+  [RESOLUTIONS.TAKE_MAX]: "Take Higher",
+};
+
+/**
+ * Get the unresolved conflicts
+ * @returns {Promise<Array>} Conflicts, oldest day first
+ */
+async function getConflicts() {
+  return dataService.getSyncConflicts();
+}
+
+/**
+ * Get the number of unresolved conflicts
+ * @returns {Promise<number>}
+ */
+async function getConflictCount() {
+  return (await dataService.getSyncConflicts()).length;
+}
+
+/**
+ * Work out the counts a resolution keeps
+ * @param {Object} conflict - { local, remote }
+ * @param {string} resolution - One of RESOLUTIONS
+ * @returns {Object} { groupId: count }
+ */
+function resolveCounts(conflict, resolution) {
+  switch (resolution) {
+    case RESOLUTIONS.KEEP_LOCAL:
+      return { ...conflict.local };
+    case RESOLUTIONS.KEEP_REMOTE:
+      return { ...conflict.remote };
+    case RESOLUTIONS.TAKE_MAX: {
+      const groupIds = new Set([
+        ...Object.keys(conflict.local),
+        ...Object.keys(conflict.remote),
+      ]);
+      return Object.fromEntries(
+        [...groupIds].map((groupId) => [
+          groupId,
+          Math.max(
+            trackingEngine.validateFoodGroupCount(conflict.local[groupId]),
+            trackingEngine.validateFoodGroupCount(conflict.remote[groupId])
+          ),
+        ])
+      );
+    }
+    default:
+      throw new Error(`Unknown conflict resolution: ${resolution}`);
+  }
+}
+
+/**
+ * Write counts to a day of the current week
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Object} counts - { groupId: count }
+ */
+function applyToCurrentWeek(date, counts) {
+  const currentDay = stateManager.getState().dailyCounts[date] || {};
+  const groupIds = new Set([
+    ...Object.keys(currentDay),
+    ...Object.keys(counts),
+  ]);
+
+  stateManager.startBatching();
+  try {
+    groupIds.forEach((groupId) => {
+      stateManager.updateDailyCount(date, groupId, counts[groupId] || 0);
+    });
+  } finally {
+    stateManager.endBatching();
+  }
+}
+
+/**
+ * Write counts to a day of an archived week
+ * @param {Object} conflict - The conflict being resolved
+ * @param {Object} counts - { groupId: count }
+ * @returns {Promise<void>}
+ */
+async function applyToHistoryWeek(conflict, counts) {
+  const week = await dataService.getWeekHistory(conflict.weekStartDate);
+  if (!week) {
+    logger.warn(
+      `Week ${conflict.weekStartDate} no longer exists, dropping conflict`
+    );
+    return;
+  }
+
+  week.dailyBreakdown = {
+    ...(week.dailyBreakdown || {}),
+    [conflict.date]: counts,
+  };
+  const totals = {};
+  Object.values(week.dailyBreakdown).forEach((day) => {
+    Object.entries(day).forEach(([groupId, count]) => {
+      totals[groupId] = (totals[groupId] || 0) + count;
+    });
+  });
+  week.totals = totals;
+
+  // The week stays flagged while other days in it are unresolved
+  const otherConflicts = (await dataService.getSyncConflicts()).filter(
+    (other) =>
+      other.weekStartDate === conflict.weekStartDate && other.id !== conflict.id
+  );
+
+  const updateTime = Date.now();
+  await dataService.saveWeekHistory(week, {
+    updatedAt: updateTime,
+    syncStatus: otherConflicts.length > 0 ? "conflict" : "local",
+    weekStartDay: week.metadata?.weekStartDay,
+  });
+  stateManager.updateMetadata({ historyDirty: true, lastModified: updateTime });
+
+  stateManager.dispatch({
+    type: stateManager.ACTION_TYPES.SET_HISTORY,
+    payload: { history: await dataService.getAllWeekHistory() },
+  });
+}
+
+/**
+ * Resolve a conflict, saving the chosen counts as a local edit
+ * @param {string} conflictId - The conflict ID (its date)
+ * @param {string} resolution - One of RESOLUTIONS
+ * @returns {Promise<void>}
+ */
+async function resolveConflict(conflictId, resolution) {
+  const conflict = (await dataService.getSyncConflicts()).find(
+    (candidate) => candidate.id === conflictId
+  );
+  if (!conflict) {
+    logger.warn(`Conflict ${conflictId} not found`);
+    return;
+  }
+
+  const counts = resolveCounts(conflict, resolution);
+  const state = stateManager.getState();
+
+  // A current week conflict may have been archived since it was found
+  if (state.currentWeekStartDate === conflict.weekStartDate) {
+    applyToCurrentWeek(conflict.date, counts);
+  } else {
+    await applyToHistoryWeek(conflict, counts);
+  }
+
+  await dataService.deleteSyncConflict(conflict.id);
+  logger.info(`Resolved conflict on ${conflict.date} (${resolution})`);
+}
+
+/**
+ * Render one conflict with both sides' counts
+ * @param {Object} conflict - The conflict
+ * @param {Array} foodGroups - Food group configuration, for names
+ * @returns {string} HTML for the list item
+ */
+function renderConflict(conflict, foodGroups) {
+  const groupIds = new Set([
+    ...Object.keys(conflict.local),
+    ...Object.keys(conflict.remote),
+  ]);
+  const groups = [
+    ...foodGroups.filter((group) => groupIds.has(group.id)),
+    ...[...groupIds]
+      .filter((groupId) => !foodGroups.some((group) => group.id === groupId))
+      .map((groupId) => ({ id: groupId, name: groupId })),
+  ];
+
+  const rows = groups
+    .map((group) => {
+      const local = trackingEngine.validateFoodGroupCount(
+        conflict.local[group.id]
+      );
+      const remote = trackingEngine.validateFoodGroupCount(
+        conflict.remote[group.id]
+      );
+      if (local === 0 && remote === 0) return "";
+      return `
+            <tr class="${local !== remote ? "conflict-diff" : ""}">
+              <td>${escapeHtml(group.name)}</td>
+              <td>${local}</td>
+              <td>${remote}</td>
+            </tr>`;
+    })
+    .join("");
+
+  return `
+      <li class="conflict-item">
+        <strong>${formatDate(conflict.date, "title")}</strong>
+        <table class="conflict-table">
+          <thead>
+            <tr><th>Food group</th><th>This device</th><th>Other device</th></tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
+        <div class="conflict-actions">
+          ${Object.values(RESOLUTIONS)
+            .map(
+              (resolution) =>
+                `<button class="small-btn conflict-resolve-btn" data-id="${escapeHtml(
+                  conflict.id
+                )}" data-resolution="${resolution}">${
+                  RESOLUTION_LABELS[resolution]
+                }</button>`
+            )
+            .join("")}
+        </div>
+      </li>`;
+}
+
+/**
+ * Show the conflict review dialog
+ * @param {Object} [options]
+ * @param {Function} [options.onBack] - Show a Back button that calls this
+ *   (e.g. to return to Settings) instead of Close
+ * @returns {Promise<void>}
+ */
+async function showConflictsDialog(options = {}) {
+  const { onBack = null } = options;
+  const conflicts = await getConflicts();
+  const foodGroups = foodGroupsManager.getFoodGroups();
+
+  const content =
+    conflicts.length === 0
+      ? `<p class="setting-note">No sync conflicts to review.</p>`
+      : `
+      <p class="setting-note">These days were changed on this device and on another device before they could sync. This device's counts are in use until you choose.</p>
+      <ul class="conflict-list">${conflicts
+        .map((conflict) => renderConflict(conflict, foodGroups))
+        .join("")}
+      </ul>`;
+
+  uiRenderer.openModal("Sync Conflicts", content, {
+    showFooter: true,
+    buttons: [
+      onBack
+        ? {
+            label: "Back",
+            id: "conflicts-back-btn",
+            class: "secondary-btn",
+            onClick: () => onBack(),
+          }
+        : {
+            label: "Close",
+            id: "conflicts-close-btn",
+            class: "secondary-btn",
+            onClick: () => uiRenderer.closeModal(),
+          },
+    ],
+  });
+
+  document.querySelectorAll(".conflict-resolve-btn").forEach((button) => {
+    button.addEventListener("click", async () => {
+      try {
+        await resolveConflict(button.dataset.id, button.dataset.resolution);
+        uiRenderer.renderEverything();
+        uiRenderer.showToast("Conflict resolved", "success");
+      } catch (error) {
+        logger.error("Failed to resolve conflict:", error);
+        uiRenderer.showToast("Failed to resolve conflict", "error");
+      }
+      await showConflictsDialog(options);
+    });
+  });
+}
+
+export default {
+  getConflicts,
+  getConflictCount,
+  resolveConflict,
+  showConflictsDialog,
+  RESOLUTIONS,
+};
+
+export { RESOLUTIONS };
@@ -0,0 +1,239 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Sync Journal Manager - Browse and export the sync journal
+ *
+ * Every sync run is recorded in the syncJournal store: what triggered it,
+ * how long it took, which files were checked, downloaded and uploaded, the
+ * sync decisions made and any errors. This module shows the journal in a
+ * dialog and exports it as JSON for troubleshooting.
+ */
+
+import dataService from "./dataService.js";
+import uiRenderer from "../ui/renderer.js";
+import logger from "./logger.js";
+import { escapeHtml } from "../utils/appUtils.js";
+
+const STATUS_LABELS = {
+  success: "Completed",
+  partial: "Completed with errors",
+  error: "Failed",
+  skipped: "Skipped",
+};
+
+/**
+ * Format a run's duration for display
+ * @param {number} duration - Milliseconds
+ * @returns {string}
+ */
+function formatDuration(duration) {
+  return duration < 1000
+    ? `${duration} ms`
+    : `${(duration / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Render a labelled list, or nothing if it is empty
+ * @param {string} label - List label
+ * @param {Array<string>} items - Item HTML
+ * @returns {string}
+ */
+function renderList(label, items) {
+  if (!items || items.length === 0) return "";
+  return `
+          <div class="journal-detail">
+            <strong>${label}</strong>
+            <ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>
+          </div>`;
+}
+
+/**
+ * Describe a sync decision in one line
+ * @param {Object} decision - { scope, syncCurrent, syncHistory, reasons }
+ * @returns {string} HTML
+ */
+function describeDecision(decision) {
+  const parts = [
+    decision.syncCurrent && "current week",
+    decision.syncHistory && "history",
+  ].filter(Boolean);
+  const local = escapeHtml(decision.reasons?.local);
+  const remote = escapeHtml(decision.reasons?.remote);
+  return `${escapeHtml(decision.scope)}: sync ${
+    parts.join(" and ") || "nothing"
+  } (${local}; remote: ${remote})`;
+}
+
+/**
+ * Render one sync run
+ * @param {Object} entry - Journal entry
+ * @returns {string} HTML for the list item
+ */
+function renderEntry(entry) {
+  const statusClass =
+    entry.status === "success"
+      ? "connected"
+      : entry.status === "skipped"
+      ? ""
+      : "disconnected";
+
+  const files = entry.filesChecked.map(
+    ({ fileName, changed }) =>
+      `${escapeHtml(fileName)}${changed ? " (changed)" : ""}`
+  );
+  const decisions = entry.decisions.map(describeDecision);
+  const errors = entry.errors.map(
+    (error) =>
+      `${error.context ? `${escapeHtml(error.context)}: ` : ""}${escapeHtml(
+        error.message
+      )}`
+  );
+
+  const summary = [
+    escapeHtml(entry.trigger),
+    entry.provider && escapeHtml(entry.provider),
+    formatDuration(entry.duration),
+    `${entry.downloaded.length} down, ${entry.uploaded.length} up`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const status = STATUS_LABELS[entry.status] || escapeHtml(entry.status);
+
+  return `
+      <li class="journal-item">
+        <details>
+          <summary>
+            <strong>${new Date(entry.startedAt).toLocaleString()}</strong>
+            <span class="status-value ${statusClass}">${status}</span>
+            <span class="journal-summary">${summary}</span>
+          </summary>${[
+            renderList("Files checked", files),
+            renderList("Downloaded", entry.downloaded.map(escapeHtml)),
+            renderList("Uploaded", entry.uploaded.map(escapeHtml)),
+            renderList("Decisions", decisions),
+            renderList("Errors", errors),
+          ].join("")}
+        </details>
+      </li>`;
+}
+
+/**
+ * Download the sync journal as a JSON file
+ * @returns {Promise<void>}
+ */
+async function exportSyncJournal() {
+  const entries = await dataService.getSyncJournal();
+  const exportData = {
+    exportedAt: new Date().toISOString(),
+    deviceId: dataService.getDeviceId(),
+    userAgent: navigator.userAgent,
+    entries,
+  };
+
+  const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  const timestamp = dataService.getTodayDateString();
+  link.download = `mind-diet-sync-journal-${timestamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the sync journal dialog
+ * @param {Object} [options]
+ * @param {Function} [options.onBack] - Show a Back button that calls this
+ *   (e.g. to return to Settings) instead of Close
+ * @returns {Promise<void>}
+ */
+async function showSyncJournalDialog(options = {}) {
+  const { onBack = null } = options;
+  let entries = [];
+  try {
+    entries = await dataService.getSyncJournal();
+  } catch (error) {
+    logger.error("Failed to load sync journal:", error);
+    uiRenderer.showToast("Failed to load sync journal", "error");
+  }
+
+  const content =
+    entries.length === 0
+      ? `<p class="setting-note">No syncs recorded yet.</p>`
+      : `
+      <p class="setting-note">The last ${entries.length} sync run(s) on this device, newest first. Tap a run for details.</p>
+      <ul class="journal-list">${entries.map(renderEntry).join("")}
+      </ul>`;
+
+  uiRenderer.openModal("Sync Journal", content, {
+    showFooter: true,
+    buttons: [
+      {
+        label: "Export",
+        id: "journal-export-btn",
+        class: "secondary-btn",
+        onClick: async () => {
+          try {
+            await exportSyncJournal();
+            uiRenderer.showToast("Sync journal exported", "success");
+          } catch (error) {
+            logger.error("Failed to export sync journal:", error);
+            uiRenderer.showToast("Failed to export sync journal", "error");
+          }
+        },
+      },
+      {
+        label: "Clear",
+        id: "journal-clear-btn",
+        class: "secondary-btn",
+        onClick: async () => {
+          try {
+            await dataService.clearSyncJournal();
+          } catch (error) {
+            logger.error("Failed to clear sync journal:", error);
+            uiRenderer.showToast("Failed to clear sync journal", "error");
+          }
+          await showSyncJournalDialog(options);
+        },
+      },
+      onBack
+        ? {
+            label: "Back",
+            id: "journal-back-btn",
+            class: "secondary-btn",
+            onClick: () => onBack(),
+          }
+        : {
+            label: "Close",
+            id: "journal-close-btn",
+            class: "secondary-btn",
+            onClick: () => uiRenderer.closeModal(),
+          },
+    ],
+  });
+}
+
+export default {
+  exportSyncJournal,
+  showSyncJournalDialog,
+};
@@ -23,6 +23,11 @@
 import logger from "./logger.js";
 import dateUtils from "../utils/dateUtils.js";
 
+// Servings are stored in quarter steps; quarters are exact in binary floating
+// point, so sums of fractional counts never drift (0.5 + 0.25 === 0.75).
+const SERVING_PRECISION = 4;
+const DEFAULT_SERVING_INCREMENT = 1;
+
 /**
  * Calculate weekly totals from daily breakdown data
  * @param {Object} dailyBreakdown - Object with YYYY-MM-DD keys containing daily counts
@@ -197,24 +202,52 @@ function getWeeklyTarget(group) {
   return group.target; // Fallback for special cases
 }
 
+/**
+ * Round a serving count to the stored precision (quarter servings)
+ * @param {number} value - The raw value
+ * @returns {number} The rounded value
+ */
+function roundServings(value) {
+  return Math.round(value * SERVING_PRECISION) / SERVING_PRECISION;
+}
+
+/**
+ * Get the step used by the + / - controls for a food group
+ * @param {Object} group - The food group data
+ * @returns {number} Serving increment (1 unless the group is configured otherwise)
+ */
+function getServingIncrement(group) {
+  const increment = Number(group?.increment);
+  return increment > 0 ? increment : DEFAULT_SERVING_INCREMENT;
+}
+
+/**
+ * Format a serving count for display ("2", "1.5", "0.25")
+ * @param {number} value - The serving count
+ * @returns {string} Display text
+ */
+function formatServings(value) {
+  return String(roundServings(Number(value) || 0));
+}
+
 /**
  * Validate a count value for a food group
  * @param {*} count - The count value to validate
  * @param {Object} group - The food group data (optional, for future validation rules)
- * @returns {number} Valid count (0 if invalid input)
+ * @returns {number} Valid count rounded to quarter servings (0 if invalid input)
  */
 function validateFoodGroupCount(count, group = null) {
-  const numericCount = parseInt(count, 10);
+  const numericCount = parseFloat(count);
 
   // Return 0 for invalid numbers or negative numbers
-  if (isNaN(numericCount) || numericCount < 0) {
+  if (!Number.isFinite(numericCount) || numericCount < 0) {
     return 0;
   }
 
   // Future: could add group-specific validation rules here
   // e.g., maximum reasonable values per food group
 
-  return numericCount;
+  return roundServings(numericCount);
 }
 
 // Export public API
@@ -225,6 +258,9 @@ export default {
   calculateDaysIntoWeek,
   getWeeklyTarget,
   validateFoodGroupCount,
+  roundServings,
+  getServingIncrement,
+  formatServings,
 };
 
 // Named exports for convenience
@@ -235,4 +271,7 @@ export {
   calculateDaysIntoWeek,
   getWeeklyTarget,
   validateFoodGroupCount,
+  roundServings,
+  getServingIncrement,
+  formatServings,
 };
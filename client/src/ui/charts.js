@@ -0,0 +1,229 @@
+/*
+ * MIND Diet Tracker PWA - Trend Charts
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Charts - Lightweight SVG chart builders for the Trends view
+ *
+ * Charts are returned as SVG markup strings so they can be dropped into
+ * innerHTML like the other UI components. Styling lives in style.css.
+ * A point whose value is null (a week with no record) keeps its slot on
+ * the x axis but is left empty.
+ */
+
+import { escapeHtml } from "../utils/appUtils.js";
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const PADDING = { top: 10, right: 8, bottom: 22, left: 28 };
+
+/**
+ * Format a number for axis labels and tooltips
+ * @param {number} value - The value to format
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * Build the shared plot geometry for a chart
+ * @param {number} pointCount - Number of data points
+ * @param {number} maxValue - Maximum value on the y axis
+ * @returns {Object} Geometry helpers
+ */
+function getGeometry(pointCount, maxValue) {
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const slotWidth = plotWidth / Math.max(pointCount, 1);
+  const safeMax = maxValue > 0 ? maxValue : 1;
+
+  return {
+    plotWidth,
+    plotHeight,
+    slotWidth,
+    x: (index) => PADDING.left + slotWidth * index + slotWidth / 2,
+    y: (value) =>
+      PADDING.top + plotHeight - (Math.max(0, value) / safeMax) * plotHeight,
+    baseline: PADDING.top + plotHeight,
+    maxValue: safeMax,
+  };
+}
+
+/**
+ * Render the y axis gridlines and x axis labels
+ * @param {Array} points - Data points with a label property
+ * @param {Object} geometry - Geometry from getGeometry
+ * @returns {string} SVG markup
+ */
+function renderAxes(points, geometry) {
+  const gridValues = [0, geometry.maxValue / 2, geometry.maxValue];
+  const grid = gridValues
+    .map((value) => {
+      const y = geometry.y(value);
+      return `
+        <line class="chart-grid" x1="${PADDING.left}" x2="${
+        CHART_WIDTH - PADDING.right
+      }" y1="${y}" y2="${y}"></line>
+        <text class="chart-axis-label" x="${PADDING.left - 4}" y="${
+        y + 3
+      }" text-anchor="end">${formatValue(value)}</text>`;
+    })
+    .join("");
+
+  // Thin out x labels so long ranges stay readable
+  const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+  const labels = points
+    .map((point, index) => {
+      const isLast = index === points.length - 1;
+      if (index % labelEvery !== 0 && !isLast) return "";
+      return `<text class="chart-axis-label" x="${geometry.x(index)}" y="${
+        CHART_HEIGHT - 6
+      }" text-anchor="middle">${escapeHtml(point.label)}</text>`;
+    })
+    .join("");
+
+  return grid + labels;
+}
+
+/**
+ * Wrap chart content in an SVG element
+ * @param {string} content - Inner SVG markup
+ * @param {string} ariaLabel - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function wrapSvg(content, ariaLabel) {
+  return `
+    <svg class="trend-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(
+    ariaLabel
+  )}" preserveAspectRatio="xMidYMid meet">
+      ${content}
+    </svg>
+  `;
+}
+
+/**
+ * Render a bar chart of weekly totals with a target marker per bar
+ * @param {Array} points - [{ label, value, target, type, partial }]; value
+ *   is null for an empty slot
+ * @param {string} ariaLabel - Accessible description of the chart, as plain
+ *   text (escaped here)
+ * @returns {string} SVG markup
+ */
+export function renderBarChart(points, ariaLabel = "Bar chart") {
+  const maxValue = Math.max(
+    1,
+    ...points.map((point) => Math.max(point.value || 0, point.target || 0))
+  );
+  const geometry = getGeometry(points.length, maxValue);
+  const barWidth = Math.max(2, geometry.slotWidth * 0.6);
+
+  const bars = points
+    .map((point, index) => {
+      if (point.value === null) return "";
+      const value = point.value || 0;
+      const x = geometry.x(index) - barWidth / 2;
+      const y = geometry.y(value);
+
+      let statusClass = "";
+      if (typeof point.target === "number") {
+        if (point.type === "limit") {
+          statusClass = value > point.target ? "bar-exceeded" : "bar-ok";
+        } else {
+          statusClass = value >= point.target ? "bar-met" : "";
+        }
+      }
+
+      const targetMarker =
+        typeof point.target === "number"
+          ? `<line class="chart-target" x1="${x - 1}" x2="${
+              x + barWidth + 1
+            }" y1="${geometry.y(point.target)}" y2="${geometry.y(
+              point.target
+            )}"></line>`
+          : "";
+
+      return `
+        <rect class="chart-bar ${statusClass} ${
+        point.partial ? "partial" : ""
+      }" x="${x}" y="${y}" width="${barWidth}" height="${
+        geometry.baseline - y
+      }">
+          <title>${escapeHtml(point.label)}: ${formatValue(value)}${
+        typeof point.target === "number"
+          ? ` (${point.type === "limit" ? "limit" : "target"} ${formatValue(
+              point.target
+            )})`
+          : ""
+      }</title>
+        </rect>
+        ${targetMarker}`;
+    })
+    .join("");
+
+  return wrapSvg(renderAxes(points, geometry) + bars, ariaLabel);
+}
+
+/**
+ * Render a line chart. The line breaks across empty slots.
+ * @param {Array} points - [{ label, value, partial }]; value is null for an
+ *   empty slot
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.maxValue] - Fixed maximum for the y axis
+ * @param {string} [options.ariaLabel] - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+export function renderLineChart(points, options = {}) {
+  const { ariaLabel = "Line chart" } = options;
+  const maxValue =
+    options.maxValue ||
+    Math.max(1, ...points.map((point) => point.value || 0));
+  const geometry = getGeometry(points.length, maxValue);
+
+  const path = points
+    .map((point, index) => {
+      if (point.value === null) return "";
+      const startsSegment = index === 0 || points[index - 1].value === null;
+      return `${startsSegment ? "M" : "L"}${geometry.x(index)},${geometry.y(
+        point.value || 0
+      )}`;
+    })
+    .filter(Boolean)
+    .join(" ");
+
+  const dots = points
+    .map((point, index) =>
+      point.value === null
+        ? ""
+        : `
+        <circle class="chart-dot ${point.partial ? "partial" : ""}" cx="${geometry.x(
+        index
+      )}" cy="${geometry.y(point.value || 0)}" r="3">
+          <title>${escapeHtml(point.label)}: ${formatValue(
+        point.value || 0
+      )}</title>
+        </circle>`
+    )
+    .join("");
+
+  return wrapSvg(
+    renderAxes(points, geometry) +
+      `<path class="chart-line" d="${path}"></path>` +
+      dots,
+    ariaLabel
+  );
+}
@@ -17,6 +17,9 @@
  */
 
 import { templates, renderTemplate } from "./templates.js";
+import mindScore from "../core/mindScore.js";
+import trackingEngine from "../core/trackingEngine.js";
+import { escapeHtml } from "../utils/appUtils.js";
 
 /**
  * UI Components - Template rendering utilities and helper functions
@@ -147,11 +150,12 @@ export function renderFoodGroupItem(
   state = null
 ) {
   return renderTemplate(templates.foodGroupItem, {
-    id: group.id,
-    name: group.name,
+    id: escapeHtml(group.id),
+    name: escapeHtml(group.name),
     target: getTargetDescription(group),
-    count: dailyCount,
-    weeklyTotal: weeklyTotal,
+    count: trackingEngine.formatServings(dailyCount),
+    weeklyTotal: trackingEngine.formatServings(weeklyTotal),
+    step: trackingEngine.getServingIncrement(group),
   });
 }
 
@@ -177,9 +181,15 @@ export function renderDaySelectorButton(letter, date, active, ariaLabel) {
  * @param {Object} group - The food group object
  * @param {number} currentTotal - The current total
  * @param {number} weeklyTarget - The weekly target
+ * @param {number|null} [points=null] - MIND score points for this group, if scored
  * @returns {string} - Rendered HTML
  */
-export function renderCurrentWeekCard(group, currentTotal, weeklyTarget) {
+export function renderCurrentWeekCard(
+  group,
+  currentTotal,
+  weeklyTarget,
+  points = null
+) {
   const statusClass = getCurrentWeekStatusClass(
     group,
     currentTotal,
@@ -187,10 +197,12 @@ export function renderCurrentWeekCard(group, currentTotal, weeklyTarget) {
   );
 
   return renderTemplate(templates.currentWeekCard, {
-    name: group.name,
-    currentTotal: currentTotal,
+    name: escapeHtml(group.name),
+    currentTotal: trackingEngine.formatServings(currentTotal),
     target: `${group.type === "limit" ? "≤" : "≥"} ${weeklyTarget}`,
     statusClass: statusClass,
+    hasPoints: points !== null,
+    points: points !== null ? mindScore.formatScore(points) : "",
   });
 }
 
@@ -199,9 +211,15 @@ export function renderCurrentWeekCard(group, currentTotal, weeklyTarget) {
  * @param {Object} targetInfo - The target information
  * @param {number} total - The total count
  * @param {number} effectiveWeeklyTarget - The effective weekly target
+ * @param {number|null} [points=null] - MIND score points for this group, if scored
  * @returns {string} - Rendered HTML
  */
-export function renderHistoryCard(targetInfo, total, effectiveWeeklyTarget) {
+export function renderHistoryCard(
+  targetInfo,
+  total,
+  effectiveWeeklyTarget,
+  points = null
+) {
   const statusClass = getHistoryStatusClass(
     targetInfo,
     total,
@@ -209,12 +227,28 @@ export function renderHistoryCard(targetInfo, total, effectiveWeeklyTarget) {
   );
 
   return renderTemplate(templates.historyCard, {
-    name: targetInfo.name,
-    total: total,
+    name: escapeHtml(targetInfo.name),
+    total: trackingEngine.formatServings(total),
     target: `${
       targetInfo.type === "limit" ? "≤" : "≥"
     } ${effectiveWeeklyTarget}`,
     statusClass: statusClass,
+    hasPoints: points !== null,
+    points: points !== null ? mindScore.formatScore(points) : "",
+  });
+}
+
+/**
+ * Render the MIND score summary
+ * @param {Object} score - Result from mindScore.calculateMindScore
+ * @param {string} [label="MIND Score"] - Label shown above the score
+ * @returns {string} - Rendered HTML
+ */
+export function renderMindScoreSummary(score, label = "MIND Score") {
+  return renderTemplate(templates.mindScoreSummary, {
+    label: label,
+    score: mindScore.formatScore(score.total),
+    maxScore: score.maxScore,
   });
 }
 
@@ -230,14 +264,44 @@ export function renderEditTotalsItem(group, count, weeklyTotal, state = null) {
   const badgeClass = getBadgeClass(group, weeklyTotal, state);
 
   return renderTemplate(templates.editTotalsItem, {
-    id: group.id,
-    name: group.name,
-    count: count,
-    weeklyTotal: weeklyTotal,
+    id: escapeHtml(group.id),
+    name: escapeHtml(group.name),
+    count: trackingEngine.formatServings(count),
+    weeklyTotal: trackingEngine.formatServings(weeklyTotal),
     badgeClass: badgeClass,
   });
 }
 
+/**
+ * Render the food library bar for the tracker view
+ * @param {Array} items - Food library items
+ * @param {Array} loggedEntries - Entries logged on the selected day
+ * @param {Function} describeServings - Formats an item's servings for display
+ * @returns {string} - Rendered HTML
+ */
+export function renderFoodLibraryBar(items, loggedEntries, describeServings) {
+  const buttons = items.map((item) =>
+    renderTemplate(templates.quickAddButton, {
+      id: escapeHtml(item.id),
+      name: escapeHtml(item.name),
+      servings: escapeHtml(describeServings(item)),
+    })
+  );
+  const entries = loggedEntries.map((entry) =>
+    renderTemplate(templates.itemLogEntry, {
+      id: escapeHtml(entry.id),
+      name: escapeHtml(entry.name),
+      servings: escapeHtml(describeServings(entry)),
+    })
+  );
+
+  return renderTemplate(templates.foodLibraryBar, {
+    buttons: buttons.join(""),
+    entries: entries.join(""),
+    hasLog: entries.length > 0,
+  });
+}
+
 /**
  * Render a summary cards container
  * @param {Array} cards - Array of rendered card HTML strings
@@ -18,20 +18,28 @@
 
 import dataService from "../core/dataService.js";
 import stateManager from "../core/stateManager.js";
+import foodGroupsManager from "../core/foodGroupsManager.js";
+import foodLibraryManager from "../core/foodLibraryManager.js";
+import mindScore from "../core/mindScore.js";
 import logger from "../core/logger.js";
 import {
   renderFoodGroupItem,
+  renderFoodLibraryBar,
   renderDaySelectorButton,
   renderCurrentWeekCard,
   renderHistoryCard,
   renderEditTotalsItem,
   renderSummaryCardsContainer,
+  renderMindScoreSummary,
   updateBadgeColor,
   formatDate,
   getBadgeClass,
   getCurrentWeekStatusClass,
   getHistoryStatusClass,
 } from "./components.js";
+import { renderBarChart, renderLineChart } from "./charts.js";
+import { formatDateToYYYYMMDD } from "../utils/dateUtils.js";
+import { escapeHtml } from "../utils/appUtils.js";
 
 /**
  * UIRenderer - Responsible for rendering UI components based on application state
@@ -82,11 +90,16 @@ const domElements = {
     toastMessage: null,
     toastSpinner: null,
     toastText: null,
+    toastAction: null,
   },
 };
 
 let toastTimeout = null; // For managing toast hide timer
 
+// Trends view settings
+const TRENDS_RANGES = [4, 12, 52]; // Weeks
+let trendsRange = TRENDS_RANGES[0];
+
 // Reference to app manager for callbacks
 let appManagerRef = null;
 
@@ -101,6 +114,7 @@ function initialize(appManager = null) {
     tracker: document.getElementById("tracker-view"),
     "current-week": document.getElementById("current-week-view"),
     history: document.getElementById("history-view"),
+    trends: document.getElementById("trends-view"),
   };
 
   // Cache tab bar elements
@@ -113,6 +127,7 @@ function initialize(appManager = null) {
   // Cache tracker view elements
   domElements.trackerElements = {
     foodItemsList: document.getElementById("food-items-list"),
+    foodLibraryBar: document.getElementById("food-library-bar"),
     trackerDateEl: document.getElementById("tracker-date"),
     foodGroupTemplate: document.getElementById("food-group-item-template"),
   };
@@ -135,6 +150,12 @@ function initialize(appManager = null) {
     editHistoryWeekBtn: document.getElementById("edit-history-week-btn"),
   };
 
+  // Cache trends view elements
+  domElements.trendsElements = {
+    trendsContent: document.getElementById("trends-content"),
+    trendsRangeSelector: document.getElementById("trends-range-selector"),
+  };
+
   // Cache modal elements
   domElements.modalElements = {
     genericModal: document.getElementById("generic-modal"),
@@ -167,6 +188,9 @@ function initialize(appManager = null) {
     toastText: toastMessageDiv
       ? toastMessageDiv.querySelector(".toast-text")
       : null,
+    toastAction: toastMessageDiv
+      ? toastMessageDiv.querySelector(".toast-action")
+      : null,
   };
 
   // Log initialization status
@@ -338,6 +362,8 @@ function handleStateChange(state, action) {
       break;
 
     case stateManager.ACTION_TYPES.UPDATE_DAILY_COUNT:
+    case stateManager.ACTION_TYPES.LOG_FOOD_ITEM:
+    case stateManager.ACTION_TYPES.REMOVE_FOOD_ITEM_LOG:
       // case stateManager.ACTION_TYPES.UPDATE_WEEKLY_COUNT:
       renderTrackerItems();
       renderCurrentWeekSummary();
@@ -372,6 +398,7 @@ function handleStateChange(state, action) {
       break;
 
     case stateManager.ACTION_TYPES.IMPORT_STATE:
+    case stateManager.ACTION_TYPES.SET_FOOD_GROUPS:
       renderEverything();
       break;
 
@@ -409,6 +436,11 @@ function renderEverything() {
     renderCurrentWeekSummary();
     renderHistory();
 
+    // Trends reads from IndexedDB, so only refresh it while it's visible
+    if (domElements.views.trends?.classList.contains("active-view")) {
+      renderTrends();
+    }
+
     logger.debug("renderEverything completed successfully");
   } catch (error) {
     logger.error("Error in renderEverything:", error);
@@ -569,6 +601,32 @@ function renderTrackerItems() {
 
     foodItemsList.appendChild(foodGroupItem);
   });
+
+  renderFoodLibrary(state);
+}
+
+/**
+ * Render quick-add buttons for the food library and the selected day's item log
+ * @param {Object} [state] - Current state (read from stateManager if omitted)
+ */
+function renderFoodLibrary(state = stateManager.getState()) {
+  const bar = domElements.trackerElements.foodLibraryBar;
+  if (!bar) return;
+
+  const items = foodLibraryManager.getItems();
+  const loggedEntries = state.dailyItemLogs?.[state.selectedTrackerDate] || [];
+
+  // Keep the bar out of the way until the user has defined a library
+  if (items.length === 0 && loggedEntries.length === 0) {
+    bar.hidden = true;
+    bar.innerHTML = "";
+    return;
+  }
+
+  bar.hidden = false;
+  bar.innerHTML = renderFoodLibraryBar(items, loggedEntries, (item) =>
+    foodLibraryManager.describeServings(item, state.foodGroups)
+  );
 }
 
 /**
@@ -594,16 +652,21 @@ function renderCurrentWeekSummary() {
     return group.target; // Fallback for special cases
   };
 
+  const score = mindScore.calculateMindScore(state.weeklyCounts);
+
   // Render each food group
   const cards = state.foodGroups.map((group) => {
     const currentTotal = state.weeklyCounts[group.id] || 0;
     const weeklyTarget = getWeeklyTarget(group);
+    const points = score.components[group.id]?.points ?? null;
 
-    return renderCurrentWeekCard(group, currentTotal, weeklyTarget);
+    return renderCurrentWeekCard(group, currentTotal, weeklyTarget, points);
   });
 
-  // Add the cards container to the view
-  const containerHtml = renderSummaryCardsContainer(cards);
+  // Add the score summary and cards container to the view
+  const containerHtml =
+    renderMindScoreSummary(score, "MIND Score (week to date)") +
+    renderSummaryCardsContainer(cards);
   currentWeekSummaryContent.innerHTML = containerHtml;
 }
 
@@ -712,12 +775,10 @@ function renderHistory(weekIndex) {
       return acc;
     }, {});
 
-  // Get the list of food groups to display
-  const foodGroupsToDisplay = state.foodGroups.filter(
-    (group) =>
-      targets[group.id] ||
-      (weekData.totals && typeof weekData.totals[group.id] !== "undefined")
-  );
+  // Get the groups that applied to this week, including any since removed
+  const foodGroupsToDisplay = foodGroupsManager.getFoodGroupsForWeek(weekData);
+
+  const score = mindScore.calculateWeekScore(weekData);
 
   // Render each food group in the history view
   const cards = foodGroupsToDisplay
@@ -738,15 +799,218 @@ function renderHistory(weekIndex) {
         effectiveWeeklyTarget = targetInfo.target;
       }
 
-      return renderHistoryCard(targetInfo, total, effectiveWeeklyTarget);
+      const points = score?.components[groupId]?.points ?? null;
+
+      return renderHistoryCard(
+        targetInfo,
+        total,
+        effectiveWeeklyTarget,
+        points
+      );
     })
     .filter((card) => card !== null); // Remove null cards
 
-  // Add the cards container to the view
-  const containerHtml = renderSummaryCardsContainer(cards);
+  // Add the score summary and cards container to the view
+  const containerHtml =
+    (score ? renderMindScoreSummary(score) : "") +
+    renderSummaryCardsContainer(cards);
   historyContent.innerHTML = containerHtml;
 }
 
+/**
+ * Build the chronological list of calendar weeks shown in the Trends view.
+ * The in-progress current week is included last and flagged as partial;
+ * weeks with no history record are flagged as missing.
+ * @param {Array} history - History records, newest first
+ * @param {Object} state - The current state
+ * @param {number} weekCount - Number of weeks to include
+ * @returns {Array} Weeks as { weekStartDate, totals, targets, partial,
+ *   missing }
+ */
+function buildTrendWeeks(history, state, weekCount) {
+  const currentTargets = state.foodGroups.reduce((acc, group) => {
+    acc[group.id] = {
+      target: group.target,
+      frequency: group.frequency,
+      type: group.type,
+      unit: group.unit,
+      name: group.name,
+    };
+    return acc;
+  }, {});
+
+  const currentWeek = {
+    weekStartDate: state.currentWeekStartDate,
+    totals: state.weeklyCounts || {},
+    targets: currentTargets,
+    partial: true,
+    missing: false,
+  };
+
+  // Step back a calendar week at a time. A record is matched by the week it
+  // falls in, as records from before a week start day change start a day off.
+  const currentStart = new Date(state.currentWeekStartDate + "T00:00:00");
+  const weekStartFor = (weeksBack) => {
+    const date = new Date(currentStart);
+    date.setDate(currentStart.getDate() - 7 * weeksBack);
+    return formatDateToYYYYMMDD(date);
+  };
+
+  const pastWeeks = [];
+  for (let weeksBack = weekCount - 1; weeksBack >= 1; weeksBack--) {
+    const weekStartDate = weekStartFor(weeksBack);
+    const nextWeekStartDate = weekStartFor(weeksBack - 1);
+    const week = (history || []).find(
+      (record) =>
+        record.weekStartDate >= weekStartDate &&
+        record.weekStartDate < nextWeekStartDate
+    );
+    pastWeeks.push({
+      weekStartDate,
+      totals: week?.totals || {},
+      targets:
+        week?.targets && Object.keys(week.targets).length > 0
+          ? week.targets
+          : currentTargets,
+      partial: false,
+      missing: !week,
+    });
+  }
+
+  return [...pastWeeks, currentWeek];
+}
+
+/**
+ * Render the Trends view charts from the stored weekly history
+ */
+async function renderTrends() {
+  const { trendsContent, trendsRangeSelector } =
+    domElements.trendsElements || {};
+  if (!trendsContent) {
+    logger.error("Missing required element for renderTrends (trendsContent)");
+    return;
+  }
+
+  // Reflect the selected range on the selector buttons
+  if (trendsRangeSelector) {
+    trendsRangeSelector.querySelectorAll("[data-range]").forEach((button) => {
+      button.classList.toggle(
+        "active",
+        parseInt(button.dataset.range, 10) === trendsRange
+      );
+    });
+  }
+
+  const state = stateManager.getState();
+
+  let history = [];
+  try {
+    history = await dataService.getAllWeekHistory();
+  } catch (error) {
+    logger.error("renderTrends: Failed to load history:", error);
+    trendsContent.innerHTML = "<p>Error: Could not load history data.</p>";
+    return;
+  }
+
+  const weeks = buildTrendWeeks(history, state, trendsRange);
+  const labelFor = (week) => {
+    if (week.partial) return "Now";
+    const date = new Date(week.weekStartDate + "T00:00:00");
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+  };
+
+  // Overall adherence (MIND score) across the range
+  const scorePoints = weeks.map((week) => ({
+    label: labelFor(week),
+    value: week.missing
+      ? null
+      : mindScore.calculateMindScore(week.totals).total,
+    partial: week.partial,
+  }));
+  const completeScores = scorePoints.filter(
+    (point) => !point.partial && point.value !== null
+  );
+  const averageScore =
+    completeScores.length > 0
+      ? completeScores.reduce((sum, point) => sum + point.value, 0) /
+        completeScores.length
+      : null;
+
+  let html = `
+    <div class="trend-section">
+      <div class="trend-section-header">
+        <h3>MIND Score</h3>
+        <span class="trend-summary">${
+          averageScore !== null
+            ? `Avg ${mindScore.formatScore(
+                Math.round(averageScore * 10) / 10
+              )} / ${mindScore.MAX_SCORE}`
+            : "No completed weeks yet"
+        }</span>
+      </div>
+      ${renderLineChart(scorePoints, {
+        maxValue: mindScore.MAX_SCORE,
+        ariaLabel: "Weekly MIND score",
+      })}
+    </div>
+  `;
+
+  // Per-food-group weekly totals against that week's target
+  state.foodGroups.forEach((group) => {
+    const points = weeks.map((week) => {
+      const targetInfo = week.targets[group.id];
+      return {
+        label: labelFor(week),
+        value: week.missing ? null : week.totals[group.id] || 0,
+        target: targetInfo
+          ? targetInfo.frequency === "day"
+            ? targetInfo.target * 7
+            : targetInfo.target
+          : null,
+        type: targetInfo?.type || group.type,
+        partial: week.partial,
+      };
+    });
+
+    const weeksOnTarget = points.filter(
+      (point) =>
+        !point.partial &&
+        point.value !== null &&
+        point.target !== null &&
+        (point.type === "limit"
+          ? point.value <= point.target
+          : point.value >= point.target)
+    ).length;
+
+    html += `
+      <div class="trend-section">
+        <div class="trend-section-header">
+          <h3>${escapeHtml(group.name)}</h3>
+          <span class="trend-summary">${weeksOnTarget}/${
+      completeScores.length
+    } weeks ${group.type === "limit" ? "within limit" : "on target"}</span>
+        </div>
+        ${renderBarChart(points, `${group.name} weekly servings`)}
+      </div>
+    `;
+  });
+
+  trendsContent.innerHTML = html;
+}
+
+/**
+ * Change the number of weeks shown in the Trends view
+ * @param {number} weeks - One of the supported ranges (4, 12 or 52)
+ */
+function setTrendsRange(weeks) {
+  if (!TRENDS_RANGES.includes(weeks)) {
+    logger.warn(`Unsupported trends range: ${weeks}`);
+    return;
+  }
+  trendsRange = weeks;
+  renderTrends();
+}
+
 /**
  * Set the active view
  * @param {string} viewId - The ID of the view to activate
@@ -782,6 +1046,8 @@ function setActiveView(viewId) {
     renderHistory();
   } else if (viewId === "current-week") {
     renderCurrentWeekSummary();
+  } else if (viewId === "trends") {
+    renderTrends();
   } else if (viewId === "tracker") {
     // Reset history edit button if on tracker view
     if (domElements.historyElements.editHistoryWeekBtn) {
@@ -802,13 +1068,16 @@ function setActiveView(viewId) {
  * @param {number} [options.duration=3000] - The display duration in ms (ignored if persistent)
  * @param {boolean} [options.isPersistent=false] - If true, toast stays until replaced
  * @param {boolean} [options.showSpinner=false] - If true, shows a spinner
+ * @param {Object} [options.action] - Optional action button { label, onClick }
  */
 function showToast(message, type = "info", options = {}) {
-  const { toastMessage, toastSpinner, toastText } = domElements.toastElements;
+  const { toastMessage, toastSpinner, toastText, toastAction } =
+    domElements.toastElements;
   const {
     duration = 1000,
     isPersistent = false,
     showSpinner = false,
+    action = null,
   } = options;
 
   if (!toastMessage || !toastSpinner || !toastText) {
@@ -836,6 +1105,21 @@ function showToast(message, type = "info", options = {}) {
     toastSpinner.classList.remove("active");
   }
 
+  // Handle action button (e.g. Undo); clicking it dismisses the toast
+  if (toastAction) {
+    if (action) {
+      toastAction.textContent = action.label;
+      toastAction.hidden = false;
+      toastAction.onclick = () => {
+        clearToasts();
+        action.onClick();
+      };
+    } else {
+      toastAction.hidden = true;
+      toastAction.onclick = null;
+    }
+  }
+
   // Show the toast
   toastMessage.classList.add("toast-show");
 
@@ -1222,8 +1506,11 @@ export default {
   initialize,
   renderEverything,
   renderTrackerItems,
+  renderFoodLibrary,
   renderCurrentWeekSummary,
   renderHistory,
+  renderTrends,
+  setTrendsRange,
   renderDateElements,
   setActiveView,
   showToast,
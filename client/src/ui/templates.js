@@ -36,12 +36,33 @@ export const templates = {
       <div class="controls">
         <span class="weekly-badge" style="display: none;"><span class="wk-val">{{weeklyTotal}}</span></span>
         <button class="decrement-btn" aria-label="Decrement count">-</button>
-        <input type="number" class="count-input" value="{{count}}" min="0" step="1" aria-label="Current count" data-groupid="{{id}}">
+        <input type="number" class="count-input" value="{{count}}" min="0" step="{{step}}" aria-label="Current count" data-groupid="{{id}}">
         <button class="increment-btn" aria-label="Increment count">+</button>
       </div>
     </div>
   `,
 
+  // Food library bar (quick-add buttons and the selected day's item log)
+  foodLibraryBar: `
+    <div class="quick-add-list" aria-label="Quick add from food library">{{buttons}}</div>
+    {{#if hasLog}}
+    <div class="item-log" aria-label="Foods logged this day">{{entries}}</div>
+    {{/if}}
+  `,
+
+  // Quick-add button for a food library item
+  quickAddButton: `
+    <button type="button" class="quick-add-btn" data-item-id="{{id}}" title="{{servings}}">+ {{name}}</button>
+  `,
+
+  // Logged food library item on the selected day
+  itemLogEntry: `
+    <span class="item-log-entry" title="{{servings}}">
+      <span class="item-log-name">{{name}}</span>
+      <button type="button" class="item-log-remove-btn" data-entry-id="{{id}}" aria-label="Remove {{name}}">&times;</button>
+    </span>
+  `,
+
   // Day selector button template
   daySelectorButton: `
     <button class="day-selector-btn {{#if active}}active{{/if}}" data-date="{{date}}" aria-label="{{ariaLabel}}">
@@ -63,6 +84,12 @@ export const templates = {
           <div class="metric-label">TARGET</div>
           <div class="metric-value">{{target}}</div>
         </div>
+        {{#if hasPoints}}
+        <div class="metric-container">
+          <div class="metric-label">POINTS</div>
+          <div class="metric-value">{{points}}</div>
+        </div>
+        {{/if}}
       </div>
     </div>
   `,
@@ -81,10 +108,24 @@ export const templates = {
           <div class="metric-label">TARGET</div>
           <div class="metric-value">{{target}}</div>
         </div>
+        {{#if hasPoints}}
+        <div class="metric-container">
+          <div class="metric-label">POINTS</div>
+          <div class="metric-value">{{points}}</div>
+        </div>
+        {{/if}}
       </div>
     </div>
   `,
 
+  // MIND score summary (shown above the weekly and history cards)
+  mindScoreSummary: `
+    <div class="mind-score-summary">
+      <div class="mind-score-label">{{label}}</div>
+      <div class="mind-score-value">{{score}}<span class="mind-score-max"> / {{maxScore}}</span></div>
+    </div>
+  `,
+
   // Edit totals modal item template
   editTotalsItem: `
     <div class="edit-totals-item" data-id="{{id}}">
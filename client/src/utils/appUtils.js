@@ -191,6 +191,21 @@ async function loadAppVersion(versionElement = null) {
   }
 }
 
+/**
+ * Escape text for insertion into HTML or SVG markup, including attribute
+ * values
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 // Export public API
 export default {
   triggerHapticFeedback,
@@ -200,4 +215,7 @@ export default {
   addTestModeBanner,
   removeTestModeBanner,
   loadAppVersion,
+  escapeHtml,
 };
+
+export { escapeHtml };
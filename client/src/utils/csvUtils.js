@@ -0,0 +1,116 @@
+/*
+ * MIND Diet Tracker PWA
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * CsvUtils - Minimal RFC 4180 style CSV serialization and parsing
+ */
+
+/**
+ * Quote a single CSV field if it contains separators, quotes or newlines
+ * @param {*} value - The field value
+ * @returns {string} The CSV-safe field
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Convert an array of rows into CSV text
+ * @param {Array<Array>} rows - Rows of field values (first row is usually the header)
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(",")).join("\r\n");
+}
+
+/**
+ * Parse CSV text into rows of string fields
+ * Handles quoted fields, escaped quotes and CRLF/LF line endings.
+ * Blank lines are skipped.
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} Parsed rows
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark added by some spreadsheet apps
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Malformed CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Export public API
+export default {
+  toCsv,
+  parseCsv,
+};
+
+// Named exports for convenience
+export { toCsv, parseCsv };
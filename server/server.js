@@ -2,6 +2,7 @@ import express from "express";
 import axios from "axios";
 import cors from "cors";
 import logger, { configure, LOG_LEVELS } from "./logger.js";
+import { createSyncStorageRouter } from "./syncStorage.js";
 
 // Configure logger based on environment variables
 const logLevel =
@@ -27,6 +28,10 @@ logger.debug(
   "GOOGLE_CLIENT_ID:",
   process.env.GOOGLE_CLIENT_ID ? "***SET***" : "NOT SET"
 );
+logger.debug(
+  "SYNC_STORAGE_USERS:",
+  process.env.SYNC_STORAGE_USERS ? "***SET***" : "NOT SET"
+);
 logger.debug("VITE_DEV_MODE:", process.env.VITE_DEV_MODE);
 logger.info("--- End Server Environment ---");
 
@@ -35,7 +40,8 @@ const PORT = process.env.PORT || 3000;
 
 // --- Middleware ---
 app.use(cors()); // Allows cross-origin requests from your PWA
-app.use(express.json()); // Allows parsing of JSON in request bodies (for refresh tokens)
+// Allows parsing of JSON in request bodies (refresh tokens and stored sync files)
+app.use(express.json({ limit: process.env.SYNC_STORAGE_MAX_SIZE || "5mb" }));
 
 // Utility function to mask sensitive data for logging
 function maskSensitiveData(
@@ -99,6 +105,8 @@ const {
   DROPBOX_CLIENT_SECRET,
   GOOGLE_CLIENT_ID,
   GOOGLE_CLIENT_SECRET,
+  SYNC_STORAGE_USERS,
+  SYNC_STORAGE_DIR = "./sync-data",
 } = process.env;
 
 const DROPBOX_REDIRECT_URI = `${APP_BASE_URL}/api/dropbox/callback`;
@@ -366,6 +374,18 @@ app.post("/api/gdrive/refresh", async (req, res) => {
   }
 });
 
+// =================================================================
+// --- Self-hosted Sync Storage Endpoints ---
+// =================================================================
+
+app.use(
+  "/api/storage",
+  createSyncStorageRouter({
+    users: SYNC_STORAGE_USERS,
+    dataDir: SYNC_STORAGE_DIR,
+  })
+);
+
 // --- Server Start ---
 app.listen(PORT, () => {
   logger.info(`MIND PWA OAuth server listening on port ${PORT}`);
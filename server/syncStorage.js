@@ -0,0 +1,327 @@
+/*
+ * MIND Diet Tracker PWA - Self-hosted Sync Storage
+ * Copyright (C) 2025 Nathan A. Eaton Jr.
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Optional storage backend so sync can run without Google or Dropbox.
+//
+// Each user gets a directory of JSON sync files under SYNC_STORAGE_DIR.
+// Users are configured as SYNC_STORAGE_USERS="alice:token1,bob:token2" and
+// authenticate with "Authorization: Bearer <token>". A file's revision is a
+// hash of its content, sent as the ETag; PUT and DELETE honour If-Match (and
+// If-None-Match: * for create-only) so two devices can't silently overwrite
+// each other.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("syncStorage");
+
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*\.json$/;
+const USER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MIN_TOKEN_LENGTH = 16;
+
+/**
+ * Parse "user:token,user:token" into a list of users
+ * @param {string} value - The SYNC_STORAGE_USERS value
+ * @returns {Array<{user: string, token: Buffer}>}
+ */
+function parseUsers(value) {
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      const user = entry.slice(0, separator).trim();
+      const token = entry.slice(separator + 1).trim();
+
+      if (separator < 1 || !USER_NAME_PATTERN.test(user) || !token) {
+        throw new Error(
+          `Invalid SYNC_STORAGE_USERS entry "${user || entry}": expected user:token`
+        );
+      }
+      if (token.length < MIN_TOKEN_LENGTH) {
+        logger.warn(
+          `Sync storage token for "${user}" is shorter than ${MIN_TOKEN_LENGTH} characters`
+        );
+      }
+      return { user, token: Buffer.from(token) };
+    });
+}
+
+/**
+ * Compute a file revision from its content
+ * @param {Buffer|string} content - File content
+ * @returns {string} The revision
+ */
+function computeRevision(content) {
+  return crypto
+    .createHash("sha256")
+    .update(content)
+    .digest("hex")
+    .substring(0, 20);
+}
+
+/**
+ * Read a conditional request header as a bare revision
+ * @param {string|undefined} value - If-Match or If-None-Match value
+ * @returns {string|null} The revision, "*", or null if absent
+ */
+function parseConditionHeader(value) {
+  if (!value) return null;
+  return value.trim().replace(/^W\//, "").replace(/"/g, "");
+}
+
+/**
+ * Create the /api/storage router.
+ * When no users are configured every endpoint answers 503 so the client can
+ * tell "storage disabled" apart from a bad token.
+ * @param {Object} options
+ * @param {string} options.users - SYNC_STORAGE_USERS value
+ * @param {string} options.dataDir - Root directory for stored files
+ * @returns {express.Router}
+ */
+export function createSyncStorageRouter({ users, dataDir }) {
+  const router = express.Router();
+  const accounts = parseUsers(users);
+
+  if (accounts.length === 0) {
+    logger.info("Sync storage disabled (SYNC_STORAGE_USERS not set)");
+    router.use((req, res) => {
+      res.status(503).json({ error: "storage_disabled" });
+    });
+    return router;
+  }
+
+  const rootDir = path.resolve(dataDir);
+  logger.info(
+    `Sync storage enabled for ${accounts.length} user(s) in ${rootDir}`
+  );
+
+  // One write at a time per file; reads don't need the lock
+  const fileLocks = new Map();
+  async function withFileLock(filePath, operation) {
+    const previous = fileLocks.get(filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    fileLocks.set(filePath, current);
+    try {
+      return await current;
+    } finally {
+      if (fileLocks.get(filePath) === current) {
+        fileLocks.delete(filePath);
+      }
+    }
+  }
+
+  function findAccount(token) {
+    const supplied = Buffer.from(token);
+    return accounts.find(
+      (account) =>
+        account.token.length === supplied.length &&
+        crypto.timingSafeEqual(account.token, supplied)
+    );
+  }
+
+  async function readFileInfo(filePath, name) {
+    try {
+      const [content, stats] = await Promise.all([
+        fs.readFile(filePath),
+        fs.stat(filePath),
+      ]);
+      return {
+        content,
+        metadata: {
+          name,
+          rev: computeRevision(content),
+          modifiedTime: stats.mtime.toISOString(),
+          size: stats.size,
+        },
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  // Status is public so the client can check the feature before asking for a token
+  router.get("/status", (req, res) => {
+    res.json({ enabled: true });
+  });
+
+  // --- Authentication ---
+  router.use(async (req, res, next) => {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    const account =
+      scheme === "Bearer" && token ? findAccount(token) : undefined;
+
+    if (!account) {
+      logger.warn(`Rejected sync storage request: ${req.method} ${req.path}`);
+      return res.status(401).json({ error: "invalid_token" });
+    }
+
+    req.storageUser = account.user;
+    req.storageDir = path.join(rootDir, account.user);
+    try {
+      await fs.mkdir(req.storageDir, { recursive: true });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.param("name", (req, res, next, name) => {
+    if (!FILE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: "invalid_file_name" });
+    }
+    req.storagePath = path.join(req.storageDir, name);
+    next();
+  });
+
+  router.get("/me", (req, res) => {
+    res.json({ user: req.storageUser });
+  });
+
+  router.get("/files", async (req, res, next) => {
+    try {
+      const names = (await fs.readdir(req.storageDir)).filter((name) =>
+        FILE_NAME_PATTERN.test(name)
+      );
+      const files = [];
+      for (const name of names) {
+        const info = await readFileInfo(path.join(req.storageDir, name), name);
+        if (info) files.push(info.metadata);
+      }
+      res.json({ files });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/files/:name/metadata", async (req, res, next) => {
+    try {
+      const info = await readFileInfo(req.storagePath, req.params.name);
+      if (!info) return res.status(404).json({ error: "not_found" });
+      res.set("ETag", `"${info.metadata.rev}"`).json(info.metadata);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/files/:name", async (req, res, next) => {
+    try {
+      const info = await readFileInfo(req.storagePath, req.params.name);
+      if (!info) return res.status(404).json({ error: "not_found" });
+      res
+        .set("ETag", `"${info.metadata.rev}"`)
+        .type("application/json")
+        .send(info.content);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put("/files/:name", async (req, res, next) => {
+    const ifMatch = parseConditionHeader(req.get("If-Match"));
+    const ifNoneMatch = parseConditionHeader(req.get("If-None-Match"));
+
+    if (!req.is("application/json")) {
+      return res.status(415).json({ error: "json_required" });
+    }
+
+    try {
+      const result = await withFileLock(req.storagePath, async () => {
+        const existing = await readFileInfo(req.storagePath, req.params.name);
+
+        if (ifNoneMatch === "*" && existing) {
+          return { status: 412, metadata: existing.metadata };
+        }
+        if (
+          ifMatch &&
+          (!existing || (ifMatch !== "*" && ifMatch !== existing.metadata.rev))
+        ) {
+          return { status: 412, metadata: existing?.metadata || null };
+        }
+
+        // Write to a temp file and rename so readers never see partial JSON
+        const content = JSON.stringify(req.body);
+        const tempPath = `${req.storagePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, req.storagePath);
+
+        const saved = await readFileInfo(req.storagePath, req.params.name);
+        return { status: existing ? 200 : 201, metadata: saved.metadata };
+      });
+
+      if (result.status === 412) {
+        logger.info(
+          `Revision conflict on ${req.storageUser}/${req.params.name}`
+        );
+        return res
+          .status(412)
+          .json({ error: "revision_mismatch", current: result.metadata });
+      }
+
+      logger.debug(
+        `Stored ${req.storageUser}/${req.params.name} (rev ${result.metadata.rev})`
+      );
+      res
+        .status(result.status)
+        .set("ETag", `"${result.metadata.rev}"`)
+        .json(result.metadata);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete("/files/:name", async (req, res, next) => {
+    const ifMatch = parseConditionHeader(req.get("If-Match"));
+
+    try {
+      const status = await withFileLock(req.storagePath, async () => {
+        const existing = await readFileInfo(req.storagePath, req.params.name);
+        if (!existing) return 404;
+        if (ifMatch && ifMatch !== "*" && ifMatch !== existing.metadata.rev) {
+          return 412;
+        }
+        await fs.unlink(req.storagePath);
+        return 204;
+      });
+
+      if (status === 204) {
+        logger.debug(`Deleted ${req.storageUser}/${req.params.name}`);
+        return res.status(204).end();
+      }
+      res
+        .status(status)
+        .json({ error: status === 404 ? "not_found" : "revision_mismatch" });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.use((error, req, res, next) => {
+    logger.error("Sync storage error:", error.message);
+    res.status(500).json({ error: "storage_error" });
+  });
+
+  return router;
+}
+
+export default createSyncStorageRouter;